@@ -0,0 +1,60 @@
+// bin/__tests__/drawing-render.test.js
+import { spawnSync } from 'child_process';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CLI = fileURLToPath(new URL('../drawing-render.js', import.meta.url));
+
+// A format 1 file, so its layer is created on load
+const DRAWING = JSON.stringify({
+    version: '1.0',
+    shapes: [{ type: 'rectangle', id: 'rect_1', x: 0, y: 0, width: 10.1, height: 10, zIndex: 1 }]
+});
+
+let folder;
+beforeEach(() => {
+    folder = mkdtempSync(path.join(tmpdir(), 'drawing-render-'));
+});
+afterEach(() => {
+    rmSync(folder, { recursive: true, force: true });
+});
+
+function run(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { cwd: folder, encoding: 'utf8' });
+}
+
+describe('drawing-render', () => {
+    test('converts a drawing to the same SVG on every run', () => {
+        writeFileSync(path.join(folder, 'in.json'), DRAWING);
+        expect(run('in.json', '-o', 'a.svg').status).toBe(0);
+        expect(run('in.json', '-o', 'b.svg').status).toBe(0);
+
+        const svg = readFileSync(path.join(folder, 'a.svg'), 'utf8');
+        expect(svg).toContain('id="rect_1"');
+        expect(readFileSync(path.join(folder, 'b.svg'), 'utf8')).toBe(svg);
+    });
+
+    test('exits with 1 when a file is not a drawing', () => {
+        writeFileSync(path.join(folder, 'in.json'), DRAWING);
+        writeFileSync(path.join(folder, 'bad.json'), '{');
+        const result = run('in.json', 'bad.json', '-o', 'out');
+        expect(result.status).toBe(1);
+        expect(result.stderr).toContain('1 of 2 file(s) could not be converted');
+    });
+
+    test('exits with 2 on bad usage', () => {
+        expect(run().status).toBe(2);
+        expect(run('in.json', '--format', 'gif').status).toBe(2);
+        expect(run('in.json', '--scale', '0').stderr).toMatch(/--scale must be a positive number/);
+        expect(run('in.json', '--padding', '-1').status).toBe(2);
+        expect(run('missing.json').status).toBe(2);
+    });
+
+    test('accepts a padding of 0 and shows help', () => {
+        writeFileSync(path.join(folder, 'in.json'), DRAWING);
+        expect(run('in.json', '--padding', '0').status).toBe(0);
+        expect(run('--help').stdout).toMatch(/^Usage: drawing-render/);
+    });
+});
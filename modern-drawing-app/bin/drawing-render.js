@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+// bin/drawing-render.js
+// Converts drawing files to SVG or PNG without a browser, for batch jobs:
+//
+//   drawing-render input.json -o out.svg
+//   drawing-render drawings/ -o images/ --format png --scale 2
+//
+// PNG output draws with the "canvas" package, an optional dependency that
+// npm only installs where it can be built. Exits with 1 when any file can't
+// be read, and 2 on bad usage.
+import { readFile, writeFile, readdir, stat, mkdir } from 'fs/promises';
+import path from 'path';
+import { CanvasState } from '../src/js/core/CanvasState.js';
+import { FileManager } from '../src/js/core/FileManager.js';
+import { setCanvasFactory } from '../src/js/core/canvasFactory.js';
+
+const USAGE = `Usage: drawing-render <input...> [options]
+
+Converts drawing files (.json), or every drawing in a folder, to SVG or PNG.
+
+Options:
+  -o, --output <path>     Output file, or folder when converting several files
+                          (default: next to each input)
+  -f, --format <format>   svg or png (default: from the output name, else svg)
+  -s, --scale <number>    Pixels per drawing unit for PNG (default: 1)
+  -p, --padding <px>      Space around the drawing (default: 20)
+  -b, --background <color>
+                          Background color, or "none" (default: white)
+  -t, --title <text>      Title of SVG output
+  -h, --help              Show this help`;
+
+const FORMATS = ['svg', 'png'];
+
+class UsageError extends Error {}
+
+function parseArguments(args) {
+    const options = { inputs: [], output: null, format: null, scale: 1, padding: 20, background: 'white', title: '' };
+    // A scale of 0 would draw nothing, so only padding may be 0
+    const number = (name, value, { allowZero = false } = {}) => {
+        const parsed = parseFloat(value);
+        if (allowZero ? !(parsed >= 0) : !(parsed > 0)) {
+            throw new UsageError(`${name} must be a ${allowZero ? 'non-negative' : 'positive'} number`);
+        }
+        return parsed;
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) throw new UsageError(`${arg} needs a value`);
+            return args[++i];
+        };
+
+        switch (arg) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-o':
+            case '--output':
+                options.output = value();
+                break;
+            case '-f':
+            case '--format':
+                options.format = value().toLowerCase();
+                if (!FORMATS.includes(options.format)) {
+                    throw new UsageError(`Unknown format "${options.format}"; use ${FORMATS.join(' or ')}`);
+                }
+                break;
+            case '-s':
+            case '--scale':
+                options.scale = number('--scale', value());
+                break;
+            case '-p':
+            case '--padding':
+                options.padding = number('--padding', value(), { allowZero: true });
+                break;
+            case '-b':
+            case '--background': {
+                const color = value();
+                options.background = color === 'none' || color === 'transparent' ? null : color;
+                break;
+            }
+            case '-t':
+            case '--title':
+                options.title = value();
+                break;
+            default:
+                if (arg.startsWith('-')) throw new UsageError(`Unknown option ${arg}`);
+                options.inputs.push(arg);
+        }
+    }
+
+    if (!options.help && options.inputs.length === 0) {
+        throw new UsageError('No input files');
+    }
+    return options;
+}
+
+// Input files with the file each is written to. Folders give their .json
+// files; an output path is a folder unless there is a single input file.
+async function planConversions(options) {
+    const files = [];
+    let fromFolder = false;
+    for (const input of options.inputs) {
+        if ((await stat(input)).isDirectory()) {
+            fromFolder = true;
+            const names = (await readdir(input)).filter(name => /\.json$/i.test(name)).sort();
+            files.push(...names.map(name => path.join(input, name)));
+        } else {
+            files.push(input);
+        }
+    }
+
+    const single = files.length === 1 && !fromFolder;
+    const outputExtension = options.output && path.extname(options.output).slice(1).toLowerCase();
+    const format = options.format ||
+        (single && FORMATS.includes(outputExtension) ? outputExtension : 'svg');
+
+    return files.map(file => {
+        const name = `${path.basename(file).replace(/\.json$/i, '')}.${format}`;
+        let output = path.join(path.dirname(file), name);
+        if (options.output) {
+            output = single ? options.output : path.join(options.output, name);
+        }
+        return { input: file, output, format };
+    });
+}
+
+// Resolves with true when the file was converted
+async function convert({ input, output, format }, options) {
+    const fileManager = new FileManager(new CanvasState());
+    const { success, errors, warnings } = await fileManager.loadFromJSON(await readFile(input, 'utf8'));
+    warnings.forEach(warning => console.error(`${input}: warning: ${warning}`));
+    if (!success || errors.length > 0) {
+        errors.forEach(error => console.error(`${input}: error: ${error}`));
+        if (errors.length === 0) console.error(`${input}: error: not a drawing file`);
+        return false;
+    }
+
+    const { scale, padding, background, title } = options;
+    const content = format === 'png'
+        ? fileManager.renderImage({ scale, padding, background }).toBuffer('image/png')
+        : fileManager.createSVG({ padding, background, title });
+
+    await mkdir(path.dirname(output), { recursive: true });
+    await writeFile(output, content);
+    console.log(`${input} -> ${output}`);
+    return true;
+}
+
+// The "canvas" package measures text and draws PNGs. Without it, SVG
+// output still works with estimated text widths.
+async function installCanvasPackage() {
+    try {
+        const canvas = await import('canvas');
+        const { createCanvas, Image } = canvas.default || canvas;
+        setCanvasFactory({ createCanvas, createImage: () => new Image() });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function main(args) {
+    let options;
+    try {
+        options = parseArguments(args);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`drawing-render: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    let conversions;
+    try {
+        conversions = await planConversions(options);
+    } catch (error) {
+        console.error(`drawing-render: ${error.message}`);
+        return 2;
+    }
+
+    const hasCanvas = await installCanvasPackage();
+    if (!hasCanvas && conversions.some(conversion => conversion.format === 'png')) {
+        console.error('drawing-render: PNG output needs the "canvas" package (npm install canvas)');
+        return 2;
+    }
+
+    let failed = 0;
+    for (const conversion of conversions) {
+        try {
+            if (!await convert(conversion, options)) failed++;
+        } catch (error) {
+            console.error(`${conversion.input}: error: ${error.message}`);
+            failed++;
+        }
+    }
+    if (failed > 0) {
+        console.error(`drawing-render: ${failed} of ${conversions.length} file(s) could not be converted`);
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -1,29 +1,125 @@
 // Enhanced DrawingApp.js with all new features integrated
-import { CanvasState } from './core/CanvasState.js';
 import { CanvasRenderer } from './renderers/CanvasRenderer.js';
 import { GridRenderer } from './renderers/GridRenderer.js';
 import { ToolManager } from './tools/ToolManager.js';
 import { PropertiesPanel } from './ui/PropertiesPanel.js';
-import { CommandManager } from './core/CommandManager.js';
-import { FileManager } from './core/FileManager.js';
+import { LayersPanel } from './ui/LayersPanel.js';
+import { HistoryPanel } from './ui/HistoryPanel.js';
+import { DocumentTabs } from './ui/DocumentTabs.js';
+import { LibraryPanel } from './ui/LibraryPanel.js';
+import { ExportPanel } from './ui/ExportPanel.js';
+import { DocumentManager } from './core/DocumentManager.js';
+import { FileManager, OPEN_FILE_TYPES, isSVGFile } from './core/FileManager.js';
 import { ClipboardManager } from './core/ClipboardManager.js';
+import { HistoryStorage } from './core/HistoryStorage.js';
+import { AutosaveManager } from './core/AutosaveManager.js';
 import { Rectangle } from './shapes/Rectangle.js';
 import { Ellipse } from './shapes/Ellipse.js';
 import { Line } from './shapes/Line.js';
+import { Matrix } from './core/Matrix.js';
+import { DeleteShapeCommand } from './commands/DeleteShapeCommand.js';
+import { TransformShapeCommand } from './commands/TransformShapeCommand.js';
+import { GroupShapesCommand } from './commands/GroupShapesCommand.js';
+import { UngroupShapesCommand } from './commands/UngroupShapesCommand.js';
+import { ArrangeShapesCommand } from './commands/ArrangeShapesCommand.js';
+import { AlignShapesCommand } from './commands/AlignShapesCommand.js';
+import { getAlignmentOffsets, getDistributionOffsets, getUnionBounds } from './core/alignment.js';
+import { describeLoadProblems } from './core/fileFormat.js';
 
 class EnhancedDrawingApp {
     constructor() {
-        this.state = new CanvasState();
-        this.commandManager = new CommandManager();
-        this.fileManager = new FileManager(this.state);
-        this.clipboardManager = new ClipboardManager(this.state, this.commandManager);
+        this.documents = new DocumentManager();
+        this.drawing = this.documents.create();
+        this.documents.activate(this.drawing);
+        this.fileManager = new FileManager(this.state, this.commandManager);
+        this.historyStorage = new HistoryStorage();
+        this.keepHistoryInBrowser = true;
+        this.historySaveTimer = null;
+        this.lastPointer = null; // client coordinates of the pointer over the canvas, for Paste at Cursor
+        this.autosave = new AutosaveManager(this.fileManager);
+        this.clipboardManager = new ClipboardManager(this.state, this.commandManager, this.fileManager);
         
         this.initializeCanvases();
         this.initializeManagers();
         this.bindUIEvents();
         this.setupMenuBar();
-        this.updateStatus();
         this.addSampleShapes();
+        this.initializeAutosave();
+    }
+
+    // The active tab's drawing
+    get state() {
+        return this.drawing.state;
+    }
+
+    get commandManager() {
+        return this.drawing.commandManager;
+    }
+
+    initializeAutosave() {
+        this.autosave.on('dirtyChanged', () => {
+            this.documentTabs.render();
+            this.updateSaveStatus();
+        });
+        this.autosave.on('autosaved', () => this.updateSaveStatus());
+        this.autosave.setDrawing(this.drawing);
+        this.autosave.start();
+        this.updateSaveStatus();
+
+        window.addEventListener('beforeunload', (e) => {
+            if (!this.documents.hasUnsavedChanges()) return;
+
+            this.autosave.flush();
+            e.preventDefault();
+            e.returnValue = '';
+        });
+
+        this.offerRecovery();
+    }
+
+    // Autosaves left behind mean the last session ended with unsaved changes.
+    // Each recovered drawing opens in its own tab.
+    async offerRecovery() {
+        const saved = (await this.autosave.getRecovery())
+            .filter(entry => !this.documents.find(entry.documentId));
+        if (saved.length === 0) return;
+
+        const list = saved
+            .map(entry => `${entry.name || 'Untitled'} (${new Date(entry.savedAt).toLocaleString()})`)
+            .join('\n');
+        if (!confirm(`Recover unsaved drawings?\n\n${list}`)) {
+            saved.forEach(entry => this.autosave.discardRecovery(entry.documentId));
+            return;
+        }
+
+        let failed = 0;
+        for (const entry of saved) {
+            if (!(await this.recoverDrawing(entry))) failed++;
+        }
+        this.updateStatusText(failed > 0
+            ? `Failed to recover ${failed} drawing(s)`
+            : 'Recovered unsaved drawings');
+    }
+
+    async recoverDrawing(entry) {
+        const drawing = this.documents.create(entry.name || undefined, entry.documentId);
+        this.documents.activate(drawing);
+        const result = await this.fileManager.loadFromJSON(entry.json);
+        this.reportLoadProblems(result, drawing.name);
+        if (!result.success) {
+            this.documents.close(drawing);
+            return false;
+        }
+
+        try {
+            drawing.inLibrary = Boolean(await this.documents.library.load(drawing.id));
+        } catch (error) {
+            console.error('Failed to read the document library:', error);
+        }
+        this.restoreBrowserHistory();
+        this.autosave.markChanged();
+        this.documentTabs.render();
+        return true;
     }
 
     initializeCanvases() {
@@ -33,26 +129,87 @@ class EnhancedDrawingApp {
 
         this.gridRenderer = new GridRenderer(this.gridCanvas, this.state);
         this.mainRenderer = new CanvasRenderer(this.mainCanvas, this.state);
-        
-        // Enhanced renderer with marquee support
-        const originalRender = this.mainRenderer.render.bind(this.mainRenderer);
-        this.mainRenderer.render = () => {
-            originalRender();
-            this.renderMarquee();
-        };
     }
 
     initializeManagers() {
         this.toolManager = new ToolManager(this.state, this.mainRenderer, this.commandManager);
-        this.propertiesPanel = new PropertiesPanel(this.state);
+        // The renderer draws the select tool's marquee
+        this.mainRenderer.toolManager = this.toolManager;
+        this.propertiesPanel = new PropertiesPanel(this.state, this.commandManager);
+        this.layersPanel = new LayersPanel(this.state, this.commandManager);
+        this.historyPanel = new HistoryPanel(this.commandManager);
+        this.documentTabs = new DocumentTabs(this.documents);
+        this.libraryPanel = new LibraryPanel(this.documents);
+        this.exportPanel = new ExportPanel();
+        this.exportPanel.on('export', ({ format, options }) => {
+            if (format === 'pdf') {
+                this.exportPDF(options);
+            } else if (format === 'svg') {
+                this.exportSVG(options);
+            } else {
+                this.exportImage(options);
+            }
+        });
         
         // Set initial tool
         this.state.setActiveTool('select');
         
-        // Bind command manager events
-        this.commandManager.on('historyChanged', () => {
-            this.updateUndoRedoButtons();
-        });
+        // Bind document events
+        this.documentHandlers = {
+            historyChanged: () => {
+                this.updateUndoRedoButtons();
+                this.scheduleHistorySave();
+            },
+            historyError: () => {
+                this.updateStatusText('Undo history was reset because a step could not be replayed');
+            },
+            shapesChanged: () => {
+                document.getElementById('status-text').textContent = `${this.state.shapes.size} shapes`;
+            }
+        };
+        this.bindDocumentEvents(this.drawing);
+        this.documents.on('activeChanged', ({ drawing, previous }) => this.showDrawing(drawing, previous));
+        this.documents.on('documentClosed', (drawing) => this.autosave.markSaved(drawing));
+        window.addEventListener('pagehide', () => this.saveHistoryToBrowser());
+    }
+
+    bindDocumentEvents(drawing) {
+        const { historyChanged, historyError, shapesChanged } = this.documentHandlers;
+        drawing.commandManager.on('historyChanged', historyChanged);
+        drawing.commandManager.on('historyError', historyError);
+        drawing.state.on('shapesChanged', shapesChanged);
+    }
+
+    unbindDocumentEvents(drawing) {
+        const { historyChanged, historyError, shapesChanged } = this.documentHandlers;
+        drawing.commandManager.off('historyChanged', historyChanged);
+        drawing.commandManager.off('historyError', historyError);
+        drawing.state.off('shapesChanged', shapesChanged);
+    }
+
+    // Moves every part of the app over to the drawing in the active tab.
+    // Work in progress on the previous one is finished and saved first.
+    showDrawing(drawing, previous) {
+        this.toolManager.setDocument(drawing.state, drawing.commandManager);
+        this.propertiesPanel.setDocument(drawing.state, drawing.commandManager);
+        this.saveHistoryToBrowser();
+        this.autosave.setDrawing(drawing);
+        this.unbindDocumentEvents(previous);
+
+        drawing.state.snapToGrid = previous.state.snapToGrid;
+        this.drawing = drawing;
+        this.fileManager.setDocument(this.state, this.commandManager);
+        this.clipboardManager.setDocument(this.state, this.commandManager);
+        this.gridRenderer.setState(this.state);
+        this.mainRenderer.setState(this.state);
+        this.layersPanel.setDocument(this.state, this.commandManager);
+        this.historyPanel.setCommandManager(this.commandManager);
+        this.bindDocumentEvents(drawing);
+
+        this.updateUndoRedoButtons();
+        this.updateZoomDisplay();
+        this.updateSaveStatus();
+        this.documentHandlers.shapesChanged();
     }
 
     setupMenuBar() {
@@ -63,7 +220,9 @@ class EnhancedDrawingApp {
             <div class="menu-group">
                 <button id="new-btn" class="menu-button">New</button>
                 <button id="open-btn" class="menu-button">Open</button>
-                <button id="save-btn" class="menu-button">Save</button>
+                <button id="save-btn" class="menu-button" title="Save to the library (Ctrl+S)">Save</button>
+                <button id="download-btn" class="menu-button" title="Download as a file">Download</button>
+                <button id="library-btn" class="menu-button">Library</button>
             </div>
             <div class="menu-group">
                 <button id="undo-btn" class="menu-button" disabled>Undo</button>
@@ -72,16 +231,56 @@ class EnhancedDrawingApp {
             <div class="menu-group">
                 <button id="copy-btn" class="menu-button">Copy</button>
                 <button id="paste-btn" class="menu-button">Paste</button>
+                <button id="paste-in-place-btn" class="menu-button" title="Paste in Place (Ctrl+Shift+V)">In Place</button>
+                <button id="paste-at-cursor-btn" class="menu-button" title="Paste at Cursor">At Cursor</button>
+                <button id="paste-style-btn" class="menu-button" title="Paste Style (Ctrl+Alt+V)">Style</button>
                 <button id="duplicate-btn" class="menu-button">Duplicate</button>
             </div>
             <div class="menu-group">
-                <button id="export-png-btn" class="menu-button">Export PNG</button>
+                <button id="group-btn" class="menu-button">Group</button>
+                <button id="ungroup-btn" class="menu-button">Ungroup</button>
+            </div>
+            <div class="menu-group">
+                <button id="front-btn" class="menu-button" title="Bring to Front (Ctrl+Shift+])">Front</button>
+                <button id="forward-btn" class="menu-button" title="Bring Forward (Ctrl+])">Forward</button>
+                <button id="backward-btn" class="menu-button" title="Send Backward (Ctrl+[)">Backward</button>
+                <button id="back-btn" class="menu-button" title="Send to Back (Ctrl+Shift+[)">Back</button>
+            </div>
+            <div class="menu-group">
+                <select id="align-target" class="menu-button" title="Align to">
+                    <option value="selection">Selection</option>
+                    <option value="key">Key Object</option>
+                    <option value="canvas">Canvas</option>
+                </select>
+                <button class="menu-button" data-align="left" title="Align Left">&#8676;</button>
+                <button class="menu-button" data-align="center" title="Align Horizontal Centers">&#8597;</button>
+                <button class="menu-button" data-align="right" title="Align Right">&#8677;</button>
+                <button class="menu-button" data-align="top" title="Align Top">&#8612;</button>
+                <button class="menu-button" data-align="middle" title="Align Vertical Centers">&#8596;</button>
+                <button class="menu-button" data-align="bottom" title="Align Bottom">&#8614;</button>
+                <button class="menu-button" data-distribute="horizontal" data-spacing="gap" title="Distribute Horizontal Spacing">H&#8596;</button>
+                <button class="menu-button" data-distribute="horizontal" data-spacing="center" title="Distribute Horizontal Centers">H&#8901;</button>
+                <button class="menu-button" data-distribute="vertical" data-spacing="gap" title="Distribute Vertical Spacing">V&#8597;</button>
+                <button class="menu-button" data-distribute="vertical" data-spacing="center" title="Distribute Vertical Centers">V&#8901;</button>
+            </div>
+            <div class="menu-group">
+                <button id="export-png-btn" class="menu-button">Export Image</button>
                 <button id="export-svg-btn" class="menu-button">Export SVG</button>
+                <button id="export-pdf-btn" class="menu-button">Export PDF</button>
             </div>
             <div class="menu-group">
                 <label>
                     <input type="checkbox" id="snap-grid" checked> Snap to Grid
                 </label>
+                <label>
+                    <input type="checkbox" id="pen-pressure" checked> Pen Pressure
+                </label>
+                <label title="Save undo history in drawing files">
+                    <input type="checkbox" id="history-in-file"> History in File
+                </label>
+                <label title="Keep undo history in this browser across reloads">
+                    <input type="checkbox" id="history-in-browser" checked> History in Browser
+                </label>
             </div>
         `;
         
@@ -98,22 +297,51 @@ class EnhancedDrawingApp {
         document.getElementById('new-btn').addEventListener('click', () => this.newDrawing());
         document.getElementById('open-btn').addEventListener('click', () => this.openFile());
         document.getElementById('save-btn').addEventListener('click', () => this.saveFile());
+        document.getElementById('download-btn').addEventListener('click', () => this.downloadFile());
+        document.getElementById('library-btn').addEventListener('click', () => this.libraryPanel.toggle());
         
         // Edit operations
         document.getElementById('undo-btn').addEventListener('click', () => this.commandManager.undo());
         document.getElementById('redo-btn').addEventListener('click', () => this.commandManager.redo());
         document.getElementById('copy-btn').addEventListener('click', () => this.copy());
         document.getElementById('paste-btn').addEventListener('click', () => this.paste());
+        document.getElementById('paste-in-place-btn').addEventListener('click', () => this.paste(null, 'inPlace'));
+        document.getElementById('paste-at-cursor-btn').addEventListener('click', () => this.paste(null, 'cursor'));
+        document.getElementById('paste-style-btn').addEventListener('click', () => this.pasteStyle());
         document.getElementById('duplicate-btn').addEventListener('click', () => this.duplicate());
+        document.getElementById('group-btn').addEventListener('click', () => this.groupSelected());
+        document.getElementById('ungroup-btn').addEventListener('click', () => this.ungroupSelected());
+        document.getElementById('front-btn').addEventListener('click', () => this.arrangeSelected('front'));
+        document.getElementById('forward-btn').addEventListener('click', () => this.arrangeSelected('forward'));
+        document.getElementById('backward-btn').addEventListener('click', () => this.arrangeSelected('backward'));
+        document.getElementById('back-btn').addEventListener('click', () => this.arrangeSelected('back'));
+        document.querySelectorAll('[data-align]').forEach(button => {
+            button.addEventListener('click', () => this.alignSelected(button.dataset.align));
+        });
+        document.querySelectorAll('[data-distribute]').forEach(button => {
+            button.addEventListener('click', () =>
+                this.distributeSelected(button.dataset.distribute, button.dataset.spacing));
+        });
         
         // Export operations
-        document.getElementById('export-png-btn').addEventListener('click', () => this.exportPNG());
-        document.getElementById('export-svg-btn').addEventListener('click', () => this.exportSVG());
+        document.getElementById('export-png-btn').addEventListener('click', () => this.showExportPanel('png'));
+        document.getElementById('export-svg-btn').addEventListener('click', () => this.showExportPanel('svg'));
+        document.getElementById('export-pdf-btn').addEventListener('click', () => this.showExportPanel('pdf'));
         
         // Settings
         document.getElementById('snap-grid').addEventListener('change', (e) => {
             this.state.snapToGrid = e.target.checked;
         });
+        document.getElementById('pen-pressure').addEventListener('change', (e) => {
+            this.toolManager.tools.get('freehand').usePressure = e.target.checked;
+        });
+        document.getElementById('history-in-file').addEventListener('change', (e) => {
+            this.fileManager.saveHistory = e.target.checked;
+        });
+        document.getElementById('history-in-browser').addEventListener('change', (e) => {
+            this.keepHistoryInBrowser = e.target.checked;
+            this.scheduleHistorySave();
+        });
     }
 
     bindUIEvents() {
@@ -139,6 +367,7 @@ class EnhancedDrawingApp {
 
         // Mouse position tracking
         this.mainCanvas.addEventListener('mousemove', (e) => {
+            this.lastPointer = { x: e.clientX, y: e.clientY };
             const pos = this.mainRenderer.screenToCanvas(e.clientX, e.clientY);
             
             // Snap to grid if enabled
@@ -151,147 +380,345 @@ class EnhancedDrawingApp {
                 `${Math.round(pos.x)}, ${Math.round(pos.y)}`;
         });
 
+        this.bindDropEvents();
+
+        // Ctrl+V arrives as a paste event, which carries the clipboard
+        // contents without asking the user for permission to read them
+        document.addEventListener('paste', (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+            e.preventDefault();
+            this.paste(ClipboardManager.fromDataTransfer(e.clipboardData));
+        });
+
         // Enhanced keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.target.tagName === 'INPUT') return;
             
-            switch (e.key.toLowerCase()) {
-                // Tool shortcuts
-                case 'v': this.setTool('select'); break;
-                case 'r': this.setTool('rectangle'); break;
-                case 'o': this.setTool('ellipse'); break;
-                case 'l': this.setTool('line'); break;
-                case 't': this.setTool('text'); break;
-                case 'h': this.setTool('pan'); break;
-                
-                // Edit shortcuts
-                case 'delete':
-                case 'backspace':
-                    this.deleteSelected();
-                    break;
-                    
-                case 'c':
-    if (e.ctrlKey || e.metaKey) {
-        e.preventDefault();
-        this.clipboardManager.copy();
-        this.updateStatusText('Copied to clipboard');
-    }
-    break;
-case 'v':
-    if (e.ctrlKey || e.metaKey) {
-        e.preventDefault();
-        if (this.clipboardManager.paste()) {
-            this.updateStatusText('Pasted from clipboard');
+            // Let the active tool handle keys like Enter or Backspace first
+            const tool = this.toolManager.getCurrentTool();
+            if (tool && tool.onKeyDown(e)) {
+                e.preventDefault();
+                return;
+            }
+            
+            if (e.ctrlKey || e.metaKey) {
+                this.handleCommandShortcut(e);
+            } else {
+                this.handleToolShortcut(e);
+            }
+        });
+    }
+
+    // SVG images dropped on the canvas are imported where they land; drawing
+    // files open in a new tab
+    bindDropEvents() {
+        const container = document.querySelector('.canvas-container');
+        const hasFiles = (e) => Array.from(e.dataTransfer.types).includes('Files');
+
+        container.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            container.classList.add('drop-target');
+        });
+
+        container.addEventListener('dragleave', (e) => {
+            if (!container.contains(e.relatedTarget)) {
+                container.classList.remove('drop-target');
+            }
+        });
+
+        container.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            container.classList.remove('drop-target');
+
+            const position = this.mainRenderer.screenToCanvas(e.clientX, e.clientY);
+            Array.from(e.dataTransfer.files).forEach(file => {
+                if (isSVGFile(file)) {
+                    this.importSVG(file, position);
+                } else {
+                    this.openFile(file);
+                }
+            });
+        });
+    }
+
+    handleToolShortcut(e) {
+        switch (e.key.toLowerCase()) {
+            // Tool shortcuts
+            case 'v':
+                if (e.shiftKey) {
+                    this.flipSelected('vertical');
+                } else {
+                    this.setTool('select');
+                }
+                break;
+            case 'r': this.setTool('rectangle'); break;
+            case 'o': this.setTool('ellipse'); break;
+            case 'l': this.setTool('line'); break;
+            case 'p': this.setTool(e.shiftKey ? 'polyline' : 'polygon'); break;
+            case 'b': this.setTool('freehand'); break;
+            case 'n': this.setTool('pen'); break;
+            case 't': this.setTool('text'); break;
+            case 'h':
+                if (e.shiftKey) {
+                    this.flipSelected('horizontal');
+                } else {
+                    this.setTool('pan');
+                }
+                break;
+            
+            // Edit shortcuts
+            case 'delete':
+            case 'backspace':
+                this.deleteSelected();
+                break;
         }
     }
-    break;
-case 'x':
-    if (e.ctrlKey || e.metaKey) {
-        e.preventDefault();
-        if (this.clipboardManager.cut()) {
-            this.updateStatusText('Cut to clipboard');
+
+    // Shortcuts used with Ctrl (Cmd on macOS)
+    handleCommandShortcut(e) {
+        switch (e.key.toLowerCase()) {
+            case 'c':
+                e.preventDefault();
+                this.copy();
+                break;
+            // Plain Ctrl+V is left to the paste event. Option+V types a
+            // root sign on macOS.
+            case 'v':
+            case '√':
+                if (e.altKey) {
+                    e.preventDefault();
+                    this.pasteStyle();
+                } else if (e.shiftKey) {
+                    e.preventDefault();
+                    this.paste(null, 'inPlace');
+                }
+                break;
+            case 'x':
+                e.preventDefault();
+                this.cut();
+                break;
+            case 'd':
+                e.preventDefault();
+                this.duplicate();
+                break;
+            case 'g':
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.ungroupSelected();
+                } else {
+                    this.groupSelected();
+                }
+                break;
+            // Shift turns the bracket keys into braces on most layouts
+            case ']':
+            case '}':
+                e.preventDefault();
+                this.arrangeSelected(e.shiftKey ? 'front' : 'forward');
+                break;
+            case '[':
+            case '{':
+                e.preventDefault();
+                this.arrangeSelected(e.shiftKey ? 'back' : 'backward');
+                break;
+            case 'z':
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.commandManager.redo();
+                } else {
+                    this.commandManager.undo();
+                }
+                break;
+            case 's':
+                e.preventDefault();
+                this.saveFile();
+                break;
+            case 'o':
+                e.preventDefault();
+                this.openFile();
+                break;
+            case 'n':
+                e.preventDefault();
+                this.newDrawing();
+                break;
         }
     }
-    break;
-case 'd':
-    if (e.ctrlKey || e.metaKey) {
-        e.preventDefault();
-        if (this.clipboardManager.duplicate()) {
-            this.updateStatusText('Duplicated selection');
+
+    // File operations
+    newDrawing() {
+        this.documents.activate(this.documents.create());
+        this.updateStatusText('New drawing created');
+    }
+
+    // Opens a drawing file or SVG image in a new tab, asking for one if no
+    // file is given
+    async openFile(file = null) {
+        let drawing = null;
+        try {
+            file = file || await this.fileManager.chooseFile(OPEN_FILE_TYPES);
+            drawing = this.documents.create(file.name.replace(/\.(json|svg)$/i, ''));
+            this.documents.activate(drawing);
+            const result = await this.fileManager.loadFile(file);
+            this.reportLoadProblems(result, file.name);
+            if (!result.success) {
+                throw new Error('Invalid drawing file');
+            }
+            this.restoreBrowserHistory();
+            this.updateStatusText(this.commandManager.canUndo()
+                ? 'File loaded with undo history'
+                : 'File loaded successfully');
+        } catch (error) {
+            if (drawing) this.documents.close(drawing);
+            this.updateStatusText('Failed to load file');
         }
     }
-    break;
-case 'z':
-    if (e.ctrlKey || e.metaKey) {
-        e.preventDefault();
-        if (e.shiftKey) {
-            this.commandManager.redo();
-        } else {
-            this.commandManager.undo();
+
+    // Adds an SVG image to the current drawing as one undo step
+    async importSVG(file, position) {
+        try {
+            const result = this.fileManager.importSVG(await file.text(), position);
+            this.reportLoadProblems(result, file.name);
+            this.updateStatusText(result.success ? `Imported ${file.name}` : 'Failed to import SVG');
+        } catch (error) {
+            console.error('Failed to import SVG:', error);
+            this.updateStatusText('Failed to import SVG');
         }
     }
-    break;
-                    
-                case 's':
-                    if (e.ctrlKey || e.metaKey) {
-                        e.preventDefault();
-                        this.saveFile();
-                    }
-                    break;
-                    
-                case 'o':
-                    if (e.ctrlKey || e.metaKey) {
-                        e.preventDefault();
-                        this.openFile();
-                    }
-                    break;
-                    
-                case 'n':
-                    if (e.ctrlKey || e.metaKey) {
-                        e.preventDefault();
-                        this.newDrawing();
-                    }
-                    break;
-            }
-        });
+
+    // Files that failed validation, or loaded with shapes left out or kept
+    // as placeholders, say so instead of failing quietly
+    reportLoadProblems(result, name) {
+        const problems = describeLoadProblems(result);
+        if (problems) {
+            alert(`${name}\n\n${problems}`);
+        }
     }
 
-    renderMarquee() {
-        const selectTool = this.toolManager.tools.get('select');
-        if (selectTool && selectTool.isMarquee) {
-            selectTool.renderMarquee(this.mainRenderer.ctx);
+    // Saves to the document library, asking for a name the first time
+    async saveFile() {
+        const drawing = this.drawing;
+        if (!drawing.inLibrary) {
+            const name = prompt('Save drawing as:', drawing.name);
+            if (name === null) return;
+            if (name.trim()) await this.documents.rename(drawing, name.trim());
+        }
+
+        try {
+            await this.documents.save(drawing);
+            this.autosave.markSaved(drawing);
+            this.updateStatusText(`Saved "${drawing.name}" to the library`);
+        } catch (error) {
+            console.error('Failed to save drawing:', error);
+            this.updateStatusText('Failed to save drawing');
         }
     }
 
-    // File operations
-    newDrawing() {
-        if (confirm('Create new drawing? This will clear the current drawing.')) {
-            this.state.shapes.clear();
-            this.state.clearSelection();
-            this.commandManager.clear();
-            this.updateStatusText('New drawing created');
+    downloadFile() {
+        this.fileManager.downloadFile(`${this.drawing.name}.json`);
+        this.autosave.markSaved();
+        this.updateStatusText('File downloaded');
+    }
+
+    // History is written to browser storage once edits pause
+    scheduleHistorySave() {
+        clearTimeout(this.historySaveTimer);
+        this.historySaveTimer = setTimeout(() => this.saveHistoryToBrowser(), 500);
+    }
+
+    saveHistoryToBrowser() {
+        clearTimeout(this.historySaveTimer);
+        if (!this.keepHistoryInBrowser) return;
+        if (!this.commandManager.canUndo() && !this.commandManager.canRedo()) return;
+
+        const history = this.fileManager.serializeHistory();
+        this.historyStorage.save(history, this.drawing.historyFingerprint);
+        this.drawing.historyFingerprint = history.fingerprint;
+    }
+
+    // Files saved without history can still pick up the history recorded for
+    // them in this browser
+    restoreBrowserHistory() {
+        this.drawing.historyFingerprint = null;
+        if (!this.keepHistoryInBrowser) return;
+        if (this.commandManager.canUndo() || this.commandManager.canRedo()) return;
+
+        const history = this.historyStorage.load(this.fileManager.getFingerprint());
+        if (history && this.fileManager.restoreHistory(history)) {
+            this.drawing.historyFingerprint = history.fingerprint;
         }
     }
 
-    async openFile() {
+    // The visible area is whatever the canvas shows right now
+    async exportImage(options) {
+        if (options.scope === 'viewport') {
+            options = { ...options, region: this.mainRenderer.getVisibleBounds() };
+        }
+
         try {
-            await this.fileManager.uploadFile();
-            this.updateStatusText('File loaded successfully');
+            const filename = await this.fileManager.exportToImage(`drawing-${Date.now()}.${options.format}`, options);
+            this.updateStatusText(`Exported as ${filename.split('.').pop().toUpperCase()}`);
         } catch (error) {
-            this.updateStatusText('Failed to load file');
+            console.error('Image export failed:', error);
+            alert(error.message);
+            this.updateStatusText('Image export failed');
         }
     }
 
-    saveFile() {
-        this.fileManager.downloadFile(`drawing-${Date.now()}.json`);
-        this.updateStatusText('File saved');
+    showExportPanel(format) {
+        this.exportPanel.toggle({
+            format,
+            title: this.drawing.name,
+            hasSelection: this.state.selectedShapes.size > 0
+        });
     }
 
-    exportPNG() {
-        this.fileManager.exportToPNG(`drawing-${Date.now()}.png`);
-        this.updateStatusText('Exported as PNG');
+    exportSVG(options) {
+        this.fileManager.exportToSVG(`drawing-${Date.now()}.svg`, options);
+        this.updateStatusText(options.selectionOnly ? 'Exported selection as SVG' : 'Exported as SVG');
     }
 
-    exportSVG() {
-        this.fileManager.exportToSVG(`drawing-${Date.now()}.svg`);
-        this.updateStatusText('Exported as SVG');
+    exportPDF(options) {
+        this.fileManager.exportToPDF(`drawing-${Date.now()}.pdf`, options);
+        this.updateStatusText('Exported as PDF');
     }
 
     // Edit operations
-    copy() {
-        if (this.clipboardManager.copy()) {
+    async copy() {
+        if (await this.clipboardManager.copy()) {
             this.updateStatusText('Copied to clipboard');
         }
     }
 
-    paste() {
-        if (this.clipboardManager.paste()) {
+    // Pastes the contents of a paste event, or reads the clipboard. With
+    // mode 'cursor', shapes land where the pointer last was on the canvas;
+    // content from other applications otherwise lands in the middle of the
+    // view. See ClipboardManager.paste for the modes.
+    async paste(data = null, mode = 'offset') {
+        const bounds = this.mainRenderer.getVisibleBounds();
+        let position = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+        if (mode === 'cursor' && this.lastPointer) {
+            position = this.mainRenderer.screenToCanvas(this.lastPointer.x, this.lastPointer.y);
+        }
+
+        if (await this.clipboardManager.paste({ data, mode, position })) {
             this.updateStatusText('Pasted from clipboard');
+        } else {
+            this.updateStatusText('Nothing to paste');
+        }
+    }
+
+    async pasteStyle() {
+        if (await this.clipboardManager.pasteStyle()) {
+            this.updateStatusText('Pasted style');
+        } else {
+            this.updateStatusText('Select shapes and copy a shape to paste its style');
         }
     }
 
-    cut() {
-        if (this.clipboardManager.cut()) {
+    async cut() {
+        if (await this.clipboardManager.cut()) {
             this.updateStatusText('Cut to clipboard');
         }
     }
@@ -302,10 +729,132 @@ case 'z':
         }
     }
 
+    // Mirrors the selection across its own center
+    flipSelected(direction) {
+        const bounds = this.state.getSelectionBounds();
+        if (!bounds) return;
+
+        const shapes = Array.from(this.state.selectedShapes);
+        const oldStates = shapes.map(shape => shape.serialize());
+        const centerX = bounds.x + bounds.width / 2;
+        const centerY = bounds.y + bounds.height / 2;
+        const matrix = Matrix.translate(centerX, centerY)
+            .multiply(direction === 'horizontal' ? Matrix.scale(-1, 1) : Matrix.scale(1, -1))
+            .multiply(Matrix.translate(-centerX, -centerY));
+
+        shapes.forEach(shape => shape.applyMatrix(matrix));
+        const newStates = shapes.map(shape => shape.serialize());
+
+        this.commandManager.execute(new TransformShapeCommand(shapes, oldStates, newStates, `Flip ${direction}ly`));
+        this.updateStatusText(`Flipped ${shapes.length} shape(s) ${direction}ly`);
+    }
+
+    // Only top-level shapes are grouped; shapes inside an edited group stay put
+    groupSelected() {
+        const shapes = Array.from(this.state.selectedShapes).filter(shape => !shape.parent);
+        if (shapes.length < 2) return;
+
+        this.commandManager.execute(new GroupShapesCommand(this.state, shapes));
+        this.updateStatusText(`Grouped ${shapes.length} shapes`);
+    }
+
+    ungroupSelected() {
+        const groups = Array.from(this.state.selectedShapes)
+            .filter(shape => shape.type === 'group' && !shape.parent);
+        if (groups.length === 0) return;
+
+        this.commandManager.execute(new UngroupShapesCommand(this.state, groups));
+        this.updateStatusText(`Ungrouped ${groups.length} group(s)`);
+    }
+
+    // Restacks the selection; inside an edited group only its children move
+    arrangeSelected(mode) {
+        const container = this.state.editingGroup;
+        const shapes = Array.from(this.state.selectedShapes)
+            .filter(shape => (shape.parent || null) === container);
+        if (shapes.length === 0) return;
+
+        this.commandManager.execute(new ArrangeShapesCommand(this.state, shapes, mode));
+        const labels = {
+            front: 'Brought to front',
+            forward: 'Brought forward',
+            backward: 'Sent backward',
+            back: 'Sent to back'
+        };
+        this.updateStatusText(labels[mode]);
+    }
+
+    // Shapes that can be aligned together: those in the same container as
+    // arrangeSelected, in the order they were selected
+    getAlignableShapes() {
+        const container = this.state.editingGroup;
+        return Array.from(this.state.selectedShapes)
+            .filter(shape => (shape.parent || null) === container);
+    }
+
+    // Bounds to align against: the whole selection, the first-selected key
+    // object (which stays put), or the visible canvas
+    getAlignTarget(shapes) {
+        switch (document.getElementById('align-target').value) {
+            case 'key':
+                return { bounds: shapes[0].getBounds(), keyShape: shapes[0] };
+            case 'canvas':
+                return { bounds: this.mainRenderer.getVisibleBounds(), keyShape: null };
+            default:
+                return { bounds: getUnionBounds(shapes.map(shape => shape.getBounds())), keyShape: null };
+        }
+    }
+
+    alignSelected(edge) {
+        const shapes = this.getAlignableShapes();
+        if (shapes.length === 0) return;
+
+        const { bounds, keyShape } = this.getAlignTarget(shapes);
+        const movable = shapes.filter(shape => shape !== keyShape);
+        const offsets = getAlignmentOffsets(movable.map(shape => shape.getBounds()), edge, bounds);
+
+        if (this.moveShapesBy(movable, offsets, `Align ${edge}`)) {
+            this.updateStatusText(`Aligned ${shapes.length} shape(s) ${edge}`);
+        }
+    }
+
+    // A key object has no extent to spread across, so distributing keeps the
+    // outermost shapes in place unless the canvas is the target
+    distributeSelected(axis, spacing) {
+        const shapes = this.getAlignableShapes();
+        if (shapes.length < 2) return;
+
+        const boundsList = shapes.map(shape => shape.getBounds());
+        const target = document.getElementById('align-target').value === 'canvas'
+            ? this.mainRenderer.getVisibleBounds()
+            : null;
+        const offsets = getDistributionOffsets(boundsList, axis, spacing, target);
+
+        if (this.moveShapesBy(shapes, offsets, `Distribute ${axis}ly`)) {
+            this.updateStatusText(`Distributed ${shapes.length} shapes ${axis}ly`);
+        }
+    }
+
+    // Moves each shape by its offset as a single undoable step
+    moveShapesBy(shapes, offsets, label) {
+        const moved = shapes.filter((shape, index) =>
+            Math.abs(offsets[index].dx) > 1e-9 || Math.abs(offsets[index].dy) > 1e-9);
+        if (moved.length === 0) return false;
+
+        const oldStates = moved.map(shape => shape.serialize());
+        shapes.forEach((shape, index) => {
+            if (moved.includes(shape)) shape.translate(offsets[index].dx, offsets[index].dy);
+        });
+        const newStates = moved.map(shape => shape.serialize());
+
+        this.commandManager.execute(new AlignShapesCommand(moved, oldStates, newStates, label));
+        return true;
+    }
+
     deleteSelected() {
         if (this.state.selectedShapes.size > 0) {
             const shapes = Array.from(this.state.selectedShapes);
-            shapes.forEach(shape => this.state.removeShape(shape.id));
+            this.commandManager.execute(new DeleteShapeCommand(this.state, shapes));
             this.updateStatusText(`Deleted ${shapes.length} shape(s)`);
         }
     }
@@ -335,11 +884,17 @@ case 'z':
         }, 2000);
     }
 
-    updateStatus() {
-        this.state.on('shapesChanged', () => {
-            const count = this.state.shapes.size;
-            document.getElementById('status-text').textContent = `${count} shapes`;
-        });
+    updateSaveStatus() {
+        const status = document.getElementById('save-status');
+        status.classList.toggle('dirty', this.autosave.dirty);
+
+        if (!this.autosave.dirty) {
+            status.textContent = 'All changes saved';
+        } else if (this.autosave.lastAutosave) {
+            status.textContent = `Unsaved changes (autosaved ${this.autosave.lastAutosave.toLocaleTimeString()})`;
+        } else {
+            status.textContent = 'Unsaved changes';
+        }
     }
 
     addSampleShapes() {
@@ -1,5 +1,6 @@
 // src/js/commands/AddShapeCommand.js
 import { Command } from '../core/Command.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
 
 export class AddShapeCommand extends Command {
     constructor(state, shape) {
@@ -8,6 +9,10 @@ export class AddShapeCommand extends Command {
         this.shape = shape;
     }
 
+    describe() {
+        return `Add ${this.shape.type}`;
+    }
+
     execute() {
         this.state.addShape(this.shape);
     }
@@ -15,5 +20,14 @@ export class AddShapeCommand extends Command {
     undo() {
         this.state.removeShape(this.shape.id);
     }
+
+    serialize() {
+        return { shapes: [this.shape.serialize()] };
+    }
+
+    static deserialize(data, context) {
+        return new AddShapeCommand(context.state, context.getShape(data.shapes[0].id));
+    }
 }
 
+commandRegistry.register('addShape', AddShapeCommand);
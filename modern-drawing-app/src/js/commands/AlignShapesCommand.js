@@ -0,0 +1,13 @@
+// src/js/commands/AlignShapesCommand.js
+import { ShapeStateCommand } from './ShapeStateCommand.js';
+import { describeShapes } from '../core/Command.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
+
+// One align or distribute operation across the selection
+export class AlignShapesCommand extends ShapeStateCommand {
+    describe() {
+        return `Align ${describeShapes(this.shapes)}`;
+    }
+}
+
+commandRegistry.register('alignShapes', AlignShapesCommand);
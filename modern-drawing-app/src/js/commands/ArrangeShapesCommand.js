@@ -0,0 +1,84 @@
+// src/js/commands/ArrangeShapesCommand.js
+import { Command } from '../core/Command.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
+
+const ARRANGE_LABELS = {
+    front: 'Bring to front',
+    forward: 'Bring forward',
+    backward: 'Send backward',
+    back: 'Send to back'
+};
+
+// Bring to front/back, forward/backward. Records the whole stacking order so
+// undo restores every shape the move displaced.
+export class ArrangeShapesCommand extends Command {
+    constructor(state, shapes, mode) {
+        super();
+        this.state = state;
+        this.shapes = Array.isArray(shapes) ? shapes : [shapes];
+        this.mode = mode;
+        this.parent = this.shapes[0].parent; // set when arranging inside a group
+        this.oldOrder = this.captureOrder();
+        this.newOrder = null;
+    }
+
+    describe() {
+        return ARRANGE_LABELS[this.mode] || 'Arrange';
+    }
+
+    captureOrder() {
+        return this.parent ? [...this.parent.children] : this.state.getZOrder();
+    }
+
+    restoreOrder(order) {
+        if (this.parent) {
+            this.parent.setChildren(order);
+            this.parent.emit('changed', this.parent);
+        } else {
+            this.state.setZOrder(order);
+        }
+    }
+
+    execute() {
+        if (this.newOrder) {
+            this.restoreOrder(this.newOrder);
+            return;
+        }
+
+        this.state.arrangeShapes(this.shapes, this.mode);
+        this.newOrder = this.captureOrder();
+    }
+
+    undo() {
+        this.restoreOrder(this.oldOrder);
+    }
+
+    serialize() {
+        // Orders are child lists inside a group, or zIndex maps otherwise
+        const saveOrder = order => order && (this.parent
+            ? order.map(shape => shape.id)
+            : Array.from(order.entries()));
+
+        return {
+            shapeIds: this.shapes.map(shape => shape.id),
+            mode: this.mode,
+            parentId: this.parent ? this.parent.id : null,
+            oldOrder: saveOrder(this.oldOrder),
+            newOrder: saveOrder(this.newOrder)
+        };
+    }
+
+    static deserialize(data, context) {
+        const command = new ArrangeShapesCommand(context.state, context.getShapes(data.shapeIds), data.mode);
+        const loadOrder = order => order && (data.parentId
+            ? context.getShapes(order)
+            : new Map(order));
+
+        command.parent = data.parentId ? context.getShape(data.parentId) : null;
+        command.oldOrder = loadOrder(data.oldOrder);
+        command.newOrder = loadOrder(data.newOrder);
+        return command;
+    }
+}
+
+commandRegistry.register('arrangeShapes', ArrangeShapesCommand);
@@ -0,0 +1,34 @@
+// src/js/commands/CompositeCommand.js
+import { Command } from '../core/Command.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
+
+// Several commands that are undone and redone as one history entry
+export class CompositeCommand extends Command {
+    constructor(commands) {
+        super();
+        this.commands = commands;
+    }
+
+    describe() {
+        return this.commands.length > 0 ? this.commands[0].getLabel() : 'Edit';
+    }
+
+    execute() {
+        this.commands.forEach(command => command.execute());
+    }
+
+    undo() {
+        [...this.commands].reverse().forEach(command => command.undo());
+    }
+
+    serialize() {
+        return { commands: this.commands.map(command => commandRegistry.serializeCommand(command)) };
+    }
+
+    static deserialize(data, context) {
+        return new CompositeCommand(data.commands.map(commandData =>
+            commandRegistry.createCommand(commandData, context)));
+    }
+}
+
+commandRegistry.register('composite', CompositeCommand);
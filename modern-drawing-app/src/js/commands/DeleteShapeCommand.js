@@ -1,23 +1,67 @@
 // src/js/commands/DeleteShapeCommand.js
-import { Command } from '../core/Command.js';
+import { Command, describeShapes } from '../core/Command.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
 
 export class DeleteShapeCommand extends Command {
     constructor(state, shapes) {
         super();
         this.state = state;
         this.shapes = Array.isArray(shapes) ? shapes : [shapes];
+        this.zIndexes = this.shapes.map(shape => shape.zIndex);
+        this.parents = this.shapes.map(shape => shape.parent || null);
+        this.childIndexes = [];
+    }
+
+    describe() {
+        return `Delete ${describeShapes(this.shapes)}`;
     }
 
     execute() {
-        this.shapes.forEach(shape => {
-            this.state.removeShape(shape.id);
+        this.shapes.forEach((shape, index) => {
+            const parent = this.parents[index];
+            if (parent) {
+                // Shapes inside an edited group are removed from the group only
+                this.childIndexes[index] = parent.removeChild(shape);
+                if (this.state.selectedShapes.delete(shape)) {
+                    shape.setSelected(false);
+                    this.state.emit('selectionChanged');
+                }
+            } else {
+                this.state.removeShape(shape.id);
+            }
         });
     }
 
     undo() {
-        this.shapes.forEach(shape => {
-            this.state.addShape(shape);
-        });
+        // Put shapes back at their old depth rather than on top. Children go
+        // back in reverse so each returns to the index it was removed from.
+        for (let index = this.shapes.length - 1; index >= 0; index--) {
+            const shape = this.shapes[index];
+            const parent = this.parents[index];
+            if (parent) {
+                parent.insertChild(shape, this.childIndexes[index]);
+            } else {
+                this.state.addShape(shape, this.zIndexes[index]);
+            }
+        }
+    }
+
+    serialize() {
+        return {
+            shapes: this.shapes.map(shape => shape.serialize()),
+            zIndexes: this.zIndexes,
+            parentIds: this.parents.map(parent => parent ? parent.id : null),
+            childIndexes: this.childIndexes
+        };
+    }
+
+    static deserialize(data, context) {
+        const command = new DeleteShapeCommand(context.state, context.getShapes(data.shapes.map(shape => shape.id)));
+        command.zIndexes = data.zIndexes;
+        command.parents = data.parentIds.map(id => id ? context.getShape(id) : null);
+        command.childIndexes = data.childIndexes;
+        return command;
     }
 }
 
+commandRegistry.register('deleteShapes', DeleteShapeCommand);
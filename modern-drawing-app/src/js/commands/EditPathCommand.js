@@ -0,0 +1,12 @@
+// src/js/commands/EditPathCommand.js
+import { ShapeStateCommand } from './ShapeStateCommand.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
+
+// Node edits on a path: moving, adding, deleting or converting nodes
+export class EditPathCommand extends ShapeStateCommand {
+    describe() {
+        return 'Edit path';
+    }
+}
+
+commandRegistry.register('editPath', EditPathCommand);
@@ -0,0 +1,63 @@
+// src/js/commands/GroupShapesCommand.js
+import { Command, describeShapes } from '../core/Command.js';
+import { Group } from '../shapes/Group.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
+
+export class GroupShapesCommand extends Command {
+    constructor(state, shapes) {
+        super();
+        this.state = state;
+        // Keep the stacking order of the grouped shapes inside the group
+        this.shapes = state.getOrderedShapes().filter(shape => shapes.includes(shape));
+        this.zIndexes = this.shapes.map(shape => shape.zIndex);
+        this.layerIds = this.shapes.map(shape => shape.layerId);
+        this.group = new Group();
+        // The group takes the layer of its topmost shape
+        this.group.layerId = this.layerIds[this.layerIds.length - 1];
+    }
+
+    describe() {
+        return `Group ${describeShapes(this.shapes)}`;
+    }
+
+    execute() {
+        this.state.clearSelection();
+        this.shapes.forEach(shape => this.state.removeShape(shape.id));
+        this.group.setChildren(this.shapes);
+        // The group takes the place of its topmost shape in the stack
+        this.state.addShape(this.group, this.zIndexes[this.zIndexes.length - 1]);
+        this.state.selectShape(this.group);
+    }
+
+    undo() {
+        this.state.removeShape(this.group.id);
+        this.group.setChildren([]);
+        this.shapes.forEach((shape, index) => {
+            shape.layerId = this.layerIds[index];
+            this.state.addShape(shape, this.zIndexes[index]);
+        });
+        this.state.clearSelection();
+        this.shapes.forEach(shape => this.state.selectShape(shape, true));
+    }
+
+    // While the group is undone it has no children, so its data is partial
+    serialize() {
+        return {
+            shapeIds: this.shapes.map(shape => shape.id),
+            zIndexes: this.zIndexes,
+            layerIds: this.layerIds,
+            partialShapes: [{ ...this.group.serialize(), children: [] }]
+        };
+    }
+
+    static deserialize(data, context) {
+        const command = new GroupShapesCommand(context.state, []);
+        command.shapes = context.getShapes(data.shapeIds);
+        command.zIndexes = data.zIndexes;
+        command.layerIds = data.layerIds;
+        command.group = context.getShape(data.partialShapes[0].id);
+        return command;
+    }
+}
+
+commandRegistry.register('groupShapes', GroupShapesCommand);
@@ -1,25 +1,55 @@
 // src/js/commands/MoveShapeCommand.js
-import { Command } from '../core/Command.js';
+import { Command, describeShapes } from '../core/Command.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
 
+// Moves shapes by an offset through translate(), so end points, control
+// points and group children move along with each shape's position
 export class MoveShapeCommand extends Command {
-    constructor(shapes, oldPositions, newPositions) {
+    constructor(shapes, dx, dy) {
         super();
         this.shapes = Array.isArray(shapes) ? shapes : [shapes];
-        this.oldPositions = oldPositions;
-        this.newPositions = newPositions;
+        this.dx = dx;
+        this.dy = dy;
+    }
+
+    describe() {
+        return `Move ${describeShapes(this.shapes)}`;
     }
 
     execute() {
-        this.shapes.forEach((shape, index) => {
-            const pos = this.newPositions[index];
-            shape.setPosition(pos.x, pos.y);
-        });
+        this.moveBy(this.dx, this.dy);
     }
 
     undo() {
-        this.shapes.forEach((shape, index) => {
-            const pos = this.oldPositions[index];
-            shape.setPosition(pos.x, pos.y);
+        this.moveBy(-this.dx, -this.dy);
+    }
+
+    moveBy(dx, dy) {
+        this.shapes.forEach(shape => {
+            shape.translate(dx, dy);
+            shape.emit('changed', shape);
         });
     }
-}
\ No newline at end of file
+
+    serialize() {
+        return {
+            shapeIds: this.shapes.map(shape => shape.id),
+            dx: this.dx,
+            dy: this.dy
+        };
+    }
+
+    // Older histories saved the positions before and after the move; every
+    // shape moved by the same offset, so the first pair gives it
+    static deserialize(data, context) {
+        const shapes = context.getShapes(data.shapeIds);
+        if (data.dx === undefined && data.oldPositions) {
+            const [from] = data.oldPositions;
+            const [to] = data.newPositions;
+            return new MoveShapeCommand(shapes, to.x - from.x, to.y - from.y);
+        }
+        return new MoveShapeCommand(shapes, data.dx, data.dy);
+    }
+}
+
+commandRegistry.register('moveShapes', MoveShapeCommand);
@@ -0,0 +1,62 @@
+// src/js/commands/MoveShapesToLayerCommand.js
+import { Command, describeShapes } from '../core/Command.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
+
+// Moves top-level shapes onto another layer. Records each shape's layer and
+// zIndex before and after, so undo and redo restore the same stacking.
+export class MoveShapesToLayerCommand extends Command {
+    constructor(state, shapes, layerId) {
+        super();
+        this.state = state;
+        this.layerId = layerId;
+        // Shapes already on the layer stay where they are
+        this.shapes = state.getOrderedShapes()
+            .filter(shape => shapes.includes(shape) && shape.layerId !== layerId);
+        this.oldPlaces = this.capturePlaces();
+        this.newPlaces = null;
+    }
+
+    describe() {
+        const layer = this.state.getLayer(this.layerId);
+        return layer
+            ? `Move ${describeShapes(this.shapes)} to "${layer.name}"`
+            : `Move ${describeShapes(this.shapes)} to layer`;
+    }
+
+    capturePlaces() {
+        return this.shapes.map(shape => ({ layerId: shape.layerId, zIndex: shape.zIndex }));
+    }
+
+    execute() {
+        if (this.newPlaces) {
+            this.state.placeShapes(this.shapes, this.newPlaces);
+            return;
+        }
+
+        this.state.moveShapesToLayer(this.shapes, this.layerId);
+        this.newPlaces = this.capturePlaces();
+    }
+
+    undo() {
+        this.state.placeShapes(this.shapes, this.oldPlaces);
+    }
+
+    serialize() {
+        return {
+            shapeIds: this.shapes.map(shape => shape.id),
+            layerId: this.layerId,
+            oldPlaces: this.oldPlaces,
+            newPlaces: this.newPlaces
+        };
+    }
+
+    static deserialize(data, context) {
+        const command = new MoveShapesToLayerCommand(context.state, [], data.layerId);
+        command.shapes = context.getShapes(data.shapeIds);
+        command.oldPlaces = data.oldPlaces;
+        command.newPlaces = data.newPlaces;
+        return command;
+    }
+}
+
+commandRegistry.register('moveShapesToLayer', MoveShapesToLayerCommand);
@@ -0,0 +1,73 @@
+// src/js/commands/PropertyChangeCommand.js
+import { Command } from '../core/Command.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
+
+const PROPERTY_LABELS = {
+    fillColor: 'fill',
+    strokeColor: 'stroke',
+    strokeWidth: 'stroke width',
+    fontSize: 'font size',
+    fontFamily: 'font'
+};
+
+/**
+ * Sets one plain property (fillColor, strokeWidth, ...) on a set of shapes,
+ * remembering each shape's previous value.
+ */
+export class PropertyChangeCommand extends Command {
+    constructor(shapes, property, value) {
+        super();
+        this.shapes = Array.isArray(shapes) ? shapes : [shapes];
+        this.property = property;
+        this.value = value;
+        this.oldValues = this.shapes.map(shape => shape[property]);
+    }
+
+    describe() {
+        return `Change ${PROPERTY_LABELS[this.property] || this.property}`;
+    }
+
+    execute() {
+        this.shapes.forEach(shape => this.applyValue(shape, this.value));
+    }
+
+    undo() {
+        this.shapes.forEach((shape, index) => this.applyValue(shape, this.oldValues[index]));
+    }
+
+    applyValue(shape, value) {
+        shape[this.property] = value;
+        shape.emit('changed', shape);
+    }
+
+    // Successive edits of the same property on the same shapes keep the
+    // first old values and the latest new value
+    mergeWith(command) {
+        if (!(command instanceof PropertyChangeCommand) ||
+            command.property !== this.property ||
+            command.shapes.length !== this.shapes.length ||
+            !command.shapes.every((shape, index) => shape === this.shapes[index])) {
+            return false;
+        }
+
+        this.value = command.value;
+        return true;
+    }
+
+    serialize() {
+        return {
+            shapeIds: this.shapes.map(shape => shape.id),
+            property: this.property,
+            value: this.value,
+            oldValues: this.oldValues
+        };
+    }
+
+    static deserialize(data, context) {
+        const command = new PropertyChangeCommand(context.getShapes(data.shapeIds), data.property, data.value);
+        command.oldValues = data.oldValues;
+        return command;
+    }
+}
+
+commandRegistry.register('changeProperty', PropertyChangeCommand);
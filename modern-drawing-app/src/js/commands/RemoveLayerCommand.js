@@ -0,0 +1,59 @@
+// src/js/commands/RemoveLayerCommand.js
+import { Command } from '../core/Command.js';
+import { Layer } from '../core/Layer.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
+
+// Deletes a layer with its shapes. Keeps the layer, its place in the layer
+// order and each shape's zIndex so undo puts everything back as it was.
+export class RemoveLayerCommand extends Command {
+    constructor(state, layer) {
+        super();
+        this.state = state;
+        this.layer = layer;
+        this.index = state.layers.indexOf(layer);
+        this.activeLayerId = state.activeLayerId;
+        this.shapes = state.getOrderedShapes().filter(shape => shape.layerId === layer.id);
+        this.zIndexes = this.shapes.map(shape => shape.zIndex);
+    }
+
+    describe() {
+        return `Delete layer "${this.layer.name}"`;
+    }
+
+    execute() {
+        this.state.removeLayer(this.layer.id);
+    }
+
+    undo() {
+        this.state.batch(() => {
+            this.state.insertLayer(this.layer, this.index);
+            this.shapes.forEach((shape, index) => {
+                shape.layerId = this.layer.id;
+                this.state.addShape(shape, this.zIndexes[index]);
+            });
+            this.state.setActiveLayer(this.activeLayerId);
+        });
+    }
+
+    serialize() {
+        return {
+            layer: this.layer.serialize(),
+            index: this.index,
+            activeLayerId: this.activeLayerId,
+            shapes: this.shapes.map(shape => shape.serialize()),
+            zIndexes: this.zIndexes
+        };
+    }
+
+    static deserialize(data, context) {
+        const layer = context.state.getLayer(data.layer.id) || new Layer().deserialize(data.layer);
+        const command = new RemoveLayerCommand(context.state, layer);
+        command.index = data.index;
+        command.activeLayerId = data.activeLayerId;
+        command.shapes = context.getShapes(data.shapes.map(shape => shape.id));
+        command.zIndexes = data.zIndexes;
+        return command;
+    }
+}
+
+commandRegistry.register('removeLayer', RemoveLayerCommand);
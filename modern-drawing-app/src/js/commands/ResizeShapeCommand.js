@@ -0,0 +1,12 @@
+// src/js/commands/ResizeShapeCommand.js
+import { ShapeStateCommand } from './ShapeStateCommand.js';
+import { describeShapes } from '../core/Command.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
+
+export class ResizeShapeCommand extends ShapeStateCommand {
+    describe() {
+        return `Resize ${describeShapes(this.shapes)}`;
+    }
+}
+
+commandRegistry.register('resizeShapes', ResizeShapeCommand);
@@ -0,0 +1,51 @@
+// src/js/commands/ShapeStateCommand.js
+import { Command, describeShapes } from '../core/Command.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
+
+/**
+ * Swaps shapes between two serialized snapshots, so every shape type
+ * restores exactly. Subclasses only name the kind of edit.
+ */
+export class ShapeStateCommand extends Command {
+    constructor(shapes, oldStates, newStates, label = null) {
+        super();
+        this.shapes = Array.isArray(shapes) ? shapes : [shapes];
+        this.oldStates = oldStates;
+        this.newStates = newStates;
+        this.label = label;
+    }
+
+    describe() {
+        return `Edit ${describeShapes(this.shapes)}`;
+    }
+
+    execute() {
+        this.applyStates(this.newStates);
+    }
+
+    undo() {
+        this.applyStates(this.oldStates);
+    }
+
+    applyStates(states) {
+        this.shapes.forEach((shape, index) => {
+            shape.deserialize(states[index]);
+            shape.emit('changed', shape);
+        });
+    }
+
+    serialize() {
+        return {
+            shapeIds: this.shapes.map(shape => shape.id),
+            oldStates: this.oldStates,
+            newStates: this.newStates
+        };
+    }
+
+    // Shared by the subclasses, which only differ in their labels
+    static deserialize(data, context) {
+        return new this(context.getShapes(data.shapeIds), data.oldStates, data.newStates);
+    }
+}
+
+commandRegistry.register('shapeState', ShapeStateCommand);
@@ -0,0 +1,12 @@
+// src/js/commands/TransformShapeCommand.js
+import { ShapeStateCommand } from './ShapeStateCommand.js';
+import { describeShapes } from '../core/Command.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
+
+export class TransformShapeCommand extends ShapeStateCommand {
+    describe() {
+        return `Transform ${describeShapes(this.shapes)}`;
+    }
+}
+
+commandRegistry.register('transformShapes', TransformShapeCommand);
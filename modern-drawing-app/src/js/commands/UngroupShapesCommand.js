@@ -0,0 +1,63 @@
+// src/js/commands/UngroupShapesCommand.js
+import { Command } from '../core/Command.js';
+import { commandRegistry } from '../core/CommandRegistry.js';
+
+export class UngroupShapesCommand extends Command {
+    constructor(state, groups) {
+        super();
+        this.state = state;
+        this.groups = Array.isArray(groups) ? groups : [groups];
+        this.children = this.groups.map(group => [...group.children]);
+        this.oldOrder = null;
+    }
+
+    describe() {
+        return this.groups.length === 1 ? 'Ungroup' : `Ungroup ${this.groups.length} groups`;
+    }
+
+    execute() {
+        this.oldOrder = this.state.getZOrder();
+        this.state.clearSelection();
+        this.groups.forEach((group, index) => {
+            const children = this.children[index];
+            this.state.removeShape(group.id);
+            group.setChildren([]);
+            children.forEach((child, childIndex) => {
+                child.layerId = group.layerId;
+                // Slot the children in where the group was, then renumber below
+                this.state.addShape(child, group.zIndex + (childIndex + 1) / (children.length + 1));
+                this.state.selectShape(child, true);
+            });
+        });
+        this.state.normalizeZOrder();
+    }
+
+    undo() {
+        this.state.clearSelection();
+        this.groups.forEach((group, index) => {
+            this.children[index].forEach(child => this.state.removeShape(child.id));
+            group.setChildren(this.children[index]);
+            this.state.addShape(group);
+            this.state.selectShape(group, true);
+        });
+        this.state.setZOrder(this.oldOrder);
+    }
+
+    serialize() {
+        return {
+            partialShapes: this.groups.map(group => ({ ...group.serialize(), children: [] })),
+            childIds: this.children.map(children => children.map(child => child.id)),
+            oldOrder: this.oldOrder && Array.from(this.oldOrder.entries())
+        };
+    }
+
+    static deserialize(data, context) {
+        const command = new UngroupShapesCommand(context.state, []);
+        command.groups = context.getShapes(data.partialShapes.map(group => group.id));
+        command.children = data.childIds.map(ids => context.getShapes(ids));
+        command.oldOrder = data.oldOrder && new Map(data.oldOrder);
+        return command;
+    }
+}
+
+commandRegistry.register('ungroupShapes', UngroupShapesCommand);
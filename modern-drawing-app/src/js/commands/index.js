@@ -0,0 +1,19 @@
+// src/js/commands/index.js
+// Importing a command module registers it with the command registry, so
+// anything that restores saved history imports this file to get every type.
+export { commandRegistry, CommandContext } from '../core/CommandRegistry.js';
+export { AddShapeCommand } from './AddShapeCommand.js';
+export { DeleteShapeCommand } from './DeleteShapeCommand.js';
+export { MoveShapeCommand } from './MoveShapeCommand.js';
+export { PropertyChangeCommand } from './PropertyChangeCommand.js';
+export { ShapeStateCommand } from './ShapeStateCommand.js';
+export { ResizeShapeCommand } from './ResizeShapeCommand.js';
+export { TransformShapeCommand } from './TransformShapeCommand.js';
+export { EditPathCommand } from './EditPathCommand.js';
+export { AlignShapesCommand } from './AlignShapesCommand.js';
+export { ArrangeShapesCommand } from './ArrangeShapesCommand.js';
+export { GroupShapesCommand } from './GroupShapesCommand.js';
+export { UngroupShapesCommand } from './UngroupShapesCommand.js';
+export { RemoveLayerCommand } from './RemoveLayerCommand.js';
+export { MoveShapesToLayerCommand } from './MoveShapesToLayerCommand.js';
+export { CompositeCommand } from './CompositeCommand.js';
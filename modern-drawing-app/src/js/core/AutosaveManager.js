@@ -0,0 +1,108 @@
+// src/js/core/AutosaveManager.js
+import { EventEmitter } from './EventEmitter.js';
+import { AutosaveStorage } from './AutosaveStorage.js';
+
+/**
+ * Tracks unsaved changes and autosaves the active document a moment after
+ * each change, and at least every `interval` while changes keep coming.
+ * "Dirty" means changed since the document was last saved or loaded; the
+ * flags live on the document, so each tab keeps its own. Emits
+ * 'dirtyChanged' with the drawing, and 'autosaved'.
+ */
+export class AutosaveManager extends EventEmitter {
+    constructor(fileManager, { delay = 2000, interval = 30000 } = {}) {
+        super();
+        this.fileManager = fileManager;
+        this.storage = new AutosaveStorage();
+        this.drawing = null;
+        this.delay = delay;
+        this.interval = interval;
+        this.timer = null;
+        this.handleChange = () => this.markChanged();
+    }
+
+    get dirty() {
+        return this.drawing.dirty;
+    }
+
+    get lastAutosave() {
+        return this.drawing.lastAutosave;
+    }
+
+    start() {
+        setInterval(() => this.flush(), this.interval);
+    }
+
+    // Follows another drawing. Call it before the file manager moves on,
+    // so a pending autosave of the previous one is still written.
+    setDrawing(drawing) {
+        if (this.drawing) {
+            this.flush();
+            this.drawing.commandManager.off('documentChanged', this.handleChange);
+            this.drawing.state.off('layersChanged', this.handleChange);
+        }
+
+        this.drawing = drawing;
+        drawing.commandManager.on('documentChanged', this.handleChange);
+        drawing.state.on('layersChanged', this.handleChange);
+    }
+
+    markChanged() {
+        this.drawing.pendingAutosave = true;
+        this.setDirty(true);
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.delay);
+    }
+
+    // The document matches a saved copy again, so there is nothing to recover
+    markSaved(drawing = this.drawing) {
+        if (drawing === this.drawing) clearTimeout(this.timer);
+        drawing.pendingAutosave = false;
+        drawing.lastAutosave = null;
+        this.setDirty(false, drawing);
+        this.discardRecovery(drawing.id);
+    }
+
+    setDirty(dirty, drawing = this.drawing) {
+        if (drawing.dirty === dirty) return;
+
+        drawing.dirty = dirty;
+        this.emit('dirtyChanged', drawing);
+    }
+
+    async flush() {
+        clearTimeout(this.timer);
+        const drawing = this.drawing;
+        if (!drawing || !drawing.pendingAutosave || !drawing.dirty) return;
+
+        drawing.pendingAutosave = false;
+        try {
+            await this.storage.save(drawing.id, drawing.name, this.fileManager.saveToJSON());
+            // Saved while this autosave was being written
+            if (!drawing.dirty) {
+                this.discardRecovery(drawing.id);
+                return;
+            }
+            drawing.lastAutosave = new Date();
+            this.emit('autosaved', drawing);
+        } catch (error) {
+            console.error('Autosave failed:', error);
+            drawing.pendingAutosave = true;
+        }
+    }
+
+    // Resolves with the autosaves left by an earlier session
+    async getRecovery() {
+        try {
+            return await this.storage.loadAll();
+        } catch (error) {
+            console.error('Failed to read autosave:', error);
+            return [];
+        }
+    }
+
+    discardRecovery(documentId) {
+        this.storage.clear(documentId).catch(error => console.error('Failed to clear autosave:', error));
+    }
+}
@@ -0,0 +1,29 @@
+// src/js/core/AutosaveStorage.js
+import { IndexedDBStore } from './IndexedDBStore.js';
+
+/**
+ * Keeps the latest autosave of each open drawing in IndexedDB, where it
+ * survives crashes and closed tabs. Each save replaces the drawing's
+ * previous one.
+ */
+export class AutosaveStorage extends IndexedDBStore {
+    constructor() {
+        super('autosave');
+    }
+
+    save(documentId, name, json) {
+        return this.put(documentId, { name, json, savedAt: Date.now() });
+    }
+
+    // Resolves with [{ documentId, name, json, savedAt }], oldest first
+    async loadAll() {
+        const entries = await this.entries();
+        return entries
+            .map(([documentId, saved]) => ({ documentId, ...saved }))
+            .sort((a, b) => a.savedAt - b.savedAt);
+    }
+
+    clear(documentId) {
+        return this.delete(documentId);
+    }
+}
@@ -1,4 +1,13 @@
 import { EventEmitter } from './EventEmitter.js';
+import { Layer } from './Layer.js';
+import { SpatialIndex } from './SpatialIndex.js';
+
+// How far outside their stroke shapes can be hit; the largest tolerance any
+// shape's hitTestLocal allows beyond its stroke width
+const HIT_TOLERANCE = 4;
+
+// Events that state.batch() holds back and emits once at its end
+const BATCHED_EVENTS = ['shapesChanged', 'selectionChanged', 'layersChanged', 'viewChanged'];
 
 export class CanvasState extends EventEmitter {
     constructor() {
@@ -6,6 +15,9 @@ export class CanvasState extends EventEmitter {
         this.shapes = new Map();
         this.selectedShapes = new Set();
         this.activeShape = null;
+        this.editingGroup = null; // group whose children are selected individually
+        this.layers = [new Layer('Layer 1')]; // bottom to top
+        this.activeLayerId = this.layers[0].id;
         this.zoom = 1;
         this.panX = 0;
         this.panY = 0;
@@ -13,24 +25,124 @@ export class CanvasState extends EventEmitter {
         this.gridVisible = true;
         this.gridSize = 20;
 this.snapToGrid = true;
+        // Top-level shapes by their hit area, updated as they change
+        this.spatialIndex = new SpatialIndex();
+        this.orderedShapes = null; // drawing order, rebuilt when invalidated
+        this.shapeListeners = new Map(); // shape -> its 'changed' listener
+        this.batchDepth = 0;
+        this.pendingEvents = new Map(); // event -> data, while batching
     }
 
-    addShape(shape) {
-        this.shapes.set(shape.id, shape);
-        shape.zIndex = this.shapes.size;
-        shape.on('changed', () => this.emit('shapesChanged'));
-        this.emit('shapesChanged');
+    /**
+     * Runs fn with change events held back, then emits each kind once, so
+     * listeners such as the renderer see a bulk update as a single change.
+     * Batches can nest; events go out when the outermost one ends.
+     */
+    batch(fn) {
+        this.batchDepth++;
+        try {
+            return fn();
+        } finally {
+            this.batchDepth--;
+            if (this.batchDepth === 0) {
+                const events = this.pendingEvents;
+                this.pendingEvents = new Map();
+                events.forEach((data, event) => super.emit(event, data));
+            }
+        }
+    }
+
+    // shapesChanged carries { shapes } when only those shapes changed, and
+    // nothing when the change can affect any shape
+    emit(event, data) {
+        if (this.batchDepth === 0 || !BATCHED_EVENTS.includes(event)) {
+            super.emit(event, data);
+            return;
+        }
+        this.pendingEvents.set(event, this.pendingEvents.has(event)
+            ? mergeChanges(this.pendingEvents.get(event), data)
+            : data);
+    }
+
+    /**
+     * New shapes take one above the current maximum zIndex.
+     * A zIndex can be given to restore a shape to its old place, as on undo.
+     */
+    addShape(shape, zIndex = null) {
+        if (!this.getLayer(shape.layerId)) {
+            shape.layerId = this.activeLayerId;
+        }
+        shape.zIndex = zIndex ?? this.getNextZIndex();
+        this.attachShape(shape);
+        this.emit('shapesChanged', { shapes: [shape] });
     }
 
     removeShape(shapeId) {
         const shape = this.shapes.get(shapeId);
         if (shape) {
-            this.shapes.delete(shapeId);
+            this.detachShape(shape);
             this.selectedShapes.delete(shape);
             if (this.activeShape === shape) {
                 this.activeShape = null;
             }
-            this.emit('shapesChanged');
+            if (this.editingGroup && this.getTopLevelShape(this.editingGroup) === shape) {
+                this.exitGroup();
+            }
+            this.emit('shapesChanged', { shapes: [shape] });
+        }
+    }
+
+    // Replaces every shape, keeping their zIndex, as when a document is loaded
+    setShapes(shapes) {
+        this.editingGroup = null;
+        this.activeShape = null;
+        this.clearSelection();
+        this.shapes.forEach(shape => this.detachShape(shape));
+        shapes.forEach(shape => this.attachShape(shape));
+        this.orderedShapes = null;
+        this.emit('shapesChanged');
+    }
+
+    attachShape(shape) {
+        // Restoring a saved state can restack the shape as well as move it
+        let { layerId, zIndex } = shape;
+        const onChanged = () => {
+            if (shape.layerId !== layerId || shape.zIndex !== zIndex) {
+                ({ layerId, zIndex } = shape);
+                this.invalidateOrder();
+            }
+            this.spatialIndex.insert(shape, getHitBounds(shape));
+            this.emit('shapesChanged', { shapes: [shape] });
+        };
+        this.shapes.set(shape.id, shape);
+        this.shapeListeners.set(shape, onChanged);
+        shape.on('changed', onChanged);
+        this.spatialIndex.insert(shape, getHitBounds(shape));
+
+        // Binary search for the place after any shape that draws below or level
+        if (this.orderedShapes) {
+            let low = 0;
+            let high = this.orderedShapes.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (this.compareOrder(this.orderedShapes[middle], shape) <= 0) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
+            }
+            this.orderedShapes.splice(low, 0, shape);
+        }
+    }
+
+    detachShape(shape) {
+        this.shapes.delete(shape.id);
+        shape.off('changed', this.shapeListeners.get(shape));
+        this.shapeListeners.delete(shape);
+        this.spatialIndex.remove(shape);
+        if (this.orderedShapes) {
+            const index = this.orderedShapes.indexOf(shape);
+            if (index !== -1) this.orderedShapes.splice(index, 1);
         }
     }
 
@@ -59,10 +171,423 @@ this.snapToGrid = true;
         this.emit('viewChanged');
     }
 
+    // Union of the bounds of all selected shapes, or null when nothing is selected
+    getSelectionBounds() {
+        if (this.selectedShapes.size === 0) return null;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        this.selectedShapes.forEach(shape => {
+            const bounds = shape.getBounds();
+            minX = Math.min(minX, bounds.x);
+            minY = Math.min(minY, bounds.y);
+            maxX = Math.max(maxX, bounds.x + bounds.width);
+            maxY = Math.max(maxY, bounds.y + bounds.height);
+        });
+
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    // Inside an edited group, its children are hit individually; groups
+    // elsewhere are hit as a single unit
     getShapeAt(x, y) {
-        const shapes = Array.from(this.shapes.values())
-            .sort((a, b) => b.zIndex - a.zIndex);
-        
-        return shapes.find(shape => shape.hitTest(x, y));
+        if (this.editingGroup) {
+            const child = this.editingGroup.getChildAt(x, y);
+            if (child) return child;
+        }
+
+        // Only shapes near the point are tested, and the topmost hit wins
+        let topmost = null;
+        this.spatialIndex.searchPoint(x, y).forEach(shape => {
+            if ((!topmost || this.compareOrder(shape, topmost) > 0) &&
+                this.isShapeEditable(shape) && shape.hitTest(x, y)) {
+                topmost = shape;
+            }
+        });
+        return topmost;
+    }
+
+    // Selectable shapes whose bounds touch the rectangle
+    getShapesInRect(rect) {
+        const candidates = this.editingGroup
+            ? this.editingGroup.children
+            : this.spatialIndex.search(rect).filter(shape => this.isShapeEditable(shape));
+
+        return candidates.filter(shape => rectsIntersect(shape.getBounds(), rect));
+    }
+
+    // The selectable top-level shape whose bounds are closest to the point,
+    // or null when none is within maxDistance
+    getNearestShape(x, y, maxDistance = Infinity) {
+        return this.spatialIndex.nearest(x, y, {
+            filter: shape => this.isShapeEditable(shape),
+            distance: shape => distanceToRect(x, y, shape.getBounds()),
+            maxDistance
+        });
+    }
+
+    // Shapes that can be selected right now: the edited group's children,
+    // or the top-level shapes on visible, unlocked layers
+    getSelectableShapes() {
+        if (this.editingGroup) return this.editingGroup.children;
+
+        return Array.from(this.shapes.values()).filter(shape => this.isShapeEditable(shape));
+    }
+
+    // Top-level shapes in drawing order: by layer, then by zIndex within a
+    // layer. The order is kept between calls and only re-sorted after shapes
+    // are restacked or layers move.
+    getOrderedShapes() {
+        if (!this.orderedShapes) {
+            const layerIndex = new Map(this.layers.map((layer, index) => [layer.id, index]));
+            this.orderedShapes = Array.from(this.shapes.values()).sort((a, b) =>
+                (layerIndex.get(a.layerId) - layerIndex.get(b.layerId)) || (a.zIndex - b.zIndex));
+        }
+        return [...this.orderedShapes];
+    }
+
+    // Negative when a draws below b
+    compareOrder(a, b) {
+        const layerOrder = this.layers.findIndex(layer => layer.id === a.layerId) -
+            this.layers.findIndex(layer => layer.id === b.layerId);
+        return layerOrder || (a.zIndex - b.zIndex);
+    }
+
+    invalidateOrder() {
+        this.orderedShapes = null;
+    }
+
+    // Z-order
+
+    getNextZIndex() {
+        let max = 0;
+        this.shapes.forEach(shape => {
+            max = Math.max(max, shape.zIndex);
+        });
+        return max + 1;
+    }
+
+    // zIndex of every top-level shape, for restoring an arrangement later
+    getZOrder() {
+        return new Map(Array.from(this.shapes.values()).map(shape => [shape.id, shape.zIndex]));
+    }
+
+    setZOrder(order) {
+        order.forEach((zIndex, id) => {
+            const shape = this.shapes.get(id);
+            if (shape) shape.zIndex = zIndex;
+        });
+        this.invalidateOrder();
+        this.emit('shapesChanged');
+    }
+
+    // Renumbers shapes 1..n in drawing order, e.g. after loading a file whose
+    // indices collide. Ties keep their insertion order.
+    normalizeZOrder() {
+        this.getOrderedShapes().forEach((shape, index) => {
+            shape.zIndex = index + 1;
+        });
+        this.invalidateOrder();
+        this.emit('shapesChanged');
+    }
+
+    /**
+     * Restacks shapes that share a container: the children of one group, or
+     * top-level shapes, which are restacked within their own layer.
+     * mode is 'front', 'back', 'forward' or 'backward'.
+     */
+    arrangeShapes(shapes, mode) {
+        if (shapes.length === 0) return;
+
+        const selected = new Set(shapes);
+        const parent = shapes[0].parent;
+
+        if (parent) {
+            parent.setChildren(restack(parent.children, selected, mode));
+            parent.emit('changed', parent);
+            return;
+        }
+
+        // Tied indices can't be swapped, so every shape gets its own first
+        const zIndexes = new Set(Array.from(this.shapes.values(), shape => shape.zIndex));
+        if (zIndexes.size < this.shapes.size) {
+            this.normalizeZOrder();
+        }
+
+        this.layers.forEach(layer => {
+            const stack = this.getOrderedShapes().filter(shape => shape.layerId === layer.id);
+            if (!stack.some(shape => selected.has(shape))) return;
+
+            // Reuse the layer's own indices so other layers are unaffected
+            const zIndexes = stack.map(shape => shape.zIndex);
+            restack(stack, selected, mode).forEach((shape, index) => {
+                shape.zIndex = zIndexes[index];
+            });
+        });
+        this.invalidateOrder();
+        this.emit('shapesChanged');
+    }
+
+    // Finds a shape by id, including shapes inside groups
+    findShape(id) {
+        if (this.shapes.has(id)) return this.shapes.get(id);
+
+        for (const shape of this.shapes.values()) {
+            if (shape.type === 'group') {
+                const child = shape.getDescendants().find(descendant => descendant.id === id);
+                if (child) return child;
+            }
+        }
+        return null;
+    }
+
+    getTopLevelShape(shape) {
+        while (shape.parent) shape = shape.parent;
+        return shape;
+    }
+
+    enterGroup(group) {
+        this.clearSelection();
+        this.editingGroup = group;
+        this.emit('selectionChanged');
+    }
+
+    // Leaves group editing with the outermost group selected
+    exitGroup() {
+        if (!this.editingGroup) return;
+
+        const group = this.getTopLevelShape(this.editingGroup);
+        this.clearSelection();
+        this.editingGroup = null;
+        if (this.shapes.has(group.id)) {
+            this.selectShape(group);
+        }
+    }
+
+    // Layers
+
+    getLayer(layerId) {
+        return this.layers.find(layer => layer.id === layerId) || null;
+    }
+
+    getActiveLayer() {
+        return this.getLayer(this.activeLayerId);
+    }
+
+    isShapeVisible(shape) {
+        const layer = this.getLayer(this.getTopLevelShape(shape).layerId);
+        return !layer || layer.visible;
+    }
+
+    // Shapes on hidden or locked layers can't be hit or selected
+    isShapeEditable(shape) {
+        const layer = this.getLayer(this.getTopLevelShape(shape).layerId);
+        return !layer || (layer.visible && !layer.locked);
+    }
+
+    getLayerShapes(layerId) {
+        return Array.from(this.shapes.values()).filter(shape => shape.layerId === layerId);
+    }
+
+    setActiveLayer(layerId) {
+        if (!this.getLayer(layerId)) return;
+
+        this.activeLayerId = layerId;
+        this.emit('layersChanged');
+    }
+
+    // New layers go directly above the active layer and become active
+    addLayer(name = `Layer ${this.layers.length + 1}`) {
+        const layer = new Layer(name);
+        const activeIndex = this.layers.indexOf(this.getActiveLayer());
+        this.layers.splice(activeIndex + 1, 0, layer);
+        this.activeLayerId = layer.id;
+        this.emit('layersChanged');
+        return layer;
+    }
+
+    // Removes the layer along with its shapes. The last layer can't be removed.
+    removeLayer(layerId) {
+        const index = this.layers.findIndex(layer => layer.id === layerId);
+        if (index === -1 || this.layers.length === 1) return false;
+
+        this.getLayerShapes(layerId).forEach(shape => this.removeShape(shape.id));
+        this.layers.splice(index, 1);
+        if (this.activeLayerId === layerId) {
+            this.activeLayerId = this.layers[Math.max(0, index - 1)].id;
+        }
+        this.emit('layersChanged');
+        this.emit('shapesChanged');
+        return true;
+    }
+
+    // Puts a removed layer back at its old position, as on undo
+    insertLayer(layer, index) {
+        this.layers.splice(Math.min(index, this.layers.length), 0, layer);
+        this.invalidateOrder();
+        this.emit('layersChanged');
+    }
+
+    renameLayer(layerId, name) {
+        const layer = this.getLayer(layerId);
+        if (!layer || !name) return;
+
+        layer.name = name;
+        this.emit('layersChanged');
+    }
+
+    setLayerVisible(layerId, visible) {
+        const layer = this.getLayer(layerId);
+        if (!layer) return;
+
+        layer.visible = visible;
+        if (!visible) this.deselectLayer(layerId);
+        this.emit('layersChanged');
+        this.emit('shapesChanged');
+    }
+
+    setLayerLocked(layerId, locked) {
+        const layer = this.getLayer(layerId);
+        if (!layer) return;
+
+        layer.locked = locked;
+        if (locked) this.deselectLayer(layerId);
+        this.emit('layersChanged');
+    }
+
+    // Moves a layer to a position in the bottom-to-top order
+    moveLayer(layerId, toIndex) {
+        const index = this.layers.findIndex(layer => layer.id === layerId);
+        if (index === -1) return;
+
+        const [layer] = this.layers.splice(index, 1);
+        this.layers.splice(Math.max(0, Math.min(toIndex, this.layers.length)), 0, layer);
+        this.invalidateOrder();
+        this.emit('layersChanged');
+        this.emit('shapesChanged');
+    }
+
+    // Moved shapes go on top of the shapes already in the target layer
+    moveShapesToLayer(shapes, layerId) {
+        const layer = this.getLayer(layerId);
+        if (!layer) return;
+
+        this.getOrderedShapes()
+            .filter(shape => shapes.includes(shape) && shape.layerId !== layerId)
+            .forEach(shape => {
+                shape.zIndex = this.getNextZIndex();
+                shape.layerId = layerId;
+            });
+        this.invalidateOrder();
+        if (layer.locked || !layer.visible) this.deselectLayer(layerId);
+        this.emit('layersChanged');
+        this.emit('shapesChanged');
+    }
+
+    // Puts shapes back on the layers and at the indices they had, as when a
+    // move between layers is undone or redone
+    placeShapes(shapes, places) {
+        shapes.forEach((shape, index) => {
+            shape.layerId = places[index].layerId;
+            shape.zIndex = places[index].zIndex;
+        });
+        this.invalidateOrder();
+        new Set(places.map(place => place.layerId)).forEach(layerId => {
+            const layer = this.getLayer(layerId);
+            if (layer && (layer.locked || !layer.visible)) this.deselectLayer(layerId);
+        });
+        this.emit('layersChanged');
+        this.emit('shapesChanged');
+    }
+
+    // Replaces every layer, as when a document is loaded
+    setLayers(layers, activeLayerId = null) {
+        this.layers = layers.length > 0 ? layers : [new Layer('Layer 1')];
+        this.activeLayerId = this.getLayer(activeLayerId) ? activeLayerId : this.layers[this.layers.length - 1].id;
+        this.invalidateOrder();
+        this.emit('layersChanged');
+    }
+
+    deselectLayer(layerId) {
+        if (this.editingGroup && this.getTopLevelShape(this.editingGroup).layerId === layerId) {
+            this.exitGroup();
+        }
+
+        let changed = false;
+        this.selectedShapes.forEach(shape => {
+            if (this.getTopLevelShape(shape).layerId === layerId) {
+                this.selectedShapes.delete(shape);
+                shape.setSelected(false);
+                changed = true;
+            }
+        });
+        if (changed) this.emit('selectionChanged');
+    }
+}
+
+// Changes to known shapes combine; anything else makes a change to everything
+function mergeChanges(a, b) {
+    return a?.shapes && b?.shapes ? { shapes: [...new Set([...a.shapes, ...b.shapes])] } : undefined;
+}
+
+// Bounds grown by how far outside them the shape can be hit, so point
+// queries on the index find every shape hitTest could accept
+function getHitBounds(shape) {
+    const margin = getHitMargin(shape);
+    const bounds = shape.getBounds();
+    return {
+        x: bounds.x - margin,
+        y: bounds.y - margin,
+        width: bounds.width + margin * 2,
+        height: bounds.height + margin * 2
+    };
+}
+
+function getHitMargin(shape) {
+    const margin = shape.type === 'group'
+        ? Math.max(0, ...shape.children.map(getHitMargin))
+        : (shape.strokeWidth || 0) + HIT_TOLERANCE;
+    const { scaleX, scaleY } = shape.transform;
+    return margin * Math.max(1, Math.abs(scaleX), Math.abs(scaleY));
+}
+
+function rectsIntersect(a, b) {
+    return a.x <= b.x + b.width && b.x <= a.x + a.width &&
+           a.y <= b.y + b.height && b.y <= a.y + a.height;
+}
+
+function distanceToRect(x, y, rect) {
+    const dx = Math.max(rect.x - x, 0, x - (rect.x + rect.width));
+    const dy = Math.max(rect.y - y, 0, y - (rect.y + rect.height));
+    return Math.hypot(dx, dy);
+}
+
+// Returns a new bottom-to-top order with the selected shapes moved
+function restack(stack, selected, mode) {
+    const result = [...stack];
+    const isSelected = shape => selected.has(shape);
+
+    switch (mode) {
+        case 'front':
+            return [...result.filter(shape => !isSelected(shape)), ...result.filter(isSelected)];
+        case 'back':
+            return [...result.filter(isSelected), ...result.filter(shape => !isSelected(shape))];
+        case 'forward':
+            // Each selected shape swaps with the unselected shape above it
+            for (let i = result.length - 2; i >= 0; i--) {
+                if (isSelected(result[i]) && !isSelected(result[i + 1])) {
+                    [result[i], result[i + 1]] = [result[i + 1], result[i]];
+                }
+            }
+            return result;
+        case 'backward':
+            for (let i = 1; i < result.length; i++) {
+                if (isSelected(result[i]) && !isSelected(result[i - 1])) {
+                    [result[i], result[i - 1]] = [result[i - 1], result[i]];
+                }
+            }
+            return result;
+        default:
+            return result;
     }
-}
\ No newline at end of file
+}
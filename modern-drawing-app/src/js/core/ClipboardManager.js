@@ -1,125 +1,403 @@
 // src/js/core/ClipboardManager.js
+import { shapeRegistry, Text, ImageShape } from '../shapes/index.js';
+import { describeShapes } from './Command.js';
+import { AddShapeCommand } from '../commands/AddShapeCommand.js';
+import { DeleteShapeCommand } from '../commands/DeleteShapeCommand.js';
+import { PropertyChangeCommand } from '../commands/PropertyChangeCommand.js';
+import { SVGImporter } from './SVGImporter.js';
+import { FILE_VERSION, validateShape } from './fileFormat.js';
+import { getUnionBounds } from './alignment.js';
+
+// Marks clipboard text as shapes copied from the app
+const CLIPBOARD_FORMAT = 'modern-drawing-app/shapes';
+
+// Pasted copies are moved by this much, so they don't hide the originals
+const PASTE_OFFSET = 20;
+
+// Properties Paste Style copies, where the shapes have them
+const STYLE_PROPERTIES = ['fillColor', 'strokeColor', 'strokeWidth', 'fontFamily', 'fontSize'];
+
+/**
+ * Copies shapes to the system clipboard and pastes from it. Copied shapes
+ * are written as JSON text, which any tab of the app pastes as shapes, and
+ * as SVG and PNG images for other applications. Pasting takes the app's own
+ * JSON, SVG markup, bitmap images, or other text as a text shape.
+ *
+ * Clipboard contents are passed around as { mimeType: Blob | string }.
+ * Where the browser doesn't allow clipboard access, copies stay in this
+ * window.
+ *
+ * Copies step away from what they were copied from. Pasting or duplicating
+ * the latest copies again repeats the step from their source to where they
+ * are now, so moving the first copy sets the spacing of an array.
+ */
 export class ClipboardManager {
-    constructor(state, commandManager) {
+    constructor(state, commandManager, fileManager) {
         this.state = state;
         this.commandManager = commandManager;
-        this.clipboard = [];
+        this.fileManager = fileManager;
+        this.clipboard = null; // JSON of the last copy
+        this.lastCopies = null; // { shapes, from, clipboard }, see getNextStep
     }
 
-    copy() {
-        if (this.state.selectedShapes.size === 0) return false;
-        
-        this.clipboard = Array.from(this.state.selectedShapes).map(shape => {
-            return this.serializeShape(shape);
-        });
-        
+    // The clipboard itself is kept, so shapes can be pasted into another tab
+    setDocument(state, commandManager) {
+        this.state = state;
+        this.commandManager = commandManager;
+    }
+
+    // Resolves with false when nothing is selected
+    async copy() {
+        const shapes = this.getSelectedShapes();
+        if (shapes.length === 0) return false;
+
+        await this.writeClipboard(shapes);
         return true;
     }
 
-    paste(offsetX = 20, offsetY = 20) {
-        if (this.clipboard.length === 0) return false;
-        
-        // Clear current selection
-        this.state.clearSelection();
-        
-        // Create new shapes from clipboard
-        const newShapes = this.clipboard.map(data => {
-            const shape = this.deserializeShape(data);
-            shape.x += offsetX;
-            shape.y += offsetY;
-            return shape;
-        });
-        
-        // Add shapes and select them
-        newShapes.forEach(shape => {
-            this.state.addShape(shape);
-            this.state.selectShape(shape, true);
-        });
-        
+    async cut() {
+        const shapes = this.getSelectedShapes();
+        if (shapes.length === 0) return false;
+
+        // The clipboard contents are made before the shapes are deleted
+        const written = this.writeClipboard(shapes);
+        const command = new DeleteShapeCommand(this.state, shapes);
+        command.label = `Cut ${describeShapes(shapes)}`;
+        this.commandManager.execute(command);
+
+        await written;
         return true;
     }
 
-    cut() {
-        if (!this.copy()) return false;
-        
-        // Delete selected shapes
-        const shapesToDelete = Array.from(this.state.selectedShapes);
-        shapesToDelete.forEach(shape => {
-            this.state.removeShape(shape.id);
+    /**
+     * Pastes `data`, or what is on the system clipboard when it is null.
+     * Where shapes copied from the app land depends on `mode`: 'offset'
+     * steps them away from where they were copied from, 'inPlace' keeps
+     * their coordinates, and 'cursor' centers them on `position`. Anything
+     * else is always centered on `position`. Resolves with false when there
+     * was nothing to paste.
+     */
+    async paste({ data = null, mode = 'offset', position = { x: 0, y: 0 } } = {}) {
+        data = data || await this.readData();
+        const text = await readText(data['text/plain']);
+
+        const copied = this.readShapes(text);
+        if (copied) {
+            if (copied.length === 0) return false;
+
+            let offset = { x: 0, y: 0 };
+            let from = null;
+            if (mode === 'offset') {
+                ({ offset, from } = this.getNextStep(copied, copy => copy.clipboard === text));
+            } else if (mode === 'cursor') {
+                offset = getCenterOffset(copied, position);
+            }
+            copied.forEach(shape => shape.translate(offset.x, offset.y));
+
+            // Copies placed by hand step on from where they were placed
+            this.addShapes(copied, 'Paste');
+            this.lastCopies = { shapes: copied, from: from || getTopLeft(copied), clipboard: text };
+            return true;
+        }
+
+        const shapes = await this.readForeignShapes(data, text);
+        if (!shapes || shapes.length === 0) return false;
+
+        const offset = getCenterOffset(shapes, position);
+        shapes.forEach(shape => shape.translate(offset.x, offset.y));
+        this.addShapes(shapes, 'Paste');
+        this.lastCopies = { shapes, from: getTopLeft(shapes), clipboard: null };
+        return true;
+    }
+
+    // Sets the fill, stroke and font of the selected shapes to those of the
+    // first copied shape, as one undo step
+    async pasteStyle({ data = null } = {}) {
+        const targets = Array.from(this.state.selectedShapes).flatMap(shape =>
+            shape.type === 'group' ? shape.getDescendants() : [shape]);
+        if (targets.length === 0) return false;
+
+        data = data || await this.readData();
+        const copied = this.readShapes(await readText(data['text/plain']));
+        const source = copied && copied
+            .flatMap(shape => (shape.type === 'group' ? shape.getDescendants() : [shape]))
+            .find(shape => shape.type !== 'group');
+        if (!source) return false;
+
+        const changes = STYLE_PROPERTIES
+            .filter(property => property in source)
+            .map(property => ({
+                property,
+                shapes: targets.filter(shape => property in shape && shape[property] !== source[property])
+            }))
+            .filter(change => change.shapes.length > 0);
+        if (changes.length === 0) return true;
+
+        this.commandManager.beginTransaction('Paste Style');
+        changes.forEach(({ property, shapes }) => {
+            this.commandManager.execute(new PropertyChangeCommand(shapes, property, source[property]));
         });
-        
+        this.commandManager.commitTransaction();
         return true;
     }
 
+    // Copies the selection in place of the clipboard, which is left alone
     duplicate() {
-        if (!this.copy()) return false;
-        return this.paste();
+        const shapes = this.getSelectedShapes();
+        if (shapes.length === 0) return false;
+
+        const copies = shapes.map(shape => shape.clone());
+        const { offset, from } = this.getNextStep(copies, copy =>
+            copy.shapes.length === shapes.length && copy.shapes.every(shape => shapes.includes(shape)));
+        copies.forEach(shape => shape.translate(offset.x, offset.y));
+
+        this.addShapes(copies, 'Duplicate');
+        this.lastCopies = { shapes: copies, from, clipboard: null };
+        return true;
     }
 
-    serializeShape(shape) {
+    // How far to move new copies from where they are, and the point the
+    // step is measured from. When the latest copies are being copied again,
+    // as `isRepeat` tells, the step is the one from where they came from to
+    // where they are now; otherwise it is the default offset.
+    getNextStep(copies, isRepeat) {
+        const source = getTopLeft(copies);
+        const last = this.lastCopies;
+        const alive = last && last.shapes.every(shape => this.state.shapes.has(shape.id));
+        if (!alive || !isRepeat(last)) {
+            return { offset: { x: PASTE_OFFSET, y: PASTE_OFFSET }, from: source };
+        }
+
+        const current = getTopLeft(last.shapes);
         return {
-            type: shape.type,
-            x: shape.x,
-            y: shape.y,
-            fillColor: shape.fillColor,
-            strokeColor: shape.strokeColor,
-            strokeWidth: shape.strokeWidth,
-            // Type-specific properties
-            ...(shape.type === 'rectangle' && {
-                width: shape.width,
-                height: shape.height
-            }),
-            ...(shape.type === 'ellipse' && {
-                radiusX: shape.radiusX,
-                radiusY: shape.radiusY
-            }),
-            ...(shape.type === 'line' && {
-                x2: shape.x2,
-                y2: shape.y2
-            }),
-            ...(shape.type === 'text' && {
-                text: shape.text,
-                fontSize: shape.fontSize,
-                fontFamily: shape.fontFamily,
-                textAlign: shape.textAlign,
-                textBaseline: shape.textBaseline
-            })
+            offset: {
+                x: current.x + (current.x - last.from.x) - source.x,
+                y: current.y + (current.y - last.from.y) - source.y
+            },
+            from: current
         };
     }
 
-    async deserializeShape(data) {
-        const { Rectangle } = await import('../shapes/Rectangle.js');
-        const { Ellipse } = await import('../shapes/Ellipse.js');
-        const { Line } = await import('../shapes/Line.js');
-        const { Text } = await import('../shapes/Text.js');
-        
-        let shape;
-        
-        switch (data.type) {
-            case 'rectangle':
-                shape = new Rectangle(data.x, data.y, data.width, data.height);
-                break;
-            case 'ellipse':
-                shape = new Ellipse(data.x, data.y, data.radiusX, data.radiusY);
-                break;
-            case 'line':
-                shape = new Line(data.x, data.y, data.x2, data.y2);
-                break;
-            case 'text':
-                shape = new Text(data.x, data.y, data.text, data.fontSize);
-                shape.fontFamily = data.fontFamily;
-                shape.textAlign = data.textAlign;
-                shape.textBaseline = data.textBaseline;
-                break;
-            default:
-                return null;
+    // Selected shapes in stacking order, so copies keep their relative depth
+    getSelectedShapes() {
+        return this.getStackOrder(Array.from(this.state.selectedShapes));
+    }
+
+    getStackOrder(shapes) {
+        const ordered = this.state.getOrderedShapes();
+        const rank = shape => {
+            const index = ordered.indexOf(shape);
+            return index === -1 && shape.parent ? shape.parent.children.indexOf(shape) : index;
+        };
+        return shapes.sort((a, b) => rank(a) - rank(b));
+    }
+
+    // Adds the shapes to the active layer as one undo step and selects them
+    addShapes(shapes, action) {
+        this.state.clearSelection();
+        shapes.forEach(shape => {
+            shape.layerId = this.state.activeLayerId;
+        });
+
+        this.commandManager.beginTransaction(`${action} ${describeShapes(shapes)}`);
+        this.state.batch(() => shapes.forEach(shape => {
+            this.commandManager.execute(new AddShapeCommand(this.state, shape));
+            this.state.selectShape(shape, true);
+        }));
+        this.commandManager.commitTransaction();
+
+        return true;
+    }
+
+    // Writing
+
+    // Everything the clipboard gets is made right away from the shapes as
+    // they are now; only the writing itself is left to finish
+    async writeClipboard(shapes) {
+        const json = JSON.stringify({
+            format: CLIPBOARD_FORMAT,
+            version: FILE_VERSION,
+            shapes: shapes.map(shape => shape.serialize())
+        });
+        this.clipboard = json;
+
+        const clipboard = typeof navigator !== 'undefined' ? navigator.clipboard : null;
+        if (!clipboard) return;
+
+        if (typeof ClipboardItem !== 'undefined' && clipboard.write) {
+            // Browsers refuse the whole item if it has a type they can't write
+            const supports = type => !ClipboardItem.supports || ClipboardItem.supports(type);
+            const items = { 'text/plain': new Blob([json], { type: 'text/plain' }) };
+            if (supports('image/svg+xml')) {
+                const svg = this.fileManager.createSVG({ selectionOnly: true, background: null, padding: 0, pretty: false });
+                items['image/svg+xml'] = new Blob([svg], { type: 'image/svg+xml' });
+            }
+            if (supports('image/png')) {
+                items['image/png'] = this.fileManager.createImage({
+                    scope: 'selection',
+                    background: null,
+                    padding: 0,
+                    scale: window.devicePixelRatio || 1
+                });
+            }
+
+            try {
+                await clipboard.write([new ClipboardItem(items)]);
+                return;
+            } catch (error) {
+                console.warn('Copied shapes as text only:', error);
+            }
+        }
+
+        try {
+            await clipboard.writeText(json);
+        } catch (error) {
+            console.warn('The system clipboard is not available; shapes were copied within this window:', error);
+        }
+    }
+
+    // Reading
+
+    // The system clipboard, or the last copy when it can't be read
+    async readData() {
+        return await this.readClipboard() || { 'text/plain': this.clipboard };
+    }
+
+    // Resolves with the clipboard contents, or null when the browser doesn't
+    // let the app read them
+    async readClipboard() {
+        const clipboard = typeof navigator !== 'undefined' ? navigator.clipboard : null;
+        try {
+            if (clipboard && clipboard.read) {
+                const data = {};
+                for (const item of await clipboard.read()) {
+                    for (const type of item.types) {
+                        if (!(type in data)) data[type] = await item.getType(type);
+                    }
+                }
+                return data;
+            }
+            if (clipboard && clipboard.readText) {
+                return { 'text/plain': await clipboard.readText() };
+            }
+        } catch (error) {
+            console.warn('Could not read the system clipboard:', error);
         }
-        
-        // Apply common properties
-        shape.fillColor = data.fillColor;
-        shape.strokeColor = data.strokeColor;
-        shape.strokeWidth = data.strokeWidth;
-        
-        return shape;
+        return null;
     }
+
+    // Clipboard contents of a paste event
+    static fromDataTransfer(dataTransfer) {
+        const data = {};
+        Array.from(dataTransfer.files).forEach(file => {
+            if (!(file.type in data)) data[file.type] = file;
+        });
+        Array.from(dataTransfer.types)
+            .filter(type => type !== 'Files' && !(type in data))
+            .forEach(type => {
+                data[type] = dataTransfer.getData(type);
+            });
+        return data;
+    }
+
+    // Shapes copied from the app, as new shapes, or null when the text
+    // isn't a copy. Shapes that don't pass validation are left out.
+    readShapes(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+        if (!data || data.format !== CLIPBOARD_FORMAT || !Array.isArray(data.shapes)) return null;
+        if (!(data.version <= FILE_VERSION)) {
+            console.warn(`Copied shapes come from a newer version of the app (format ${data.version})`);
+            return [];
+        }
+
+        const report = { errors: [], warnings: [] };
+        const shapes = data.shapes
+            .filter((shapeData, index) => validateShape(shapeData, `Shape ${index + 1}`, report))
+            .map(shapeData => this.deserializeShape(shapeData))
+            .filter(Boolean);
+        report.errors.forEach(error => console.warn('Skipped pasted shape:', error));
+        return shapes;
+    }
+
+    deserializeShape(data) {
+        try {
+            const shape = shapeRegistry.createShape(data);
+            // Pasted shapes are new shapes, not the copied originals
+            return shape ? shape.clone() : null;
+        } catch (error) {
+            console.warn('Skipped pasted shape:', error);
+            return null;
+        }
+    }
+
+    // Shapes from what other applications put on the clipboard, in order of
+    // preference: SVG, then a bitmap image, then text
+    async readForeignShapes(data, text) {
+        const svg = data['image/svg+xml'] ? await readText(data['image/svg+xml']) : text;
+        if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^>]*>\s*)?<svg[\s>]/i.test(svg)) {
+            try {
+                const { shapes, warnings } = new SVGImporter().parse(svg);
+                warnings.forEach(warning => console.warn('Pasted SVG:', warning));
+                if (shapes.length > 0) return shapes;
+            } catch (error) {
+                console.warn('Could not paste SVG:', error);
+            }
+        }
+
+        const imageType = Object.keys(data).find(type => /^image\/(?!svg)/.test(type));
+        if (imageType) {
+            const image = await this.createImageShape(data[imageType]);
+            if (image) return [image];
+        }
+
+        // A text shape is a single line
+        const line = text.trim().replace(/\s*[\r\n]+\s*/g, ' ');
+        return line ? [new Text(0, 0, line)] : null;
+    }
+
+    // An image shape the size of the image in pixels, or null when the
+    // image can't be decoded
+    async createImageShape(blob) {
+        if (!(blob instanceof Blob)) return null;
+
+        try {
+            const src = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+            const bitmap = await createImageBitmap(blob);
+            const image = new ImageShape(0, 0, bitmap.width, bitmap.height, src);
+            bitmap.close();
+            return image;
+        } catch (error) {
+            console.warn('Could not paste image:', error);
+            return null;
+        }
+    }
+}
+
+function getTopLeft(shapes) {
+    const bounds = getUnionBounds(shapes.map(shape => shape.getBounds()));
+    return { x: bounds.x, y: bounds.y };
+}
+
+// Moves the shapes' center to the position
+function getCenterOffset(shapes, position) {
+    const bounds = getUnionBounds(shapes.map(shape => shape.getBounds()));
+    return {
+        x: position.x - (bounds.x + bounds.width / 2),
+        y: position.y - (bounds.y + bounds.height / 2)
+    };
+}
+
+async function readText(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'string' ? value : value.text();
 }
@@ -1,5 +1,9 @@
 // src/js/core/Command.js
 export class Command {
+    constructor() {
+        this.label = null; // overrides describe() in the history panel
+    }
+
     execute() {
         throw new Error('Execute method must be implemented');
     }
@@ -7,5 +11,24 @@ export class Command {
     undo() {
         throw new Error('Undo method must be implemented');
     }
+
+    getLabel() {
+        return this.label || this.describe();
+    }
+
+    // Short description of the edit, e.g. "Move 3 shapes"
+    describe() {
+        return 'Edit';
+    }
+
+    // Inside a transaction, a command may absorb the next one (e.g. each step
+    // of a slider drag) instead of both being kept. Returns true if merged.
+    mergeWith(command) {
+        return false;
+    }
 }
 
+// "rectangle" for a single shape, "3 shapes" otherwise
+export function describeShapes(shapes) {
+    return shapes.length === 1 ? shapes[0].type : `${shapes.length} shapes`;
+}
@@ -1,68 +1,312 @@
 // src/js/core/CommandManager.js
 import { EventEmitter } from './EventEmitter.js';
+import { CompositeCommand, commandRegistry } from '../commands/index.js';
 
+/**
+ * Undo history kept as a tree of states. The root is the starting state and
+ * every executed command adds a child of the current state. Without
+ * branching, running a command after an undo discards the redo states as
+ * usual; with branching they stay reachable through jumpTo().
+ * Emits 'historyChanged' for any change to the history, and
+ * 'documentChanged' when a command, undo or redo changed the drawing.
+ */
 export class CommandManager extends EventEmitter {
-    constructor() {
+    constructor({ maxHistorySize = 50, branching = false } = {}) {
         super();
-        this.history = [];
-        this.currentIndex = -1;
-        this.maxHistorySize = 50;
+        this.root = createNode(null, null);
+        this.current = this.root;
+        this.maxHistorySize = maxHistorySize;
+        this.branching = branching;
+        this.transaction = null; // commands executed since beginTransaction
+        this.transactionLabel = null;
+        this.transactionDepth = 0;
+    }
+
+    // Commands from the start up to the newest redo state of the current branch
+    get history() {
+        return this.getBranch().slice(1).map(node => node.command);
+    }
+
+    get currentIndex() {
+        return this.getDepth(this.current) - 1;
     }
 
     execute(command) {
-        // Remove any commands after current index
-        this.history = this.history.slice(0, this.currentIndex + 1);
-        
         // Execute the command
         command.execute();
-        
-        // Add to history
-        this.history.push(command);
-        this.currentIndex++;
-        
-        // Limit history size
-        if (this.history.length > this.maxHistorySize) {
-            this.history.shift();
-            this.currentIndex--;
+
+        // Inside a transaction the command waits to be committed with the rest
+        if (this.transaction) {
+            const last = this.transaction[this.transaction.length - 1];
+            if (!last || !last.mergeWith(command)) {
+                this.transaction.push(command);
+            }
+            return;
+        }
+
+        this.push(command);
+    }
+
+    // Adds an already executed command to the history
+    push(command) {
+        if (!this.branching) {
+            // Remove the redo states after the current one
+            this.current.children = [];
         }
-        
+
+        const node = createNode(command, this.current);
+        this.current.children.push(node);
+        this.current.activeChild = node;
+        this.current = node;
+
+        this.trimHistory();
         this.emit('historyChanged');
+        this.emit('documentChanged');
+    }
+
+    // Transactions group everything executed until commit into one history
+    // entry. Nested transactions join the outermost one.
+    beginTransaction(label = null) {
+        if (this.transactionDepth++ === 0) {
+            this.transaction = [];
+            this.transactionLabel = label;
+        }
+    }
+
+    commitTransaction() {
+        if (this.transactionDepth === 0 || --this.transactionDepth > 0) return;
+
+        const commands = this.transaction;
+        this.transaction = null;
+        if (commands.length > 0) {
+            const command = commands.length === 1 ? commands[0] : new CompositeCommand(commands);
+            command.label = this.transactionLabel || command.label;
+            this.push(command);
+        }
+    }
+
+    // Reverts everything executed in the open transaction
+    cancelTransaction() {
+        if (this.transactionDepth === 0) return;
+
+        const commands = this.transaction;
+        this.transaction = null;
+        this.transactionDepth = 0;
+        [...commands].reverse().forEach(command => command.undo());
+    }
+
+    // Closes any open transaction, e.g. before undoing past it
+    flushTransaction() {
+        if (this.transactionDepth === 0) return;
+
+        this.transactionDepth = 1;
+        this.commitTransaction();
     }
 
     undo() {
+        this.flushTransaction();
         if (this.canUndo()) {
-            const command = this.history[this.currentIndex];
-            command.undo();
-            this.currentIndex--;
-            this.emit('historyChanged');
-            return true;
+            return this.travel(() => this.stepBack());
         }
         return false;
     }
 
     redo() {
+        this.flushTransaction();
         if (this.canRedo()) {
-            this.currentIndex++;
-            const command = this.history[this.currentIndex];
-            command.execute();
-            this.emit('historyChanged');
-            return true;
+            return this.travel(() => this.stepForward(this.current.activeChild));
         }
         return false;
     }
 
+    // Undoes back to the nearest common state, then redoes down to the target,
+    // which may be on another branch
+    jumpTo(node) {
+        this.flushTransaction();
+        if (!node || node === this.current || !this.contains(node)) return false;
+
+        const path = [];
+        for (let n = node; n; n = n.parent) path.unshift(n);
+
+        return this.travel(() => {
+            while (!path.includes(this.current)) {
+                this.stepBack();
+            }
+            path.slice(path.indexOf(this.current) + 1).forEach(n => this.stepForward(n));
+        });
+    }
+
+    // A step that fails, e.g. one restored from a stale session, leaves the
+    // document as it is and starts the history over from there
+    travel(steps) {
+        try {
+            steps();
+        } catch (error) {
+            console.error('Failed to replay history:', error);
+            this.clear();
+            this.emit('historyError', error);
+            return false;
+        }
+        this.emit('historyChanged');
+        this.emit('documentChanged');
+        return true;
+    }
+
+    stepBack() {
+        this.current.command.undo();
+        this.current = this.current.parent;
+    }
+
+    stepForward(node) {
+        this.current.activeChild = node;
+        node.command.execute();
+        this.current = node;
+    }
+
     canUndo() {
-        return this.currentIndex >= 0;
+        return this.current !== this.root;
     }
 
     canRedo() {
-        return this.currentIndex < this.history.length - 1;
+        return this.current.activeChild !== null;
+    }
+
+    // Root to current state, then on through the redo states last visited
+    getBranch() {
+        const branch = [];
+        for (let node = this.current; node; node = node.parent) branch.unshift(node);
+        for (let node = this.current.activeChild; node; node = node.activeChild) branch.push(node);
+        return branch;
+    }
+
+    getDepth(node) {
+        let depth = 0;
+        for (let n = node; n.parent; n = n.parent) depth++;
+        return depth;
+    }
+
+    contains(node) {
+        while (node.parent) node = node.parent;
+        return node === this.root;
+    }
+
+    setMaxHistorySize(size) {
+        this.maxHistorySize = Math.max(1, Math.floor(size));
+        this.trimHistory();
+        this.emit('historyChanged');
+    }
+
+    setBranching(branching) {
+        this.branching = branching;
+        if (!branching) {
+            // Keep only the current branch
+            this.getBranch().forEach(node => {
+                node.children = node.activeChild ? [node.activeChild] : [];
+            });
+        }
+        this.emit('historyChanged');
+    }
+
+    // Drops the oldest states until the current branch fits the limit, so the
+    // first state after the root becomes the new starting point. Redo states
+    // go from the far end once nothing before the current state is left.
+    trimHistory() {
+        let branch = this.getBranch();
+        while (branch.length - 1 > this.maxHistorySize) {
+            const next = this.root.activeChild;
+            if (this.current !== this.root) {
+                next.parent = null;
+                next.command = null;
+                this.root = next;
+            } else {
+                const last = branch[branch.length - 1];
+                last.parent.children = last.parent.children.filter(child => child !== last);
+                last.parent.activeChild = null;
+            }
+            branch = this.getBranch();
+        }
+    }
+
+    // History tree with each command in its saved form
+    serialize() {
+        const nodes = [];
+        const visit = node => node.children.forEach(child => {
+            nodes.push({
+                id: child.id,
+                parent: node.id,
+                active: node.activeChild === child,
+                command: commandRegistry.serializeCommand(child.command)
+            });
+            visit(child);
+        });
+        visit(this.root);
+
+        return { root: this.root.id, current: this.current.id, nodes };
+    }
+
+    /**
+     * Replaces the history with a saved one. context resolves shape ids
+     * against the loaded document. Steps that can't be restored are dropped:
+     * when one was already done, nothing before it can be undone either, so
+     * the history starts after it. Returns the number of dropped steps.
+     */
+    deserialize(data, context) {
+        this.clear();
+        const saved = new Map(data.nodes.map(nodeData => [nodeData.id, nodeData]));
+        const done = new Set([data.root]);
+        for (let id = data.current; saved.has(id); id = saved.get(id).parent) done.add(id);
+
+        data.nodes.forEach(nodeData => commandRegistry.collectShapeData(nodeData.command, context));
+
+        const nodes = new Map([[data.root, this.root]]);
+        let dropped = 0;
+        let restart = null; // last done step that failed
+
+        data.nodes.forEach(nodeData => {
+            const parent = nodes.get(nodeData.parent);
+            let command = null;
+            try {
+                command = parent && commandRegistry.createCommand(nodeData.command, context);
+            } catch (error) {
+                console.warn('Dropping history step:', error.message);
+            }
+
+            if (!command && !(parent && done.has(nodeData.id))) {
+                dropped++;
+                return;
+            }
+
+            const node = createNode(command, parent);
+            parent.children.push(node);
+            if (nodeData.active) parent.activeChild = node;
+            nodes.set(nodeData.id, node);
+            if (!command) restart = node;
+        });
+
+        this.current = nodes.get(data.current) || this.root;
+        if (restart) {
+            for (let node = restart; node.parent; node = node.parent) dropped++;
+            restart.parent = null;
+            restart.command = null;
+            this.root = restart;
+        }
+
+        this.trimHistory();
+        this.emit('historyChanged');
+        return dropped;
     }
 
     clear() {
-        this.history = [];
-        this.currentIndex = -1;
+        this.transaction = null;
+        this.transactionDepth = 0;
+        this.root = createNode(null, null);
+        this.current = this.root;
         this.emit('historyChanged');
     }
 }
 
+let nextNodeId = 1;
+
+function createNode(command, parent) {
+    return { id: nextNodeId++, command, parent, children: [], activeChild: null };
+}
@@ -0,0 +1,116 @@
+// src/js/core/CommandRegistry.js
+import { shapeRegistry } from '../shapes/index.js';
+
+/**
+ * Maps command type names to their Command subclasses so undo history can be
+ * saved and restored. A command class provides serialize() for its own data
+ * and a static deserialize(data, context) that rebuilds it.
+ */
+export class CommandRegistry {
+    constructor() {
+        this.commandClasses = new Map();
+        this.commandTypes = new Map();
+    }
+
+    register(type, CommandClass) {
+        if (typeof CommandClass.prototype.serialize !== 'function' ||
+            typeof CommandClass.deserialize !== 'function') {
+            throw new Error(`Command "${type}" must implement serialize and static deserialize`);
+        }
+
+        this.commandClasses.set(type, CommandClass);
+        this.commandTypes.set(CommandClass, type);
+    }
+
+    has(type) {
+        return this.commandClasses.has(type);
+    }
+
+    serializeCommand(command) {
+        const type = this.commandTypes.get(command.constructor);
+        if (!type) {
+            throw new Error(`Command ${command.constructor.name} is not registered`);
+        }
+
+        return { type, label: command.label, ...command.serialize() };
+    }
+
+    // Commands that carry whole shapes save them as `shapes`, or as
+    // `partialShapes` when some data is left out; composites nest `commands`
+    collectShapeData(data, context) {
+        (data.shapes || []).forEach(shapeData => context.addShapeData(shapeData));
+        (data.partialShapes || []).forEach(shapeData => context.addShapeData(shapeData, true));
+        (data.commands || []).forEach(commandData => this.collectShapeData(commandData, context));
+    }
+
+    // Throws when the type is unknown or the command refers to shapes that
+    // can't be found, so callers can drop history that no longer applies
+    createCommand(data, context) {
+        const CommandClass = this.commandClasses.get(data.type);
+        if (!CommandClass) {
+            throw new Error(`Unknown command type: ${data.type}`);
+        }
+
+        const command = CommandClass.deserialize(data, context);
+        command.label = data.label ?? null;
+        return command;
+    }
+}
+
+export const commandRegistry = new CommandRegistry();
+
+/**
+ * Resolves shape ids while a history is restored. Shapes still in the
+ * document are used as they are; shapes that only exist in the history (such
+ * as deleted ones) are created once from their saved data, so every command
+ * that refers to the same id shares the same shape.
+ */
+export class CommandContext {
+    constructor(state) {
+        this.state = state;
+        this.shapeData = new Map(); // id -> { data, parentId }
+        this.shapes = new Map();
+    }
+
+    // Registers saved shape data, including the children of groups. Data from
+    // deleted shapes is complete; `partial` data (e.g. a group saved without
+    // its children) is only used when nothing better is known.
+    addShapeData(data, partial = false, parentId = null) {
+        const existing = this.shapeData.get(data.id);
+        if (!existing || existing.partial) {
+            this.shapeData.set(data.id, { data, parentId, partial });
+        }
+
+        (data.children || []).forEach(child => this.addShapeData(child, partial, data.id));
+    }
+
+    getShape(id) {
+        if (this.shapes.has(id)) return this.shapes.get(id);
+
+        let shape = this.state.findShape(id);
+        if (!shape) {
+            const entry = this.shapeData.get(id);
+            if (!entry) {
+                throw new Error(`Shape ${id} no longer exists`);
+            }
+
+            if (entry.parentId) {
+                // Children come from their group so they stay attached to it
+                shape = this.getShape(entry.parentId).getDescendants()
+                    .find(child => child.id === id);
+            } else {
+                shape = shapeRegistry.createShape(entry.data);
+            }
+            if (!shape) {
+                throw new Error(`Shape ${id} can't be restored`);
+            }
+        }
+
+        this.shapes.set(id, shape);
+        return shape;
+    }
+
+    getShapes(ids) {
+        return ids.map(id => this.getShape(id));
+    }
+}
@@ -0,0 +1,68 @@
+// src/js/core/DocumentLibrary.js
+import { IndexedDBStore } from './IndexedDBStore.js';
+
+/**
+ * Named drawings stored in this browser. Each record keeps the drawing file,
+ * a thumbnail data URL and when it was last modified:
+ * { id, name, json, thumbnail, createdAt, modifiedAt }.
+ */
+export class DocumentLibrary extends IndexedDBStore {
+    constructor() {
+        super('documents');
+    }
+
+    static createId() {
+        return `doc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    // Most recently modified first
+    async list() {
+        const entries = await this.entries();
+        return entries
+            .map(([, record]) => record)
+            .sort((a, b) => b.modifiedAt - a.modifiedAt);
+    }
+
+    async load(id) {
+        return (await this.get(id)) || null;
+    }
+
+    async save(id, name, json, thumbnail) {
+        const existing = await this.load(id);
+        const now = Date.now();
+        const record = {
+            id,
+            name,
+            json,
+            thumbnail,
+            createdAt: existing ? existing.createdAt : now,
+            modifiedAt: now
+        };
+        await this.put(id, record);
+        return record;
+    }
+
+    async rename(id, name) {
+        const record = await this.load(id);
+        if (!record) return null;
+
+        record.name = name;
+        record.modifiedAt = Date.now();
+        await this.put(id, record);
+        return record;
+    }
+
+    async duplicate(id, name) {
+        const record = await this.load(id);
+        if (!record) return null;
+
+        const now = Date.now();
+        const copy = { ...record, id: DocumentLibrary.createId(), name, createdAt: now, modifiedAt: now };
+        await this.put(copy.id, copy);
+        return copy;
+    }
+
+    remove(id) {
+        return this.delete(id);
+    }
+}
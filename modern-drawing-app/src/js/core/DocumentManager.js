@@ -0,0 +1,140 @@
+// src/js/core/DocumentManager.js
+import { EventEmitter } from './EventEmitter.js';
+import { DrawingDocument } from './DrawingDocument.js';
+import { DocumentLibrary } from './DocumentLibrary.js';
+import { FileManager } from './FileManager.js';
+
+/**
+ * Keeps the open drawings in tab order and which one is active, and saves
+ * them to the document library. Emits 'documentsChanged' when drawings are
+ * opened, closed or renamed, 'activeChanged' with { drawing, previous } when
+ * another tab is shown, 'documentClosed' with the drawing, and
+ * 'libraryChanged' after any change to the library.
+ */
+export class DocumentManager extends EventEmitter {
+    constructor() {
+        super();
+        this.documents = [];
+        this.active = null;
+        this.library = new DocumentLibrary();
+        this.untitledCount = 0;
+    }
+
+    create(name = this.getUntitledName(), id = undefined) {
+        const drawing = new DrawingDocument(name, id);
+        this.documents.push(drawing);
+        this.emit('documentsChanged');
+        return drawing;
+    }
+
+    find(id) {
+        return this.documents.find(drawing => drawing.id === id) || null;
+    }
+
+    activate(drawing) {
+        if (drawing === this.active) return;
+
+        const previous = this.active;
+        this.active = drawing;
+        this.emit('activeChanged', { drawing, previous });
+        this.emit('documentsChanged');
+    }
+
+    // Shows the neighbouring tab when the active one closes. The last
+    // drawing can't be closed.
+    close(drawing) {
+        const index = this.documents.indexOf(drawing);
+        if (index === -1 || this.documents.length === 1) return false;
+
+        if (drawing === this.active) {
+            this.activate(this.documents[index + 1] || this.documents[index - 1]);
+        }
+        this.documents.splice(index, 1);
+        this.emit('documentClosed', drawing);
+        this.emit('documentsChanged');
+        return true;
+    }
+
+    async rename(drawing, name) {
+        drawing.name = name;
+        this.emit('documentsChanged');
+        if (drawing.inLibrary) {
+            await this.library.rename(drawing.id, name);
+            this.emit('libraryChanged');
+        }
+    }
+
+    hasUnsavedChanges() {
+        return this.documents.some(drawing => drawing.dirty);
+    }
+
+    getUntitledName() {
+        return `Untitled ${++this.untitledCount}`;
+    }
+
+    // Stores the drawing with its undo history and a fresh thumbnail
+    async save(drawing) {
+        const fileManager = new FileManager(drawing.state, drawing.commandManager);
+        await this.library.save(
+            drawing.id,
+            drawing.name,
+            fileManager.saveToJSON({ history: true }),
+            fileManager.createThumbnail()
+        );
+        drawing.inLibrary = true;
+        this.emit('libraryChanged');
+    }
+
+    // Opens a library drawing in a new tab, or shows its tab if it is open.
+    // Resolves with the load result of FileManager.loadFromJSON and the
+    // opened `drawing`, which is null when it couldn't be loaded.
+    async open(id) {
+        const open = this.find(id);
+        if (open) {
+            this.activate(open);
+            return { success: true, errors: [], warnings: [], drawing: open };
+        }
+
+        const record = await this.library.load(id);
+        if (!record) {
+            return { success: false, errors: ['The drawing is no longer in the library'], warnings: [], drawing: null };
+        }
+
+        const drawing = new DrawingDocument(record.name, record.id);
+        const fileManager = new FileManager(drawing.state, drawing.commandManager);
+        const result = await fileManager.loadFromJSON(record.json);
+        if (!result.success) {
+            return { ...result, drawing: null };
+        }
+
+        drawing.inLibrary = true;
+        this.documents.push(drawing);
+        this.activate(drawing);
+        return { ...result, drawing };
+    }
+
+    async renameInLibrary(id, name) {
+        const open = this.find(id);
+        if (open) return this.rename(open, name);
+
+        await this.library.rename(id, name);
+        this.emit('libraryChanged');
+    }
+
+    async duplicate(id) {
+        const record = await this.library.load(id);
+        if (!record) return null;
+
+        const copy = await this.library.duplicate(id, `${record.name} copy`);
+        this.emit('libraryChanged');
+        return copy;
+    }
+
+    // An open tab of the drawing stays open as an unsaved drawing
+    async remove(id) {
+        await this.library.remove(id);
+        const open = this.find(id);
+        if (open) open.inLibrary = false;
+        this.emit('libraryChanged');
+    }
+}
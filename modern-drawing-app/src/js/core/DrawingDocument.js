@@ -0,0 +1,22 @@
+// src/js/core/DrawingDocument.js
+import { CanvasState } from './CanvasState.js';
+import { CommandManager } from './CommandManager.js';
+import { DocumentLibrary } from './DocumentLibrary.js';
+
+/**
+ * One open drawing: its shapes and viewport (CanvasState), its own undo
+ * history, and how it relates to the copy kept in the document library.
+ */
+export class DrawingDocument {
+    constructor(name, id = DocumentLibrary.createId()) {
+        this.id = id; // also the id of its library record
+        this.name = name;
+        this.state = new CanvasState();
+        this.commandManager = new CommandManager();
+        this.inLibrary = false;
+        this.dirty = false; // changed since last saved or loaded
+        this.pendingAutosave = false; // changed since the last autosave
+        this.lastAutosave = null;
+        this.historyFingerprint = null; // what its history was last saved as
+    }
+}
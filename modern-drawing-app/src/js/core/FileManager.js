@@ -1,171 +1,240 @@
 // src/js/core/FileManager.js
+import { shapeRegistry } from '../shapes/index.js';
+import { Layer } from './Layer.js';
+import { CommandContext, AddShapeCommand } from '../commands/index.js';
+import { describeShapes } from './Command.js';
+import { FILE_VERSION, readDrawingFile } from './fileFormat.js';
+import { SVGImporter } from './SVGImporter.js';
+import { SVGExporter } from './SVGExporter.js';
+import { PDFExporter } from './PDFExporter.js';
+import { getUnionBounds } from './alignment.js';
+import { createCanvas } from './canvasFactory.js';
+
+// What Open accepts: drawing files and SVG images
+export const OPEN_FILE_TYPES = '.json,.svg,image/svg+xml';
+
+export function isSVGFile(file) {
+    return file.type === 'image/svg+xml' || /\.svg$/i.test(file.name);
+}
+
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+// Largest canvas side most browsers can draw
+const MAX_IMAGE_SIZE = 16384;
+
 export class FileManager {
-    constructor(state) {
+    constructor(state, commandManager = null) {
         this.state = state;
+        this.commandManager = commandManager;
+        this.saveHistory = false; // store undo history in saved files
     }
 
-    saveToJSON() {
+    // Works on another open document from now on
+    setDocument(state, commandManager) {
+        this.state = state;
+        this.commandManager = commandManager;
+    }
+
+    saveToJSON({ history = this.saveHistory } = {}) {
         const data = {
-          version: "1.0",
+          version: FILE_VERSION,
           timestamp: new Date().toISOString(),
           viewport: {
             zoom: this.state.zoom,
             panX: this.state.panX,
             panY: this.state.panY,
           },
-          shapes: Array.from(this.state.shapes.values()).map((shape) => ({
-            id: shape.id,
-            type: shape.type,
-            x: shape.x,
-            y: shape.y,
-            fillColor: shape.fillColor,
-            strokeColor: shape.strokeColor,
-            strokeWidth: shape.strokeWidth,
-            zIndex: shape.zIndex,
-            // Shape-specific properties
-            ...(shape.type === "rectangle" && {
-              width: shape.width,
-              height: shape.height,
-            }),
-            ...(shape.type === "ellipse" && {
-              radiusX: shape.radiusX,
-              radiusY: shape.radiusY,
-            }),
-            ...(shape.type === "line" && {
-              x2: shape.x2,
-              y2: shape.y2,
-            }),
-            ...(shape.type === "text" && {
-              text: shape.text,
-              fontSize: shape.fontSize,
-              fontFamily: shape.fontFamily,
-              textAlign: shape.textAlign,
-              textBaseline: shape.textBaseline,
-            }),
-            ...(shape.type === "bezier" && {
-              endX: shape.endX,
-              endY: shape.endY,
-              cp1X: shape.cp1X,
-              cp1Y: shape.cp1Y,
-              cp2X: shape.cp2X,
-              cp2Y: shape.cp2Y,
-            }),
-          })),
+          layers: this.state.layers.map((layer) => layer.serialize()),
+          activeLayerId: this.state.activeLayerId,
+          shapes: Array.from(this.state.shapes.values()).map((shape) => shape.serialize()),
         };
+
+        if (history && this.commandManager) {
+          data.history = this.serializeHistory();
+        }
         
         return JSON.stringify(data, null, 2);
     }
 
+    /**
+     * Loads a drawing file into the state. Nothing changes unless the file
+     * can be read: it is migrated and validated first, and shapes that fail
+     * validation are left out. Resolves with { success, errors, warnings },
+     * where errors and warnings are messages for the user.
+     */
     async loadFromJSON(jsonString) {
+        const { data, errors, warnings } = readDrawingFile(jsonString);
+        if (!data) {
+            return { success: false, errors, warnings };
+        }
+
+        let layers, shapes;
         try {
-            const data = JSON.parse(jsonString);
-            
-            // Clear existing shapes
-            this.state.shapes.clear();
-            this.state.clearSelection();
-            
-            // Restore viewport
-            if (data.viewport) {
-                this.state.zoom = data.viewport.zoom || 1;
-                this.state.panX = data.viewport.panX || 0;
-                this.state.panY = data.viewport.panY || 0;
-                this.state.emit('viewChanged');
-            }
-            
-            // Recreate shapes
-            for (const shapeData of data.shapes) {
-                const shape = await this.createShapeFromData(shapeData);
-                if (shape) {
-                    this.state.shapes.set(shape.id, shape);
-                    shape.on('changed', () => this.state.emit('shapesChanged'));
-                }
-            }
-            
-            this.state.emit('shapesChanged');
-            return true;
+            layers = data.layers.map(layerData => new Layer().deserialize(layerData));
+            shapes = data.shapes
+                .map(shapeData => this.createShapeFromData(shapeData, errors))
+                .filter(Boolean);
         } catch (error) {
             console.error('Failed to load file:', error);
-            return false;
+            return { success: false, errors: [...errors, error.message], warnings };
         }
-    }
 
-    async createShapeFromData(data) {
-        const { Rectangle } = await import('../shapes/Rectangle.js');
-        const { Ellipse } = await import('../shapes/Ellipse.js');
-        const { Line } = await import('../shapes/Line.js');
-        const { Text } = await import('../shapes/Text.js');
+        // Clear existing shapes
+        this.state.setShapes([]);
         
-        let shape;
-        
-        switch (data.type) {
-            case 'rectangle':
-                shape = new Rectangle(data.x, data.y, data.width, data.height);
-                break;
-            case 'ellipse':
-                shape = new Ellipse(data.x, data.y, data.radiusX, data.radiusY);
-                break;
-            case 'line':
-                shape = new Line(data.x, data.y, data.x2, data.y2);
-                break;
-case 'bezier':
-    shape = new BezierCurve(data.x, data.y, data.endX, data.endY);
-    shape.cp1X = data.cp1X;
-    shape.cp1Y = data.cp1Y;
-    shape.cp2X = data.cp2X;
-    shape.cp2Y = data.cp2Y;
-    break;
-            case 'text':
-                shape = new Text(data.x, data.y, data.text, data.fontSize);
-                shape.fontFamily = data.fontFamily;
-                shape.textAlign = data.textAlign;
-                shape.textBaseline = data.textBaseline;
-                break;
-            default:
-                return null;
+        // Restore viewport
+        if (data.viewport) {
+            this.state.zoom = data.viewport.zoom || 1;
+            this.state.panX = data.viewport.panX || 0;
+            this.state.panY = data.viewport.panY || 0;
+            this.state.emit('viewChanged');
         }
         
-        // Apply common properties
-        shape.id = data.id;
-        shape.fillColor = data.fillColor;
-        shape.strokeColor = data.strokeColor;
-        shape.strokeWidth = data.strokeWidth;
-        shape.zIndex = data.zIndex;
+        this.state.setLayers(layers, data.activeLayerId);
         
-        return shape;
+        shapes.forEach(shape => {
+            if (!this.state.getLayer(shape.layerId)) {
+                shape.layerId = this.state.activeLayerId;
+            }
+        });
+        this.state.setShapes(shapes);
+
+        if (this.commandManager) {
+            this.commandManager.clear();
+            if (data.history && !this.restoreHistory(data.history)) {
+                warnings.push('The saved undo history belongs to a different version of this drawing and was not loaded');
+            }
+        }
+        return { success: true, errors, warnings };
+    }
+
+    // Replaces the drawing with the shapes of an SVG image. Resolves with
+    // { success, errors, warnings } like loadFromJSON.
+    async loadFromSVG(svgString) {
+        const { shapes, errors, warnings } = this.readSVG(svgString);
+        if (!shapes) {
+            return { success: false, errors, warnings };
+        }
+
+        this.state.setShapes([]);
+        this.state.batch(() => shapes.forEach(shape => this.state.addShape(shape)));
+
+        if (this.commandManager) {
+            this.commandManager.clear();
+        }
+        return { success: true, errors, warnings };
+    }
+
+    // Adds the shapes of an SVG image to the drawing as one undo step,
+    // centered on `position` when given, and selects them
+    importSVG(svgString, position = null) {
+        const { shapes, errors, warnings } = this.readSVG(svgString);
+        if (!shapes) {
+            return { success: false, errors, warnings };
+        }
+        if (shapes.length === 0) {
+            return { success: true, errors, warnings };
+        }
+
+        if (position) {
+            const bounds = getUnionBounds(shapes.map(shape => shape.getBounds()));
+            const dx = position.x - (bounds.x + bounds.width / 2);
+            const dy = position.y - (bounds.y + bounds.height / 2);
+            shapes.forEach(shape => shape.translate(dx, dy));
+        }
+        shapes.forEach(shape => {
+            shape.layerId = this.state.activeLayerId;
+        });
+
+        this.state.clearSelection();
+        if (this.commandManager) {
+            this.commandManager.beginTransaction(`Import ${describeShapes(shapes)}`);
+            shapes.forEach(shape => this.commandManager.execute(new AddShapeCommand(this.state, shape)));
+            this.commandManager.commitTransaction();
+        } else {
+            // Without a command manager, as under Node, the import can't be undone
+            shapes.forEach(shape => this.state.addShape(shape));
+        }
+        shapes.forEach(shape => this.state.selectShape(shape, true));
+
+        return { success: true, errors, warnings };
+    }
+
+    // Returns { shapes, errors, warnings }, with shapes null when the
+    // image can't be read at all
+    readSVG(svgString) {
+        try {
+            const { shapes, warnings } = new SVGImporter().parse(svgString);
+            if (shapes.length === 0) {
+                warnings.push('The image contains nothing that could be imported');
+            }
+            return { shapes, errors: [], warnings };
+        } catch (error) {
+            console.error('Failed to import SVG:', error);
+            return { shapes: null, errors: [error.message], warnings: [] };
+        }
+    }
+
+    // Identifies the drawing's content, so saved history is only restored
+    // onto the drawing it was recorded for
+    getFingerprint() {
+        const shapes = Array.from(this.state.shapes.values())
+            .sort((a, b) => (a.id < b.id ? -1 : 1))
+            .map(shape => shape.serialize());
+        return hashString(JSON.stringify(shapes));
+    }
+
+    serializeHistory() {
+        return { fingerprint: this.getFingerprint(), ...this.commandManager.serialize() };
+    }
+
+    // Returns false when the history belongs to a different drawing, or to a
+    // version of it edited elsewhere, or can't be read. Single stale steps
+    // are dropped instead.
+    restoreHistory(history) {
+        if (!history || history.fingerprint !== this.getFingerprint()) return false;
+
+        try {
+            const dropped = this.commandManager.deserialize(history, new CommandContext(this.state));
+            if (dropped > 0) {
+                console.warn(`Dropped ${dropped} undo step(s) that no longer apply`);
+            }
+        } catch (error) {
+            console.error('Failed to restore undo history:', error);
+            this.commandManager.clear();
+            return false;
+        }
+        return true;
+    }
+
+    // Data has been validated, but a shape can still fail to build; it is
+    // left out and reported in errors
+    createShapeFromData(data, errors = []) {
+        try {
+            return shapeRegistry.createShape(data);
+        } catch (error) {
+            errors.push(`Shape ${data.id}: ${error.message}`);
+            return null;
+        }
     }
 
     downloadFile(filename = 'drawing.json') {
-        const content = this.saveToJSON();
-        const blob = new Blob([content], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        a.click();
-        
-        URL.revokeObjectURL(url);
+        this.downloadBlob(new Blob([this.saveToJSON()], { type: 'application/json' }), filename);
     }
 
-    uploadFile() {
+    // Resolves with the File the user picked
+    chooseFile(accept = '.json') {
         return new Promise((resolve, reject) => {
             const input = document.createElement('input');
             input.type = 'file';
-            input.accept = '.json';
+            input.accept = accept;
             
-            input.onchange = async (e) => {
+            input.onchange = (e) => {
                 const file = e.target.files[0];
-                if (!file) {
+                if (file) {
+                    resolve(file);
+                } else {
                     reject(new Error('No file selected'));
-                    return;
-                }
-                
-                try {
-                    const text = await file.text();
-                    const success = await this.loadFromJSON(text);
-                    resolve(success);
-                } catch (error) {
-                    reject(error);
                 }
             };
             
@@ -173,59 +242,146 @@ case 'bezier':
         });
     }
 
-    exportToPNG(filename = 'drawing.png') {
-        // Create a temporary canvas with the drawing
-        const canvas = document.createElement('canvas');
+    // Drawing files and SVG images are told apart by name or type
+    async loadFile(file) {
+        const text = await file.text();
+        return isSVGFile(file) ? this.loadFromSVG(text) : this.loadFromJSON(text);
+    }
+
+    async uploadFile() {
+        return this.loadFile(await this.chooseFile(OPEN_FILE_TYPES));
+    }
+
+    // Small preview of the whole drawing, scaled to fit, as a PNG data URL
+    createThumbnail(width = 160, height = 120, padding = 8) {
+        const canvas = createCanvas(width, height);
         const ctx = canvas.getContext('2d');
-        
-        // Calculate bounds of all shapes
-        const bounds = this.calculateBounds();
-        const padding = 20;
-        
-        canvas.width = bounds.width + padding * 2;
-        canvas.height = bounds.height + padding * 2;
-        
-        // Fill with white background
+
         ctx.fillStyle = 'white';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        
-        // Render all shapes
-        ctx.translate(-bounds.x + padding, -bounds.y + padding);
-        
-        const shapes = Array.from(this.state.shapes.values())
-            .sort((a, b) => a.zIndex - b.zIndex);
-        
-        shapes.forEach(shape => this.renderShapeToCanvas(ctx, shape));
-        
-        // Download the image
-        canvas.toBlob(blob => {
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = filename;
-            a.click();
-            URL.revokeObjectURL(url);
-        });
+        ctx.fillRect(0, 0, width, height);
+
+        const shapes = this.getExportShapes();
+        if (shapes.length > 0) {
+            const bounds = this.calculateBounds();
+            const scale = Math.min(
+                (width - padding * 2) / Math.max(bounds.width, 1),
+                (height - padding * 2) / Math.max(bounds.height, 1),
+                1
+            );
+            ctx.translate(width / 2, height / 2);
+            ctx.scale(scale, scale);
+            ctx.translate(-(bounds.x + bounds.width / 2), -(bounds.y + bounds.height / 2));
+            shapes.forEach(shape => this.renderShapeToCanvas(ctx, shape));
+        }
+
+        return canvas.toDataURL('image/png');
     }
 
-    exportToSVG(filename = 'drawing.svg') {
-        const bounds = this.calculateBounds();
-        const padding = 20;
-        
-        let svg = `<svg width="${bounds.width + padding * 2}" height="${bounds.height + padding * 2}" xmlns="http://www.w3.org/2000/svg">`;
-        svg += `<rect width="100%" height="100%" fill="white"/>`;
-        svg += `<g transform="translate(${-bounds.x + padding}, ${-bounds.y + padding})">`;
-        
-        const shapes = Array.from(this.state.shapes.values())
-            .sort((a, b) => a.zIndex - b.zIndex);
-        
-        shapes.forEach(shape => {
-            svg += this.shapeToSVG(shape);
+    /**
+     * Downloads the drawing as a PNG, JPEG or WebP image. Options: format,
+     * scale (2 for twice the pixels), background (a color, or null for
+     * transparent; JPEG is always opaque and falls back to white), padding,
+     * scope ('drawing' or 'selection'), region to export a fixed area such
+     * as the visible viewport instead, and quality from 0 to 1 for JPEG and
+     * WebP. Resolves with the name of the downloaded file, whose extension
+     * says PNG if the browser can't encode the format asked for.
+     */
+    async exportToImage(filename = 'drawing.png', options = {}) {
+        const blob = await this.createImage(options);
+        const extension = IMAGE_EXTENSIONS[blob.type] || 'png';
+        const name = filename.replace(/(\.[^.]*)?$/, `.${extension}`);
+        this.downloadBlob(blob, name);
+        return name;
+    }
+
+    async createImage({ format = 'png', quality = 0.92, ...options } = {}) {
+        const type = `image/${format}`;
+        const canvas = this.renderImage({ ...options, opaque: type === 'image/jpeg' });
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('The image could not be created'));
+                }
+            }, type, quality);
         });
-        
-        svg += '</g></svg>';
-        
-        const blob = new Blob([svg], { type: 'image/svg+xml' });
+    }
+
+    // Draws the image createImage encodes and returns its canvas. Opaque
+    // images fall back to a white background.
+    renderImage({ scale = 1, background = 'white', padding = 20, scope = 'drawing', region = null, opaque = false } = {}) {
+        const shapes = this.getExportShapes({ selectionOnly: scope === 'selection' });
+        let bounds = region;
+        if (!bounds) {
+            const shapeBounds = getUnionBounds(shapes.map(shape => shape.getBounds())) || { x: 0, y: 0, width: 800, height: 600 };
+            bounds = {
+                x: shapeBounds.x - padding,
+                y: shapeBounds.y - padding,
+                width: shapeBounds.width + padding * 2,
+                height: shapeBounds.height + padding * 2
+            };
+        }
+
+        const width = Math.max(1, Math.round(bounds.width * scale));
+        const height = Math.max(1, Math.round(bounds.height * scale));
+        if (width > MAX_IMAGE_SIZE || height > MAX_IMAGE_SIZE) {
+            throw new Error(`The image would be ${width} × ${height} pixels, more than browsers can draw; use a smaller scale`);
+        }
+
+        if (opaque && !background) background = 'white';
+
+        const canvas = createCanvas(width, height);
+        if (!canvas) {
+            throw new Error('Images can only be drawn where a canvas is available');
+        }
+        const ctx = canvas.getContext('2d');
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, width, height);
+        }
+        ctx.scale(scale, scale);
+        ctx.translate(-bounds.x, -bounds.y);
+        shapes.forEach(shape => this.renderShapeToCanvas(ctx, shape));
+        return canvas;
+    }
+
+    /**
+     * Downloads the drawing as SVG. Options: background (a color, or null
+     * for transparent), title, selectionOnly, and pretty for indented
+     * markup instead of minified.
+     */
+    exportToSVG(filename = 'drawing.svg', options = {}) {
+        this.downloadBlob(new Blob([this.createSVG(options)], { type: 'image/svg+xml' }), filename);
+    }
+
+    createSVG({ selectionOnly = false, ...options } = {}) {
+        const exporter = new SVGExporter(options);
+        return exporter.export(this.getExportShapes({ selectionOnly }), this.state.layers);
+    }
+
+    /**
+     * Downloads the drawing as a vector PDF. With pages set to 'layers',
+     * each visible layer gets a page of its own; otherwise the whole drawing
+     * is on one page. Other options are those of PDFExporter.
+     */
+    exportToPDF(filename = 'drawing.pdf', options = {}) {
+        this.downloadBlob(new Blob([this.createPDF(options)], { type: 'application/pdf' }), filename);
+    }
+
+    createPDF({ pages = 'drawing', ...options } = {}) {
+        const shapes = this.getExportShapes();
+        let pageShapes = [shapes];
+        if (pages === 'layers') {
+            pageShapes = this.state.layers
+                .map(layer => shapes.filter(shape => shape.layerId === layer.id))
+                .filter(layerShapes => layerShapes.length > 0);
+        }
+        return new PDFExporter(options).export(pageShapes, this.calculateBounds());
+    }
+
+    downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
@@ -234,14 +390,29 @@ case 'bezier':
         URL.revokeObjectURL(url);
     }
 
+    // Shapes on visible layers, in drawing order. With selectionOnly, just
+    // the selected ones, which may be inside a group being edited.
+    getExportShapes({ selectionOnly = false } = {}) {
+        const shapes = this.state.getOrderedShapes().filter(shape => this.state.isShapeVisible(shape));
+        if (!selectionOnly) return shapes;
+
+        const selected = this.state.selectedShapes;
+        const pick = shape => {
+            if (selected.has(shape)) return [shape];
+            return shape.type === 'group' ? shape.children.flatMap(pick) : [];
+        };
+        return shapes.flatMap(pick);
+    }
+
     calculateBounds() {
-        if (this.state.shapes.size === 0) {
+        const shapes = this.getExportShapes();
+        if (shapes.length === 0) {
             return { x: 0, y: 0, width: 800, height: 600 };
         }
         
         let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
         
-        this.state.shapes.forEach(shape => {
+        shapes.forEach(shape => {
             const bounds = shape.getBounds();
             minX = Math.min(minX, bounds.x);
             minY = Math.min(minY, bounds.y);
@@ -258,57 +429,16 @@ case 'bezier':
     }
 
     renderShapeToCanvas(ctx, shape) {
-        ctx.save();
-        ctx.fillStyle = shape.fillColor;
-        ctx.strokeStyle = shape.strokeColor;
-        ctx.lineWidth = shape.strokeWidth;
-
-        switch (shape.type) {
-            case 'rectangle':
-                ctx.fillRect(shape.x, shape.y, shape.width, shape.height);
-                if (shape.strokeWidth > 0) {
-                    ctx.strokeRect(shape.x, shape.y, shape.width, shape.height);
-                }
-                break;
-            case 'ellipse':
-                ctx.beginPath();
-                ctx.ellipse(shape.x + shape.radiusX, shape.y + shape.radiusY,
-                           shape.radiusX, shape.radiusY, 0, 0, 2 * Math.PI);
-                ctx.fill();
-                if (shape.strokeWidth > 0) ctx.stroke();
-                break;
-            case 'line':
-                ctx.beginPath();
-                ctx.moveTo(shape.x, shape.y);
-                ctx.lineTo(shape.x2, shape.y2);
-                ctx.stroke();
-                break;
-            case 'text':
-                ctx.font = `${shape.fontSize}px ${shape.fontFamily}`;
-                ctx.textAlign = shape.textAlign;
-                ctx.textBaseline = shape.textBaseline;
-                ctx.fillText(shape.text, shape.x, shape.y);
-                break;
-        }
-        ctx.restore();
+        shape.render(ctx);
     }
+}
 
-    shapeToSVG(shape) {
-        const fill = shape.fillColor;
-        const stroke = shape.strokeWidth > 0 ? shape.strokeColor : 'none';
-        const strokeWidth = shape.strokeWidth;
-
-        switch (shape.type) {
-            case 'rectangle':
-                return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
-            case 'ellipse':
-                return `<ellipse cx="${shape.x + shape.radiusX}" cy="${shape.y + shape.radiusY}" rx="${shape.radiusX}" ry="${shape.radiusY}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
-            case 'line':
-                return `<line x1="${shape.x}" y1="${shape.y}" x2="${shape.x2}" y2="${shape.y2}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`;
-            case 'text':
-                return `<text x="${shape.x}" y="${shape.y}" font-family="${shape.fontFamily}" font-size="${shape.fontSize}" fill="${fill}">${shape.text}</text>`;
-            default:
-                return '';
-        }
+// 32-bit FNV-1a hash as hex
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
     }
-}
\ No newline at end of file
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
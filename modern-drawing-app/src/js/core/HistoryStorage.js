@@ -0,0 +1,44 @@
+// src/js/core/HistoryStorage.js
+
+/**
+ * Keeps the undo history of the last few drawings in localStorage, keyed by
+ * document fingerprint, so it survives a page reload and reopening a file.
+ */
+export class HistoryStorage {
+    constructor(key = 'drawing-app-history', maxEntries = 5) {
+        this.key = key;
+        this.maxEntries = maxEntries;
+    }
+
+    // previousFingerprint is the entry this history was last saved as; the
+    // document has changed since, so that entry is replaced
+    save(history, previousFingerprint = null) {
+        const entries = this.readEntries().filter(entry =>
+            entry.fingerprint !== history.fingerprint && entry.fingerprint !== previousFingerprint);
+        entries.unshift(history);
+
+        // Drop the oldest drawings until the history fits in storage
+        while (entries.length > 0) {
+            try {
+                localStorage.setItem(this.key, JSON.stringify(entries.slice(0, this.maxEntries)));
+                return true;
+            } catch (error) {
+                entries.pop();
+            }
+        }
+        return false;
+    }
+
+    load(fingerprint) {
+        return this.readEntries().find(entry => entry.fingerprint === fingerprint) || null;
+    }
+
+    readEntries() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.key));
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            return [];
+        }
+    }
+}
@@ -0,0 +1,67 @@
+// src/js/core/IndexedDBStore.js
+
+const DB_NAME = 'drawing-app';
+const DB_VERSION = 2;
+const STORE_NAMES = ['autosave', 'documents'];
+
+/**
+ * One object store in the app's IndexedDB database. All stores share the
+ * database, so they are all created when it is first opened or upgraded.
+ */
+export class IndexedDBStore {
+    constructor(storeName) {
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    STORE_NAMES
+                        .filter(name => !db.objectStoreNames.contains(name))
+                        .forEach(name => db.createObjectStore(name));
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Runs one request in its own transaction and resolves with its result
+    // once the transaction has completed
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    get(key) {
+        return this.request('readonly', store => store.get(key));
+    }
+
+    put(key, value) {
+        return this.request('readwrite', store => store.put(value, key));
+    }
+
+    delete(key) {
+        return this.request('readwrite', store => store.delete(key));
+    }
+
+    // Resolves with [key, value] pairs
+    async entries() {
+        const [keys, values] = await Promise.all([
+            this.request('readonly', store => store.getAllKeys()),
+            this.request('readonly', store => store.getAll())
+        ]);
+        return keys.map((key, i) => [key, values[i]]);
+    }
+}
@@ -0,0 +1,44 @@
+// src/js/core/Layer.js
+import { STRING, BOOLEAN } from './schema.js';
+
+/**
+ * Named layer of the document. Shapes refer to their layer by id; the layer
+ * order in CanvasState decides which shapes are drawn on top.
+ */
+export class Layer {
+    constructor(name = 'Layer', id = Layer.createId()) {
+        this.id = id;
+        this.name = name;
+        this.visible = true;
+        this.locked = false;
+    }
+
+    static createId() {
+        return `layer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    static getSchema() {
+        return {
+            type: 'object',
+            required: ['id'],
+            properties: { id: STRING, name: STRING, visible: BOOLEAN, locked: BOOLEAN }
+        };
+    }
+
+    serialize() {
+        return {
+            id: this.id,
+            name: this.name,
+            visible: this.visible,
+            locked: this.locked
+        };
+    }
+
+    deserialize(data) {
+        this.id = data.id ?? this.id;
+        this.name = data.name ?? this.name;
+        this.visible = data.visible ?? this.visible;
+        this.locked = data.locked ?? this.locked;
+        return this;
+    }
+}
@@ -0,0 +1,119 @@
+// src/js/core/Matrix.js
+
+/**
+ * 2D affine matrix in the same layout as the canvas and SVG APIs:
+ * | a c e |
+ * | b d f |
+ * Angles are in degrees.
+ */
+export class Matrix {
+    constructor(a = 1, b = 0, c = 0, d = 1, e = 0, f = 0) {
+        this.a = a;
+        this.b = b;
+        this.c = c;
+        this.d = d;
+        this.e = e;
+        this.f = f;
+    }
+
+    static identity() {
+        return new Matrix();
+    }
+
+    static translate(tx, ty) {
+        return new Matrix(1, 0, 0, 1, tx, ty);
+    }
+
+    static scale(sx, sy = sx) {
+        return new Matrix(sx, 0, 0, sy, 0, 0);
+    }
+
+    static rotate(degrees) {
+        const radians = degrees * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        return new Matrix(cos, sin, -sin, cos, 0, 0);
+    }
+
+    static skew(skewXDegrees, skewYDegrees = 0) {
+        return new Matrix(
+            1, Math.tan(skewYDegrees * Math.PI / 180),
+            Math.tan(skewXDegrees * Math.PI / 180), 1,
+            0, 0
+        );
+    }
+
+    // Maps one rectangle onto another by scaling and translating
+    static fromBounds(fromBounds, toBounds) {
+        const scaleX = fromBounds.width ? toBounds.width / fromBounds.width : 1;
+        const scaleY = fromBounds.height ? toBounds.height / fromBounds.height : 1;
+        return Matrix.translate(toBounds.x, toBounds.y)
+            .multiply(Matrix.scale(scaleX, scaleY))
+            .multiply(Matrix.translate(-fromBounds.x, -fromBounds.y));
+    }
+
+    // Returns this * other, so other is applied first
+    multiply(other) {
+        return new Matrix(
+            this.a * other.a + this.c * other.b,
+            this.b * other.a + this.d * other.b,
+            this.a * other.c + this.c * other.d,
+            this.b * other.c + this.d * other.d,
+            this.a * other.e + this.c * other.f + this.e,
+            this.b * other.e + this.d * other.f + this.f
+        );
+    }
+
+    invert() {
+        const det = this.a * this.d - this.b * this.c;
+        if (det === 0) return null;
+
+        return new Matrix(
+            this.d / det,
+            -this.b / det,
+            -this.c / det,
+            this.a / det,
+            (this.c * this.f - this.d * this.e) / det,
+            (this.b * this.e - this.a * this.f) / det
+        );
+    }
+
+    transformPoint(x, y) {
+        return {
+            x: this.a * x + this.c * y + this.e,
+            y: this.b * x + this.d * y + this.f
+        };
+    }
+
+    isIdentity(epsilon = 1e-9) {
+        return Math.abs(this.a - 1) < epsilon && Math.abs(this.b) < epsilon &&
+               Math.abs(this.c) < epsilon && Math.abs(this.d - 1) < epsilon &&
+               Math.abs(this.e) < epsilon && Math.abs(this.f) < epsilon;
+    }
+
+    // Splits the linear part into rotate * skewX * scale. A mirrored matrix
+    // comes back with a negative scaleY.
+    decompose() {
+        const rotation = Math.atan2(this.b, this.a);
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const scaleX = Math.hypot(this.a, this.b);
+        const scaleY = cos * this.d - sin * this.c;
+        const shear = cos * this.c + sin * this.d;
+
+        return {
+            rotation: rotation * 180 / Math.PI,
+            scaleX,
+            scaleY,
+            skewX: scaleY ? Math.atan(shear / scaleY) * 180 / Math.PI : 0,
+            translateX: this.e,
+            translateY: this.f
+        };
+    }
+
+    toSVG() {
+        const values = [this.a, this.b, this.c, this.d, this.e, this.f]
+            .map(value => Math.round(value * 1e6) / 1e6 || 0);
+        return `matrix(${values.join(' ')})`;
+    }
+}
@@ -0,0 +1,459 @@
+// src/js/core/PDFExporter.js
+import { PDFWriter, getStandardFont, encodeFontString, formatNumber } from './PDFWriter.js';
+import { getUnionBounds } from './alignment.js';
+import { createCanvas, measureTextWidth } from './canvasFactory.js';
+
+// Page sizes in points, portrait
+export const PAGE_SIZES = {
+    a3: { width: 841.89, height: 1190.55 },
+    a4: { width: 595.28, height: 841.89 },
+    a5: { width: 419.53, height: 595.28 },
+    letter: { width: 612, height: 792 },
+    legal: { width: 612, height: 1008 },
+    tabloid: { width: 792, height: 1224 }
+};
+
+// Drawing units are CSS pixels, 96 to the inch; PDF has 72 points to the inch
+const POINTS_PER_PIXEL = 0.75;
+
+/**
+ * Writes shapes as a vector PDF. Shapes draw themselves through PDFContext,
+ * the same calls they make on a canvas, which turns paths into PDF path
+ * operators and text into text in the standard fonts.
+ *
+ * Options: pageSize (a key of PAGE_SIZES, or 'content' for a page the size
+ * of the drawing), orientation ('auto', 'portrait' or 'landscape'), margin
+ * in points, fitToPage to scale the drawing to the space inside the margins
+ * instead of printing it at its own size, background (a color, or null),
+ * and title.
+ */
+export class PDFExporter {
+    constructor({ pageSize = 'a4', orientation = 'auto', margin = 36, fitToPage = true, background = null, title = '' } = {}) {
+        this.pageSize = pageSize;
+        this.orientation = orientation;
+        this.margin = margin;
+        this.fitToPage = fitToPage;
+        this.background = background;
+        this.title = title;
+    }
+
+    // Each entry of `pages` is a list of shapes in drawing order. Pages share
+    // the placement of `bounds`, so shapes line up from page to page.
+    export(pages, bounds = getUnionBounds(pages.flat().map(shape => shape.getBounds()))) {
+        bounds = bounds || { x: 0, y: 0, width: 800, height: 600 };
+        const writer = new PDFWriter({ title: this.title });
+        const page = this.getPageSize(bounds);
+
+        const available = {
+            width: Math.max(1, page.width - this.margin * 2),
+            height: Math.max(1, page.height - this.margin * 2)
+        };
+        const scale = this.fitToPage
+            ? Math.min(available.width / Math.max(bounds.width, 1), available.height / Math.max(bounds.height, 1))
+            : POINTS_PER_PIXEL;
+        // Centered on the page, with the y axis pointing down as on the canvas
+        const left = (page.width - bounds.width * scale) / 2 - bounds.x * scale;
+        const top = (page.height - bounds.height * scale) / 2 - bounds.y * scale;
+
+        (pages.length > 0 ? pages : [[]]).forEach(shapes => {
+            const ctx = new PDFContext(writer);
+            if (this.background) {
+                ctx.fillStyle = this.background;
+                ctx.fillRect(0, 0, page.width, page.height);
+            }
+            ctx.transform(scale, 0, 0, -scale, left, page.height - top);
+            shapes.forEach(shape => shape.render(ctx));
+            writer.addPage(page.width, page.height, ctx.getContent());
+        });
+
+        return writer.write();
+    }
+
+    getPageSize(bounds) {
+        if (this.pageSize === 'content') {
+            const scale = this.fitToPage ? 1 : POINTS_PER_PIXEL;
+            return {
+                width: bounds.width * scale + this.margin * 2,
+                height: bounds.height * scale + this.margin * 2
+            };
+        }
+
+        const size = PAGE_SIZES[this.pageSize] || PAGE_SIZES.a4;
+        const landscape = this.orientation === 'landscape' ||
+            (this.orientation === 'auto' && bounds.width > bounds.height);
+        return landscape
+            ? { width: size.height, height: size.width }
+            : { ...size };
+    }
+}
+
+/**
+ * The part of the canvas 2D context that shapes draw with, recording PDF
+ * content instead of pixels. Coordinates pass through unchanged; the page
+ * transform set up by the exporter maps them to points.
+ */
+class PDFContext {
+    constructor(writer) {
+        this.writer = writer;
+        this.operators = [];
+        this.path = [];
+        this.currentPoint = null;
+        this.subpathStart = null;
+        this.stack = [];
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.lineDash = [];
+        this.globalAlpha = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+    }
+
+    getContent() {
+        return this.operators.join('\n');
+    }
+
+    save() {
+        this.stack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            lineCap: this.lineCap,
+            lineJoin: this.lineJoin,
+            lineDash: this.lineDash,
+            globalAlpha: this.globalAlpha,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline
+        });
+        this.operators.push('q');
+    }
+
+    restore() {
+        const saved = this.stack.pop();
+        if (!saved) return;
+        Object.assign(this, saved);
+        this.operators.push('Q');
+    }
+
+    transform(a, b, c, d, e, f) {
+        this.operators.push(`${[a, b, c, d, e, f].map(formatNumber).join(' ')} cm`);
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments];
+    }
+
+    // Paths
+
+    beginPath() {
+        this.path = [];
+        this.currentPoint = null;
+    }
+
+    moveTo(x, y) {
+        this.path.push(`${formatNumber(x)} ${formatNumber(y)} m`);
+        this.currentPoint = { x, y };
+        this.subpathStart = { x, y };
+    }
+
+    lineTo(x, y) {
+        if (!this.currentPoint) {
+            this.moveTo(x, y);
+            return;
+        }
+        this.path.push(`${formatNumber(x)} ${formatNumber(y)} l`);
+        this.currentPoint = { x, y };
+    }
+
+    bezierCurveTo(x1, y1, x2, y2, x, y) {
+        if (!this.currentPoint) this.moveTo(x1, y1);
+        this.path.push(`${[x1, y1, x2, y2, x, y].map(formatNumber).join(' ')} c`);
+        this.currentPoint = { x, y };
+    }
+
+    quadraticCurveTo(qx, qy, x, y) {
+        if (!this.currentPoint) this.moveTo(qx, qy);
+        const { x: x0, y: y0 } = this.currentPoint;
+        this.bezierCurveTo(
+            x0 + (qx - x0) * 2 / 3, y0 + (qy - y0) * 2 / 3,
+            x + (qx - x) * 2 / 3, y + (qy - y) * 2 / 3,
+            x, y
+        );
+    }
+
+    closePath() {
+        if (!this.currentPoint) return;
+        this.path.push('h');
+        this.currentPoint = { ...this.subpathStart };
+    }
+
+    rect(x, y, width, height) {
+        this.path.push(`${[x, y, width, height].map(formatNumber).join(' ')} re`);
+        this.currentPoint = { x, y };
+        this.subpathStart = { x, y };
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+    }
+
+    // Approximated with one cubic curve per quarter turn or less
+    ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+        const turn = 2 * Math.PI;
+        const wrap = angle => (angle % turn + turn) % turn;
+        let sweep;
+        if (counterclockwise) {
+            sweep = startAngle - endAngle >= turn ? -turn : -wrap(startAngle - endAngle);
+        } else {
+            sweep = endAngle - startAngle >= turn ? turn : wrap(endAngle - startAngle);
+        }
+
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const point = (angle, scale = 1) => {
+            const px = radiusX * Math.cos(angle) * scale;
+            const py = radiusY * Math.sin(angle) * scale;
+            return { x: x + px * cos - py * sin, y: y + px * sin + py * cos };
+        };
+        const tangent = angle => {
+            const px = -radiusX * Math.sin(angle);
+            const py = radiusY * Math.cos(angle);
+            return { x: px * cos - py * sin, y: px * sin + py * cos };
+        };
+
+        const start = point(startAngle);
+        if (this.currentPoint) {
+            this.lineTo(start.x, start.y);
+        } else {
+            this.moveTo(start.x, start.y);
+        }
+
+        const count = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+        const step = sweep / count;
+        const k = 4 / 3 * Math.tan(step / 4);
+        for (let i = 0; i < count; i++) {
+            const a1 = startAngle + i * step;
+            const a2 = a1 + step;
+            const p1 = point(a1);
+            const p2 = point(a2);
+            const t1 = tangent(a1);
+            const t2 = tangent(a2);
+            this.bezierCurveTo(
+                p1.x + k * t1.x, p1.y + k * t1.y,
+                p2.x - k * t2.x, p2.y - k * t2.y,
+                p2.x, p2.y
+            );
+        }
+    }
+
+    fill() {
+        const paint = this.setFillColor();
+        if (!paint || this.path.length === 0) return;
+        this.operators.push('q', paint, ...this.path, 'f', 'Q');
+    }
+
+    stroke() {
+        const paint = this.setStrokeStyle();
+        if (!paint || this.path.length === 0) return;
+        this.operators.push('q', paint, ...this.path, 'S', 'Q');
+    }
+
+    fillRect(x, y, width, height) {
+        const paint = this.setFillColor();
+        if (!paint) return;
+        this.operators.push('q', paint, `${[x, y, width, height].map(formatNumber).join(' ')} re`, 'f', 'Q');
+    }
+
+    strokeRect(x, y, width, height) {
+        const paint = this.setStrokeStyle();
+        if (!paint) return;
+        this.operators.push('q', paint, `${[x, y, width, height].map(formatNumber).join(' ')} re`, 'S', 'Q');
+    }
+
+    // Text
+
+    fillText(text, x, y) {
+        const paint = this.setFillColor();
+        if (paint) this.showText(text, x, y, paint, 0);
+    }
+
+    strokeText(text, x, y) {
+        const paint = this.setStrokeStyle();
+        if (paint) this.showText(text, x, y, paint, 1);
+    }
+
+    measureText(text) {
+        return { width: measureTextWidth(text, this.font) };
+    }
+
+    // Images
+
+    // The image's pixels are embedded at their own resolution. The unit
+    // square images are drawn in has its origin at the bottom left, so the
+    // matrix flips it to put the first row at the top.
+    drawImage(image, x, y, width = image.width, height = image.height) {
+        const pixels = getImagePixels(image);
+        if (!pixels || this.globalAlpha <= 0) return;
+
+        const name = this.writer.addImage(pixels.width, pixels.height, pixels.rgb, pixels.alpha);
+        this.operators.push(...[
+            'q', this.getOpacity(this.globalAlpha),
+            `${[width, 0, 0, -height, x, y + height].map(formatNumber).join(' ')} cm`,
+            `${name} Do`, 'Q'
+        ].filter(Boolean));
+    }
+
+    // The page transform flips the y axis, so the text matrix flips it back
+    showText(text, x, y, paint, renderMode) {
+        const { size, family } = parseFont(this.font);
+        const width = measureTextWidth(text, this.font);
+        const align = this.textAlign;
+        if (align === 'center') x -= width / 2;
+        if (align === 'right' || align === 'end') x -= width;
+        y += size * (BASELINE_OFFSETS[this.textBaseline] ?? 0);
+
+        const font = this.writer.getFontName(getStandardFont(family));
+        this.operators.push(
+            'q', paint, 'BT',
+            `${font} ${formatNumber(size)} Tf`,
+            `${renderMode} Tr`,
+            `1 0 0 -1 ${formatNumber(x)} ${formatNumber(y)} Tm`,
+            `${encodeFontString(text)} Tj`,
+            'ET', 'Q'
+        );
+    }
+
+    // Paint state, as operators, or null when there is nothing to paint
+
+    setFillColor() {
+        const color = parseColor(this.fillStyle);
+        const alpha = color.alpha * this.globalAlpha;
+        if (alpha <= 0) return null;
+        return [this.getOpacity(alpha), `${formatColor(color)} rg`].filter(Boolean).join(' ');
+    }
+
+    // A zero width draws nothing, unlike PDF where it means the thinnest line
+    setStrokeStyle() {
+        const color = parseColor(this.strokeStyle);
+        const alpha = color.alpha * this.globalAlpha;
+        if (alpha <= 0 || !(this.lineWidth > 0)) return null;
+
+        const dash = this.lineDash.length > 0 ? `[${this.lineDash.map(formatNumber).join(' ')}] 0 d` : '';
+        return [
+            this.getOpacity(alpha),
+            `${formatColor(color)} RG`,
+            `${formatNumber(this.lineWidth)} w`,
+            `${LINE_CAPS[this.lineCap] ?? 0} J`,
+            `${LINE_JOINS[this.lineJoin] ?? 0} j`,
+            dash
+        ].filter(Boolean).join(' ');
+    }
+
+    getOpacity(alpha) {
+        return alpha < 1 ? `${this.writer.getOpacityName(alpha)} gs` : '';
+    }
+}
+
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+const LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+
+// Distance from each canvas text baseline down to the alphabetic baseline,
+// in ems, for typical Latin fonts
+const BASELINE_OFFSETS = { top: 0.8, hanging: 0.7, middle: 0.3, alphabetic: 0, ideographic: -0.2, bottom: -0.2 };
+
+function parseFont(font) {
+    const match = /(\d*\.?\d+)px\s+(.+)$/.exec(font);
+    return match
+        ? { size: parseFloat(match[1]), family: match[2] }
+        : { size: 10, family: 'sans-serif' };
+}
+
+// Hex-encoded samples of an image, read through a canvas: { width, height,
+// rgb, alpha }, with alpha null for opaque images. Null when the image has
+// no pixels yet or can't be read.
+function getImagePixels(image) {
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    if (!(width > 0 && height > 0)) return null;
+
+    const canvas = createCanvas(width, height);
+    if (!canvas) return null;
+    let data;
+    try {
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+        data = ctx.getImageData(0, 0, width, height).data;
+    } catch (error) {
+        console.warn('Image left out of the PDF:', error);
+        return null;
+    }
+
+    const hex = value => (value < 16 ? '0' : '') + value.toString(16);
+    const rgb = [];
+    const alpha = [];
+    let opaque = true;
+    for (let i = 0; i < data.length; i += 4) {
+        rgb.push(hex(data[i]) + hex(data[i + 1]) + hex(data[i + 2]));
+        alpha.push(hex(data[i + 3]));
+        if (data[i + 3] < 255) opaque = false;
+    }
+    return { width, height, rgb: rgb.join(''), alpha: opaque ? null : alpha.join('') };
+}
+
+let colorContext;
+
+// Returns { r, g, b, alpha } with channels from 0 to 1. Colors other than
+// hex and rgb() are resolved by a canvas, which knows every CSS color;
+// without one they print black.
+function parseColor(color) {
+    const value = String(color).trim().toLowerCase();
+    if (value === 'transparent' || value === 'none' || value === '') {
+        return { r: 0, g: 0, b: 0, alpha: 0 };
+    }
+
+    let match = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(value);
+    if (match) {
+        let hex = match[1];
+        if (hex.length <= 4) hex = hex.replace(/./g, '$&$&');
+        const channel = index => parseInt(hex.slice(index, index + 2), 16) / 255;
+        return { r: channel(0), g: channel(2), b: channel(4), alpha: hex.length === 8 ? channel(6) : 1 };
+    }
+
+    match = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+)(%?))?\s*\)$/.exec(value);
+    if (match) {
+        let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+        if (match[5]) alpha /= 100;
+        return { r: match[1] / 255, g: match[2] / 255, b: match[3] / 255, alpha: Math.min(1, alpha) };
+    }
+
+    if (colorContext === undefined) {
+        colorContext = createCanvas(1, 1)?.getContext('2d') || null;
+    }
+    if (!colorContext) return { r: 0, g: 0, b: 0, alpha: 1 };
+    colorContext.fillStyle = '#000000';
+    colorContext.fillStyle = value;
+    const resolved = colorContext.fillStyle;
+    return resolved.toLowerCase() === value ? { r: 0, g: 0, b: 0, alpha: 1 } : parseColor(resolved);
+}
+
+function formatColor({ r, g, b }) {
+    return [r, g, b].map(formatNumber).join(' ');
+}
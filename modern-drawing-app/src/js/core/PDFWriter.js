@@ -0,0 +1,159 @@
+// src/js/core/PDFWriter.js
+
+// Standard PDF fonts need no embedding; every viewer has them
+const STANDARD_FONTS = ['Helvetica', 'Times-Roman', 'Courier'];
+
+// Windows-1252 characters outside Latin-1, which WinAnsiEncoding also covers
+const WIN_ANSI = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+    'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+/**
+ * Assembles a PDF file from page content streams. Pages use PDF points with
+ * the origin at the bottom left. The output is plain ASCII, so string
+ * lengths are byte offsets.
+ */
+export class PDFWriter {
+    constructor({ title = '' } = {}) {
+        this.title = title;
+        this.pages = []; // { width, height, content }
+        this.opacities = new Map(); // alpha -> ExtGState name
+        this.images = []; // { width, height, rgb, alpha }
+    }
+
+    addPage(width, height, content) {
+        this.pages.push({ width, height, content });
+    }
+
+    // Name of a standard font for use with Tf
+    getFontName(font) {
+        return `/F${STANDARD_FONTS.indexOf(font) + 1}`;
+    }
+
+    // Name of a graphics state with this fill and stroke opacity, for gs
+    getOpacityName(alpha) {
+        const key = formatNumber(alpha);
+        if (!this.opacities.has(key)) {
+            this.opacities.set(key, `/GS${this.opacities.size + 1}`);
+        }
+        return this.opacities.get(key);
+    }
+
+    // Adds an image XObject and returns its name, for use with Do. Samples
+    // are hex strings of 8-bit RGB and, for images with transparency, alpha.
+    addImage(width, height, rgb, alpha = null) {
+        this.images.push({ width, height, rgb, alpha });
+        return `/Im${this.images.length}`;
+    }
+
+    // Returns the whole file as a string
+    write() {
+        const objects = [];
+        const add = body => objects.push(body);
+
+        add('<< /Type /Catalog /Pages 2 0 R >>');
+        add(null); // page tree, filled in once the pages have numbers
+
+        const fonts = STANDARD_FONTS.map((font, index) => {
+            add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`);
+            return `/F${index + 1} ${objects.length} 0 R`;
+        });
+        const states = Array.from(this.opacities, ([alpha, name]) => {
+            add(`<< /Type /ExtGState /ca ${alpha} /CA ${alpha} >>`);
+            return `${name} ${objects.length} 0 R`;
+        });
+        const images = this.images.map((image, index) => {
+            const samples = `/Width ${image.width} /Height ${image.height} /BitsPerComponent 8 /Filter /ASCIIHexDecode`;
+            let mask = '';
+            if (image.alpha) {
+                add(`<< /Type /XObject /Subtype /Image ${samples} /ColorSpace /DeviceGray /Length ${image.alpha.length + 1} >>\nstream\n${image.alpha}>\nendstream`);
+                mask = ` /SMask ${objects.length} 0 R`;
+            }
+            add(`<< /Type /XObject /Subtype /Image ${samples} /ColorSpace /DeviceRGB${mask} /Length ${image.rgb.length + 1} >>\nstream\n${image.rgb}>\nendstream`);
+            return `/Im${index + 1} ${objects.length} 0 R`;
+        });
+        const resources = `<< /Font << ${fonts.join(' ')} >>` +
+            (states.length > 0 ? ` /ExtGState << ${states.join(' ')} >>` : '') +
+            (images.length > 0 ? ` /XObject << ${images.join(' ')} >>` : '') + ' >>';
+
+        const pageRefs = this.pages.map(page => {
+            add(`<< /Length ${page.content.length} >>\nstream\n${page.content}\nendstream`);
+            const contentRef = objects.length;
+            add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(page.height)}] ` +
+                `/Resources ${resources} /Contents ${contentRef} 0 R >>`);
+            return `${objects.length} 0 R`;
+        });
+        objects[1] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pageRefs.length} >>`;
+
+        const info = [`/Producer ${encodeTextString('Modern Drawing App')}`, `/CreationDate (${formatDate(new Date())})`];
+        if (this.title) info.unshift(`/Title ${encodeTextString(this.title)}`);
+        add(`<< ${info.join(' ')} >>`);
+
+        let output = '%PDF-1.4\n';
+        const offsets = objects.map((body, index) => {
+            const offset = output.length;
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        offsets.forEach(offset => {
+            output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+        });
+        output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+        output += `startxref\n${xref}\n%%EOF\n`;
+        return output;
+    }
+}
+
+// Picks the standard font closest to a CSS font family list
+export function getStandardFont(fontFamily) {
+    const family = String(fontFamily).toLowerCase();
+    if (/courier|mono/.test(family)) return 'Courier';
+    if (/times|georgia|garamond|(^|[\s,"'])serif/.test(family)) return 'Times-Roman';
+    return 'Helvetica';
+}
+
+// A literal string for text shown in a standard font. Characters the font
+// encoding lacks print as "?".
+export function encodeFontString(text) {
+    let result = '(';
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        const byte = code < 0x80 || (code >= 0xa0 && code <= 0xff) ? code : (WIN_ANSI[char] ?? 0x3f);
+        if (char === '(' || char === ')' || char === '\\') {
+            result += `\\${char}`;
+        } else if (byte < 0x20 || byte > 0x7e) {
+            result += `\\${byte.toString(8).padStart(3, '0')}`;
+        } else {
+            result += String.fromCharCode(byte);
+        }
+    }
+    return `${result})`;
+}
+
+// Document metadata strings are UTF-16 when they aren't plain ASCII
+function encodeTextString(text) {
+    if (/^[\x20-\x7e]*$/.test(text)) {
+        return `(${text.replace(/[()\\]/g, '\\$&')})`;
+    }
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+    }
+    return `<${hex}>`;
+}
+
+export function formatNumber(value) {
+    return String(Math.round(value * 1000) / 1000 || 0);
+}
+
+function formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+        `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
@@ -0,0 +1,62 @@
+// src/js/core/SVGExporter.js
+import { escapeXML, formatNumber, formatXML, toSVGId } from './svgMarkup.js';
+import { getUnionBounds } from './alignment.js';
+
+/**
+ * Writes shapes as a standalone SVG document. The viewBox is the shapes'
+ * bounds plus padding, in drawing coordinates, so elements keep the
+ * positions they have on the canvas. Shapes are grouped by layer, and
+ * elements take their ids from the shapes and layers, so exporting the same
+ * drawing again gives the same ids.
+ */
+export class SVGExporter {
+    constructor({ background = 'white', padding = 20, title = '', pretty = true } = {}) {
+        this.background = background; // null or 'transparent' for none
+        this.padding = padding;
+        this.title = title;
+        this.pretty = pretty;
+    }
+
+    // Shapes in drawing order; each is placed in the group of its layer
+    export(shapes, layers) {
+        const bounds = getUnionBounds(shapes.map(shape => shape.getBounds())) ||
+            { x: 0, y: 0, width: 800, height: 600 };
+        const [x, y, width, height] = [
+            bounds.x - this.padding,
+            bounds.y - this.padding,
+            bounds.width + this.padding * 2,
+            bounds.height + this.padding * 2
+        ].map(formatNumber);
+
+        let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">`;
+        if (this.title) {
+            svg += `<title>${escapeXML(this.title)}</title>`;
+        }
+        if (this.background && this.background !== 'transparent') {
+            svg += `<rect id="background" x="${x}" y="${y}" width="${width}" height="${height}" fill="${escapeXML(this.background)}"/>`;
+        }
+
+        // One group per layer with shapes to export, bottom to top
+        layers.forEach(layer => {
+            const layerShapes = shapes.filter(shape => getTopLevelShape(shape).layerId === layer.id);
+            if (layerShapes.length === 0) return;
+
+            svg += `<g id="${escapeXML(toSVGId(layer.id))}" data-name="${escapeXML(layer.name)}">`;
+            layerShapes.forEach(shape => {
+                svg += shape.toSVG();
+            });
+            svg += '</g>';
+        });
+        svg += '</svg>';
+
+        const declaration = '<?xml version="1.0" encoding="UTF-8"?>';
+        return this.pretty
+            ? `${declaration}\n${formatXML(svg)}\n`
+            : declaration + svg;
+    }
+}
+
+// Shapes exported from inside a group belong to the layer of the group
+function getTopLevelShape(shape) {
+    return shape.parent ? getTopLevelShape(shape.parent) : shape;
+}
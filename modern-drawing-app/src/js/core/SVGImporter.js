@@ -0,0 +1,466 @@
+// src/js/core/SVGImporter.js
+import { Rectangle, Ellipse, Line, Text, Polygon, Path, ImageShape, Group } from '../shapes/index.js';
+import { Matrix } from './Matrix.js';
+import { parsePathData } from './pathData.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Properties children take from their ancestors, with the SVG initial values
+const INHERITED_STYLE = {
+    'fill': 'black',
+    'stroke': 'none',
+    'stroke-width': '1',
+    'color': 'black',
+    'font-size': '16',
+    'font-family': 'Arial, sans-serif',
+    'text-anchor': 'start',
+    'dominant-baseline': 'auto'
+};
+
+// Properties that are read but can't be represented, with what the user is told
+const UNSUPPORTED_STYLE = {
+    'opacity': 'Opacity was ignored',
+    'fill-opacity': 'Opacity was ignored',
+    'stroke-opacity': 'Opacity was ignored',
+    'stroke-dasharray': 'Dashed strokes were made solid',
+    'filter': 'Filters were ignored',
+    'clip-path': 'Clipping paths were ignored',
+    'mask': 'Masks were ignored',
+    'marker-start': 'Markers were ignored',
+    'marker-mid': 'Markers were ignored',
+    'marker-end': 'Markers were ignored'
+};
+
+// Elements that only hold definitions or metadata and draw nothing themselves
+const SILENT_ELEMENTS = new Set([
+    'defs', 'title', 'desc', 'metadata', 'symbol', 'linearGradient', 'radialGradient',
+    'pattern', 'clipPath', 'mask', 'marker', 'filter', 'script', 'style'
+]);
+
+const CONTAINER_ELEMENTS = new Set(['g', 'a', 'switch', 'svg']);
+
+const TEXT_ANCHORS = { start: 'left', middle: 'center', end: 'right' };
+const BASELINES = {
+    'auto': 'alphabetic',
+    'alphabetic': 'alphabetic',
+    'middle': 'middle',
+    'central': 'middle',
+    'hanging': 'hanging',
+    'text-before-edge': 'top',
+    'text-top': 'top',
+    'ideographic': 'ideographic',
+    'text-after-edge': 'bottom',
+    'text-bottom': 'bottom'
+};
+
+// Absolute units in user units (CSS pixels)
+const UNITS = { px: 1, pt: 4 / 3, pc: 16, mm: 96 / 25.4, cm: 96 / 2.54, in: 96 };
+
+/**
+ * Reads an SVG document into native shapes. Elements keep their own shape
+ * type where one exists; groups become groups, and a path with several
+ * subpaths becomes a group of paths. Transforms are applied to the shapes,
+ * so what is imported lines up with what the SVG shows. Anything that can't
+ * be represented is dropped or simplified and listed in the warnings.
+ */
+export class SVGImporter {
+    constructor() {
+        this.warnings = new Map(); // message -> count
+    }
+
+    // Returns { shapes, warnings }. Throws when the text is not an SVG document.
+    parse(svgString) {
+        this.warnings.clear();
+
+        const doc = new DOMParser().parseFromString(svgString, 'image/svg+xml');
+        const root = doc.documentElement;
+        if (doc.getElementsByTagName('parsererror').length > 0 || !root) {
+            throw new Error('The file is not valid SVG');
+        }
+        if (root.localName !== 'svg' || root.namespaceURI !== SVG_NAMESPACE) {
+            throw new Error('The file is not an SVG image');
+        }
+
+        if (Array.from(doc.getElementsByTagNameNS(SVG_NAMESPACE, 'style')).some(style => style.textContent.trim())) {
+            this.warn('CSS style sheets were ignored; only attributes and inline styles were read');
+        }
+
+        const matrix = this.getViewportMatrix(root, false);
+        const shapes = this.importChildren(root, matrix, this.getStyle(root, INHERITED_STYLE));
+        return { shapes, warnings: this.getWarnings() };
+    }
+
+    warn(message) {
+        this.warnings.set(message, (this.warnings.get(message) || 0) + 1);
+    }
+
+    getWarnings() {
+        return Array.from(this.warnings, ([message, count]) =>
+            count > 1 ? `${message} (${count} times)` : message);
+    }
+
+    importChildren(element, matrix, style) {
+        return Array.from(element.children)
+            .map(child => this.importElement(child, matrix, style))
+            .filter(Boolean);
+    }
+
+    // Returns a shape, or null when the element draws nothing that can be imported
+    importElement(element, parentMatrix, parentStyle) {
+        const name = element.localName;
+        // Editor data from other namespaces, such as Inkscape's
+        if (element.namespaceURI !== SVG_NAMESPACE || SILENT_ELEMENTS.has(name)) {
+            return null;
+        }
+
+        const style = this.getStyle(element, parentStyle);
+        if (style.display === 'none' || style.visibility === 'hidden') return null;
+
+        let matrix = parentMatrix.multiply(this.parseTransform(element.getAttribute('transform')));
+        if (CONTAINER_ELEMENTS.has(name)) {
+            if (name === 'svg') matrix = matrix.multiply(this.getViewportMatrix(element, true));
+            return this.createGroup(this.importChildren(element, matrix, style));
+        }
+
+        let shape;
+        switch (name) {
+            case 'rect':
+                shape = this.importRect(element, matrix);
+                break;
+            case 'circle':
+            case 'ellipse':
+                shape = this.importEllipse(element, matrix);
+                break;
+            case 'line':
+                shape = this.importLine(element, matrix);
+                break;
+            case 'polyline':
+            case 'polygon':
+                shape = this.importPolygon(element, matrix, name === 'polygon');
+                break;
+            case 'path':
+                shape = this.importPath(element, matrix, style);
+                break;
+            case 'text':
+                shape = this.importText(element, matrix, style);
+                break;
+            case 'image':
+                return this.importImage(element, matrix);
+            default:
+                this.warn(`Skipped unsupported <${name}> elements`);
+                return null;
+        }
+
+        // Paths style each of their parts themselves
+        if (shape && name !== 'path') {
+            this.applyStyle(shape, style, matrix);
+        }
+        return shape;
+    }
+
+    createGroup(children) {
+        if (children.length === 0) return null;
+        return children.length === 1 ? children[0] : new Group(children);
+    }
+
+    importRect(element, matrix) {
+        const x = this.getLength(element, 'x');
+        const y = this.getLength(element, 'y');
+        const width = this.getLength(element, 'width');
+        const height = this.getLength(element, 'height');
+        if (width <= 0 || height <= 0) return null;
+
+        let rx = this.getLength(element, 'rx', NaN);
+        let ry = this.getLength(element, 'ry', NaN);
+        if (isNaN(rx)) rx = isNaN(ry) ? 0 : ry;
+        if (isNaN(ry)) ry = rx;
+        rx = Math.min(rx, width / 2);
+        ry = Math.min(ry, height / 2);
+
+        // Rounded corners are drawn as a path with arcs
+        if (rx > 0 && ry > 0) {
+            const arc = (endX, endY) => `A${rx} ${ry} 0 0 1 ${endX} ${endY}`;
+            const d = `M${x + rx} ${y} H${x + width - rx} ${arc(x + width, y + ry)} ` +
+                `V${y + height - ry} ${arc(x + width - rx, y + height)} H${x + rx} ` +
+                `${arc(x, y + height - ry)} V${y + ry} ${arc(x + rx, y)} Z`;
+            return this.createPath(parsePathData(d)[0], matrix);
+        }
+
+        return this.placeShape(new Rectangle(x, y, width, height), matrix);
+    }
+
+    importEllipse(element, matrix) {
+        const cx = this.getLength(element, 'cx');
+        const cy = this.getLength(element, 'cy');
+        let rx, ry;
+        if (element.localName === 'circle') {
+            rx = ry = this.getLength(element, 'r');
+        } else {
+            rx = this.getLength(element, 'rx', NaN);
+            ry = this.getLength(element, 'ry', NaN);
+            if (isNaN(rx)) rx = ry;
+            if (isNaN(ry)) ry = rx;
+        }
+        if (!(rx > 0 && ry > 0)) return null;
+
+        return this.placeShape(new Ellipse(cx - rx, cy - ry, rx, ry), matrix);
+    }
+
+    importLine(element, matrix) {
+        const p1 = matrix.transformPoint(this.getLength(element, 'x1'), this.getLength(element, 'y1'));
+        const p2 = matrix.transformPoint(this.getLength(element, 'x2'), this.getLength(element, 'y2'));
+        return new Line(p1.x, p1.y, p2.x, p2.y);
+    }
+
+    importPolygon(element, matrix, closed) {
+        const numbers = (element.getAttribute('points') || '').match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+        const points = [];
+        for (let i = 0; i + 1 < numbers.length; i += 2) {
+            points.push(matrix.transformPoint(parseFloat(numbers[i]), parseFloat(numbers[i + 1])));
+        }
+        if (points.length < 2) return null;
+
+        const polygon = new Polygon(points[0].x, points[0].y, [], closed);
+        polygon.setAbsolutePoints(points);
+        return polygon;
+    }
+
+    importPath(element, matrix, style) {
+        let subpaths;
+        try {
+            subpaths = parsePathData(element.getAttribute('d') || '');
+        } catch (error) {
+            this.warn('Skipped paths with invalid path data');
+            return null;
+        }
+
+        const paths = subpaths
+            .map(subpath => this.createPath(subpath, matrix))
+            .filter(Boolean);
+        if (paths.length > 1 && style.fill !== 'none') {
+            this.warn('Filled paths with several parts were split into separate paths, so holes are filled in');
+        }
+        paths.forEach(path => this.applyStyle(path, style, matrix));
+        return this.createGroup(paths);
+    }
+
+    createPath(subpath, matrix) {
+        if (subpath.nodes.length < 2) return null;
+
+        const point = p => p && matrix.transformPoint(p.x, p.y);
+        const nodes = subpath.nodes.map(node => ({
+            ...point(node),
+            handleIn: point(node.handleIn),
+            handleOut: point(node.handleOut),
+            smooth: false
+        }));
+        const path = new Path(nodes[0].x, nodes[0].y, [], subpath.closed);
+        path.setAbsoluteNodes(nodes);
+        return path;
+    }
+
+    // Only images embedded as data URLs can be imported; linked files
+    // aren't available to the app
+    importImage(element, matrix) {
+        const href = element.getAttribute('href') || element.getAttribute('xlink:href') || '';
+        const width = this.getLength(element, 'width');
+        const height = this.getLength(element, 'height');
+        if (width <= 0 || height <= 0) return null;
+        if (!/^data:image\//.test(href.trim())) {
+            this.warn('Skipped images linked from other files');
+            return null;
+        }
+
+        const image = new ImageShape(this.getLength(element, 'x'), this.getLength(element, 'y'), width, height, href.trim());
+        return this.placeShape(image, matrix);
+    }
+
+    // Multi-line text and individually positioned spans become one line
+    importText(element, matrix, style) {
+        const content = element.textContent.replace(/\s+/g, ' ').trim();
+        if (!content) return null;
+
+        if (element.getElementsByTagNameNS(SVG_NAMESPACE, 'textPath').length > 0) {
+            this.warn('Text on a path was imported as plain text');
+        } else if (Array.from(element.getElementsByTagNameNS(SVG_NAMESPACE, 'tspan'))
+            .some(span => ['x', 'y', 'dx', 'dy'].some(name => span.hasAttribute(name)))) {
+            this.warn('Positioned text spans were joined into a single line');
+        }
+
+        const text = new Text(this.getLength(element, 'x'), this.getLength(element, 'y'), content,
+            this.parseLength(style['font-size'], 16));
+        text.fontFamily = style['font-family'];
+        text.textAlign = TEXT_ANCHORS[style['text-anchor']] || 'left';
+        text.textBaseline = BASELINES[style['dominant-baseline']] || 'alphabetic';
+        return this.placeShape(text, matrix);
+    }
+
+    // Untransformed shapes are moved and scaled directly; anything rotated,
+    // skewed or mirrored keeps the matrix as its transform
+    placeShape(shape, matrix) {
+        if (isAxisAligned(matrix)) {
+            const bounds = shape.getLocalBounds();
+            const topLeft = matrix.transformPoint(bounds.x, bounds.y);
+            shape.resizeLocal(bounds, {
+                x: topLeft.x,
+                y: topLeft.y,
+                width: bounds.width * matrix.a,
+                height: bounds.height * matrix.d
+            });
+        } else {
+            shape.applyMatrix(matrix);
+        }
+        return shape;
+    }
+
+    // Shapes whose points were mapped through the matrix have to scale their
+    // stroke too; a shape transform already scales it when drawn
+    applyStyle(shape, style, matrix) {
+        const transformed = shape.hasTransform() && ['rectangle', 'ellipse', 'text'].includes(shape.type);
+        const strokeScale = transformed ? 1 : Math.sqrt(Math.abs(matrix.a * matrix.d - matrix.b * matrix.c));
+
+        shape.fillColor = this.getPaint(style.fill, style);
+        const stroke = this.getPaint(style.stroke, style);
+        if (stroke === 'transparent') {
+            shape.strokeColor = 'transparent';
+            shape.strokeWidth = 0;
+        } else {
+            shape.strokeColor = stroke;
+            shape.strokeWidth = this.parseLength(style['stroke-width'], 1) * strokeScale;
+        }
+    }
+
+    getPaint(value, style) {
+        if (!value || value === 'none' || value === 'transparent') return 'transparent';
+        if (value === 'currentColor') return this.getPaint(style.color, style);
+        if (value.startsWith('url(')) {
+            this.warn('Gradients and patterns were replaced by a plain color');
+            // A fallback color may follow the reference
+            const fallback = value.replace(/^url\([^)]*\)\s*/, '');
+            return fallback ? this.getPaint(fallback, style) : '#808080';
+        }
+        return value;
+    }
+
+    // Presentation attributes, overridden by the inline style, on top of
+    // what is inherited
+    getStyle(element, parentStyle) {
+        const own = {};
+        Array.from(element.attributes).forEach(attribute => {
+            own[attribute.name] = attribute.value.trim();
+        });
+        (element.getAttribute('style') || '').split(';').forEach(declaration => {
+            const colon = declaration.indexOf(':');
+            if (colon === -1) return;
+            own[declaration.slice(0, colon).trim()] = declaration.slice(colon + 1).replace(/!important/, '').trim();
+        });
+
+        Object.keys(UNSUPPORTED_STYLE).forEach(name => {
+            const value = own[name];
+            if (value && value !== 'none' && parseFloat(value) !== 1) {
+                this.warn(UNSUPPORTED_STYLE[name]);
+            }
+        });
+
+        const style = {};
+        Object.keys(INHERITED_STYLE).forEach(name => {
+            const value = own[name];
+            style[name] = value !== undefined && value !== 'inherit' ? value : parentStyle[name];
+        });
+        style.display = own.display;
+        style.visibility = own.visibility ?? parentStyle.visibility;
+        return style;
+    }
+
+    getLength(element, name, fallback = 0) {
+        return this.parseLength(element.getAttribute(name), fallback);
+    }
+
+    parseLength(value, fallback = 0) {
+        const match = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*([a-z%]*)\s*$/i.exec(value ?? '');
+        if (!match) return fallback;
+
+        const number = parseFloat(match[1]);
+        const unit = match[2].toLowerCase();
+        if (!unit) return number;
+        if (UNITS[unit]) return number * UNITS[unit];
+
+        this.warn('Relative lengths (%, em, ex) were read as pixels');
+        return number;
+    }
+
+    // Maps the viewBox onto the element's width and height. The root's own
+    // position is ignored so the drawing starts at the origin.
+    getViewportMatrix(element, positioned) {
+        const offset = positioned
+            ? Matrix.translate(this.getLength(element, 'x'), this.getLength(element, 'y'))
+            : Matrix.identity();
+
+        const viewBox = (element.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+        if (viewBox.length !== 4 || viewBox.some(isNaN) || viewBox[2] <= 0 || viewBox[3] <= 0) {
+            return offset;
+        }
+
+        const [minX, minY, viewWidth, viewHeight] = viewBox;
+        const width = this.getLength(element, 'width', viewWidth);
+        const height = this.getLength(element, 'height', viewHeight);
+        let scaleX = width / viewWidth;
+        let scaleY = height / viewHeight;
+        let translateX = 0, translateY = 0;
+
+        // The default preserveAspectRatio, "xMidYMid meet", scales uniformly and centers
+        if ((element.getAttribute('preserveAspectRatio') || '').trim() !== 'none') {
+            scaleX = scaleY = Math.min(scaleX, scaleY);
+            translateX = (width - viewWidth * scaleX) / 2;
+            translateY = (height - viewHeight * scaleY) / 2;
+        }
+
+        return offset
+            .multiply(Matrix.translate(translateX, translateY))
+            .multiply(Matrix.scale(scaleX, scaleY))
+            .multiply(Matrix.translate(-minX, -minY));
+    }
+
+    parseTransform(value) {
+        let matrix = Matrix.identity();
+        if (!value) return matrix;
+
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+        while ((match = pattern.exec(value))) {
+            const args = (match[2].match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+            let next;
+            switch (match[1]) {
+                case 'matrix':
+                    next = args.length === 6 ? new Matrix(...args) : Matrix.identity();
+                    break;
+                case 'translate':
+                    next = Matrix.translate(args[0] || 0, args[1] || 0);
+                    break;
+                case 'scale':
+                    next = Matrix.scale(args[0] ?? 1, args[1] ?? args[0] ?? 1);
+                    break;
+                case 'rotate': {
+                    const [angle = 0, cx = 0, cy = 0] = args;
+                    next = Matrix.translate(cx, cy)
+                        .multiply(Matrix.rotate(angle))
+                        .multiply(Matrix.translate(-cx, -cy));
+                    break;
+                }
+                case 'skewX':
+                    next = Matrix.skew(args[0] || 0, 0);
+                    break;
+                case 'skewY':
+                    next = Matrix.skew(0, args[0] || 0);
+                    break;
+            }
+            matrix = matrix.multiply(next);
+        }
+        return matrix;
+    }
+}
+
+// Only moved and scaled, without rotation, skew or mirroring
+function isAxisAligned(matrix) {
+    return Math.abs(matrix.b) < 1e-9 && Math.abs(matrix.c) < 1e-9 && matrix.a > 0 && matrix.d > 0;
+}
@@ -1,14 +1,21 @@
 import { EventEmitter } from './EventEmitter.js';
+import { Matrix } from './Matrix.js';
+import { NUMBER, STRING, BOOLEAN } from './schema.js';
+import { escapeXML, toSVGId } from './svgMarkup.js';
 
 /**
  * Shape class representing a drawable shape in the canvas.
  * This class serves as a base for specific shape types like Rectangle, Circle, etc.
  * It provides properties and methods common to all shapes.
+ * Subclasses implement serialize/deserialize, draw and toSVG and register
+ * themselves with the shape registry.
+ * Geometry is stored untransformed; `transform` rotates, scales, skews and
+ * flips it around the center of its local bounds.
  */  
 export class Shape extends EventEmitter {
     constructor(type, x = 0, y = 0) {
         super();
-        this.id = `${type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.id = Shape.createId(type);
         this.type = type;
         this.x = x;
         this.y = y;
@@ -18,6 +25,18 @@ export class Shape extends EventEmitter {
         this.strokeColor = '#000000';
         this.strokeWidth = 2;
         this.zIndex = 0;
+        this.transform = Shape.createTransform();
+        this.parent = null; // containing group, if any
+        this.layerId = null; // set when added to the canvas
+    }
+
+    static createId(type) {
+        return `${type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    // Angles are in degrees
+    static createTransform() {
+        return { rotation: 0, scaleX: 1, scaleY: 1, skewX: 0, skewY: 0, flipX: false, flipY: false };
     }
 
     setPosition(x, y) {
@@ -26,6 +45,38 @@ export class Shape extends EventEmitter {
         this.emit('changed', this);
     }
 
+    // Moves the whole shape, including any secondary points subclasses keep
+    translate(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+    }
+
+    // Maps the shape from one reference rectangle to another, as when the
+    // selection bounds are dragged by a resize handle
+    resize(fromBounds, toBounds) {
+        if (this.hasTransform()) {
+            this.applyMatrix(Matrix.fromBounds(fromBounds, toBounds));
+        } else {
+            this.resizeLocal(fromBounds, toBounds);
+        }
+    }
+
+    // Untransformed resize; subclasses map their own points
+    resizeLocal(fromBounds, toBounds) {
+        const point = Shape.mapPoint(this.x, this.y, fromBounds, toBounds);
+        this.x = point.x;
+        this.y = point.y;
+    }
+
+    static mapPoint(x, y, fromBounds, toBounds) {
+        const scaleX = fromBounds.width ? toBounds.width / fromBounds.width : 1;
+        const scaleY = fromBounds.height ? toBounds.height / fromBounds.height : 1;
+        return {
+            x: toBounds.x + (x - fromBounds.x) * scaleX,
+            y: toBounds.y + (y - fromBounds.y) * scaleY
+        };
+    }
+
     setSelected(selected) {
         this.selected = selected;
         this.emit('changed', this);
@@ -36,18 +87,240 @@ export class Shape extends EventEmitter {
         this.emit('changed', this);
     }
 
+    hasTransform() {
+        const t = this.transform;
+        return t.rotation !== 0 || t.scaleX !== 1 || t.scaleY !== 1 ||
+               t.skewX !== 0 || t.skewY !== 0 || t.flipX || t.flipY;
+    }
+
+    // Maps local geometry to canvas coordinates
+    getMatrix() {
+        if (!this.hasTransform()) return Matrix.identity();
+
+        const t = this.transform;
+        const bounds = this.getLocalBounds();
+        const centerX = bounds.x + bounds.width / 2;
+        const centerY = bounds.y + bounds.height / 2;
+
+        return Matrix.translate(centerX, centerY)
+            .multiply(Matrix.rotate(t.rotation))
+            .multiply(Matrix.skew(t.skewX, t.skewY))
+            .multiply(Matrix.scale(t.scaleX * (t.flipX ? -1 : 1), t.scaleY * (t.flipY ? -1 : 1)))
+            .multiply(Matrix.translate(-centerX, -centerY));
+    }
+
+    // Applies a canvas-space matrix on top of the current transform
+    applyMatrix(matrix) {
+        const bounds = this.getLocalBounds();
+        const centerX = bounds.x + bounds.width / 2;
+        const centerY = bounds.y + bounds.height / 2;
+        const combined = matrix.multiply(this.getMatrix());
+        const parts = combined.decompose();
+
+        // The transform pivots on the local center, so move the geometry to
+        // where the combined matrix puts that center
+        const center = combined.transformPoint(centerX, centerY);
+        this.translate(center.x - centerX, center.y - centerY);
+
+        // A mirror can be written as a vertical flip, or as a horizontal flip
+        // rotated by 180 degrees; keep whichever has the smaller rotation
+        const mirrored = parts.scaleY < 0;
+        const flipX = mirrored && Math.abs(parts.rotation) > 90;
+
+        this.transform = {
+            rotation: Shape.normalizeAngle(flipX ? parts.rotation + 180 : parts.rotation),
+            scaleX: parts.scaleX,
+            scaleY: Math.abs(parts.scaleY),
+            skewX: parts.skewX,
+            skewY: 0,
+            flipX,
+            flipY: mirrored && !flipX
+        };
+        this.cleanTransform();
+    }
+
+    // Rounds away floating point noise so identity transforms stay identity
+    cleanTransform() {
+        const t = this.transform;
+        const round = value => Math.round(value * 1e9) / 1e9 || 0;
+        t.rotation = round(t.rotation);
+        t.scaleX = round(t.scaleX);
+        t.scaleY = round(t.scaleY);
+        t.skewX = round(t.skewX);
+        t.skewY = round(t.skewY);
+    }
+
+    static normalizeAngle(degrees) {
+        const angle = degrees % 360;
+        if (angle > 180) return angle - 360;
+        if (angle <= -180) return angle + 360;
+        return angle;
+    }
+
+    toLocalPoint(x, y) {
+        if (!this.hasTransform()) return { x, y };
+
+        const inverse = this.getMatrix().invert();
+        return inverse ? inverse.transformPoint(x, y) : { x, y };
+    }
+
     hitTest(x, y) {
+        const point = this.toLocalPoint(x, y);
+        return this.hitTestLocal(point.x, point.y);
+    }
+
+    hitTestLocal(x, y) {
         return false; // Override in subclasses
     }
 
+    // Editable points in local coordinates, drawn while the shape is selected:
+    // { points: [{ x, y, kind: 'node' | 'handle', selected }], lines: [[from, to]] }
+    getControlPoints() {
+        return null; // Override in editable shapes
+    }
+
+    // Axis-aligned bounds of the transformed shape in canvas coordinates
     getBounds() {
+        const bounds = this.getLocalBounds();
+        if (!this.hasTransform()) return bounds;
+
+        const corners = this.getTransformedCorners(bounds);
+        const xs = corners.map(point => point.x);
+        const ys = corners.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...xs) - minX,
+            height: Math.max(...ys) - minY
+        };
+    }
+
+    getLocalBounds() {
         return { x: this.x, y: this.y, width: 0, height: 0 };
     }
 
+    // Corners of a local rectangle in canvas coordinates, clockwise from top-left
+    getTransformedCorners(bounds = this.getLocalBounds()) {
+        const matrix = this.getMatrix();
+        return [
+            matrix.transformPoint(bounds.x, bounds.y),
+            matrix.transformPoint(bounds.x + bounds.width, bounds.y),
+            matrix.transformPoint(bounds.x + bounds.width, bounds.y + bounds.height),
+            matrix.transformPoint(bounds.x, bounds.y + bounds.height)
+        ];
+    }
+
+    // JSON Schema for serialize() output. Subclasses add their own properties.
+    static getSchema() {
+        return {
+            type: 'object',
+            required: ['id', 'type'],
+            properties: {
+                id: STRING,
+                type: STRING,
+                x: NUMBER,
+                y: NUMBER,
+                fillColor: STRING,
+                strokeColor: STRING,
+                strokeWidth: { type: 'number', minimum: 0 },
+                zIndex: NUMBER,
+                layerId: { type: ['string', 'null'] },
+                transform: {
+                    type: 'object',
+                    properties: {
+                        rotation: NUMBER,
+                        scaleX: NUMBER,
+                        scaleY: NUMBER,
+                        skewX: NUMBER,
+                        skewY: NUMBER,
+                        flipX: BOOLEAN,
+                        flipY: BOOLEAN
+                    }
+                }
+            }
+        };
+    }
+
+    // Plain data for saving and the clipboard. Subclasses add their own properties.
+    serialize() {
+        return {
+            id: this.id,
+            type: this.type,
+            x: this.x,
+            y: this.y,
+            fillColor: this.fillColor,
+            strokeColor: this.strokeColor,
+            strokeWidth: this.strokeWidth,
+            zIndex: this.zIndex,
+            layerId: this.layerId,
+            transform: { ...this.transform }
+        };
+    }
+
+    // Restores properties from serialize() output. Missing values keep their defaults.
+    deserialize(data) {
+        this.id = data.id ?? this.id;
+        this.x = data.x ?? this.x;
+        this.y = data.y ?? this.y;
+        this.fillColor = data.fillColor ?? this.fillColor;
+        this.strokeColor = data.strokeColor ?? this.strokeColor;
+        this.strokeWidth = data.strokeWidth ?? this.strokeWidth;
+        this.zIndex = data.zIndex ?? this.zIndex;
+        this.layerId = data.layerId ?? this.layerId;
+        this.transform = { ...Shape.createTransform(), ...data.transform };
+        return this;
+    }
+
+    // Renders the shape with its fill and stroke applied to the context
+    render(ctx) {
+        ctx.save();
+        if (this.hasTransform()) {
+            const m = this.getMatrix();
+            ctx.transform(m.a, m.b, m.c, m.d, m.e, m.f);
+        }
+        ctx.fillStyle = this.fillColor;
+        ctx.strokeStyle = this.strokeColor;
+        ctx.lineWidth = this.strokeWidth;
+        this.draw(ctx);
+        ctx.restore();
+    }
+
+    draw(ctx) {
+        throw new Error('Draw method must be implemented');
+    }
+
+    toSVG() {
+        throw new Error('toSVG method must be implemented');
+    }
+
+    getSVGPaintAttributes() {
+        return `fill="${escapeXML(this.fillColor)}" ${this.getSVGStrokeAttributes()}`;
+    }
+
+    getSVGStrokeAttributes() {
+        if (this.strokeWidth > 0 && this.strokeColor !== 'transparent') {
+            return `stroke="${escapeXML(this.strokeColor)}" stroke-width="${this.strokeWidth}"`;
+        }
+        return 'stroke="none"';
+    }
+
+    // The shape id, so elements keep their ids from one export to the next.
+    // Like the transform, it comes with a leading space.
+    getSVGIdAttribute() {
+        return ` id="${escapeXML(toSVGId(this.id))}"`;
+    }
+
+    // Leading space included so it can be dropped straight into an element
+    getSVGTransformAttribute() {
+        return this.hasTransform() ? ` transform="${this.getMatrix().toSVG()}"` : '';
+    }
+
     clone() {
-        const cloned = new this.constructor();
-        Object.assign(cloned, this);
-        cloned.id = `${this.type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const cloned = new this.constructor().deserialize(this.serialize());
+        cloned.id = Shape.createId(this.type);
         return cloned;
     }
-}
\ No newline at end of file
+}
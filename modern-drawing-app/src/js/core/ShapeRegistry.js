@@ -0,0 +1,53 @@
+// src/js/core/ShapeRegistry.js
+import { Shape } from './Shape.js';
+
+/**
+ * Maps shape type names to their Shape subclasses.
+ * Serialization, rendering and export look shape types up here instead of
+ * switching on `shape.type`, so a new shape only needs to register itself.
+ */
+export class ShapeRegistry {
+    constructor() {
+        this.shapeClasses = new Map();
+        this.fallbackClass = null;
+    }
+
+    register(type, ShapeClass) {
+        const required = ['serialize', 'deserialize', 'draw', 'toSVG'];
+        const missing = required.filter(method => ShapeClass.prototype[method] === Shape.prototype[method]);
+
+        // Base serialize/deserialize only cover common properties, so every
+        // shape has to provide all four to be saved, copied and exported.
+        if (missing.length > 0) {
+            throw new Error(`Shape "${type}" must implement: ${missing.join(', ')}`);
+        }
+
+        this.shapeClasses.set(type, ShapeClass);
+    }
+
+    // Shape class for data of an unknown type, which keeps the data as it is
+    registerFallback(ShapeClass) {
+        this.fallbackClass = ShapeClass;
+    }
+
+    has(type) {
+        return this.shapeClasses.has(type);
+    }
+
+    get(type) {
+        return this.shapeClasses.get(type);
+    }
+
+    getTypes() {
+        return Array.from(this.shapeClasses.keys());
+    }
+
+    createShape(data) {
+        const ShapeClass = this.shapeClasses.get(data.type) || this.fallbackClass;
+        if (!ShapeClass) return null;
+
+        return new ShapeClass().deserialize(data);
+    }
+}
+
+export const shapeRegistry = new ShapeRegistry();
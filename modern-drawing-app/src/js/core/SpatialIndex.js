@@ -0,0 +1,208 @@
+// src/js/core/SpatialIndex.js
+
+// Nodes split once they hold more items than this, until they are this small
+const NODE_CAPACITY = 8;
+const MIN_NODE_SIZE = 16;
+
+// Side of the first root node; it doubles to take in items outside it
+const INITIAL_ROOT_SIZE = 1024;
+
+/**
+ * Quadtree of items by their bounding boxes, for finding shapes at a point,
+ * inside a rectangle or nearest to a point without testing every shape.
+ * Each item sits in the smallest node that holds its bounds whole, so large
+ * items stay near the root. Items are kept up to date with insert, which
+ * also moves an item that is already in the index, and remove.
+ */
+export class SpatialIndex {
+    constructor() {
+        this.root = null;
+        this.entries = new Map(); // item -> { item, bounds, node }
+        this.unbounded = new Set(); // entries without finite bounds, always returned
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(item) {
+        return this.entries.has(item);
+    }
+
+    insert(item, bounds) {
+        this.remove(item);
+        const entry = { item, bounds: { ...bounds }, node: null };
+        this.entries.set(item, entry);
+
+        if (!isFiniteBounds(bounds)) {
+            this.unbounded.add(entry);
+            return;
+        }
+        this.growToContain(bounds);
+        this.root.insert(entry);
+    }
+
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return false;
+
+        this.entries.delete(item);
+        this.unbounded.delete(entry);
+        if (entry.node) entry.node.remove(entry);
+        return true;
+    }
+
+    clear() {
+        this.root = null;
+        this.entries.clear();
+        this.unbounded.clear();
+    }
+
+    // Items whose bounds touch the rectangle { x, y, width, height }
+    search(rect) {
+        const results = [];
+        if (this.root) this.root.search(rect, results);
+        this.unbounded.forEach(entry => results.push(entry.item));
+        return results;
+    }
+
+    // Items whose bounds come within `margin` of the point
+    searchPoint(x, y, margin = 0) {
+        return this.search({ x: x - margin, y: y - margin, width: margin * 2, height: margin * 2 });
+    }
+
+    /**
+     * The item closest to the point that passes `filter`, or null when none
+     * is within maxDistance. `distance(item)` measures an item; by default it
+     * is the distance to its indexed bounds. A custom measure must not be
+     * smaller than that, or closer items can be missed.
+     */
+    nearest(x, y, { filter = () => true, distance = null, maxDistance = Infinity } = {}) {
+        const measure = entry => (distance ? distance(entry.item) : distanceToRect(x, y, entry.bounds));
+        let best = null;
+        let bestDistance = maxDistance;
+        const consider = entry => {
+            if (!filter(entry.item)) return;
+            const d = measure(entry);
+            if (d <= bestDistance) {
+                best = entry.item;
+                bestDistance = d;
+            }
+        };
+
+        this.unbounded.forEach(consider);
+        const visit = node => {
+            if (distanceToRect(x, y, node) > bestDistance) return;
+            node.items.forEach(consider);
+            if (node.children) {
+                [...node.children]
+                    .sort((a, b) => distanceToRect(x, y, a) - distanceToRect(x, y, b))
+                    .forEach(visit);
+            }
+        };
+        if (this.root) visit(this.root);
+        return best;
+    }
+
+    // The root doubles toward the bounds until it holds them, keeping the old
+    // root as one of its quarters
+    growToContain(bounds) {
+        if (!this.root) {
+            const size = Math.max(INITIAL_ROOT_SIZE, nextPowerOfTwo(Math.max(bounds.width, bounds.height)));
+            this.root = new QuadNode(Math.floor(bounds.x / size) * size, Math.floor(bounds.y / size) * size, size);
+        }
+
+        while (!this.root.contains(bounds)) {
+            const old = this.root;
+            const x = bounds.x < old.x ? old.x - old.size : old.x;
+            const y = bounds.y < old.y ? old.y - old.size : old.y;
+            this.root = new QuadNode(x, y, old.size * 2);
+            this.root.split(old);
+        }
+    }
+}
+
+// A square region of the quadtree
+class QuadNode {
+    constructor(x, y, size) {
+        this.x = x;
+        this.y = y;
+        this.size = size;
+        this.width = size; // so nodes can be measured like rectangles
+        this.height = size;
+        this.items = [];
+        this.children = null;
+    }
+
+    contains(bounds) {
+        return bounds.x >= this.x && bounds.y >= this.y &&
+               bounds.x + bounds.width <= this.x + this.size &&
+               bounds.y + bounds.height <= this.y + this.size;
+    }
+
+    insert(entry) {
+        let node = this;
+        for (;;) {
+            const child = node.children && node.children.find(quarter => quarter.contains(entry.bounds));
+            if (!child) break;
+            node = child;
+        }
+
+        node.items.push(entry);
+        entry.node = node;
+        if (!node.children && node.items.length > NODE_CAPACITY && node.size > MIN_NODE_SIZE) {
+            node.split();
+        }
+    }
+
+    remove(entry) {
+        const index = this.items.indexOf(entry);
+        if (index !== -1) this.items.splice(index, 1);
+        entry.node = null;
+    }
+
+    // Creates the four quarters, one of which may be an existing node, and
+    // moves down the items that fit in one
+    split(existing = null) {
+        const half = this.size / 2;
+        this.children = [[0, 0], [half, 0], [0, half], [half, half]].map(([dx, dy]) =>
+            (existing && existing.x === this.x + dx && existing.y === this.y + dy
+                ? existing
+                : new QuadNode(this.x + dx, this.y + dy, half)));
+
+        const items = this.items;
+        this.items = [];
+        items.forEach(entry => this.insert(entry));
+    }
+
+    search(rect, results) {
+        if (!intersects(this, rect)) return;
+
+        this.items.forEach(entry => {
+            if (intersects(entry.bounds, rect)) results.push(entry.item);
+        });
+        if (this.children) {
+            this.children.forEach(child => child.search(rect, results));
+        }
+    }
+}
+
+// Edges count, so zero-size rectangles and points on an edge are found
+function intersects(a, b) {
+    return a.x <= b.x + b.width && b.x <= a.x + a.width &&
+           a.y <= b.y + b.height && b.y <= a.y + a.height;
+}
+
+function distanceToRect(x, y, rect) {
+    const dx = Math.max(rect.x - x, 0, x - (rect.x + rect.width));
+    const dy = Math.max(rect.y - y, 0, y - (rect.y + rect.height));
+    return Math.hypot(dx, dy);
+}
+
+function isFiniteBounds(bounds) {
+    return [bounds.x, bounds.y, bounds.width, bounds.height].every(Number.isFinite);
+}
+
+function nextPowerOfTwo(value) {
+    return 2 ** Math.ceil(Math.log2(Math.max(1, value)));
+}
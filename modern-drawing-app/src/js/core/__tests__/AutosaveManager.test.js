@@ -0,0 +1,76 @@
+// src/js/core/__tests__/AutosaveManager.test.js
+import { jest } from '@jest/globals';
+import { AutosaveManager } from '../AutosaveManager.js';
+import { DrawingDocument } from '../DrawingDocument.js';
+
+function setup() {
+    const drawing = new DrawingDocument('Plan', 'doc_1');
+    const autosave = new AutosaveManager({ saveToJSON: () => '{"shapes":[]}' }, { delay: 100 });
+    // Stands in for IndexedDB
+    autosave.storage = { save: jest.fn(async () => {}), clear: jest.fn(async () => {}) };
+    autosave.setDrawing(drawing);
+    return { drawing, autosave, storage: autosave.storage };
+}
+
+const change = drawing => drawing.commandManager.emit('documentChanged');
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+describe('AutosaveManager', () => {
+    test('marks the drawing dirty and autosaves it a moment after the last change', async () => {
+        const { drawing, autosave, storage } = setup();
+        const dirtyChanged = jest.fn();
+        autosave.on('dirtyChanged', dirtyChanged);
+
+        change(drawing);
+        await jest.advanceTimersByTimeAsync(50);
+        change(drawing);
+        expect(drawing.dirty).toBe(true);
+        expect(dirtyChanged).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(50);
+        expect(storage.save).not.toHaveBeenCalled();
+        await jest.advanceTimersByTimeAsync(50);
+        expect(storage.save).toHaveBeenCalledWith('doc_1', 'Plan', '{"shapes":[]}');
+        expect(drawing.lastAutosave).toBeInstanceOf(Date);
+    });
+
+    test('drops the pending autosave and the recovery copy when the drawing is saved', async () => {
+        const { drawing, autosave, storage } = setup();
+        change(drawing);
+        autosave.markSaved();
+
+        await jest.advanceTimersByTimeAsync(200);
+        expect(storage.save).not.toHaveBeenCalled();
+        expect(storage.clear).toHaveBeenCalledWith('doc_1');
+        expect(drawing.dirty).toBe(false);
+    });
+
+    test('tries again on the next flush when an autosave fails', async () => {
+        const { drawing, autosave, storage } = setup();
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        storage.save.mockRejectedValueOnce(new Error('Quota exceeded'));
+        change(drawing);
+
+        await autosave.flush();
+        expect(drawing.pendingAutosave).toBe(true);
+        expect(drawing.lastAutosave).toBe(null);
+        await autosave.flush();
+        expect(storage.save).toHaveBeenCalledTimes(2);
+        expect(drawing.pendingAutosave).toBe(false);
+        error.mockRestore();
+    });
+
+    test('writes the previous drawing before following another one', () => {
+        const { drawing, autosave, storage } = setup();
+        change(drawing);
+        const other = new DrawingDocument('Other', 'doc_2');
+        autosave.setDrawing(other);
+        expect(storage.save).toHaveBeenCalledWith('doc_1', 'Plan', expect.any(String));
+
+        change(drawing);
+        expect(other.dirty).toBe(false);
+        expect(drawing.pendingAutosave).toBe(false);
+    });
+});
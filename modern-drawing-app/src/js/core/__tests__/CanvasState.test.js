@@ -0,0 +1,89 @@
+// src/js/core/__tests__/CanvasState.test.js
+import { CanvasState } from '../CanvasState.js';
+import { FileManager } from '../FileManager.js';
+import { FILE_VERSION } from '../fileFormat.js';
+import { ArrangeShapesCommand } from '../../commands/index.js';
+import { Rectangle } from '../../shapes/index.js';
+
+const order = state => state.getOrderedShapes().map(shape => shape.id);
+
+describe('CanvasState stacking order', () => {
+    test('restacks a loaded file whose shapes share a zIndex', async () => {
+        const state = new CanvasState();
+        const file = {
+            version: FILE_VERSION,
+            layers: [{ id: 'layer', name: 'Layer 1', visible: true, locked: false }],
+            activeLayerId: 'layer',
+            shapes: ['a', 'b', 'c'].map(id => ({
+                type: 'rectangle', id, x: 0, y: 0, width: 10, height: 10, zIndex: 5, layerId: 'layer'
+            }))
+        };
+        await new FileManager(state).loadFromJSON(JSON.stringify(file));
+        const [a, b] = ['a', 'b'].map(id => state.shapes.get(id));
+
+        const command = new ArrangeShapesCommand(state, [a], 'front');
+        command.execute();
+        expect(order(state)).toEqual(['b', 'c', 'a']);
+
+        state.arrangeShapes([b], 'forward');
+        expect(order(state)).toEqual(['c', 'b', 'a']);
+
+        command.undo();
+        expect(order(state)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('gives shapes added with the same zIndex their own before restacking', () => {
+        const state = new CanvasState();
+        const shapes = [0, 1, 2].map(() => new Rectangle(0, 0, 10, 10));
+        shapes.forEach(shape => state.addShape(shape, 1));
+
+        state.arrangeShapes([shapes[0]], 'front');
+        expect(state.getOrderedShapes()).toEqual([shapes[1], shapes[2], shapes[0]]);
+        state.arrangeShapes([shapes[0]], 'back');
+        expect(state.getOrderedShapes()).toEqual(shapes);
+    });
+});
+
+describe('CanvasState.batch', () => {
+    function listen(state) {
+        const changes = [];
+        state.on('shapesChanged', change => changes.push(change));
+        return changes;
+    }
+
+    test('sends one change naming every shape when the batch ends', () => {
+        const state = new CanvasState();
+        const changes = listen(state);
+        const shapes = [0, 1].map(() => new Rectangle(0, 0, 10, 10));
+
+        state.batch(() => {
+            shapes.forEach(shape => state.addShape(shape));
+            state.batch(() => shapes[0].setPosition(5, 5));
+            expect(changes).toEqual([]);
+        });
+        expect(changes).toEqual([{ shapes }]);
+    });
+
+    test('sends a change to everything when any change in it was one', () => {
+        const state = new CanvasState();
+        const changes = listen(state);
+        state.batch(() => {
+            state.addShape(new Rectangle(0, 0, 10, 10));
+            state.emit('shapesChanged');
+        });
+        expect(changes).toEqual([undefined]);
+    });
+
+    test('sends what was held back when the batch throws', () => {
+        const state = new CanvasState();
+        const changes = listen(state);
+        expect(() => state.batch(() => {
+            state.addShape(new Rectangle(0, 0, 10, 10));
+            throw new Error('failed');
+        })).toThrow('failed');
+        expect(changes).toHaveLength(1);
+
+        state.addShape(new Rectangle(0, 0, 10, 10));
+        expect(changes).toHaveLength(2);
+    });
+});
@@ -0,0 +1,127 @@
+// src/js/core/__tests__/ClipboardManager.test.js
+import { jest } from '@jest/globals';
+import { ClipboardManager } from '../ClipboardManager.js';
+import { CanvasState } from '../CanvasState.js';
+import { CommandManager } from '../CommandManager.js';
+import { FILE_VERSION } from '../fileFormat.js';
+import { Rectangle, Text } from '../../shapes/index.js';
+
+function setup() {
+    const state = new CanvasState();
+    const commandManager = new CommandManager();
+    const rectangle = new Rectangle(0, 0, 10, 10);
+    state.addShape(rectangle);
+    state.selectShape(rectangle);
+    return { state, commandManager, rectangle, clipboard: new ClipboardManager(state, commandManager, null) };
+}
+
+// Pastes what the manager last copied, as when the system clipboard can't be read
+const paste = (clipboard, options = {}) => clipboard.paste({ data: { 'text/plain': clipboard.clipboard }, ...options });
+const position = shape => [shape.x, shape.y];
+const selected = state => Array.from(state.selectedShapes);
+
+describe('ClipboardManager', () => {
+    test('pastes copies of the shapes, stepped away from the originals', async () => {
+        const { state, commandManager, rectangle, clipboard } = setup();
+        expect(await clipboard.copy()).toBe(true);
+        expect(await paste(clipboard)).toBe(true);
+
+        const [copy] = selected(state);
+        expect(copy).not.toBe(rectangle);
+        expect(copy.id).not.toBe(rectangle.id);
+        expect(position(copy)).toEqual([20, 20]);
+        expect(commandManager.history).toHaveLength(1);
+    });
+
+    test('repeats the step from the original to where the last copy was moved', async () => {
+        const { state, clipboard } = setup();
+        await clipboard.copy();
+        await paste(clipboard);
+        selected(state)[0].setPosition(50, 0);
+
+        await paste(clipboard);
+        expect(position(selected(state)[0])).toEqual([100, 0]);
+    });
+
+    test('repeats the step when duplicating the latest duplicates', () => {
+        const { state, clipboard } = setup();
+        clipboard.duplicate();
+        selected(state)[0].setPosition(0, 30);
+        clipboard.duplicate();
+
+        expect(position(selected(state)[0])).toEqual([0, 60]);
+        expect(state.shapes.size).toBe(3);
+    });
+
+    test('pastes in place or centered on the cursor', async () => {
+        const { state, clipboard } = setup();
+        await clipboard.copy();
+
+        await paste(clipboard, { mode: 'inPlace' });
+        expect(position(selected(state)[0])).toEqual([0, 0]);
+        await paste(clipboard, { mode: 'cursor', position: { x: 100, y: 100 } });
+        expect(position(selected(state)[0])).toEqual([95, 95]);
+    });
+
+    test('pastes other text as a text shape', async () => {
+        const { state, clipboard } = setup();
+        expect(await clipboard.paste({ data: { 'text/plain': ' two\nlines ' } })).toBe(true);
+
+        const [text] = selected(state);
+        expect(text.type).toBe('text');
+        expect(text.text).toBe('two lines');
+    });
+
+    test('pastes the style of the first copied shape as one undo step', async () => {
+        const { state, commandManager, rectangle, clipboard } = setup();
+        const source = new Rectangle(0, 0, 5, 5);
+        source.fillColor = '#ff0000';
+        source.strokeWidth = 5;
+        state.addShape(source);
+        state.selectShape(source);
+        await clipboard.copy();
+
+        const text = new Text(0, 0, 'Label');
+        state.addShape(text);
+        state.selectShape(rectangle);
+        state.selectShape(text, true);
+        expect(await clipboard.pasteStyle({ data: { 'text/plain': clipboard.clipboard } })).toBe(true);
+
+        expect([rectangle.fillColor, rectangle.strokeWidth]).toEqual(['#ff0000', 5]);
+        expect(text.fillColor).toBe('#ff0000');
+        // Rectangles have no font to pass on
+        expect(text.fontSize).toBe(16);
+        expect(commandManager.history).toHaveLength(1);
+        commandManager.undo();
+        expect(rectangle.strokeWidth).not.toBe(5);
+    });
+});
+
+describe('ClipboardManager.readShapes', () => {
+    const { clipboard } = setup();
+    const copied = (shapes, version = FILE_VERSION) =>
+        JSON.stringify({ format: 'modern-drawing-app/shapes', version, shapes });
+
+    test('is null for text that was not copied from the app', () => {
+        expect(clipboard.readShapes('hello')).toBe(null);
+        expect(clipboard.readShapes(JSON.stringify({ shapes: [] }))).toBe(null);
+    });
+
+    test('gives new shapes and leaves out invalid ones', () => {
+        const rectangle = new Rectangle(1, 2, 3, 4);
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const shapes = clipboard.readShapes(copied([rectangle.serialize(), { type: 'rectangle', x: 'left' }]));
+        warn.mockRestore();
+
+        expect(shapes).toHaveLength(1);
+        expect(shapes[0].id).not.toBe(rectangle.id);
+        expect(shapes[0].getBounds()).toEqual(rectangle.getBounds());
+    });
+
+    test('gives nothing for copies from a newer version', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(clipboard.readShapes(copied([], FILE_VERSION + 1))).toEqual([]);
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+});
@@ -0,0 +1,117 @@
+// src/js/core/__tests__/CommandManager.test.js
+import { jest } from '@jest/globals';
+import { CommandManager } from '../CommandManager.js';
+import { CanvasState } from '../CanvasState.js';
+import { CommandContext, AddShapeCommand, PropertyChangeCommand } from '../../commands/index.js';
+import { Rectangle } from '../../shapes/index.js';
+
+function setup(options) {
+    const state = new CanvasState();
+    const shape = new Rectangle(0, 0, 10, 10);
+    state.addShape(shape);
+    return { state, shape, manager: new CommandManager(options) };
+}
+
+const setFill = (manager, shape, color) => manager.execute(new PropertyChangeCommand(shape, 'fillColor', color));
+
+describe('CommandManager', () => {
+    test('undoes and redoes commands', () => {
+        const { shape, manager } = setup();
+        const original = shape.fillColor;
+        setFill(manager, shape, 'red');
+        setFill(manager, shape, 'blue');
+
+        expect(manager.undo()).toBe(true);
+        expect(shape.fillColor).toBe('red');
+        expect(manager.undo()).toBe(true);
+        expect(shape.fillColor).toBe(original);
+        expect(manager.undo()).toBe(false);
+        expect(manager.redo()).toBe(true);
+        expect(shape.fillColor).toBe('red');
+    });
+
+    test('drops redo states after a new command unless branching', () => {
+        const { shape, manager } = setup();
+        setFill(manager, shape, 'red');
+        manager.undo();
+        setFill(manager, shape, 'blue');
+
+        expect(manager.root.children).toHaveLength(1);
+        expect(manager.history.map(command => command.value)).toEqual(['blue']);
+    });
+
+    test('keeps other branches reachable through jumpTo', () => {
+        const { shape, manager } = setup({ branching: true });
+        setFill(manager, shape, 'red');
+        const redState = manager.current;
+        manager.undo();
+        setFill(manager, shape, 'blue');
+
+        expect(manager.root.children).toHaveLength(2);
+        expect(manager.jumpTo(redState)).toBe(true);
+        expect(shape.fillColor).toBe('red');
+
+        manager.setBranching(false);
+        expect(manager.root.children).toEqual([redState]);
+    });
+
+    test('groups a transaction into one step', () => {
+        const { state, shape, manager } = setup();
+        const other = new Rectangle(20, 20, 10, 10);
+        manager.beginTransaction('Add and color');
+        manager.execute(new AddShapeCommand(state, other));
+        setFill(manager, shape, 'red');
+        manager.commitTransaction();
+
+        expect(manager.history).toHaveLength(1);
+        expect(manager.history[0].label).toBe('Add and color');
+        manager.undo();
+        expect(state.shapes.has(other.id)).toBe(false);
+        expect(shape.fillColor).not.toBe('red');
+    });
+
+    test('trims the oldest steps to the history limit', () => {
+        const { shape, manager } = setup({ maxHistorySize: 2 });
+        ['red', 'green', 'blue'].forEach(color => setFill(manager, shape, color));
+
+        expect(manager.history.map(command => command.value)).toEqual(['green', 'blue']);
+        manager.undo();
+        manager.undo();
+        expect(manager.canUndo()).toBe(false);
+        expect(shape.fillColor).toBe('red');
+
+        manager.setMaxHistorySize(1);
+        expect(manager.history.map(command => command.value)).toEqual(['green']);
+    });
+
+    test('restores a serialized history against the loaded document', () => {
+        const { state, shape, manager } = setup({ branching: true });
+        setFill(manager, shape, 'red');
+        manager.undo();
+        setFill(manager, shape, 'blue');
+        const saved = JSON.parse(JSON.stringify(manager.serialize()));
+
+        const restored = new CommandManager({ branching: true });
+        expect(restored.deserialize(saved, new CommandContext(state))).toBe(0);
+        expect(restored.root.children).toHaveLength(2);
+        expect(restored.history.map(command => command.value)).toEqual(['blue']);
+
+        restored.undo();
+        expect(shape.fillColor).not.toBe('blue');
+        restored.jumpTo(restored.root.children[0]);
+        expect(shape.fillColor).toBe('red');
+    });
+
+    test('drops saved steps whose shapes no longer exist', () => {
+        const { shape, manager } = setup();
+        setFill(manager, shape, 'red');
+        manager.undo();
+        const saved = JSON.parse(JSON.stringify(manager.serialize()));
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const restored = new CommandManager();
+        expect(restored.deserialize(saved, new CommandContext(new CanvasState()))).toBe(1);
+        expect(restored.canRedo()).toBe(false);
+        console.warn.mockRestore();
+    });
+});
@@ -0,0 +1,88 @@
+// src/js/core/__tests__/DocumentManager.test.js
+import { DocumentManager } from '../DocumentManager.js';
+import { CanvasState } from '../CanvasState.js';
+import { FileManager } from '../FileManager.js';
+import { Rectangle } from '../../shapes/index.js';
+
+// Keeps the library in memory instead of IndexedDB
+function setup() {
+    const documents = new DocumentManager();
+    const records = new Map();
+    Object.assign(documents.library, {
+        get: async id => records.get(id),
+        put: async (id, record) => records.set(id, record),
+        delete: async id => records.delete(id),
+        entries: async () => Array.from(records.entries())
+    });
+    return { documents, library: documents.library };
+}
+
+async function saveDrawing(library, id, name) {
+    const state = new CanvasState();
+    state.addShape(new Rectangle(0, 0, 10, 10));
+    return library.save(id, name, new FileManager(state).saveToJSON(), 'data:image/png;base64,');
+}
+
+describe('DocumentManager tabs', () => {
+    test('names new drawings and shows the next tab when the active one closes', () => {
+        const { documents } = setup();
+        const [first, second, third] = [0, 1, 2].map(() => documents.create());
+        expect(documents.documents.map(drawing => drawing.name)).toEqual(['Untitled 1', 'Untitled 2', 'Untitled 3']);
+
+        documents.activate(second);
+        expect(documents.close(second)).toBe(true);
+        expect(documents.active).toBe(third);
+        documents.close(third);
+        expect(documents.active).toBe(first);
+        // The last drawing stays open
+        expect(documents.close(first)).toBe(false);
+    });
+
+    test('knows when any open drawing has unsaved changes', () => {
+        const { documents } = setup();
+        const [, second] = [documents.create(), documents.create()];
+        expect(documents.hasUnsavedChanges()).toBe(false);
+        second.dirty = true;
+        expect(documents.hasUnsavedChanges()).toBe(true);
+    });
+});
+
+describe('DocumentManager library', () => {
+    test('opens a saved drawing in a new tab, or shows its tab when it is open', async () => {
+        const { documents, library } = setup();
+        await saveDrawing(library, 'doc_1', 'Plan');
+
+        const { success, drawing } = await documents.open('doc_1');
+        expect(success).toBe(true);
+        expect([drawing.name, drawing.inLibrary, drawing.state.shapes.size]).toEqual(['Plan', true, 1]);
+        expect(documents.active).toBe(drawing);
+
+        expect((await documents.open('doc_1')).drawing).toBe(drawing);
+        expect(documents.documents).toHaveLength(1);
+    });
+
+    test('reports drawings that are no longer in the library', async () => {
+        const { documents } = setup();
+        const result = await documents.open('doc_missing');
+        expect(result.success).toBe(false);
+        expect(result.errors).toEqual(['The drawing is no longer in the library']);
+    });
+
+    test('renames, duplicates and removes drawings, keeping open tabs in step', async () => {
+        const { documents, library } = setup();
+        await saveDrawing(library, 'doc_1', 'Plan');
+        const { drawing } = await documents.open('doc_1');
+
+        await documents.renameInLibrary('doc_1', 'Site plan');
+        expect(drawing.name).toBe('Site plan');
+        expect((await library.load('doc_1')).name).toBe('Site plan');
+
+        const copy = await documents.duplicate('doc_1');
+        expect(copy.name).toBe('Site plan copy');
+        expect(copy.id).not.toBe('doc_1');
+
+        await documents.remove('doc_1');
+        expect(drawing.inLibrary).toBe(false);
+        expect((await library.list()).map(record => record.id)).toEqual([copy.id]);
+    });
+});
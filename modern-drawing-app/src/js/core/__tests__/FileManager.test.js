@@ -0,0 +1,111 @@
+/**
+ * @jest-environment jsdom
+ */
+// src/js/core/__tests__/FileManager.test.js
+import { jest } from '@jest/globals';
+import { FileManager } from '../FileManager.js';
+import { CanvasState } from '../CanvasState.js';
+import { CommandManager } from '../CommandManager.js';
+import { setCanvasFactory } from '../canvasFactory.js';
+import { Rectangle } from '../../shapes/index.js';
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg"><rect width="10" height="10"/><circle r="5"/></svg>';
+
+describe('FileManager.importSVG', () => {
+    test('adds the shapes as one undo step', () => {
+        const state = new CanvasState();
+        const commandManager = new CommandManager();
+        const result = new FileManager(state, commandManager).importSVG(SVG);
+
+        expect(result.success).toBe(true);
+        expect(state.shapes.size).toBe(2);
+        expect(state.selectedShapes.size).toBe(2);
+        expect(commandManager.history).toHaveLength(1);
+        commandManager.undo();
+        expect(state.shapes.size).toBe(0);
+    });
+
+    test('adds the shapes directly without a command manager', () => {
+        const state = new CanvasState();
+        expect(new FileManager(state).importSVG(SVG).success).toBe(true);
+        expect(state.shapes.size).toBe(2);
+    });
+});
+
+describe('FileManager image export', () => {
+    let canvas;
+
+    // Records what is drawn; toBlob encodes PNG and JPEG only, like some browsers
+    function createFakeCanvas(width, height) {
+        const calls = [];
+        const ctx = new Proxy({}, {
+            get: (target, name) => name in target ? target[name] : (...args) => calls.push([name, ...args]),
+            set: (target, name, value) => calls.push([name, value]) && Reflect.set(target, name, value)
+        });
+        canvas = {
+            width, height, calls,
+            getContext: () => ctx,
+            toBlob: (callback, type, quality) =>
+                callback({ type: ['image/png', 'image/jpeg'].includes(type) ? type : 'image/png', quality })
+        };
+        return canvas;
+    }
+
+    beforeEach(() => {
+        setCanvasFactory({ createCanvas: createFakeCanvas, createImage: () => null });
+    });
+
+    // What is drawn before the shapes
+    const background = () => canvas.calls.slice(0, canvas.calls.findIndex(([name]) => name === 'scale'));
+
+    function setup() {
+        const state = new CanvasState();
+        const shapes = [new Rectangle(0, 0, 100, 50), new Rectangle(200, 0, 10, 10)];
+        shapes.forEach(shape => state.addShape(shape));
+        return { state, shapes, fileManager: new FileManager(state) };
+    }
+
+    test('scales the drawing and pads it', async () => {
+        const { fileManager } = setup();
+        await fileManager.createImage({ scale: 2, padding: 10 });
+
+        expect([canvas.width, canvas.height]).toEqual([460, 140]);
+        expect(background()).toEqual([['fillStyle', 'white'], ['fillRect', 0, 0, 460, 140]]);
+        expect(canvas.calls).toContainEqual(['translate', 10, 10]);
+    });
+
+    test('exports the selection, or a fixed region', async () => {
+        const { state, shapes, fileManager } = setup();
+        state.selectShape(shapes[1]);
+        await fileManager.createImage({ scope: 'selection', padding: 0 });
+        expect([canvas.width, canvas.height]).toEqual([10, 10]);
+
+        await fileManager.createImage({ region: { x: 50, y: 10, width: 300, height: 200 } });
+        expect([canvas.width, canvas.height]).toEqual([300, 200]);
+        expect(canvas.calls).toContainEqual(['translate', -50, -10]);
+    });
+
+    test('leaves transparent images unfilled, but not JPEGs', async () => {
+        const { fileManager } = setup();
+        await fileManager.createImage({ background: null });
+        expect(background()).toEqual([]);
+
+        const blob = await fileManager.createImage({ format: 'jpeg', background: null, quality: 0.5 });
+        expect(background()[0]).toEqual(['fillStyle', 'white']);
+        expect(blob).toEqual({ type: 'image/jpeg', quality: 0.5 });
+    });
+
+    test('names the file after the format the browser could encode', async () => {
+        const { fileManager } = setup();
+        fileManager.downloadBlob = jest.fn();
+        expect(await fileManager.exportToImage('plan.png', { format: 'jpeg' })).toBe('plan.jpg');
+        expect(await fileManager.exportToImage('plan', { format: 'webp' })).toBe('plan.png');
+        expect(fileManager.downloadBlob).toHaveBeenLastCalledWith({ type: 'image/png', quality: 0.92 }, 'plan.png');
+    });
+
+    test('refuses images larger than browsers can draw', async () => {
+        const { fileManager } = setup();
+        await expect(fileManager.createImage({ scale: 100 }))
+            .rejects.toThrow('The image would be 25000 × 9000 pixels, more than browsers can draw; use a smaller scale');
+    });
+});
@@ -0,0 +1,45 @@
+// src/js/core/__tests__/MoveShapeCommand.test.js
+import { CanvasState } from '../CanvasState.js';
+import { CommandManager } from '../CommandManager.js';
+import { CommandContext, MoveShapeCommand } from '../../commands/index.js';
+import { Line, BezierCurve, Rectangle } from '../../shapes/index.js';
+
+describe('MoveShapeCommand', () => {
+    test('moves both ends of a line and puts them back on undo', () => {
+        const line = new Line(0, 0, 100, 100);
+        const manager = new CommandManager();
+        manager.execute(new MoveShapeCommand([line], 50, 50));
+        expect([line.x, line.y, line.x2, line.y2]).toEqual([50, 50, 150, 150]);
+
+        manager.undo();
+        expect([line.x, line.y, line.x2, line.y2]).toEqual([0, 0, 100, 100]);
+    });
+
+    test('takes the control points of a curve along', () => {
+        const curve = new BezierCurve(0, 0, 100, 100);
+        const controlPoints = [curve.cp1X, curve.cp1Y, curve.cp2X, curve.cp2Y];
+        new MoveShapeCommand([curve], 10, 20).execute();
+
+        expect([curve.endX, curve.endY]).toEqual([110, 120]);
+        expect([curve.cp1X, curve.cp1Y, curve.cp2X, curve.cp2Y])
+            .toEqual(controlPoints.map((value, i) => value + (i % 2 ? 20 : 10)));
+    });
+
+    test('restores from saved data, including the old positions format', () => {
+        const state = new CanvasState();
+        const shape = new Rectangle(0, 0, 10, 10);
+        state.addShape(shape);
+        const context = new CommandContext(state);
+
+        const saved = JSON.parse(JSON.stringify(new MoveShapeCommand([shape], 5, -5).serialize()));
+        MoveShapeCommand.deserialize(saved, context).execute();
+        expect([shape.x, shape.y]).toEqual([5, -5]);
+
+        MoveShapeCommand.deserialize({
+            shapeIds: [shape.id],
+            oldPositions: [{ x: 5, y: -5 }],
+            newPositions: [{ x: 25, y: 0 }]
+        }, context).execute();
+        expect([shape.x, shape.y]).toEqual([25, 0]);
+    });
+});
@@ -0,0 +1,67 @@
+// src/js/core/__tests__/PDFWriter.test.js
+import { PDFWriter, getStandardFont, encodeFontString, formatNumber } from '../PDFWriter.js';
+
+function writeSample() {
+    const writer = new PDFWriter({ title: 'Plan (draft)' });
+    writer.getOpacityName(0.5);
+    writer.addImage(1, 1, 'FF0000', '80');
+    writer.addPage(595.28, 841.89, '0 0 m 10 10 l S');
+    writer.addPage(100, 100, 'BT /F1 12 Tf (Hi) Tj ET');
+    return writer.write();
+}
+
+describe('PDFWriter', () => {
+    test('points every xref entry at its object', () => {
+        const pdf = writeSample();
+        const xref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(pdf)[1]);
+        expect(pdf.slice(xref, xref + 5)).toBe('xref\n');
+
+        const [, count] = /^xref\n0 (\d+)\n/.exec(pdf.slice(xref)).map(Number);
+        const entries = pdf.slice(xref).split('\n').slice(3, 2 + count);
+        expect(entries).toHaveLength(count - 1);
+        entries.forEach((entry, index) => {
+            const offset = Number(entry.slice(0, 10));
+            expect(pdf.slice(offset)).toMatch(new RegExp(`^${index + 1} 0 obj\n`));
+        });
+        expect(pdf).toContain(`/Size ${count} `);
+    });
+
+    test('gives each stream its length', () => {
+        const pdf = writeSample();
+        const streams = [...pdf.matchAll(/\/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/g)];
+        expect(streams).toHaveLength(4);
+        streams.forEach(([, length, content]) => expect(content.length).toBe(Number(length)));
+    });
+
+    test('lists the pages and escapes the title', () => {
+        const pdf = writeSample();
+        expect(pdf).toMatch(/\/Type \/Pages \/Kids \[\d+ 0 R \d+ 0 R\] \/Count 2/);
+        expect(pdf).toContain('/MediaBox [0 0 595.28 841.89]');
+        expect(pdf).toContain('/Title (Plan \\(draft\\))');
+    });
+
+    test('reuses the graphics state of an opacity', () => {
+        const writer = new PDFWriter();
+        expect(writer.getOpacityName(0.5)).toBe('/GS1');
+        expect(writer.getOpacityName(0.25)).toBe('/GS2');
+        expect(writer.getOpacityName(0.5000001)).toBe('/GS1');
+    });
+});
+
+describe('PDF strings and numbers', () => {
+    test('picks the closest standard font', () => {
+        expect(getStandardFont('Courier New, monospace')).toBe('Courier');
+        expect(getStandardFont('Georgia, serif')).toBe('Times-Roman');
+        expect(getStandardFont('Arial, sans-serif')).toBe('Helvetica');
+    });
+
+    test('escapes text for the standard fonts', () => {
+        expect(encodeFontString('a(b)\\')).toBe('(a\\(b\\)\\\\)');
+        expect(encodeFontString('é€✓')).toBe('(\\351\\200?)');
+    });
+
+    test('writes numbers without floating point noise', () => {
+        expect(formatNumber(92.80000000000001)).toBe('92.8');
+        expect(formatNumber(-0.0001)).toBe('0');
+    });
+});
@@ -0,0 +1,54 @@
+// src/js/core/__tests__/ResizeShapeCommand.test.js
+import { CanvasState } from '../CanvasState.js';
+import { CommandManager } from '../CommandManager.js';
+import { CommandContext, ResizeShapeCommand } from '../../commands/index.js';
+import { Rectangle, Line } from '../../shapes/index.js';
+
+// Resizes the shapes the way SelectTool does: snapshot, map the bounds, snapshot
+function resize(shapes, fromBounds, toBounds) {
+    const oldStates = shapes.map(shape => shape.serialize());
+    shapes.forEach(shape => shape.resize(fromBounds, toBounds));
+    return new ResizeShapeCommand(shapes, oldStates, shapes.map(shape => shape.serialize()));
+}
+
+describe('ResizeShapeCommand', () => {
+    test('scales every shape from the selection bounds and undoes and redoes', () => {
+        const rectangle = new Rectangle(0, 0, 10, 10);
+        const line = new Line(10, 10, 20, 20);
+        const manager = new CommandManager();
+        manager.execute(resize([rectangle, line], { x: 0, y: 0, width: 20, height: 20 }, { x: 0, y: 0, width: 40, height: 10 }));
+
+        expect(rectangle.getBounds()).toEqual({ x: 0, y: 0, width: 20, height: 5 });
+        expect([line.x, line.y, line.x2, line.y2]).toEqual([20, 5, 40, 10]);
+        expect(manager.history[0].describe()).toBe('Resize 2 shapes');
+
+        manager.undo();
+        expect(rectangle.getBounds()).toEqual({ x: 0, y: 0, width: 10, height: 10 });
+        expect([line.x, line.y, line.x2, line.y2]).toEqual([10, 10, 20, 20]);
+
+        manager.redo();
+        expect(rectangle.getBounds()).toEqual({ x: 0, y: 0, width: 20, height: 5 });
+    });
+
+    test('keeps the rotation of a rotated shape', () => {
+        const rectangle = new Rectangle(0, 0, 10, 10);
+        rectangle.transform.rotation = 45;
+        const bounds = rectangle.getBounds();
+        resize([rectangle], bounds, { ...bounds, width: bounds.width * 2, height: bounds.height * 2 });
+
+        expect(rectangle.transform.rotation).toBeCloseTo(45);
+        expect(rectangle.getBounds().width).toBeCloseTo(bounds.width * 2);
+    });
+
+    test('restores from saved data', () => {
+        const state = new CanvasState();
+        const rectangle = new Rectangle(0, 0, 10, 10);
+        state.addShape(rectangle);
+        const command = resize([rectangle], rectangle.getBounds(), { x: 5, y: 5, width: 30, height: 30 });
+        command.undo();
+
+        const saved = JSON.parse(JSON.stringify(command.serialize()));
+        ResizeShapeCommand.deserialize(saved, new CommandContext(state)).execute();
+        expect(rectangle.getBounds()).toEqual({ x: 5, y: 5, width: 30, height: 30 });
+    });
+});
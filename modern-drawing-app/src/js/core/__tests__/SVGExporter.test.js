@@ -0,0 +1,54 @@
+// src/js/core/__tests__/SVGExporter.test.js
+import { SVGExporter } from '../SVGExporter.js';
+import { Layer } from '../Layer.js';
+import { Rectangle, Text } from '../../shapes/index.js';
+
+function drawing() {
+    const layer = new Layer('Back & "front"', 'layer_1');
+    const rectangle = new Rectangle(10, 20, 30, 40);
+    rectangle.id = 'rect_1';
+    rectangle.layerId = layer.id;
+    const text = new Text(0, 0, 'a < b & c', 12);
+    text.id = 'text_1';
+    text.layerId = layer.id;
+    return { layers: [layer], shapes: [rectangle, text] };
+}
+
+const exportSVG = (options, { shapes, layers } = drawing()) =>
+    new SVGExporter({ pretty: false, ...options }).export(shapes, layers);
+
+describe('SVGExporter', () => {
+    test('sizes the viewBox to the shapes plus padding', () => {
+        const rectangle = new Rectangle(10, 20, 30, 40);
+        const svg = exportSVG({ padding: 5 }, { shapes: [rectangle], layers: [new Layer()] });
+        expect(svg).toContain('width="40" height="50" viewBox="5 15 40 50"');
+    });
+
+    test('rounds the size and viewBox to clean numbers', () => {
+        // 0.3 - 0.1 is 0.19999999999999998 in floating point
+        const rectangle = new Rectangle(0.3, 0, 10, 10);
+        const svg = exportSVG({ padding: 0.1 }, { shapes: [rectangle], layers: [new Layer()] });
+        expect(svg).toContain('width="10.2" height="10.2" viewBox="0.2 -0.1 10.2 10.2"');
+    });
+
+    test('escapes text, layer names and the title', () => {
+        const svg = exportSVG({ title: '<Plan>' });
+        expect(svg).toContain('<title>&lt;Plan&gt;</title>');
+        expect(svg).toContain('data-name="Back &amp; &quot;front&quot;"');
+        expect(svg).toContain('a &lt; b &amp; c');
+        expect(svg).not.toContain('a < b');
+    });
+
+    test('gives the same markup and ids on every export', () => {
+        const svg = exportSVG();
+        expect(exportSVG()).toBe(svg);
+        expect(svg).toContain('<g id="layer_1"');
+        expect(svg).toContain('id="rect_1"');
+        expect(svg).toContain('id="text_1"');
+    });
+
+    test('leaves out the background when it is transparent', () => {
+        expect(exportSVG()).toContain('<rect id="background"');
+        expect(exportSVG({ background: 'transparent' })).not.toContain('id="background"');
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * @jest-environment jsdom
+ */
+// src/js/core/__tests__/SVGImporter.test.js
+import { SVGImporter } from '../SVGImporter.js';
+import { setCanvasFactory } from '../canvasFactory.js';
+
+// jsdom has no canvas, so text widths are estimated: 0.55em per character
+beforeAll(() => {
+    setCanvasFactory({ createCanvas: () => null, createImage: () => null });
+});
+
+const svg = content => `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100">${content}</svg>`;
+const importSVG = content => new SVGImporter().parse(svg(content));
+
+function expectBounds(bounds, expected) {
+    Object.entries(expected).forEach(([key, value]) => expect(bounds[key]).toBeCloseTo(value));
+}
+
+describe('SVGImporter', () => {
+    test('reads basic shapes with their paint', () => {
+        const { shapes, warnings } = importSVG(
+            '<rect x="10" y="20" width="30" height="40" fill="red" stroke="blue" stroke-width="2"/>' +
+            '<circle cx="50" cy="50" r="10"/>' +
+            '<line x1="0" y1="0" x2="5" y2="5" stroke="black"/>' +
+            '<polygon points="0,0 10,0 10,10"/>' +
+            '<path d="M0 0 C10 0 10 10 20 10"/>');
+
+        expect(warnings).toEqual([]);
+        expect(shapes.map(shape => shape.type)).toEqual(['rectangle', 'ellipse', 'line', 'polygon', 'path']);
+        const [rectangle, circle] = shapes;
+        expect(rectangle.getBounds()).toEqual({ x: 10, y: 20, width: 30, height: 40 });
+        expect([rectangle.fillColor, rectangle.strokeColor, rectangle.strokeWidth]).toEqual(['red', 'blue', 2]);
+        expect(circle.getBounds()).toEqual({ x: 40, y: 40, width: 20, height: 20 });
+        expect(circle.strokeColor).toBe('transparent');
+    });
+
+    test('applies transforms and inherits style from groups', () => {
+        const { shapes: [group] } = importSVG(
+            '<g transform="translate(100 0) scale(2)" fill="green">' +
+            '<rect width="10" height="10"/><rect x="10" width="10" height="10" stroke="black"/></g>');
+
+        expect(group.type).toBe('group');
+        const [first, second] = group.children;
+        expect(first.getBounds()).toEqual({ x: 100, y: 0, width: 20, height: 20 });
+        expect(first.fillColor).toBe('green');
+        // Strokes scale with the shape
+        expect(second.strokeWidth).toBe(2);
+    });
+
+    test('keeps rotations as the shape transform', () => {
+        const { shapes: [rectangle] } = importSVG('<rect width="10" height="10" transform="rotate(45 5 5)"/>');
+        expect(rectangle.hasTransform()).toBe(true);
+        expect(rectangle.transform.rotation).toBeCloseTo(45);
+        expectBounds(rectangle.getBounds(), { x: 5 - Math.SQRT2 * 5, width: Math.SQRT2 * 10 });
+    });
+
+    test('maps the viewBox onto the image size', () => {
+        const { shapes: [rectangle] } = new SVGImporter().parse(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100" viewBox="50 0 100 50">' +
+            '<rect x="50" width="10" height="10"/></svg>');
+        expect(rectangle.getBounds()).toEqual({ x: 0, y: 0, width: 20, height: 20 });
+    });
+
+    test('lists what could not be imported, once per kind', () => {
+        const { shapes, warnings } = importSVG(
+            '<rect width="10" height="10" opacity="0.5"/><rect width="10" height="10" opacity="0.5"/>' +
+            '<foreignObject/><image href="photo.png" width="10" height="10"/>');
+
+        expect(shapes).toHaveLength(2);
+        expect(warnings).toEqual([
+            'Opacity was ignored (2 times)',
+            'Skipped unsupported <foreignObject> elements',
+            'Skipped images linked from other files'
+        ]);
+    });
+
+    test('refuses documents that are not SVG', () => {
+        expect(() => new SVGImporter().parse('<svg')).toThrow('The file is not valid SVG');
+        expect(() => new SVGImporter().parse('<html/>')).toThrow('The file is not an SVG image');
+    });
+});
+
+describe('SVGImporter text', () => {
+    test('puts the bounds of centered text around its anchor, above the baseline', () => {
+        const { shapes: [text] } = importSVG('<text x="100" y="50" font-size="20" text-anchor="middle">Hello</text>');
+
+        expect([text.x, text.y, text.textAlign, text.textBaseline]).toEqual([100, 50, 'center', 'alphabetic']);
+        expectBounds(text.getBounds(), { x: 72.5, y: 34, width: 55, height: 24 });
+        expect(text.hitTest(80, 45)).toBe(true);
+        expect(text.hitTest(120, 60)).toBe(false);
+    });
+
+    test('ends right-anchored text at its anchor', () => {
+        const { shapes: [text] } = importSVG(
+            '<text x="100" y="50" font-size="20" text-anchor="end" dominant-baseline="text-before-edge">Hello</text>');
+        expectBounds(text.getBounds(), { x: 45, y: 50, width: 55, height: 24 });
+    });
+});
@@ -0,0 +1,84 @@
+// src/js/core/__tests__/ShapeRegistry.test.js
+import { Shape } from '../Shape.js';
+import { ShapeRegistry } from '../ShapeRegistry.js';
+import { validateShape } from '../fileFormat.js';
+import {
+    shapeRegistry, Rectangle, Ellipse, Line, Text, BezierCurve, Polygon, FreehandPath, Path, ImageShape, Group
+} from '../../shapes/index.js';
+
+// One shape of every registered type, with more than the default data
+const SAMPLES = {
+    rectangle: () => {
+        const rectangle = new Rectangle(10, 20, 30, 40);
+        rectangle.transform.rotation = 30;
+        rectangle.fillColor = '#ff0000';
+        return rectangle;
+    },
+    ellipse: () => new Ellipse(5, 5, 20, 10),
+    line: () => new Line(1, 2, 3, 4),
+    text: () => {
+        const text = new Text(10, 10, 'Hello & <bye>', 24);
+        text.textAlign = 'center';
+        return text;
+    },
+    bezier: () => new BezierCurve(0, 0, 50, 80),
+    polygon: () => {
+        const polygon = new Polygon(0, 0, [], false);
+        polygon.setAbsolutePoints([{ x: 0, y: 0 }, { x: 10, y: 5 }, { x: 0, y: 10 }]);
+        return polygon;
+    },
+    freehand: () => {
+        const stroke = new FreehandPath(0, 0);
+        stroke.pressureEnabled = true;
+        [[0, 0, 0.2], [5, 5, 0.6], [10, 0, 0.9]].forEach(point => stroke.addPoint(...point));
+        return stroke;
+    },
+    path: () => {
+        const path = new Path(0, 0, [], true);
+        path.setAbsoluteNodes([
+            { x: 0, y: 0, handleIn: null, handleOut: { x: 5, y: -5 }, smooth: false },
+            { x: 20, y: 0, handleIn: { x: 15, y: -5 }, handleOut: null, smooth: true }
+        ]);
+        return path;
+    },
+    image: () => new ImageShape(0, 0, 2, 1, 'data:image/png;base64,AAAA'),
+    group: () => new Group([new Rectangle(0, 0, 5, 5), new Line(0, 0, 5, 5)])
+};
+
+const roundTrip = shape => shapeRegistry.createShape(JSON.parse(JSON.stringify(shape.serialize())));
+
+describe('ShapeRegistry', () => {
+    test('has a sample for every registered type', () => {
+        expect(shapeRegistry.getTypes().sort()).toEqual(Object.keys(SAMPLES).sort());
+    });
+
+    test.each(Object.keys(SAMPLES))('restores a %s from its saved data', type => {
+        const shape = SAMPLES[type]();
+        const restored = roundTrip(shape);
+
+        expect(restored).toBeInstanceOf(shape.constructor);
+        expect(restored.serialize()).toEqual(shape.serialize());
+        expect(restored.getBounds()).toEqual(shape.getBounds());
+        expect(restored.toSVG()).toBe(shape.toSVG());
+        expect(validateShape(shape.serialize(), type, { errors: [], warnings: [] })).toBe(true);
+    });
+
+    test('keeps the data of unknown types as it was', () => {
+        const data = { type: 'star', id: 'star_1', x: 1, y: 2, points: 5, width: 30, height: 20 };
+        const shape = shapeRegistry.createShape(data);
+
+        expect(shape.type).toBe('star');
+        expect(shape.getBounds()).toEqual({ x: 1, y: 2, width: 30, height: 20 });
+        expect(shape.serialize()).toMatchObject(data);
+    });
+
+    test('refuses shapes that leave out a required method', () => {
+        class Incomplete extends Shape {
+            serialize() {
+                return super.serialize();
+            }
+        }
+        expect(() => new ShapeRegistry().register('incomplete', Incomplete))
+            .toThrow('Shape "incomplete" must implement: deserialize, draw, toSVG');
+    });
+});
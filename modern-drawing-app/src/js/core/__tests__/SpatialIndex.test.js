@@ -0,0 +1,108 @@
+// src/js/core/__tests__/SpatialIndex.test.js
+import { SpatialIndex } from '../SpatialIndex.js';
+
+const rect = (x, y, width, height) => ({ x, y, width, height });
+
+// Deterministic pseudo-random numbers in [0, 1)
+function random(seed) {
+    return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+function intersects(a, b) {
+    return a.x <= b.x + b.width && b.x <= a.x + a.width &&
+           a.y <= b.y + b.height && b.y <= a.y + a.height;
+}
+
+function distance(x, y, r) {
+    return Math.hypot(
+        Math.max(r.x - x, 0, x - (r.x + r.width)),
+        Math.max(r.y - y, 0, y - (r.y + r.height)));
+}
+
+describe('SpatialIndex', () => {
+    test('finds items touching a rectangle, edges included', () => {
+        const index = new SpatialIndex();
+        index.insert('a', rect(0, 0, 10, 10));
+        index.insert('b', rect(20, 20, 10, 10));
+
+        expect(index.search(rect(10, 10, 5, 5))).toEqual(['a']);
+        expect(index.search(rect(0, 0, 30, 30)).sort()).toEqual(['a', 'b']);
+        expect(index.search(rect(12, 12, 2, 2))).toEqual([]);
+    });
+
+    test('finds items within a margin of a point', () => {
+        const index = new SpatialIndex();
+        index.insert('a', rect(0, 0, 10, 10));
+
+        expect(index.searchPoint(5, 5)).toEqual(['a']);
+        expect(index.searchPoint(14, 5)).toEqual([]);
+        expect(index.searchPoint(14, 5, 4)).toEqual(['a']);
+    });
+
+    test('moves an item that is inserted again, and forgets removed ones', () => {
+        const index = new SpatialIndex();
+        index.insert('a', rect(0, 0, 10, 10));
+        index.insert('a', rect(5000, 5000, 10, 10));
+
+        expect(index.size).toBe(1);
+        expect(index.searchPoint(5, 5)).toEqual([]);
+        expect(index.searchPoint(5005, 5005)).toEqual(['a']);
+
+        expect(index.remove('a')).toBe(true);
+        expect(index.remove('a')).toBe(false);
+        expect(index.has('a')).toBe(false);
+        expect(index.search(rect(-1e6, -1e6, 2e6, 2e6))).toEqual([]);
+    });
+
+    test('grows to take in items far outside the first root', () => {
+        const index = new SpatialIndex();
+        index.insert('near', rect(0, 0, 1, 1));
+        index.insert('far', rect(-90000, 70000, 1, 1));
+
+        expect(index.searchPoint(-90000, 70000)).toEqual(['far']);
+        expect(index.searchPoint(0, 0)).toEqual(['near']);
+    });
+
+    test('always returns items without finite bounds', () => {
+        const index = new SpatialIndex();
+        index.insert('empty', rect(Infinity, Infinity, -Infinity, -Infinity));
+
+        expect(index.search(rect(0, 0, 1, 1))).toEqual(['empty']);
+    });
+
+    test('finds the nearest item that passes the filter', () => {
+        const index = new SpatialIndex();
+        index.insert('a', rect(0, 0, 10, 10));
+        index.insert('b', rect(100, 0, 10, 10));
+
+        expect(index.nearest(80, 5)).toBe('b');
+        expect(index.nearest(80, 5, { filter: item => item !== 'b' })).toBe('a');
+        expect(index.nearest(80, 5, { maxDistance: 10 })).toBe(null);
+    });
+
+    test('agrees with a brute-force search over many items', () => {
+        const next = random(7);
+        const index = new SpatialIndex();
+        const items = [];
+        for (let i = 0; i < 1000; i++) {
+            const item = { bounds: rect(next() * 8000 - 4000, next() * 8000 - 4000, next() * 200, next() * 200) };
+            items.push(item);
+            index.insert(item, item.bounds);
+        }
+        items.slice(0, 200).forEach(item => index.remove(item));
+        const live = items.slice(200);
+
+        for (let i = 0; i < 50; i++) {
+            const area = rect(next() * 8000 - 4000, next() * 8000 - 4000, next() * 1000, next() * 1000);
+            const found = new Set(index.search(area));
+            const expected = live.filter(item => intersects(item.bounds, area));
+            expect(found.size).toBe(expected.length);
+            expected.forEach(item => expect(found.has(item)).toBe(true));
+
+            const x = next() * 10000 - 5000;
+            const y = next() * 10000 - 5000;
+            const closest = Math.min(...live.map(item => distance(x, y, item.bounds)));
+            expect(distance(x, y, index.nearest(x, y).bounds)).toBe(closest);
+        }
+    });
+});
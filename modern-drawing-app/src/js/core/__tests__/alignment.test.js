@@ -0,0 +1,83 @@
+// src/js/core/__tests__/alignment.test.js
+import { getUnionBounds, getAlignmentOffsets, getDistributionOffsets } from '../alignment.js';
+
+const box = (x, width, y = 0, height = 10) => ({ x, y, width, height });
+
+describe('getUnionBounds', () => {
+    test('covers every bounds', () => {
+        expect(getUnionBounds([box(0, 10), box(20, 5, 30, 5)])).toEqual({ x: 0, y: 0, width: 25, height: 35 });
+    });
+
+    test('is null for nothing', () => {
+        expect(getUnionBounds([])).toBe(null);
+    });
+});
+
+describe('getAlignmentOffsets', () => {
+    const boundsList = [box(0, 10), box(40, 20)];
+    const target = getUnionBounds(boundsList);
+
+    test('lines up left, center and right edges', () => {
+        expect(getAlignmentOffsets(boundsList, 'left', target)).toEqual([{ dx: 0, dy: 0 }, { dx: -40, dy: 0 }]);
+        expect(getAlignmentOffsets(boundsList, 'center', target)).toEqual([{ dx: 25, dy: 0 }, { dx: -20, dy: 0 }]);
+        expect(getAlignmentOffsets(boundsList, 'right', target)).toEqual([{ dx: 50, dy: 0 }, { dx: 0, dy: 0 }]);
+    });
+
+    test('lines up top, middle and bottom edges', () => {
+        const list = [box(0, 10, 0, 10), box(0, 10, 30, 30)];
+        const union = getUnionBounds(list);
+        expect(getAlignmentOffsets(list, 'top', union).map(o => o.dy)).toEqual([0, -30]);
+        expect(getAlignmentOffsets(list, 'middle', union).map(o => o.dy)).toEqual([25, -15]);
+        expect(getAlignmentOffsets(list, 'bottom', union).map(o => o.dy)).toEqual([50, 0]);
+    });
+});
+
+describe('getDistributionOffsets', () => {
+    test('makes the gaps equal between the outermost shapes', () => {
+        const boundsList = [box(0, 10), box(15, 10), box(90, 10)];
+        const offsets = getDistributionOffsets(boundsList, 'horizontal', 'gap');
+        expect(offsets.map(o => o.dx)).toEqual([0, 30, 0]);
+    });
+
+    test('makes the distance between centers equal', () => {
+        const boundsList = [box(0, 10), box(10, 10), box(100, 10)];
+        const offsets = getDistributionOffsets(boundsList, 'horizontal', 'center');
+        expect(offsets.map(o => o.dx)).toEqual([0, 40, 0]);
+    });
+
+    test('keeps the outermost centers in place, however wide their shapes are', () => {
+        const boundsList = [box(0, 100), box(40, 10), box(200, 10)];
+        const offsets = getDistributionOffsets(boundsList, 'horizontal', 'center');
+        expect(offsets.map(o => o.dx)).toEqual([75, 0, 0]);
+    });
+
+    test('keeps the outermost shapes in place when an inner one reaches past them', () => {
+        const boundsList = [box(0, 10), box(20, 300), box(100, 10)];
+        const offsets = getDistributionOffsets(boundsList, 'horizontal', 'gap');
+        expect(offsets[0].dx).toBe(0);
+        expect(offsets[2].dx).toBe(0);
+    });
+
+    test('puts the outermost centers by the edges of a target', () => {
+        const boundsList = [box(0, 100), box(40, 10), box(200, 10)];
+        const offsets = getDistributionOffsets(boundsList, 'horizontal', 'center', box(0, 300));
+        expect(offsets.map(o => o.dx)).toEqual([100, -40, 90]);
+    });
+
+    test('works on the vertical axis, whatever the input order', () => {
+        const boundsList = [box(0, 10, 100, 10), box(0, 10, 0, 10), box(0, 10, 20, 10)];
+        const offsets = getDistributionOffsets(boundsList, 'vertical', 'gap');
+        expect(offsets.map(o => o.dy)).toEqual([0, 0, 30]);
+        expect(offsets.every(o => o.dx === 0)).toBe(true);
+    });
+
+    test('spreads the shapes across another target', () => {
+        const boundsList = [box(0, 10), box(20, 10)];
+        const offsets = getDistributionOffsets(boundsList, 'horizontal', 'gap', box(100, 100));
+        expect(offsets.map(o => o.dx)).toEqual([100, 170]);
+    });
+
+    test('leaves a single shape alone', () => {
+        expect(getDistributionOffsets([box(5, 5)], 'horizontal', 'gap')).toEqual([{ dx: 0, dy: 0 }]);
+    });
+});
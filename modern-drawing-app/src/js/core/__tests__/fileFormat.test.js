@@ -0,0 +1,98 @@
+// src/js/core/__tests__/fileFormat.test.js
+import { readDrawingFile, describeLoadProblems, FILE_VERSION } from '../fileFormat.js';
+
+const rectangle = (id, zIndex, extra = {}) => ({
+    type: 'rectangle', id, x: 0, y: 0, width: 10, height: 10, zIndex, ...extra
+});
+
+describe('readDrawingFile', () => {
+    test('migrates a version 1 file without layers', () => {
+        const { data, errors } = readDrawingFile(JSON.stringify({
+            version: '1.0',
+            shapes: [rectangle('a', 1), rectangle('b', 1), rectangle('c', 0)]
+        }));
+
+        expect(errors).toEqual([]);
+        expect(data.version).toBe(FILE_VERSION);
+        expect(data.layers).toHaveLength(1);
+        expect(data.layers[0].id).toBe('layer_1');
+        expect(data.activeLayerId).toBe(data.layers[0].id);
+        expect(data.shapes.every(shape => shape.layerId === data.layers[0].id)).toBe(true);
+        // Shared indices are restacked in file order
+        expect(data.shapes.map(shape => [shape.id, shape.zIndex])).toEqual([['a', 2], ['b', 3], ['c', 1]]);
+    });
+
+    test('gives shapes of a current file that share a zIndex their own', () => {
+        const layer = { id: 'layer', name: 'Layer 1', visible: true, locked: false };
+        const { data } = readDrawingFile(JSON.stringify({
+            version: FILE_VERSION,
+            layers: [layer],
+            shapes: ['a', 'b', 'c'].map(id => rectangle(id, 5, { layerId: 'layer' }))
+        }));
+
+        expect(data.shapes.map(shape => shape.zIndex)).toEqual([1, 2, 3]);
+    });
+
+    test('treats a file without a version as version 1', () => {
+        const { data } = readDrawingFile(JSON.stringify({ shapes: [] }));
+        expect(data.version).toBe(FILE_VERSION);
+    });
+
+    test('refuses files that are not drawings or come from a newer version', () => {
+        expect(readDrawingFile('{').errors[0]).toMatch(/^The file is not valid JSON/);
+        expect(readDrawingFile('[]').errors).toEqual(['The file is not a drawing']);
+        expect(readDrawingFile(JSON.stringify({ version: FILE_VERSION + 1 })).errors[0])
+            .toMatch(/newer version/);
+        expect(readDrawingFile(JSON.stringify({ version: 'x' })).data).toBe(null);
+    });
+
+    test('leaves out invalid shapes and shapes with a duplicate id', () => {
+        const { data, errors } = readDrawingFile(JSON.stringify({
+            version: 1,
+            shapes: [rectangle('a', 1), rectangle('b', 2, { width: 'wide' }), rectangle('a', 3)]
+        }));
+
+        expect(data.shapes.map(shape => shape.id)).toEqual(['a']);
+        expect(errors).toHaveLength(2);
+        expect(errors[0]).toMatch(/^Shape 2 \(b\): /);
+        expect(errors[1]).toBe('Shape 3: id "a" is used by another shape');
+    });
+
+    test('keeps shapes of unknown types as placeholders, with a warning', () => {
+        const { data, warnings } = readDrawingFile(JSON.stringify({
+            version: 1,
+            shapes: [{ type: 'star', id: 's', x: 0, y: 0 }]
+        }));
+
+        expect(data.shapes).toHaveLength(1);
+        expect(warnings).toEqual(['Shape 1 (s): unknown shape type "star" is kept as a placeholder']);
+    });
+
+    test('drops a damaged undo history with a warning', () => {
+        const { data, warnings } = readDrawingFile(JSON.stringify({ version: 1, shapes: [], history: { root: 1 } }));
+
+        expect(data.history).toBeUndefined();
+        expect(warnings).toEqual(['The saved undo history is damaged and was not loaded']);
+    });
+});
+
+describe('describeLoadProblems', () => {
+    test('is null when nothing went wrong', () => {
+        expect(describeLoadProblems({ success: true, errors: [], warnings: [] })).toBe(null);
+    });
+
+    test('heads the list by how bad the problems are', () => {
+        expect(describeLoadProblems({ success: false, errors: ['broken'], warnings: [] }))
+            .toBe('The drawing could not be loaded:\n\nbroken');
+        expect(describeLoadProblems({ success: true, errors: ['bad shape'], warnings: ['old'] }))
+            .toBe('Some shapes could not be loaded and were left out:\n\nbad shape\nold');
+        expect(describeLoadProblems({ success: true, errors: [], warnings: ['old'] }))
+            .toBe('The drawing was loaded with warnings:\n\nold');
+    });
+
+    test('lists at most `limit` problems', () => {
+        const errors = ['1', '2', '3', '4'];
+        expect(describeLoadProblems({ success: false, errors, warnings: [] }, 2))
+            .toBe('The drawing could not be loaded:\n\n1\n2\n...and 2 more');
+    });
+});
@@ -0,0 +1,70 @@
+// src/js/core/__tests__/groupCommands.test.js
+import { CanvasState } from '../CanvasState.js';
+import { CommandManager } from '../CommandManager.js';
+import { CommandContext, GroupShapesCommand, UngroupShapesCommand } from '../../commands/index.js';
+import { Rectangle } from '../../shapes/index.js';
+
+const order = state => state.getOrderedShapes().map(shape => shape.id);
+const selected = state => Array.from(state.selectedShapes);
+
+function setup() {
+    const state = new CanvasState();
+    const shapes = [0, 1, 2].map(index => new Rectangle(index * 20, 0, 10, 10));
+    shapes.forEach(shape => state.addShape(shape));
+    return { state, shapes, manager: new CommandManager() };
+}
+
+describe('GroupShapesCommand', () => {
+    test('puts the group where its topmost shape was and undoes and redoes', () => {
+        const { state, shapes: [bottom, middle, top], manager } = setup();
+        const before = order(state);
+        manager.execute(new GroupShapesCommand(state, [top, bottom]));
+
+        const [group] = selected(state);
+        expect(group.type).toBe('group');
+        expect(group.children).toEqual([bottom, top]);
+        expect(order(state)).toEqual([middle.id, group.id]);
+        expect(group.getBounds()).toEqual({ x: 0, y: 0, width: 50, height: 10 });
+
+        manager.undo();
+        expect(order(state)).toEqual(before);
+        expect(selected(state)).toEqual([bottom, top]);
+        expect(bottom.parent).toBe(null);
+
+        manager.redo();
+        expect(order(state)).toEqual([middle.id, group.id]);
+    });
+
+    test('restores a saved history while the group is undone', () => {
+        const { state, shapes: [bottom, , top], manager } = setup();
+        manager.execute(new GroupShapesCommand(state, [bottom, top]));
+        const groupId = selected(state)[0].id;
+        manager.undo();
+        const saved = JSON.parse(JSON.stringify(manager.serialize()));
+
+        const restored = new CommandManager();
+        expect(restored.deserialize(saved, new CommandContext(state))).toBe(0);
+        restored.redo();
+        const group = state.findShape(groupId);
+        expect(group.children).toEqual([bottom, top]);
+    });
+});
+
+describe('UngroupShapesCommand', () => {
+    test('slots the children in where the group was and undoes', () => {
+        const { state, shapes: [bottom, middle, top], manager } = setup();
+        manager.execute(new GroupShapesCommand(state, [bottom, middle]));
+        const [group] = selected(state);
+        const grouped = order(state);
+
+        manager.execute(new UngroupShapesCommand(state, group));
+        expect(order(state)).toEqual([bottom.id, middle.id, top.id]);
+        expect(selected(state)).toEqual([bottom, middle]);
+        expect(state.findShape(group.id)).toBeFalsy();
+
+        manager.undo();
+        expect(order(state)).toEqual(grouped);
+        expect(group.children).toEqual([bottom, middle]);
+        expect(selected(state)).toEqual([group]);
+    });
+});
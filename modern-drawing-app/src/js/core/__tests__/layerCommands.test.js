@@ -0,0 +1,104 @@
+// src/js/core/__tests__/layerCommands.test.js
+import { CanvasState } from '../CanvasState.js';
+import { CommandManager } from '../CommandManager.js';
+import {
+    CommandContext, AddShapeCommand, RemoveLayerCommand, MoveShapesToLayerCommand
+} from '../../commands/index.js';
+import { Rectangle } from '../../shapes/index.js';
+
+const order = state => state.getOrderedShapes().map(shape => shape.id);
+
+function setup() {
+    const state = new CanvasState();
+    const bottom = state.layers[0];
+    const shapes = [0, 1, 2].map(() => new Rectangle(0, 0, 10, 10));
+    shapes.forEach(shape => state.addShape(shape));
+    const top = state.addLayer('Top');
+    state.setActiveLayer(bottom.id);
+    return { state, bottom, top, shapes, manager: new CommandManager() };
+}
+
+describe('RemoveLayerCommand', () => {
+    test('puts the layer and its shapes back on undo, and removes them again on redo', () => {
+        const { state, bottom, top, shapes, manager } = setup();
+        const before = order(state);
+        manager.execute(new RemoveLayerCommand(state, bottom));
+        expect(state.layers).toEqual([top]);
+        expect(state.shapes.size).toBe(0);
+
+        manager.undo();
+        expect(state.layers).toEqual([bottom, top]);
+        expect(state.activeLayerId).toBe(bottom.id);
+        expect(order(state)).toEqual(before);
+        expect(shapes.every(shape => shape.layerId === bottom.id)).toBe(true);
+
+        manager.redo();
+        expect(state.shapes.size).toBe(0);
+    });
+
+    test('keeps the shape count right when earlier steps are undone', () => {
+        const { state, top, manager } = setup();
+        state.setActiveLayer(top.id);
+        manager.execute(new AddShapeCommand(state, new Rectangle(0, 0, 5, 5)));
+        manager.execute(new RemoveLayerCommand(state, top));
+        expect(state.shapes.size).toBe(3);
+
+        manager.undo();
+        manager.undo();
+        expect(state.shapes.size).toBe(3);
+        manager.redo();
+        manager.redo();
+        expect(state.shapes.size).toBe(3);
+        expect(state.layers).toHaveLength(1);
+    });
+
+    test('restores a saved deletion whose layer is gone', () => {
+        const { state, bottom, manager } = setup();
+        manager.execute(new RemoveLayerCommand(state, bottom));
+        const saved = JSON.parse(JSON.stringify(manager.serialize()));
+
+        const restored = new CommandManager();
+        expect(restored.deserialize(saved, new CommandContext(state))).toBe(0);
+        restored.undo();
+        expect(state.layers.map(layer => layer.name)).toEqual(['Layer 1', 'Top']);
+        expect(state.shapes.size).toBe(3);
+    });
+});
+
+describe('MoveShapesToLayerCommand', () => {
+    test('moves shapes to the top of a layer and back to their old place', () => {
+        const { state, top, shapes, manager } = setup();
+        const onTop = new Rectangle(0, 0, 10, 10);
+        state.addShape(onTop);
+        state.placeShapes([onTop], [{ layerId: top.id, zIndex: onTop.zIndex }]);
+        const before = order(state);
+
+        manager.execute(new MoveShapesToLayerCommand(state, [shapes[0], shapes[1]], top.id));
+        expect(order(state)).toEqual([shapes[2], onTop, shapes[0], shapes[1]].map(shape => shape.id));
+
+        manager.undo();
+        expect(order(state)).toEqual(before);
+        expect(shapes[0].layerId).toBe(state.layers[0].id);
+
+        manager.redo();
+        expect(order(state)).toEqual([shapes[2], onTop, shapes[0], shapes[1]].map(shape => shape.id));
+    });
+
+    test('leaves out shapes already on the layer', () => {
+        const { state, bottom, shapes } = setup();
+        expect(new MoveShapesToLayerCommand(state, shapes, bottom.id).shapes).toEqual([]);
+    });
+
+    test('restores a saved move', () => {
+        const { state, top, shapes, manager } = setup();
+        manager.execute(new MoveShapesToLayerCommand(state, [shapes[0]], top.id));
+        const saved = JSON.parse(JSON.stringify(manager.serialize()));
+
+        const restored = new CommandManager();
+        restored.deserialize(saved, new CommandContext(state));
+        restored.undo();
+        expect(order(state)).toEqual(shapes.map(shape => shape.id));
+        restored.redo();
+        expect(shapes[0].layerId).toBe(top.id);
+    });
+});
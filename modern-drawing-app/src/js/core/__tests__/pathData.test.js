@@ -0,0 +1,52 @@
+// src/js/core/__tests__/pathData.test.js
+import { parsePathData } from '../pathData.js';
+
+const points = subpath => subpath.nodes.map(node => [node.x, node.y]);
+
+describe('parsePathData', () => {
+    test('reads absolute lines and closes the subpath on Z', () => {
+        const [subpath] = parsePathData('M10 10 L20 10 20 20 Z');
+        expect(points(subpath)).toEqual([[10, 10], [20, 10], [20, 20]]);
+        expect(subpath.closed).toBe(true);
+    });
+
+    test('resolves relative and horizontal/vertical commands', () => {
+        const [subpath] = parsePathData('m5 5 h10 v10 l-10 0');
+        expect(points(subpath)).toEqual([[5, 5], [15, 5], [15, 15], [5, 15]]);
+        expect(subpath.closed).toBe(false);
+    });
+
+    test('starts a new subpath on each move', () => {
+        expect(parsePathData('M0 0 L1 1 M5 5 L6 6')).toHaveLength(2);
+    });
+
+    test('turns quadratic curves into cubic handles', () => {
+        const [subpath] = parsePathData('M0 0 Q30 30 60 0');
+        const [start, end] = subpath.nodes;
+        expect(start.handleOut).toEqual({ x: 20, y: 20 });
+        expect(end.handleIn).toEqual({ x: 40, y: 20 });
+    });
+
+    test('turns arcs into cubic segments that end on the arc end point', () => {
+        const { nodes } = parsePathData('M0 0 A10 10 0 0 1 20 0')[0];
+        const last = nodes[nodes.length - 1];
+        expect(nodes.length).toBeGreaterThan(2);
+        expect(last.x).toBeCloseTo(20);
+        expect(last.y).toBeCloseTo(0);
+    });
+
+    test('reads arc flags written without separators', () => {
+        const { nodes } = parsePathData('M0 0 a5 5 0 011 1')[0];
+        const last = nodes[nodes.length - 1];
+        expect(last.x).toBeCloseTo(1);
+        expect(last.y).toBeCloseTo(1);
+    });
+
+    test('keeps what was read before an error', () => {
+        expect(points(parsePathData('M0 0 L10 0 L')[0])).toEqual([[0, 0], [10, 0]]);
+    });
+
+    test('throws when nothing could be read', () => {
+        expect(() => parsePathData('L 10')).toThrow('Missing parameter for "L"');
+    });
+});
@@ -0,0 +1,90 @@
+// src/js/core/alignment.js
+// Align and distribute helpers. They work on axis-aligned bounds, so every
+// shape type, including rotated shapes and groups, lines up by what is drawn.
+// Each helper returns one { dx, dy } offset per input bounds.
+
+const AXES = {
+    horizontal: { start: 'x', size: 'width', offset: 'dx' },
+    vertical: { start: 'y', size: 'height', offset: 'dy' }
+};
+
+export function getUnionBounds(boundsList) {
+    if (boundsList.length === 0) return null;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    boundsList.forEach(bounds => {
+        minX = Math.min(minX, bounds.x);
+        minY = Math.min(minY, bounds.y);
+        maxX = Math.max(maxX, bounds.x + bounds.width);
+        maxY = Math.max(maxY, bounds.y + bounds.height);
+    });
+
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+// edge is 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+export function getAlignmentOffsets(boundsList, edge, target) {
+    return boundsList.map(bounds => {
+        switch (edge) {
+            case 'left':
+                return { dx: target.x - bounds.x, dy: 0 };
+            case 'center':
+                return { dx: (target.x + target.width / 2) - (bounds.x + bounds.width / 2), dy: 0 };
+            case 'right':
+                return { dx: (target.x + target.width) - (bounds.x + bounds.width), dy: 0 };
+            case 'top':
+                return { dx: 0, dy: target.y - bounds.y };
+            case 'middle':
+                return { dx: 0, dy: (target.y + target.height / 2) - (bounds.y + bounds.height / 2) };
+            case 'bottom':
+                return { dx: 0, dy: (target.y + target.height) - (bounds.y + bounds.height) };
+            default:
+                return { dx: 0, dy: 0 };
+        }
+    });
+}
+
+/**
+ * Spreads bounds along an axis ('horizontal' or 'vertical'). spacing 'gap'
+ * makes the space between neighbours equal; 'center' makes the distance
+ * between their centers equal. With a target, the outermost shapes end up on
+ * its edges. Without one they stay where they are and the others spread out
+ * between them, as when distributing within the selection.
+ */
+export function getDistributionOffsets(boundsList, axis, spacing, target = null) {
+    const { start, size, offset } = AXES[axis];
+    const offsets = boundsList.map(() => ({ dx: 0, dy: 0 }));
+    if (boundsList.length < 2) return offsets;
+
+    const center = bounds => bounds[start] + bounds[size] / 2;
+    const order = boundsList
+        .map((bounds, index) => index)
+        .sort((a, b) => spacing === 'center'
+            ? center(boundsList[a]) - center(boundsList[b])
+            : boundsList[a][start] - boundsList[b][start]);
+    const first = boundsList[order[0]];
+    const last = boundsList[order[order.length - 1]];
+
+    if (spacing === 'center') {
+        const firstCenter = target ? target[start] + first[size] / 2 : center(first);
+        const lastCenter = target ? target[start] + target[size] - last[size] / 2 : center(last);
+        const step = (lastCenter - firstCenter) / (order.length - 1);
+
+        order.forEach((index, position) => {
+            offsets[index][offset] = firstCenter + step * position - center(boundsList[index]);
+        });
+    } else {
+        const from = target ? target[start] : first[start];
+        const to = target ? target[start] + target[size] : last[start] + last[size];
+        const totalSize = boundsList.reduce((sum, bounds) => sum + bounds[size], 0);
+        const gap = (to - from - totalSize) / (order.length - 1);
+        let position = from;
+
+        order.forEach(index => {
+            offsets[index][offset] = position - boundsList[index][start];
+            position += boundsList[index][size] + gap;
+        });
+    }
+
+    return offsets;
+}
@@ -0,0 +1,53 @@
+// src/js/core/canvasFactory.js
+// Offscreen canvases and images for the model and exporters, so they don't
+// depend on the DOM. The browser's are used by default; under Node, a canvas
+// package can be installed with setCanvasFactory, and without one canvases
+// are null and text widths are estimated.
+
+// Average character width in ems, for estimates without a canvas
+const ESTIMATED_CHARACTER_WIDTH = 0.55;
+
+let factory = {
+    createCanvas: (width, height) => {
+        if (typeof document !== 'undefined') {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+        return typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(width, height) : null;
+    },
+    createImage: () => (typeof Image !== 'undefined' ? new Image() : null)
+};
+
+let measuringContext;
+
+// Takes { createCanvas(width, height), createImage() }, as from the
+// "canvas" package
+export function setCanvasFactory({ createCanvas, createImage }) {
+    factory = { createCanvas, createImage };
+    measuringContext = undefined;
+}
+
+// A canvas of the given size, or null where there is none
+export function createCanvas(width = 300, height = 150) {
+    return factory.createCanvas(width, height);
+}
+
+// An image element to load a source into, or null where there is none
+export function createImage() {
+    return factory.createImage();
+}
+
+export function measureTextWidth(text, font) {
+    if (measuringContext === undefined) {
+        measuringContext = createCanvas(1, 1)?.getContext('2d') || null;
+    }
+    if (measuringContext) {
+        measuringContext.font = font;
+        return measuringContext.measureText(text).width;
+    }
+
+    const size = parseFloat(/(\d*\.?\d+)px/.exec(font)?.[1]) || 10;
+    return String(text).length * size * ESTIMATED_CHARACTER_WIDTH;
+}
@@ -0,0 +1,260 @@
+// src/js/core/fileFormat.js
+// The drawing file format: its schema, the migrations that bring older files
+// up to date, and validation of files before they are loaded.
+import { shapeRegistry, UnknownShape } from '../shapes/index.js';
+import { Layer } from './Layer.js';
+import { validate, NUMBER, STRING } from './schema.js';
+
+// Written by saveToJSON. Files with an older version are migrated on load.
+export const FILE_VERSION = 2;
+
+// Each migration upgrades a file from its version to the next one
+const MIGRATIONS = new Map([
+    [1, migrateFromVersion1]
+]);
+
+// Id of the layer given to format 1 files that have none. It is fixed, so
+// every load of the same file gives the same ids.
+const MIGRATED_LAYER_ID = 'layer_1';
+
+const FILE_SCHEMA = {
+    type: 'object',
+    required: ['version', 'layers', 'shapes'],
+    properties: {
+        version: NUMBER,
+        timestamp: STRING,
+        viewport: {
+            type: 'object',
+            properties: { zoom: { type: 'number', exclusiveMinimum: 0 }, panX: NUMBER, panY: NUMBER }
+        },
+        layers: { type: 'array', items: Layer.getSchema() },
+        activeLayerId: { type: ['string', 'null'] },
+        // Each shape is checked against the schema of its own type
+        shapes: { type: 'array', items: { type: 'object' } },
+        history: { type: 'object' }
+    }
+};
+
+const HISTORY_SCHEMA = {
+    type: 'object',
+    required: ['root', 'current', 'nodes'],
+    properties: {
+        fingerprint: STRING,
+        root: NUMBER,
+        current: NUMBER,
+        nodes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'parent', 'command'],
+                properties: { id: NUMBER, parent: NUMBER, active: { type: 'boolean' }, command: { type: 'object' } }
+            }
+        }
+    }
+};
+
+/**
+ * Parses, migrates and validates a drawing file. Problems with the file as a
+ * whole are fatal and leave `data` null. Shapes that fail validation are
+ * left out of `data` and listed in `errors`; shapes of unknown types stay in
+ * as placeholders and are listed in `warnings`.
+ * Returns { data, errors, warnings }.
+ */
+export function readDrawingFile(json) {
+    const report = { data: null, errors: [], warnings: [] };
+
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        report.errors.push(`The file is not valid JSON: ${error.message}`);
+        return report;
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        report.errors.push('The file is not a drawing');
+        return report;
+    }
+
+    const version = getFileVersion(data);
+    if (version === null) {
+        report.errors.push(`Unknown file version ${JSON.stringify(data.version)}`);
+        return report;
+    }
+    if (version > FILE_VERSION) {
+        report.errors.push(`The file was saved by a newer version of the app (format ${version})`);
+        return report;
+    }
+
+    try {
+        data = migrate(data, version);
+    } catch (error) {
+        report.errors.push(`The file could not be upgraded from format ${version}: ${error.message}`);
+        return report;
+    }
+
+    const fileErrors = validate(data, FILE_SCHEMA);
+    if (fileErrors.length > 0) {
+        report.errors.push(...fileErrors.map(formatError));
+        return report;
+    }
+
+    if (data.history !== undefined && validate(data.history, HISTORY_SCHEMA).length > 0) {
+        report.warnings.push('The saved undo history is damaged and was not loaded');
+        delete data.history;
+    }
+
+    const ids = new Set();
+    data.shapes = data.shapes.filter((shapeData, index) => {
+        const label = `Shape ${index + 1}`;
+        if (!validateShape(shapeData, label, report)) return false;
+        if (ids.has(shapeData.id)) {
+            report.errors.push(`${label}: id "${shapeData.id}" is used by another shape`);
+            return false;
+        }
+        ids.add(shapeData.id);
+        return true;
+    });
+    restackTiedShapes(data.shapes);
+
+    report.data = data;
+    return report;
+}
+
+// Files from before versions were checked said "1.0", so only the major
+// number counts. A file without a version has the oldest format.
+function getFileVersion(data) {
+    if (data.version === undefined) return 1;
+
+    const version = Math.floor(Number(data.version));
+    return Number.isFinite(version) && version >= 1 ? version : null;
+}
+
+function migrate(data, version) {
+    for (let from = version; from < FILE_VERSION; from++) {
+        const migration = MIGRATIONS.get(from);
+        if (!migration) {
+            throw new Error(`no migration from format ${from}`);
+        }
+        data = migration(data);
+    }
+    data.version = FILE_VERSION;
+    return data;
+}
+
+// Format 1 files can predate layers. Every shape now sits on an existing
+// layer.
+function migrateFromVersion1(data) {
+    const shapes = (Array.isArray(data.shapes) ? data.shapes : [])
+        .filter(shape => shape && typeof shape === 'object');
+
+    if (!Array.isArray(data.layers) || data.layers.length === 0) {
+        const layer = new Layer('Layer 1', MIGRATED_LAYER_ID).serialize();
+        data.layers = [layer];
+        data.activeLayerId = layer.id;
+    }
+
+    const layerIds = new Set(data.layers.map(layer => layer && layer.id));
+    const defaultLayerId = layerIds.has(data.activeLayerId)
+        ? data.activeLayerId
+        : data.layers[data.layers.length - 1].id;
+    shapes
+        .filter(shape => !layerIds.has(shape.layerId))
+        .forEach(shape => { shape.layerId = defaultLayerId; });
+
+    return data;
+}
+
+// Restacks shapes that share a zIndex in file order, the order they were
+// drawn in, so each has an index of its own. Files of any version can have
+// ties, e.g. when edited by hand.
+function restackTiedShapes(shapes) {
+    const zIndexes = new Set(shapes.map(shape => shape.zIndex));
+    if (zIndexes.size < shapes.length) {
+        shapes
+            .map((shape, index) => ({ shape, index }))
+            .sort((a, b) => ((a.shape.zIndex || 0) - (b.shape.zIndex || 0)) || a.index - b.index)
+            .forEach(({ shape }, order) => { shape.zIndex = order + 1; });
+    }
+}
+
+// Checks a shape against the schema of its type, and the children of groups
+// one by one. Invalid children are dropped from their group. Problems are
+// added to report.errors and report.warnings.
+export function validateShape(data, label, report) {
+    const ShapeClass = (data && shapeRegistry.get(data.type)) || UnknownShape;
+    const name = data && typeof data.id === 'string' ? `${label} (${data.id})` : label;
+
+    const errors = validate(data, ShapeClass.getSchema());
+    if (errors.length > 0) {
+        report.errors.push(...errors.map(error => `${name}: ${formatError(error)}`));
+        return false;
+    }
+
+    if (!shapeRegistry.has(data.type)) {
+        report.warnings.push(`${name}: unknown shape type "${data.type}" is kept as a placeholder`);
+    }
+    if (Array.isArray(data.children)) {
+        data.children = data.children.filter((child, index) =>
+            validateShape(child, `${label}, child ${index + 1}`, report));
+    }
+    return true;
+}
+
+function formatError(error) {
+    return error.path ? `${error.path} ${error.message}` : error.message;
+}
+
+/**
+ * The current format as a JSON Schema document, for tools and documentation.
+ * Each registered shape type gets a definition; shapes of other types only
+ * have to match the common properties.
+ */
+export function getFileSchema() {
+    const types = shapeRegistry.getTypes();
+    const definitions = {};
+    types.forEach(type => {
+        const schema = shapeRegistry.get(type).getSchema();
+        schema.properties.type = { const: type };
+        if (schema.properties.children) {
+            schema.properties.children = { type: 'array', items: { $ref: '#/$defs/shape' } };
+        }
+        definitions[type] = schema;
+    });
+    definitions.unknownShape = UnknownShape.getSchema();
+    definitions.shape = {
+        anyOf: [...types, 'unknownShape'].map(type => ({ $ref: `#/$defs/${type}` }))
+    };
+
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'Drawing file',
+        ...FILE_SCHEMA,
+        properties: {
+            ...FILE_SCHEMA.properties,
+            version: { const: FILE_VERSION },
+            shapes: { type: 'array', items: { $ref: '#/$defs/shape' } },
+            history: HISTORY_SCHEMA
+        },
+        $defs: definitions
+    };
+}
+
+// Message telling the user what went wrong while loading, or null when
+// nothing did. Lists at most `limit` problems.
+export function describeLoadProblems({ success, errors, warnings }, limit = 10) {
+    const problems = [...errors, ...warnings];
+    if (problems.length === 0) return null;
+
+    let heading = 'The drawing was loaded with warnings:';
+    if (!success) {
+        heading = 'The drawing could not be loaded:';
+    } else if (errors.length > 0) {
+        heading = 'Some shapes could not be loaded and were left out:';
+    }
+
+    const lines = problems.slice(0, limit);
+    if (problems.length > limit) {
+        lines.push(`...and ${problems.length - limit} more`);
+    }
+    return `${heading}\n\n${lines.join('\n')}`;
+}
@@ -0,0 +1,92 @@
+// src/js/core/geometry.js
+// Point and segment helpers shared by shapes made of vertex lists
+
+export function distanceToSegment(px, py, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+
+    if (lengthSq === 0) return Math.hypot(px - x1, py - y1);
+
+    const t = Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSq));
+    return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+// Even-odd ray casting, matching the canvas default fill rule
+export function pointInPolygon(x, y, points) {
+    let inside = false;
+
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > y) !== (b.y > y) &&
+            x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+export function distanceToPolyline(x, y, points, closed = false) {
+    let min = Infinity;
+    const count = closed ? points.length : points.length - 1;
+
+    for (let i = 0; i < count; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        min = Math.min(min, distanceToSegment(x, y, a.x, a.y, b.x, b.y));
+    }
+
+    return min;
+}
+
+export function getPointsBounds(points) {
+    if (points.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+
+    return {
+        x: minX,
+        y: minY,
+        width: Math.max(...xs) - minX,
+        height: Math.max(...ys) - minY
+    };
+}
+
+// Ramer-Douglas-Peucker: drops points closer than `tolerance` to the line
+// through their neighbours. Extra properties on kept points are preserved.
+export function simplifyPoints(points, tolerance) {
+    if (points.length < 3) return points.slice();
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [start, end] = stack.pop();
+        const a = points[start];
+        const b = points[end];
+        let maxDistance = 0;
+        let index = -1;
+
+        for (let i = start + 1; i < end; i++) {
+            const distance = distanceToSegment(points[i].x, points[i].y, a.x, a.y, b.x, b.y);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (index !== -1 && maxDistance > tolerance) {
+            keep[index] = true;
+            stack.push([start, index], [index, end]);
+        }
+    }
+
+    return points.filter((point, i) => keep[i]);
+}
@@ -0,0 +1,265 @@
+// src/js/core/pathData.js
+// Parses SVG path data into the node lists used by Path. Every command is
+// supported: quadratic curves and arcs are converted to cubic segments.
+
+const COMMAND = /[MmZzLlHhVvCcSsQqTtAa]/;
+const TOKEN = /[MmZzLlHhVvCcSsQqTtAa]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+
+/**
+ * Returns the subpaths of `d` as [{ nodes, closed }] with nodes in absolute
+ * coordinates: { x, y, handleIn, handleOut, smooth }. Parsing stops at the
+ * first error, as SVG renderers do, keeping what was read up to there.
+ * Throws only when nothing could be read.
+ */
+export function parsePathData(d) {
+    const tokens = String(d).match(TOKEN) || [];
+    const subpaths = [];
+    let subpath = null;
+    let x = 0, y = 0; // current point
+    let startX = 0, startY = 0;
+    let lastCubic = null; // second control point of the previous C or S
+    let lastQuad = null; // control point of the previous Q or T
+    let command = null;
+    let index = 0;
+
+    const number = () => {
+        const token = tokens[index];
+        if (token === undefined || COMMAND.test(token)) {
+            throw new Error(`Missing parameter for "${command}"`);
+        }
+        index++;
+        return parseFloat(token);
+    };
+
+    // Arc flags may be written without separators, as in "a5 5 0 011 1"
+    const flag = () => {
+        const token = tokens[index];
+        if (token === undefined || !/^[01]/.test(token)) {
+            throw new Error(`Invalid arc flag in "${command}"`);
+        }
+        if (token.length > 1) {
+            tokens[index] = token.slice(1);
+        } else {
+            index++;
+        }
+        return token[0] === '1';
+    };
+
+    const lastNode = () => subpath.nodes[subpath.nodes.length - 1];
+
+    const moveTo = (px, py) => {
+        subpath = { nodes: [createNode(px, py)], closed: false };
+        subpaths.push(subpath);
+        x = startX = px;
+        y = startY = py;
+    };
+
+    // After Z, drawing continues from the start of the closed subpath
+    const ensureSubpath = () => {
+        if (!subpath || subpath.closed) moveTo(startX, startY);
+    };
+
+    const lineTo = (px, py) => {
+        ensureSubpath();
+        subpath.nodes.push(createNode(px, py));
+        x = px;
+        y = py;
+    };
+
+    const curveTo = (x1, y1, x2, y2, px, py) => {
+        ensureSubpath();
+        lastNode().handleOut = { x: x1, y: y1 };
+        const node = createNode(px, py);
+        node.handleIn = { x: x2, y: y2 };
+        subpath.nodes.push(node);
+        x = px;
+        y = py;
+    };
+
+    const quadTo = (qx, qy, px, py) => {
+        curveTo(
+            x + (qx - x) * 2 / 3, y + (qy - y) * 2 / 3,
+            px + (qx - px) * 2 / 3, py + (qy - py) * 2 / 3,
+            px, py
+        );
+    };
+
+    const close = () => {
+        if (!subpath || subpath.closed) return;
+
+        const nodes = subpath.nodes;
+        const first = nodes[0];
+        const last = nodes[nodes.length - 1];
+        // A closing segment drawn explicitly ends on the first node
+        if (nodes.length > 1 && Math.abs(last.x - first.x) < 1e-9 && Math.abs(last.y - first.y) < 1e-9) {
+            first.handleIn = last.handleIn;
+            nodes.pop();
+        }
+        subpath.closed = true;
+        x = startX;
+        y = startY;
+    };
+
+    try {
+        while (index < tokens.length) {
+            if (COMMAND.test(tokens[index])) {
+                command = tokens[index++];
+            } else if (!command || command === 'Z' || command === 'z') {
+                throw new Error(`Unexpected number "${tokens[index]}"`);
+            }
+
+            const upper = command.toUpperCase();
+            const relative = command !== upper;
+            const dx = relative ? x : 0;
+            const dy = relative ? y : 0;
+            let cubic = null;
+            let quad = null;
+
+            switch (upper) {
+                case 'M':
+                    moveTo(number() + dx, number() + dy);
+                    // Further coordinate pairs are implicit line commands
+                    command = relative ? 'l' : 'L';
+                    break;
+                case 'L':
+                    lineTo(number() + dx, number() + dy);
+                    break;
+                case 'H':
+                    lineTo(number() + dx, y);
+                    break;
+                case 'V':
+                    lineTo(x, number() + dy);
+                    break;
+                case 'C': {
+                    const x1 = number() + dx, y1 = number() + dy;
+                    const x2 = number() + dx, y2 = number() + dy;
+                    curveTo(x1, y1, x2, y2, number() + dx, number() + dy);
+                    cubic = { x: x2, y: y2 };
+                    break;
+                }
+                case 'S': {
+                    const x1 = lastCubic ? 2 * x - lastCubic.x : x;
+                    const y1 = lastCubic ? 2 * y - lastCubic.y : y;
+                    const x2 = number() + dx, y2 = number() + dy;
+                    curveTo(x1, y1, x2, y2, number() + dx, number() + dy);
+                    cubic = { x: x2, y: y2 };
+                    break;
+                }
+                case 'Q': {
+                    const qx = number() + dx, qy = number() + dy;
+                    quadTo(qx, qy, number() + dx, number() + dy);
+                    quad = { x: qx, y: qy };
+                    break;
+                }
+                case 'T': {
+                    const qx = lastQuad ? 2 * x - lastQuad.x : x;
+                    const qy = lastQuad ? 2 * y - lastQuad.y : y;
+                    quadTo(qx, qy, number() + dx, number() + dy);
+                    quad = { x: qx, y: qy };
+                    break;
+                }
+                case 'A': {
+                    const rx = number(), ry = number(), rotation = number();
+                    const largeArc = flag(), sweep = flag();
+                    const px = number() + dx, py = number() + dy;
+                    const curves = arcToCubics(x, y, rx, ry, rotation, largeArc, sweep, px, py);
+                    if (curves) {
+                        curves.forEach(c => curveTo(c[0], c[1], c[2], c[3], c[4], c[5]));
+                    } else {
+                        lineTo(px, py);
+                    }
+                    break;
+                }
+                case 'Z':
+                    close();
+                    break;
+            }
+
+            lastCubic = cubic;
+            lastQuad = quad;
+        }
+    } catch (error) {
+        if (subpaths.length === 0) throw error;
+    }
+
+    return subpaths;
+}
+
+function createNode(x, y) {
+    return { x, y, handleIn: null, handleOut: null, smooth: false };
+}
+
+// Splits an elliptical arc into cubic curves of at most 90 degrees each, as
+// [x1, y1, x2, y2, x, y] lists (SVG spec, appendix F.6). Returns null when
+// the arc is a straight line because a radius is zero.
+function arcToCubics(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+    if (x1 === x2 && y1 === y2) return [];
+
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) return null;
+
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const hx = (x1 - x2) / 2;
+    const hy = (y1 - y2) / 2;
+    const x1p = cos * hx + sin * hy;
+    const y1p = -sin * hx + cos * hy;
+
+    // Radii too small to reach the end point are scaled up
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const coefficient = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = coefficient * rx * y1p / ry;
+    const cyp = -coefficient * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const startAngle = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let sweepAngle = vectorAngle(
+        (x1p - cxp) / rx, (y1p - cyp) / ry,
+        (-x1p - cxp) / rx, (-y1p - cyp) / ry
+    );
+    if (!sweep && sweepAngle > 0) sweepAngle -= 2 * Math.PI;
+    if (sweep && sweepAngle < 0) sweepAngle += 2 * Math.PI;
+
+    const point = angle => ({
+        x: cx + rx * Math.cos(angle) * cos - ry * Math.sin(angle) * sin,
+        y: cy + rx * Math.cos(angle) * sin + ry * Math.sin(angle) * cos
+    });
+    const derivative = angle => ({
+        x: -rx * Math.sin(angle) * cos - ry * Math.cos(angle) * sin,
+        y: -rx * Math.sin(angle) * sin + ry * Math.cos(angle) * cos
+    });
+
+    const count = Math.max(1, Math.ceil(Math.abs(sweepAngle) / (Math.PI / 2) - 1e-9));
+    const step = sweepAngle / count;
+    const k = 4 / 3 * Math.tan(step / 4);
+    const curves = [];
+
+    for (let i = 0; i < count; i++) {
+        const a1 = startAngle + i * step;
+        const a2 = a1 + step;
+        const p1 = point(a1);
+        const p2 = i === count - 1 ? { x: x2, y: y2 } : point(a2);
+        const d1 = derivative(a1);
+        const d2 = derivative(a2);
+        curves.push([
+            p1.x + k * d1.x, p1.y + k * d1.y,
+            p2.x - k * d2.x, p2.y - k * d2.y,
+            p2.x, p2.y
+        ]);
+    }
+    return curves;
+}
+
+function vectorAngle(ux, uy, vx, vy) {
+    return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+}
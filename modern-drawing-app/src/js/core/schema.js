@@ -0,0 +1,73 @@
+// src/js/core/schema.js
+// Validation against the subset of JSON Schema used to describe drawing
+// files: type (one name or a list), properties, required, items, enum and
+// minimum/exclusiveMinimum for numbers.
+
+export const NUMBER = { type: 'number' };
+export const STRING = { type: 'string' };
+export const BOOLEAN = { type: 'boolean' };
+export const POINT = { type: 'object', required: ['x', 'y'], properties: { x: NUMBER, y: NUMBER } };
+
+// Returns a list of { path, message }; empty when the value is valid
+export function validate(value, schema, path = '') {
+    const errors = [];
+    const fail = message => errors.push({ path, message });
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.includes(getType(value))) {
+            fail(`must be ${types.map(describeType).join(' or ')}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            fail(`must be greater than ${schema.exclusiveMinimum}`);
+        }
+    }
+
+    if (getType(value) === 'object') {
+        (schema.required || [])
+            .filter(key => value[key] === undefined)
+            .forEach(key => errors.push({ path: joinPath(path, key), message: 'is required' }));
+
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                errors.push(...validate(value[key], propertySchema, joinPath(path, key)));
+            }
+        });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validate(item, schema.items, `${path}[${index}]`));
+        });
+    }
+
+    return errors;
+}
+
+function getType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return 'non-finite number';
+        return 'number';
+    }
+    return typeof value;
+}
+
+function describeType(type) {
+    return type === 'null' ? 'null' : `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
@@ -0,0 +1,57 @@
+// src/js/core/svgMarkup.js
+// Helpers for writing SVG markup by hand.
+
+export function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Turns a shape or layer id into a valid XML id; ids the app creates are
+// already valid and pass through unchanged
+export function toSVGId(id) {
+    const name = String(id).replace(/[^\w.-]/g, '_');
+    return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+}
+
+// Rounds to three decimals, so floating point noise such as
+// 92.80000000000001 doesn't reach the markup
+export function formatNumber(value) {
+    return String(Math.round(value * 1000) / 1000 || 0);
+}
+
+// Puts each element on its own line, indented by depth. Text content stays
+// on the line of the element that holds it.
+export function formatXML(markup, indent = '  ') {
+    const tokens = markup.match(/<!--[\s\S]*?-->|<[^>]+>|[^<]+/g) || [];
+    const lines = [];
+    let depth = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (!token.startsWith('<')) {
+            if (token.trim()) lines.push(indent.repeat(depth) + token.trim());
+            continue;
+        }
+
+        if (token.startsWith('</')) {
+            depth = Math.max(0, depth - 1);
+            lines.push(indent.repeat(depth) + token);
+        } else if (isOpeningTag(token) && !tokens[i + 1]?.startsWith('<') && tokens[i + 2]?.startsWith('</')) {
+            // <text>content</text>
+            lines.push(indent.repeat(depth) + token + tokens[i + 1] + tokens[i + 2]);
+            i += 2;
+        } else {
+            lines.push(indent.repeat(depth) + token);
+            if (isOpeningTag(token)) depth++;
+        }
+    }
+    return lines.join('\n');
+}
+
+function isOpeningTag(token) {
+    return !/^<[!?/]/.test(token) && !token.endsWith('/>');
+}
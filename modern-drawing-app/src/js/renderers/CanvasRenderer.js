@@ -1,8 +1,34 @@
+// Screen pixels that outlines, control points and handles reach beyond the
+// canvas-space margins below
+const DECORATION_MARGIN = 12;
+
+// Canvas units around a shape's bounds covered by its selection outline
+// (drawn 5 units out) and the editing highlight of text
+const SHAPE_MARGIN = 10;
+
+// Above this share of the canvas, dirty regions are repainted as a whole
+const MAX_DIRTY_COVERAGE = 0.5;
+
+/**
+ * Draws the shapes of a state on the main canvas. Changes are repainted on
+ * the next animation frame, however many arrive before it; changes that name
+ * their shapes repaint only where those shapes were and are now, along with
+ * the selection handles.
+ */
 export class CanvasRenderer {
   constructor(canvas, state) {
     this.canvas = canvas;
     this.ctx = canvas.getContext("2d");
     this.state = state;
+    this.handleSize = 8;
+    this.rotateHandleOffset = 24;
+    this.frameRequest = null;
+    this.fullRepaint = true;
+    this.dirtyShapes = new Set();
+    this.paintedBounds = new Map(); // shape -> screen area it last covered
+    this.paintedSelection = new Set();
+    this.paintedOverlay = []; // screen areas of handles and the marquee
+    this.controlPointShapes = new Set(); // painted with their control points
     this.setupCanvas();
     this.bindEvents();
   }
@@ -24,77 +50,156 @@ export class CanvasRenderer {
   }
 
   bindEvents() {
-    this.state.on("shapesChanged", () => this.render());
-    this.state.on("selectionChanged", () => this.render());
-    this.state.on("viewChanged", () => this.render());
+    this.stateHandlers = {
+      shapesChanged: (change) => this.requestRender(change),
+      // Shapes show their control points while selected
+      selectionChanged: () =>
+        this.requestRender({
+          shapes: [...this.paintedSelection, ...this.state.selectedShapes],
+        }),
+      viewChanged: () => this.requestRender(),
+    };
+    Object.entries(this.stateHandlers).forEach(([event, handler]) =>
+      this.state.on(event, handler)
+    );
+  }
+
+  // Switches to another document's state, e.g. when a tab is changed
+  setState(state) {
+    Object.entries(this.stateHandlers).forEach(([event, handler]) =>
+      this.state.off(event, handler)
+    );
+    this.state = state;
+    this.bindEvents();
+    this.render();
   }
 
+  // Repaints on the next animation frame. A change of { shapes } repaints
+  // around those shapes; no change repaints everything.
+  requestRender(change = null) {
+    if (change?.shapes) {
+      change.shapes.forEach((shape) => this.dirtyShapes.add(shape));
+    } else {
+      this.fullRepaint = true;
+    }
+
+    if (this.frameRequest === null) {
+      this.frameRequest = requestAnimationFrame(() => {
+        this.frameRequest = null;
+        this.paint();
+      });
+    }
+  }
+
+  // Repaints everything right away
   render() {
-    this.clear();
+    this.fullRepaint = true;
+    this.paint();
+  }
+
+  paint() {
+    if (this.frameRequest !== null) {
+      cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+
+    const regions = this.fullRepaint ? null : this.getDirtyRegions();
+    this.fullRepaint = false;
+    this.dirtyShapes.clear();
+    if (regions && regions.length === 0) return;
+
+    this.ctx.save();
+    if (regions) {
+      this.ctx.beginPath();
+      regions.forEach((r) => this.ctx.rect(r.x, r.y, r.width, r.height));
+      this.ctx.clip();
+      regions.forEach((r) => this.ctx.clearRect(r.x, r.y, r.width, r.height));
+    } else {
+      this.clear();
+      this.paintedBounds.clear();
+      this.controlPointShapes.clear();
+    }
+
     this.applyTransform();
-    this.renderShapes();
+    this.renderShapes(regions);
     this.renderSelection();
-    // Render marquee selection if active
-    if (this.state.currentTool === "select") {
-      const selectTool = this.toolManager.tools.get("select");
-      if (selectTool && selectTool.isMarquee) {
-        selectTool.renderMarquee(this.ctx);
+    this.ctx.restore();
+
+    this.paintedSelection = new Set(this.state.selectedShapes);
+    this.paintedOverlay = this.getOverlayBounds();
+  }
+
+  // Screen rectangles to repaint: where the dirty shapes were painted and
+  // where they are now, and the selection handles before and after. Null
+  // when so much changed that a full repaint is cheaper.
+  getDirtyRegions() {
+    const rects = [...this.paintedOverlay, ...this.getOverlayBounds()];
+
+    this.dirtyShapes.forEach((shape) => {
+      const topLevel = this.state.getTopLevelShape(shape);
+      if (this.paintedBounds.has(topLevel)) {
+        rects.push(this.paintedBounds.get(topLevel));
       }
-    }
+      if (this.state.shapes.get(topLevel.id) === topLevel) {
+        if (this.state.isShapeVisible(topLevel)) {
+          rects.push(this.getPaintBounds(topLevel));
+        }
+      } else {
+        this.paintedBounds.delete(topLevel);
+        this.controlPointShapes.delete(topLevel);
+      }
+    });
+
+    const view = this.canvas.getBoundingClientRect();
+    const regions = mergeRects(
+      rects
+        .map((r) => clipRect(roundOut(r), view.width, view.height))
+        .filter((r) => r.width > 0 && r.height > 0)
+    );
+    const area = regions.reduce((sum, r) => sum + r.width * r.height, 0);
+    return area > view.width * view.height * MAX_DIRTY_COVERAGE ? null : regions;
   }
 
-  renderBezierControlPoints(shape) {
+  // Draws the nodes and handles a shape reports through getControlPoints()
+  renderControlPoints(shape) {
+    const controls = shape.getControlPoints();
+    if (!controls) return;
+
     this.ctx.save();
 
+    if (shape.hasTransform()) {
+      const m = shape.getMatrix();
+      this.ctx.transform(m.a, m.b, m.c, m.d, m.e, m.f);
+    }
+
     // Control lines
     this.ctx.strokeStyle = "rgba(25, 118, 210, 0.5)";
     this.ctx.lineWidth = 1 / this.state.zoom;
     this.ctx.setLineDash([5 / this.state.zoom, 5 / this.state.zoom]);
 
-    // Line from start to cp1
-    this.ctx.beginPath();
-    this.ctx.moveTo(shape.x, shape.y);
-    this.ctx.lineTo(shape.cp1X, shape.cp1Y);
-    this.ctx.stroke();
-
-    // Line from cp2 to end
-    this.ctx.beginPath();
-    this.ctx.moveTo(shape.cp2X, shape.cp2Y);
-    this.ctx.lineTo(shape.endX, shape.endY);
-    this.ctx.stroke();
+    controls.lines.forEach(([from, to]) => {
+      this.ctx.beginPath();
+      this.ctx.moveTo(from.x, from.y);
+      this.ctx.lineTo(to.x, to.y);
+      this.ctx.stroke();
+    });
 
     this.ctx.setLineDash([]);
 
-    // Control points
+    // Control points: nodes in blue, handles in orange
     const pointSize = 6 / this.state.zoom;
-    this.ctx.fillStyle = "#1976d2";
-    this.ctx.strokeStyle = "white";
     this.ctx.lineWidth = 2 / this.state.zoom;
 
-    // Start point
-    this.ctx.beginPath();
-    this.ctx.arc(shape.x, shape.y, pointSize, 0, 2 * Math.PI);
-    this.ctx.fill();
-    this.ctx.stroke();
-
-    // End point
-    this.ctx.beginPath();
-    this.ctx.arc(shape.endX, shape.endY, pointSize, 0, 2 * Math.PI);
-    this.ctx.fill();
-    this.ctx.stroke();
-
-    // Control point 1
-    this.ctx.fillStyle = "#ff9800";
-    this.ctx.beginPath();
-    this.ctx.arc(shape.cp1X, shape.cp1Y, pointSize, 0, 2 * Math.PI);
-    this.ctx.fill();
-    this.ctx.stroke();
-
-    // Control point 2
-    this.ctx.beginPath();
-    this.ctx.arc(shape.cp2X, shape.cp2Y, pointSize, 0, 2 * Math.PI);
-    this.ctx.fill();
-    this.ctx.stroke();
+    controls.points.forEach((point) => {
+      const color = point.kind === "node" ? "#1976d2" : "#ff9800";
+      // Selected points are drawn hollow
+      this.ctx.fillStyle = point.selected ? "white" : color;
+      this.ctx.strokeStyle = point.selected ? color : "white";
+      this.ctx.beginPath();
+      this.ctx.arc(point.x, point.y, pointSize, 0, 2 * Math.PI);
+      this.ctx.fill();
+      this.ctx.stroke();
+    });
 
     this.ctx.restore();
   }
@@ -109,98 +214,118 @@ export class CanvasRenderer {
     this.ctx.translate(this.state.panX, this.state.panY);
   }
 
-  renderShapes() {
-    const shapes = Array.from(this.state.shapes.values()).sort(
-      (a, b) => a.zIndex - b.zIndex
-    );
-
-    shapes.forEach((shape) => this.renderShape(shape));
+  // Draws every shape, or with regions, the shapes that reach into them
+  renderShapes(regions = null) {
+    const shapes = (
+      regions ? this.getShapesInRegions(regions) : this.state.getOrderedShapes()
+    ).filter((shape) => this.state.isShapeVisible(shape));
+
+    shapes.forEach((shape) => {
+      this.renderShape(shape);
+      this.paintedBounds.set(shape, this.getPaintBounds(shape));
+      if (shape.showControlPoints) {
+        this.controlPointShapes.add(shape);
+      } else {
+        this.controlPointShapes.delete(shape);
+      }
+    });
     this.ctx.restore();
   }
 
-  renderShape(shape) {
-    this.ctx.save();
-
-    this.ctx.fillStyle = shape.fillColor;
-    this.ctx.strokeStyle = shape.strokeColor;
-    this.ctx.lineWidth = shape.strokeWidth;
+  // Shapes near the regions, found through the state's spatial index, plus
+  // the selected and changed shapes, whose control points can reach further
+  getShapesInRegions(regions) {
+    const margin = SHAPE_MARGIN + DECORATION_MARGIN / this.state.zoom;
+    const shapes = new Set();
+
+    regions.forEach((region) => {
+      const rect = this.toCanvasRect(region);
+      this.state.spatialIndex
+        .search({
+          x: rect.x - margin,
+          y: rect.y - margin,
+          width: rect.width + margin * 2,
+          height: rect.height + margin * 2,
+        })
+        .forEach((shape) => shapes.add(shape));
+    });
+    [...this.state.selectedShapes, ...this.controlPointShapes]
+      .map((shape) => this.state.getTopLevelShape(shape))
+      .filter((shape) => this.state.shapes.get(shape.id) === shape)
+      .forEach((shape) => shapes.add(shape));
 
-    switch (shape.type) {
-      case "rectangle":
-        this.ctx.fillRect(shape.x, shape.y, shape.width, shape.height);
-        this.ctx.strokeRect(shape.x, shape.y, shape.width, shape.height);
-        break;
-      case "ellipse":
-        this.ctx.beginPath();
-        this.ctx.ellipse(
-          shape.x + shape.radiusX,
-          shape.y + shape.radiusY,
-          shape.radiusX,
-          shape.radiusY,
-          0,
-          0,
-          2 * Math.PI
-        );
-        this.ctx.fill();
-        this.ctx.stroke();
-        break;
-      case "line":
-        this.ctx.beginPath();
-        this.ctx.moveTo(shape.x, shape.y);
-        this.ctx.lineTo(shape.x2, shape.y2);
-        this.ctx.stroke();
-        break;
-
-      case "text":
-        this.ctx.font = `${shape.fontSize}px ${shape.fontFamily}`;
-        this.ctx.textAlign = shape.textAlign;
-        this.ctx.textBaseline = shape.textBaseline;
-        this.ctx.fillStyle = shape.fillColor;
-
-        if (shape.editing) {
-          // Draw selection background for editing text
-          const bounds = shape.getBounds();
-          this.ctx.fillStyle = "rgba(25, 118, 210, 0.1)";
-          this.ctx.fillRect(
-            bounds.x - 2,
-            bounds.y - 2,
-            bounds.width + 4,
-            bounds.height + 4
-          );
-          this.ctx.fillStyle = shape.fillColor;
-        }
+    return [...shapes].sort((a, b) => this.state.compareOrder(a, b));
+  }
 
-        this.ctx.fillText(shape.text, shape.x, shape.y);
+  // Screen area of a shape with its stroke, selection outline and control
+  // points
+  getPaintBounds(shape) {
+    const bounds = shape.getBounds();
+    let minX = bounds.x;
+    let minY = bounds.y;
+    let maxX = bounds.x + bounds.width;
+    let maxY = bounds.y + bounds.height;
+
+    const controls = (shape.showControlPoints || shape.selected) && shape.getControlPoints();
+    if (controls) {
+      const m = shape.hasTransform() ? shape.getMatrix() : null;
+      controls.points.forEach((point) => {
+        const p = m ? m.transformPoint(point.x, point.y) : point;
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+      });
+    }
 
-        if (shape.strokeWidth > 0 && shape.strokeColor !== "transparent") {
-          this.ctx.strokeStyle = shape.strokeColor;
-          this.ctx.lineWidth = shape.strokeWidth;
-          this.ctx.strokeText(shape.text, shape.x, shape.y);
-        }
-        break;
+    return this.toScreenRect(
+      { x: minX, y: minY, width: maxX - minX, height: maxY - minY },
+      getStrokeMargin(shape) + SHAPE_MARGIN,
+      DECORATION_MARGIN
+    );
+  }
 
-      case "bezier":
-        // Draw the curve
-        this.ctx.beginPath();
-        this.ctx.moveTo(shape.x, shape.y);
-        this.ctx.bezierCurveTo(
-          shape.cp1X,
-          shape.cp1Y,
-          shape.cp2X,
-          shape.cp2Y,
-          shape.endX,
-          shape.endY
-        );
-        this.ctx.stroke();
+  // Screen areas of the selection handles, the edited group's outline and
+  // the marquee, which are drawn over the shapes
+  getOverlayBounds() {
+    const rects = [];
+    const selection = this.state.getSelectionBounds();
+    if (selection) {
+      rects.push(
+        this.toScreenRect(selection, 5, this.rotateHandleOffset + this.handleSize)
+      );
+    }
+    if (this.state.editingGroup) {
+      rects.push(this.toScreenRect(this.state.editingGroup.getBounds(), 10, 2));
+    }
+    const marquee = this.getMarqueeBounds();
+    if (marquee) {
+      rects.push(this.toScreenRect(marquee, 0, 2));
+    }
+    return rects;
+  }
 
-        // Draw control points and lines if selected
-        if (shape.showControlPoints || shape.selected) {
-          this.renderBezierControlPoints(shape);
-        }
-        break;
+  renderShape(shape) {
+    if (shape.editing) {
+      // Draw selection background for editing text
+      const bounds = shape.getBounds();
+      this.ctx.save();
+      this.ctx.fillStyle = "rgba(25, 118, 210, 0.1)";
+      this.ctx.fillRect(
+        bounds.x - 2,
+        bounds.y - 2,
+        bounds.width + 4,
+        bounds.height + 4
+      );
+      this.ctx.restore();
     }
 
-    this.ctx.restore();
+    shape.render(this.ctx);
+
+    // Draw control points and lines if selected
+    if (shape.showControlPoints || shape.selected) {
+      this.renderControlPoints(shape);
+    }
   }
 
   renderSelection() {
@@ -209,26 +334,273 @@ export class CanvasRenderer {
     this.ctx.translate(this.state.panX, this.state.panY);
 
     this.state.selectedShapes.forEach((shape) => {
-      const bounds = shape.getBounds();
       this.ctx.strokeStyle = "#1976d2";
       this.ctx.lineWidth = 2 / this.state.zoom;
       this.ctx.setLineDash([5 / this.state.zoom, 5 / this.state.zoom]);
-      this.ctx.strokeRect(
-        bounds.x - 5,
-        bounds.y - 5,
-        bounds.width + 10,
-        bounds.height + 10
-      );
+
+      if (shape.hasTransform()) {
+        // Outline the rotated/skewed shape instead of its axis-aligned bounds
+        const bounds = shape.getLocalBounds();
+        const corners = shape.getTransformedCorners({
+          x: bounds.x - 5,
+          y: bounds.y - 5,
+          width: bounds.width + 10,
+          height: bounds.height + 10,
+        });
+        this.ctx.beginPath();
+        corners.forEach((point) => this.ctx.lineTo(point.x, point.y));
+        this.ctx.closePath();
+        this.ctx.stroke();
+      } else {
+        const bounds = shape.getBounds();
+        this.ctx.strokeRect(
+          bounds.x - 5,
+          bounds.y - 5,
+          bounds.width + 10,
+          bounds.height + 10
+        );
+      }
       this.ctx.setLineDash([]);
     });
 
+    this.renderEditingGroup();
+    this.renderRotateHandle();
+    this.renderResizeHandles();
+    this.renderMarquee();
+
     this.ctx.restore();
   }
 
+  renderMarquee() {
+    const selectTool = this.toolManager?.tools.get("select");
+    if (selectTool && selectTool.isMarquee) {
+      selectTool.renderMarquee(this.ctx);
+    }
+  }
+
+  getMarqueeBounds() {
+    const selectTool = this.toolManager?.tools.get("select");
+    if (!selectTool || !selectTool.isMarquee || !selectTool.marqueeStart || !selectTool.marqueeEnd) {
+      return null;
+    }
+    const { marqueeStart: start, marqueeEnd: end } = selectTool;
+    return {
+      x: Math.min(start.x, end.x),
+      y: Math.min(start.y, end.y),
+      width: Math.abs(end.x - start.x),
+      height: Math.abs(end.y - start.y),
+    };
+  }
+
+  // Faint outline around the group whose children are being edited
+  renderEditingGroup() {
+    const group = this.state.editingGroup;
+    if (!group) return;
+
+    const bounds = group.getBounds();
+    this.ctx.strokeStyle = "rgba(25, 118, 210, 0.4)";
+    this.ctx.lineWidth = 1 / this.state.zoom;
+    this.ctx.setLineDash([2 / this.state.zoom, 4 / this.state.zoom]);
+    this.ctx.strokeRect(
+      bounds.x - 10,
+      bounds.y - 10,
+      bounds.width + 20,
+      bounds.height + 20
+    );
+    this.ctx.setLineDash([]);
+  }
+
+  // Resize handles sit on the selection bounds, padded like the dashed outline
+  getResizeHandles() {
+    const bounds = this.state.getSelectionBounds();
+    if (!bounds) return [];
+
+    const padding = 5;
+    const left = bounds.x - padding;
+    const top = bounds.y - padding;
+    const right = bounds.x + bounds.width + padding;
+    const bottom = bounds.y + bounds.height + padding;
+    const centerX = (left + right) / 2;
+    const centerY = (top + bottom) / 2;
+
+    return [
+      { name: "nw", x: left, y: top },
+      { name: "n", x: centerX, y: top },
+      { name: "ne", x: right, y: top },
+      { name: "e", x: right, y: centerY },
+      { name: "se", x: right, y: bottom },
+      { name: "s", x: centerX, y: bottom },
+      { name: "sw", x: left, y: bottom },
+      { name: "w", x: left, y: centerY },
+    ];
+  }
+
+  // Rotate handle floats above the top-center resize handle
+  getRotateHandle() {
+    const top = this.getResizeHandles().find((handle) => handle.name === "n");
+    if (!top) return null;
+
+    return {
+      name: "rotate",
+      x: top.x,
+      y: top.y - this.rotateHandleOffset / this.state.zoom,
+    };
+  }
+
+  getHandleAt(x, y) {
+    const tolerance = this.handleSize / this.state.zoom;
+    const rotateHandle = this.getRotateHandle();
+    const handles = rotateHandle
+      ? [rotateHandle, ...this.getResizeHandles()]
+      : this.getResizeHandles();
+
+    return (
+      handles.find(
+        (handle) =>
+          Math.abs(x - handle.x) <= tolerance &&
+          Math.abs(y - handle.y) <= tolerance
+      ) || null
+    );
+  }
+
+  renderResizeHandles() {
+    const size = this.handleSize / this.state.zoom;
+
+    this.ctx.fillStyle = "white";
+    this.ctx.strokeStyle = "#1976d2";
+    this.ctx.lineWidth = 1 / this.state.zoom;
+
+    this.getResizeHandles().forEach((handle) => {
+      this.ctx.fillRect(handle.x - size / 2, handle.y - size / 2, size, size);
+      this.ctx.strokeRect(handle.x - size / 2, handle.y - size / 2, size, size);
+    });
+  }
+
+  renderRotateHandle() {
+    const handle = this.getRotateHandle();
+    if (!handle) return;
+
+    const size = this.handleSize / this.state.zoom;
+
+    this.ctx.strokeStyle = "#1976d2";
+    this.ctx.lineWidth = 1 / this.state.zoom;
+    this.ctx.beginPath();
+    this.ctx.moveTo(handle.x, handle.y + this.rotateHandleOffset / this.state.zoom);
+    this.ctx.lineTo(handle.x, handle.y);
+    this.ctx.stroke();
+
+    this.ctx.fillStyle = "white";
+    this.ctx.beginPath();
+    this.ctx.arc(handle.x, handle.y, size / 2, 0, 2 * Math.PI);
+    this.ctx.fill();
+    this.ctx.stroke();
+  }
+
+  // The part of the drawing currently in view, in canvas coordinates
+  getVisibleBounds() {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: -this.state.panX,
+      y: -this.state.panY,
+      width: rect.width / this.state.zoom,
+      height: rect.height / this.state.zoom,
+    };
+  }
+
+  // Canvas-space rectangle to screen pixels on this canvas, grown by a
+  // margin in canvas units and another in pixels
+  toScreenRect(rect, canvasMargin = 0, screenMargin = 0) {
+    const { zoom, panX, panY } = this.state;
+    const margin = canvasMargin * zoom + screenMargin;
+    return {
+      x: (rect.x + panX) * zoom - margin,
+      y: (rect.y + panY) * zoom - margin,
+      width: rect.width * zoom + margin * 2,
+      height: rect.height * zoom + margin * 2,
+    };
+  }
+
+  toCanvasRect(rect) {
+    const { zoom, panX, panY } = this.state;
+    return {
+      x: rect.x / zoom - panX,
+      y: rect.y / zoom - panY,
+      width: rect.width / zoom,
+      height: rect.height / zoom,
+    };
+  }
+
   screenToCanvas(screenX, screenY) {
     const rect = this.canvas.getBoundingClientRect();
     const x = (screenX - rect.left) / this.state.zoom - this.state.panX;
     const y = (screenY - rect.top) / this.state.zoom - this.state.panY;
     return { x, y };
   }
-}
\ No newline at end of file
+}
+
+// Widest stroke of a shape, or of any shape in a group, in canvas units
+function getStrokeMargin(shape) {
+  const width =
+    shape.type === "group"
+      ? Math.max(0, ...shape.children.map(getStrokeMargin))
+      : shape.strokeWidth || 0;
+  const { scaleX, scaleY } = shape.transform;
+  return width * Math.max(1, Math.abs(scaleX), Math.abs(scaleY));
+}
+
+// Whole pixels, so antialiased edges are cleared too
+function roundOut(rect) {
+  const x = Math.floor(rect.x) - 1;
+  const y = Math.floor(rect.y) - 1;
+  return {
+    x,
+    y,
+    width: Math.ceil(rect.x + rect.width) + 1 - x,
+    height: Math.ceil(rect.y + rect.height) + 1 - y,
+  };
+}
+
+// The part of a rectangle on a canvas of the given size
+function clipRect(rect, width, height) {
+  const x = Math.max(0, rect.x);
+  const y = Math.max(0, rect.y);
+  return {
+    x,
+    y,
+    width: Math.min(width, rect.x + rect.width) - x,
+    height: Math.min(height, rect.y + rect.height) - y,
+  };
+}
+
+// Joins overlapping rectangles, so no area is cleared and drawn twice
+function mergeRects(rects) {
+  const merged = [...rects];
+  let joined = true;
+  while (joined) {
+    joined = false;
+    for (let i = 0; i < merged.length && !joined; i++) {
+      for (let j = i + 1; j < merged.length && !joined; j++) {
+        const a = merged[i];
+        const b = merged[j];
+        if (
+          a.x <= b.x + b.width &&
+          b.x <= a.x + a.width &&
+          a.y <= b.y + b.height &&
+          b.y <= a.y + a.height
+        ) {
+          const x = Math.min(a.x, b.x);
+          const y = Math.min(a.y, b.y);
+          merged[i] = {
+            x,
+            y,
+            width: Math.max(a.x + a.width, b.x + b.width) - x,
+            height: Math.max(a.y + a.height, b.y + b.height) - y,
+          };
+          merged.splice(j, 1);
+          joined = true; // the grown rectangle may now reach others
+        }
+      }
+    }
+  }
+  return merged;
+}
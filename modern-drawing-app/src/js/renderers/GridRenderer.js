@@ -24,7 +24,15 @@ export class GridRenderer {
     }
 
     bindEvents() {
-        this.state.on('viewChanged', () => this.render());
+        this.handleViewChange = () => this.render();
+        this.state.on('viewChanged', this.handleViewChange);
+    }
+
+    setState(state) {
+        this.state.off('viewChanged', this.handleViewChange);
+        this.state = state;
+        this.bindEvents();
+        this.render();
     }
 
     render() {
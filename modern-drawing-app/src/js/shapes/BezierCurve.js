@@ -1,5 +1,7 @@
 // src/js/shapes/BezierCurve.js
 import { Shape } from '../core/Shape.js';
+import { shapeRegistry } from '../core/ShapeRegistry.js';
+import { NUMBER } from '../core/schema.js';
 
 export class BezierCurve extends Shape {
     constructor(startX = 0, startY = 0, endX = 100, endY = 100) {
@@ -15,7 +17,7 @@ export class BezierCurve extends Shape {
         this.selectedControlPoint = null;
     }
 
-    hitTest(x, y) {
+    hitTestLocal(x, y) {
         // Check if point is near the curve
         const tolerance = this.strokeWidth + 4;
         
@@ -29,8 +31,10 @@ export class BezierCurve extends Shape {
         return false;
     }
 
-    hitTestControlPoint(x, y) {
+    // Takes canvas coordinates, like hitTest
+    hitTestControlPoint(canvasX, canvasY) {
         const tolerance = 8;
+        const { x, y } = this.toLocalPoint(canvasX, canvasY);
         
         // Check control point 1
         if (Math.sqrt((x - this.cp1X) ** 2 + (y - this.cp1Y) ** 2) <= tolerance) {
@@ -69,7 +73,7 @@ export class BezierCurve extends Shape {
         };
     }
 
-    getBounds() {
+    getLocalBounds() {
         // Calculate bounding box by sampling the curve
         let minX = Math.min(this.x, this.endX, this.cp1X, this.cp2X);
         let maxX = Math.max(this.x, this.endX, this.cp1X, this.cp2X);
@@ -93,7 +97,31 @@ export class BezierCurve extends Shape {
         };
     }
 
-    setControlPoint(pointType, x, y) {
+    translate(dx, dy) {
+        super.translate(dx, dy);
+        this.endX += dx;
+        this.endY += dy;
+        this.cp1X += dx;
+        this.cp1Y += dy;
+        this.cp2X += dx;
+        this.cp2Y += dy;
+    }
+
+    resizeLocal(fromBounds, toBounds) {
+        super.resizeLocal(fromBounds, toBounds);
+        const end = Shape.mapPoint(this.endX, this.endY, fromBounds, toBounds);
+        const cp1 = Shape.mapPoint(this.cp1X, this.cp1Y, fromBounds, toBounds);
+        const cp2 = Shape.mapPoint(this.cp2X, this.cp2Y, fromBounds, toBounds);
+        this.endX = end.x;
+        this.endY = end.y;
+        this.cp1X = cp1.x;
+        this.cp1Y = cp1.y;
+        this.cp2X = cp2.x;
+        this.cp2Y = cp2.y;
+    }
+
+    setControlPoint(pointType, canvasX, canvasY) {
+        const { x, y } = this.toLocalPoint(canvasX, canvasY);
         switch (pointType) {
             case 'start':
                 this.x = x;
@@ -115,6 +143,23 @@ export class BezierCurve extends Shape {
         this.emit('changed', this);
     }
 
+    getControlPoints() {
+        const start = { x: this.x, y: this.y };
+        const end = { x: this.endX, y: this.endY };
+        const cp1 = { x: this.cp1X, y: this.cp1Y };
+        const cp2 = { x: this.cp2X, y: this.cp2Y };
+
+        return {
+            lines: [[start, cp1], [cp2, end]],
+            points: [
+                { ...start, kind: 'node' },
+                { ...end, kind: 'node' },
+                { ...cp1, kind: 'handle' },
+                { ...cp2, kind: 'handle' }
+            ]
+        };
+    }
+
     toggleControlPoints() {
         this.showControlPoints = !this.showControlPoints;
         this.emit('changed', this);
@@ -124,4 +169,53 @@ export class BezierCurve extends Shape {
     toPathData() {
         return `M ${this.x} ${this.y} C ${this.cp1X} ${this.cp1Y}, ${this.cp2X} ${this.cp2Y}, ${this.endX} ${this.endY}`;
     }
-}
\ No newline at end of file
+
+    static getSchema() {
+        const schema = super.getSchema();
+        Object.assign(schema.properties, {
+            endX: NUMBER,
+            endY: NUMBER,
+            cp1X: NUMBER,
+            cp1Y: NUMBER,
+            cp2X: NUMBER,
+            cp2Y: NUMBER
+        });
+        return schema;
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            endX: this.endX,
+            endY: this.endY,
+            cp1X: this.cp1X,
+            cp1Y: this.cp1Y,
+            cp2X: this.cp2X,
+            cp2Y: this.cp2Y
+        };
+    }
+
+    deserialize(data) {
+        super.deserialize(data);
+        this.endX = data.endX ?? this.endX;
+        this.endY = data.endY ?? this.endY;
+        this.cp1X = data.cp1X ?? this.cp1X;
+        this.cp1Y = data.cp1Y ?? this.cp1Y;
+        this.cp2X = data.cp2X ?? this.cp2X;
+        this.cp2Y = data.cp2Y ?? this.cp2Y;
+        return this;
+    }
+
+    draw(ctx) {
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        ctx.bezierCurveTo(this.cp1X, this.cp1Y, this.cp2X, this.cp2Y, this.endX, this.endY);
+        ctx.stroke();
+    }
+
+    toSVG() {
+        return `<path${this.getSVGIdAttribute()} d="${this.toPathData()}" fill="none" ${this.getSVGStrokeAttributes()}${this.getSVGTransformAttribute()}/>`;
+    }
+}
+
+shapeRegistry.register('bezier', BezierCurve);
@@ -1,4 +1,5 @@
 import { Shape } from '../core/Shape.js';
+import { shapeRegistry } from '../core/ShapeRegistry.js';
 
 export class Ellipse extends Shape {
     constructor(x = 0, y = 0, radiusX = 50, radiusY = 50) {
@@ -7,7 +8,7 @@ export class Ellipse extends Shape {
         this.radiusY = radiusY;
     }
 
-    hitTest(x, y) {
+    hitTestLocal(x, y) {
         const centerX = this.x + this.radiusX;
         const centerY = this.y + this.radiusY;
         const dx = (x - centerX) / this.radiusX;
@@ -15,7 +16,50 @@ export class Ellipse extends Shape {
         return (dx * dx + dy * dy) <= 1;
     }
 
-    getBounds() {
+    getLocalBounds() {
         return { x: this.x, y: this.y, width: this.radiusX * 2, height: this.radiusY * 2 };
     }
-}
\ No newline at end of file
+
+    resizeLocal(fromBounds, toBounds) {
+        const p1 = Shape.mapPoint(this.x, this.y, fromBounds, toBounds);
+        const p2 = Shape.mapPoint(this.x + this.radiusX * 2, this.y + this.radiusY * 2, fromBounds, toBounds);
+        this.x = Math.min(p1.x, p2.x);
+        this.y = Math.min(p1.y, p2.y);
+        this.radiusX = Math.abs(p2.x - p1.x) / 2;
+        this.radiusY = Math.abs(p2.y - p1.y) / 2;
+    }
+
+    static getSchema() {
+        const schema = super.getSchema();
+        Object.assign(schema.properties, {
+            radiusX: { type: 'number', minimum: 0 },
+            radiusY: { type: 'number', minimum: 0 }
+        });
+        return schema;
+    }
+
+    serialize() {
+        return { ...super.serialize(), radiusX: this.radiusX, radiusY: this.radiusY };
+    }
+
+    deserialize(data) {
+        super.deserialize(data);
+        this.radiusX = data.radiusX ?? this.radiusX;
+        this.radiusY = data.radiusY ?? this.radiusY;
+        return this;
+    }
+
+    draw(ctx) {
+        ctx.beginPath();
+        ctx.ellipse(this.x + this.radiusX, this.y + this.radiusY,
+                    this.radiusX, this.radiusY, 0, 0, 2 * Math.PI);
+        ctx.fill();
+        if (this.strokeWidth > 0) ctx.stroke();
+    }
+
+    toSVG() {
+        return `<ellipse${this.getSVGIdAttribute()} cx="${this.x + this.radiusX}" cy="${this.y + this.radiusY}" rx="${this.radiusX}" ry="${this.radiusY}" ${this.getSVGPaintAttributes()}${this.getSVGTransformAttribute()}/>`;
+    }
+}
+
+shapeRegistry.register('ellipse', Ellipse);
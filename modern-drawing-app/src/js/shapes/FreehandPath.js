@@ -0,0 +1,257 @@
+// src/js/shapes/FreehandPath.js
+import { Shape } from '../core/Shape.js';
+import { shapeRegistry } from '../core/ShapeRegistry.js';
+import { distanceToPolyline, getPointsBounds, simplifyPoints } from '../core/geometry.js';
+import { NUMBER, BOOLEAN, POINT } from '../core/schema.js';
+import { escapeXML } from '../core/svgMarkup.js';
+
+/**
+ * Pencil/brush stroke. Points are stored relative to (x, y) and drawn as a
+ * smooth Catmull-Rom curve through them. With pressure enabled the stroke is
+ * filled as an outline whose width follows each point's pressure.
+ */
+export class FreehandPath extends Shape {
+    constructor(x = 0, y = 0, points = []) {
+        super('freehand', x, y);
+        this.points = points.map(point => ({ x: point.x, y: point.y, pressure: point.pressure ?? 0.5 }));
+        this.pressureEnabled = false;
+        this.samplesPerSegment = 8;
+        this.fillColor = 'transparent';
+    }
+
+    getAbsolutePoints() {
+        return this.points.map(point => ({
+            x: this.x + point.x,
+            y: this.y + point.y,
+            pressure: point.pressure
+        }));
+    }
+
+    addPoint(x, y, pressure = 0.5) {
+        this.points.push({ x: x - this.x, y: y - this.y, pressure });
+        this.emit('changed', this);
+    }
+
+    // Replaces the raw pointer samples with a compact, rounded set of points
+    simplify(tolerance = 1) {
+        const round = FreehandPath.roundCoordinate;
+        this.points = simplifyPoints(this.points, tolerance).map(point => ({
+            x: round(point.x),
+            y: round(point.y),
+            pressure: round(point.pressure)
+        }));
+    }
+
+    getStrokeWidthAt(pressure) {
+        if (!this.pressureEnabled) return this.strokeWidth;
+        return this.strokeWidth * (0.2 + pressure * 1.6);
+    }
+
+    // Catmull-Rom spline through the points as cubic Bezier segments
+    getCurveSegments() {
+        const points = this.getAbsolutePoints();
+        const segments = [];
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const p0 = points[i - 1] || points[i];
+            const p1 = points[i];
+            const p2 = points[i + 1];
+            const p3 = points[i + 2] || p2;
+
+            segments.push({
+                start: p1,
+                cp1: { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 },
+                cp2: { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 },
+                end: p2
+            });
+        }
+
+        return segments;
+    }
+
+    // Points along the smoothed curve, with interpolated pressure
+    getSampledPoints() {
+        const segments = this.getCurveSegments();
+        if (segments.length === 0) return this.getAbsolutePoints();
+
+        const samples = [];
+        segments.forEach((segment, index) => {
+            const first = index === 0 ? 0 : 1;
+            for (let step = first; step <= this.samplesPerSegment; step++) {
+                const t = step / this.samplesPerSegment;
+                const mt = 1 - t;
+                const a = mt * mt * mt;
+                const b = 3 * mt * mt * t;
+                const c = 3 * mt * t * t;
+                const d = t * t * t;
+
+                samples.push({
+                    x: a * segment.start.x + b * segment.cp1.x + c * segment.cp2.x + d * segment.end.x,
+                    y: a * segment.start.y + b * segment.cp1.y + c * segment.cp2.y + d * segment.end.y,
+                    pressure: segment.start.pressure + (segment.end.pressure - segment.start.pressure) * t
+                });
+            }
+        });
+
+        return samples;
+    }
+
+    // Closed outline of a variable-width stroke
+    getOutlinePoints() {
+        const samples = this.getSampledPoints();
+        const left = [];
+        const right = [];
+
+        samples.forEach((point, i) => {
+            const prev = samples[i - 1] || point;
+            const next = samples[i + 1] || point;
+            const length = Math.hypot(next.x - prev.x, next.y - prev.y) || 1;
+            const normalX = -(next.y - prev.y) / length;
+            const normalY = (next.x - prev.x) / length;
+            const halfWidth = this.getStrokeWidthAt(point.pressure) / 2;
+
+            left.push({ x: point.x + normalX * halfWidth, y: point.y + normalY * halfWidth });
+            right.push({ x: point.x - normalX * halfWidth, y: point.y - normalY * halfWidth });
+        });
+
+        return left.concat(right.reverse());
+    }
+
+    getMaxStrokeWidth() {
+        return Math.max(...this.points.map(point => this.getStrokeWidthAt(point.pressure)), 0);
+    }
+
+    hitTestLocal(x, y) {
+        const samples = this.getSampledPoints();
+        if (samples.length === 0) return false;
+
+        const tolerance = this.getMaxStrokeWidth() / 2 + 4;
+        if (samples.length === 1) {
+            return Math.hypot(x - samples[0].x, y - samples[0].y) <= tolerance;
+        }
+        return distanceToPolyline(x, y, samples) <= tolerance;
+    }
+
+    getLocalBounds() {
+        const bounds = getPointsBounds(this.getSampledPoints());
+        const padding = this.getMaxStrokeWidth() / 2;
+
+        return {
+            x: bounds.x - padding,
+            y: bounds.y - padding,
+            width: bounds.width + padding * 2,
+            height: bounds.height + padding * 2
+        };
+    }
+
+    resizeLocal(fromBounds, toBounds) {
+        const points = this.getAbsolutePoints().map(point => ({
+            ...Shape.mapPoint(point.x, point.y, fromBounds, toBounds),
+            pressure: point.pressure
+        }));
+        super.resizeLocal(fromBounds, toBounds);
+        this.points = points.map(point => ({
+            x: point.x - this.x,
+            y: point.y - this.y,
+            pressure: point.pressure
+        }));
+    }
+
+    // Path coordinates are rounded to keep exported markup compact
+    getPathData() {
+        const points = this.getAbsolutePoints();
+        if (points.length === 0) return '';
+
+        const n = FreehandPath.roundCoordinate;
+        const start = `M ${n(points[0].x)} ${n(points[0].y)}`;
+        if (points.length === 1) {
+            return `${start} L ${n(points[0].x)} ${n(points[0].y)}`;
+        }
+
+        return start + this.getCurveSegments()
+            .map(s => ` C ${n(s.cp1.x)} ${n(s.cp1.y)}, ${n(s.cp2.x)} ${n(s.cp2.y)}, ${n(s.end.x)} ${n(s.end.y)}`)
+            .join('');
+    }
+
+    getOutlinePathData() {
+        const n = FreehandPath.roundCoordinate;
+        return this.getOutlinePoints()
+            .map((point, i) => `${i === 0 ? 'M' : 'L'} ${n(point.x)} ${n(point.y)}`)
+            .join(' ') + ' Z';
+    }
+
+    static roundCoordinate(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    static getSchema() {
+        const schema = super.getSchema();
+        Object.assign(schema.properties, {
+            points: {
+                type: 'array',
+                items: { ...POINT, properties: { ...POINT.properties, pressure: NUMBER } }
+            },
+            pressureEnabled: BOOLEAN
+        });
+        return schema;
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            points: this.points.map(point => ({ x: point.x, y: point.y, pressure: point.pressure })),
+            pressureEnabled: this.pressureEnabled
+        };
+    }
+
+    deserialize(data) {
+        super.deserialize(data);
+        if (data.points) {
+            this.points = data.points.map(point => ({ x: point.x, y: point.y, pressure: point.pressure ?? 0.5 }));
+        }
+        this.pressureEnabled = data.pressureEnabled ?? this.pressureEnabled;
+        return this;
+    }
+
+    draw(ctx) {
+        const points = this.getAbsolutePoints();
+        if (points.length === 0) return;
+
+        ctx.fillStyle = this.strokeColor;
+
+        if (points.length === 1) {
+            ctx.beginPath();
+            ctx.arc(points[0].x, points[0].y, this.getStrokeWidthAt(points[0].pressure) / 2, 0, 2 * Math.PI);
+            ctx.fill();
+            return;
+        }
+
+        if (this.pressureEnabled) {
+            const outline = this.getOutlinePoints();
+            ctx.beginPath();
+            outline.forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.closePath();
+            ctx.fill();
+            return;
+        }
+
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        this.getCurveSegments().forEach(s => {
+            ctx.bezierCurveTo(s.cp1.x, s.cp1.y, s.cp2.x, s.cp2.y, s.end.x, s.end.y);
+        });
+        ctx.stroke();
+    }
+
+    toSVG() {
+        if (this.pressureEnabled && this.points.length > 1) {
+            return `<path${this.getSVGIdAttribute()} d="${this.getOutlinePathData()}" fill="${escapeXML(this.strokeColor)}" stroke="none"${this.getSVGTransformAttribute()}/>`;
+        }
+
+        return `<path${this.getSVGIdAttribute()} d="${this.getPathData()}" fill="none" stroke="${escapeXML(this.strokeColor)}" stroke-width="${this.strokeWidth}" stroke-linecap="round" stroke-linejoin="round"${this.getSVGTransformAttribute()}/>`;
+    }
+}
+
+shapeRegistry.register('freehand', FreehandPath);
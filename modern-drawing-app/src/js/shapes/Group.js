@@ -0,0 +1,179 @@
+// src/js/shapes/Group.js
+import { Shape } from '../core/Shape.js';
+import { shapeRegistry } from '../core/ShapeRegistry.js';
+
+/**
+ * Composite shape that moves, resizes and transforms its children as one.
+ * Children keep their own canvas coordinates and transforms; the group never
+ * has a transform of its own and passes every edit down to them instead.
+ * (x, y) tracks the top-left of the children's bounds.
+ */
+export class Group extends Shape {
+    constructor(children = []) {
+        super('group', 0, 0);
+        this.children = [];
+        this.handleChildChanged = () => {
+            this.updateOrigin();
+            this.emit('changed', this);
+        };
+        this.setChildren(children);
+    }
+
+    // Children are drawn in array order, so the last child is on top
+    setChildren(children) {
+        this.children.forEach(child => this.detachChild(child));
+        this.children = [];
+        children.forEach(child => this.attachChild(child, this.children.length));
+        this.updateOrigin();
+    }
+
+    attachChild(child, index) {
+        child.parent = this;
+        child.on('changed', this.handleChildChanged);
+        this.children.splice(index, 0, child);
+    }
+
+    detachChild(child) {
+        child.off('changed', this.handleChildChanged);
+        child.parent = null;
+    }
+
+    insertChild(child, index = this.children.length) {
+        this.attachChild(child, index);
+        this.updateOrigin();
+        this.emit('changed', this);
+    }
+
+    removeChild(child) {
+        const index = this.children.indexOf(child);
+        if (index === -1) return -1;
+
+        this.children.splice(index, 1);
+        this.detachChild(child);
+        this.updateOrigin();
+        this.emit('changed', this);
+        return index;
+    }
+
+    updateOrigin() {
+        if (this.children.length === 0) return;
+
+        const bounds = this.getLocalBounds();
+        this.x = bounds.x;
+        this.y = bounds.y;
+    }
+
+    // Shapes at every depth inside the group
+    getDescendants() {
+        return this.children.flatMap(child =>
+            child.type === 'group' ? [child, ...child.getDescendants()] : [child]);
+    }
+
+    setPosition(x, y) {
+        this.translate(x - this.x, y - this.y);
+        this.emit('changed', this);
+    }
+
+    translate(dx, dy) {
+        super.translate(dx, dy);
+        this.children.forEach(child => child.translate(dx, dy));
+    }
+
+    resizeLocal(fromBounds, toBounds) {
+        this.children.forEach(child => child.resize(fromBounds, toBounds));
+        this.updateOrigin();
+    }
+
+    applyMatrix(matrix) {
+        this.children.forEach(child => child.applyMatrix(matrix));
+        this.updateOrigin();
+    }
+
+    hitTestLocal(x, y) {
+        return this.children.some(child => child.hitTest(x, y));
+    }
+
+    // Topmost child under a point, in canvas coordinates
+    getChildAt(x, y) {
+        for (let i = this.children.length - 1; i >= 0; i--) {
+            if (this.children[i].hitTest(x, y)) return this.children[i];
+        }
+        return null;
+    }
+
+    getLocalBounds() {
+        if (this.children.length === 0) {
+            return { x: this.x, y: this.y, width: 0, height: 0 };
+        }
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        this.children.forEach(child => {
+            const bounds = child.getBounds();
+            minX = Math.min(minX, bounds.x);
+            minY = Math.min(minY, bounds.y);
+            maxX = Math.max(maxX, bounds.x + bounds.width);
+            maxY = Math.max(maxY, bounds.y + bounds.height);
+        });
+
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    static getSchema() {
+        const schema = super.getSchema();
+        Object.assign(schema.properties, {
+            // Children are validated one by one, each against its own type
+            children: { type: 'array', items: { type: 'object' } }
+        });
+        return schema;
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            children: this.children.map(child => child.serialize())
+        };
+    }
+
+    // Restores children in place when they are the same shapes, so snapshot
+    // commands keep references to children (e.g. a selection inside the group)
+    deserialize(data) {
+        super.deserialize(data);
+
+        if (data.children) {
+            const sameChildren = data.children.length === this.children.length &&
+                data.children.every((childData, index) => childData.id === this.children[index].id);
+
+            if (sameChildren) {
+                data.children.forEach((childData, index) => this.children[index].deserialize(childData));
+            } else {
+                this.setChildren(data.children
+                    .map(childData => shapeRegistry.createShape(childData))
+                    .filter(Boolean));
+            }
+        }
+
+        return this;
+    }
+
+    // Copies get fresh ids all the way down
+    clone() {
+        const cloned = super.clone();
+        cloned.setChildren(this.children.map(child => child.clone()));
+        return cloned;
+    }
+
+    render(ctx) {
+        this.draw(ctx);
+    }
+
+    draw(ctx) {
+        this.children.forEach(child => child.render(ctx));
+    }
+
+    toSVG() {
+        return `<g${this.getSVGIdAttribute()}>${this.children.map(child => child.toSVG()).join('')}</g>`;
+    }
+}
+
+shapeRegistry.register('group', Group);
@@ -0,0 +1,105 @@
+// src/js/shapes/ImageShape.js
+import { Shape } from '../core/Shape.js';
+import { shapeRegistry } from '../core/ShapeRegistry.js';
+import { STRING } from '../core/schema.js';
+import { escapeXML } from '../core/svgMarkup.js';
+import { createImage } from '../core/canvasFactory.js';
+
+/**
+ * A bitmap image, such as one pasted from another application. The image is
+ * kept in the drawing as a data URL and stretched to the shape's size.
+ */
+export class ImageShape extends Shape {
+    constructor(x = 0, y = 0, width = 100, height = 100, src = '') {
+        super('image', x, y);
+        this.width = width;
+        this.height = height;
+        this.src = src;
+        this.fillColor = 'transparent';
+        this.strokeColor = 'transparent';
+        this.strokeWidth = 0;
+        this.image = null; // decoded from src when first drawn
+    }
+
+    hitTestLocal(x, y) {
+        return x >= this.x && x <= this.x + this.width &&
+               y >= this.y && y <= this.y + this.height;
+    }
+
+    getLocalBounds() {
+        return { x: this.x, y: this.y, width: this.width, height: this.height };
+    }
+
+    resizeLocal(fromBounds, toBounds) {
+        const p1 = Shape.mapPoint(this.x, this.y, fromBounds, toBounds);
+        const p2 = Shape.mapPoint(this.x + this.width, this.y + this.height, fromBounds, toBounds);
+        this.x = Math.min(p1.x, p2.x);
+        this.y = Math.min(p1.y, p2.y);
+        this.width = Math.abs(p2.x - p1.x);
+        this.height = Math.abs(p2.y - p1.y);
+    }
+
+    // The decoded image, or null until it has loaded. Loading redraws the
+    // canvas through the 'changed' event.
+    getImage() {
+        if (!this.image && this.src) {
+            this.image = createImage();
+            if (!this.image) return null;
+            this.image.onload = () => this.emit('changed', this);
+            this.image.src = this.src;
+        }
+        return this.image && this.image.complete && this.image.naturalWidth > 0 ? this.image : null;
+    }
+
+    static getSchema() {
+        const schema = super.getSchema();
+        Object.assign(schema.properties, {
+            width: { type: 'number', minimum: 0 },
+            height: { type: 'number', minimum: 0 },
+            src: STRING
+        });
+        return schema;
+    }
+
+    serialize() {
+        return { ...super.serialize(), width: this.width, height: this.height, src: this.src };
+    }
+
+    deserialize(data) {
+        super.deserialize(data);
+        this.width = data.width ?? this.width;
+        this.height = data.height ?? this.height;
+        if (data.src !== undefined && data.src !== this.src) {
+            this.src = data.src;
+            this.image = null;
+        }
+        return this;
+    }
+
+    // A gray box stands in while the image loads, or if it can't be decoded
+    draw(ctx) {
+        const image = this.getImage();
+        if (image) {
+            ctx.drawImage(image, this.x, this.y, this.width, this.height);
+        } else {
+            ctx.fillStyle = '#e8eaed';
+            ctx.fillRect(this.x, this.y, this.width, this.height);
+        }
+        if (this.strokeWidth > 0 && this.strokeColor !== 'transparent') {
+            ctx.strokeRect(this.x, this.y, this.width, this.height);
+        }
+    }
+
+    // A border goes on a rectangle over the image, grouped with it
+    toSVG() {
+        const area = `x="${this.x}" y="${this.y}" width="${this.width}" height="${this.height}"`;
+        const image = `${area} preserveAspectRatio="none" href="${escapeXML(this.src)}"`;
+        if (!(this.strokeWidth > 0 && this.strokeColor !== 'transparent')) {
+            return `<image${this.getSVGIdAttribute()} ${image}${this.getSVGTransformAttribute()}/>`;
+        }
+        return `<g${this.getSVGIdAttribute()}${this.getSVGTransformAttribute()}><image ${image}/>` +
+            `<rect ${area} fill="none" ${this.getSVGStrokeAttributes()}/></g>`;
+    }
+}
+
+shapeRegistry.register('image', ImageShape);
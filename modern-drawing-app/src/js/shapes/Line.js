@@ -1,4 +1,6 @@
 import { Shape } from '../core/Shape.js';
+import { shapeRegistry } from '../core/ShapeRegistry.js';
+import { NUMBER } from '../core/schema.js';
 
 export class Line extends Shape {
     constructor(x1 = 0, y1 = 0, x2 = 100, y2 = 100) {
@@ -7,7 +9,20 @@ export class Line extends Shape {
         this.y2 = y2;
     }
 
-    hitTest(x, y) {
+    translate(dx, dy) {
+        super.translate(dx, dy);
+        this.x2 += dx;
+        this.y2 += dy;
+    }
+
+    resizeLocal(fromBounds, toBounds) {
+        super.resizeLocal(fromBounds, toBounds);
+        const end = Shape.mapPoint(this.x2, this.y2, fromBounds, toBounds);
+        this.x2 = end.x;
+        this.y2 = end.y;
+    }
+
+    hitTestLocal(x, y) {
         const tolerance = this.strokeWidth + 2;
         const distance = this.distanceToLine(x, y, this.x, this.y, this.x2, this.y2);
         return distance <= tolerance;
@@ -34,7 +49,7 @@ export class Line extends Shape {
         return Math.sqrt(dx * dx + dy * dy);
     }
 
-    getBounds() {
+    getLocalBounds() {
         return {
             x: Math.min(this.x, this.x2),
             y: Math.min(this.y, this.y2),
@@ -42,4 +57,37 @@ export class Line extends Shape {
             height: Math.abs(this.y2 - this.y)
         };
     }
-}
\ No newline at end of file
+
+    static getSchema() {
+        const schema = super.getSchema();
+        Object.assign(schema.properties, {
+            x2: NUMBER,
+            y2: NUMBER
+        });
+        return schema;
+    }
+
+    serialize() {
+        return { ...super.serialize(), x2: this.x2, y2: this.y2 };
+    }
+
+    deserialize(data) {
+        super.deserialize(data);
+        this.x2 = data.x2 ?? this.x2;
+        this.y2 = data.y2 ?? this.y2;
+        return this;
+    }
+
+    draw(ctx) {
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        ctx.lineTo(this.x2, this.y2);
+        ctx.stroke();
+    }
+
+    toSVG() {
+        return `<line${this.getSVGIdAttribute()} x1="${this.x}" y1="${this.y}" x2="${this.x2}" y2="${this.y2}" ${this.getSVGStrokeAttributes()}${this.getSVGTransformAttribute()}/>`;
+    }
+}
+
+shapeRegistry.register('line', Line);
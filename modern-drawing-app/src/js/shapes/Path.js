@@ -0,0 +1,391 @@
+// src/js/shapes/Path.js
+import { Shape } from '../core/Shape.js';
+import { shapeRegistry } from '../core/ShapeRegistry.js';
+import { distanceToPolyline, getPointsBounds, pointInPolygon } from '../core/geometry.js';
+import { BOOLEAN, POINT } from '../core/schema.js';
+
+const NODE_SCHEMA = {
+    ...POINT,
+    properties: {
+        ...POINT.properties,
+        handleIn: { ...POINT, type: ['object', 'null'] },
+        handleOut: { ...POINT, type: ['object', 'null'] },
+        smooth: BOOLEAN
+    }
+};
+
+/**
+ * Open or closed path of line and cubic segments.
+ * Each node has optional handleIn/handleOut control points; a segment is a
+ * straight line when neither of its end handles is set. Nodes and handles
+ * are stored relative to (x, y).
+ */
+export class Path extends Shape {
+    constructor(x = 0, y = 0, nodes = [], closed = false) {
+        super('path', x, y);
+        this.nodes = nodes.map(node => Path.copyNode(node));
+        this.closed = closed;
+        this.showControlPoints = false;
+        this.selectedNodeIndex = null;
+        this.samplesPerSegment = 16;
+    }
+
+    static copyNode(node) {
+        return {
+            x: node.x,
+            y: node.y,
+            handleIn: node.handleIn ? { x: node.handleIn.x, y: node.handleIn.y } : null,
+            handleOut: node.handleOut ? { x: node.handleOut.x, y: node.handleOut.y } : null,
+            smooth: Boolean(node.smooth)
+        };
+    }
+
+    // Nodes with every point offset into canvas coordinates
+    getAbsoluteNodes() {
+        const offset = point => point && { x: point.x + this.x, y: point.y + this.y };
+        return this.nodes.map(node => ({
+            ...node,
+            x: node.x + this.x,
+            y: node.y + this.y,
+            handleIn: offset(node.handleIn),
+            handleOut: offset(node.handleOut)
+        }));
+    }
+
+    getSegments() {
+        const nodes = this.getAbsoluteNodes();
+        const segments = [];
+        const count = this.closed ? nodes.length : nodes.length - 1;
+
+        for (let i = 0; i < count; i++) {
+            const start = nodes[i];
+            const end = nodes[(i + 1) % nodes.length];
+            segments.push({
+                start,
+                end,
+                cp1: start.handleOut || start,
+                cp2: end.handleIn || end,
+                isLine: !start.handleOut && !end.handleIn
+            });
+        }
+
+        return segments;
+    }
+
+    static pointOnSegment(segment, t) {
+        const mt = 1 - t;
+        const a = mt * mt * mt;
+        const b = 3 * mt * mt * t;
+        const c = 3 * mt * t * t;
+        const d = t * t * t;
+        return {
+            x: a * segment.start.x + b * segment.cp1.x + c * segment.cp2.x + d * segment.end.x,
+            y: a * segment.start.y + b * segment.cp1.y + c * segment.cp2.y + d * segment.end.y
+        };
+    }
+
+    getSampledPoints() {
+        const segments = this.getSegments();
+        if (segments.length === 0) {
+            return this.getAbsoluteNodes().map(node => ({ x: node.x, y: node.y }));
+        }
+
+        const samples = [{ x: segments[0].start.x, y: segments[0].start.y }];
+        segments.forEach(segment => {
+            const steps = segment.isLine ? 1 : this.samplesPerSegment;
+            for (let step = 1; step <= steps; step++) {
+                samples.push(Path.pointOnSegment(segment, step / steps));
+            }
+        });
+
+        return samples;
+    }
+
+    hitTestLocal(x, y) {
+        const samples = this.getSampledPoints();
+        if (samples.length === 0) return false;
+
+        if (this.closed && samples.length > 2 && pointInPolygon(x, y, samples)) {
+            return true;
+        }
+
+        const tolerance = this.strokeWidth / 2 + 4;
+        if (samples.length === 1) {
+            return Math.hypot(x - samples[0].x, y - samples[0].y) <= tolerance;
+        }
+        return distanceToPolyline(x, y, samples) <= tolerance;
+    }
+
+    getLocalBounds() {
+        return getPointsBounds(this.getSampledPoints());
+    }
+
+    resizeLocal(fromBounds, toBounds) {
+        const map = point => point && Shape.mapPoint(point.x, point.y, fromBounds, toBounds);
+        const nodes = this.getAbsoluteNodes().map(node => ({
+            ...map(node),
+            handleIn: map(node.handleIn),
+            handleOut: map(node.handleOut),
+            smooth: node.smooth
+        }));
+        super.resizeLocal(fromBounds, toBounds);
+        this.setAbsoluteNodes(nodes);
+    }
+
+    setAbsoluteNodes(nodes) {
+        const offset = point => point && { x: point.x - this.x, y: point.y - this.y };
+        this.nodes = nodes.map(node => ({
+            x: node.x - this.x,
+            y: node.y - this.y,
+            handleIn: offset(node.handleIn),
+            handleOut: offset(node.handleOut),
+            smooth: Boolean(node.smooth)
+        }));
+    }
+
+    // Node editing. Positions are canvas coordinates, like hitTest.
+
+    addNode(x, y) {
+        const local = this.toLocalPoint(x, y);
+        this.nodes.push({ x: local.x - this.x, y: local.y - this.y, handleIn: null, handleOut: null, smooth: false });
+        this.emit('changed', this);
+    }
+
+    // Returns { index, part } where part is 'node', 'handleIn' or 'handleOut'
+    hitTestNode(canvasX, canvasY, tolerance = 8) {
+        const { x, y } = this.toLocalPoint(canvasX, canvasY);
+        const nodes = this.getAbsoluteNodes();
+        const near = point => point && Math.hypot(x - point.x, y - point.y) <= tolerance;
+
+        for (let i = nodes.length - 1; i >= 0; i--) {
+            if (near(nodes[i])) return { index: i, part: 'node' };
+        }
+        // Nodes win over handles lying on top of them
+        for (let i = nodes.length - 1; i >= 0; i--) {
+            if (near(nodes[i].handleOut)) return { index: i, part: 'handleOut' };
+            if (near(nodes[i].handleIn)) return { index: i, part: 'handleIn' };
+        }
+
+        return null;
+    }
+
+    // Finds the segment passing closest to a point, as { index, t }
+    hitTestSegment(canvasX, canvasY, tolerance = 6) {
+        const { x, y } = this.toLocalPoint(canvasX, canvasY);
+        let best = null;
+
+        this.getSegments().forEach((segment, index) => {
+            for (let step = 0; step <= this.samplesPerSegment; step++) {
+                const t = step / this.samplesPerSegment;
+                const point = Path.pointOnSegment(segment, t);
+                const distance = Math.hypot(x - point.x, y - point.y);
+                if (distance <= tolerance && (!best || distance < best.distance)) {
+                    best = { index, t, distance };
+                }
+            }
+        });
+
+        return best && { index: best.index, t: best.t };
+    }
+
+    moveNode(index, canvasX, canvasY) {
+        const { x, y } = this.toLocalPoint(canvasX, canvasY);
+        const node = this.nodes[index];
+        const dx = x - this.x - node.x;
+        const dy = y - this.y - node.y;
+
+        node.x += dx;
+        node.y += dy;
+        // Handles travel with their node
+        [node.handleIn, node.handleOut].forEach(handle => {
+            if (handle) {
+                handle.x += dx;
+                handle.y += dy;
+            }
+        });
+        this.emit('changed', this);
+    }
+
+    // Smooth nodes keep the opposite handle pointing the other way
+    moveHandle(index, part, canvasX, canvasY) {
+        const { x, y } = this.toLocalPoint(canvasX, canvasY);
+        const node = this.nodes[index];
+        node[part] = { x: x - this.x, y: y - this.y };
+
+        const opposite = part === 'handleIn' ? 'handleOut' : 'handleIn';
+        if (node.smooth && node[opposite]) {
+            const length = Math.hypot(node[opposite].x - node.x, node[opposite].y - node.y);
+            const angle = Math.atan2(node.y - node[part].y, node.x - node[part].x);
+            node[opposite] = {
+                x: node.x + Math.cos(angle) * length,
+                y: node.y + Math.sin(angle) * length
+            };
+        }
+        this.emit('changed', this);
+    }
+
+    // Sets both handles of a node, mirrored, as when dragging out a new smooth node
+    setSmoothHandle(index, canvasX, canvasY) {
+        const { x, y } = this.toLocalPoint(canvasX, canvasY);
+        const node = this.nodes[index];
+        const handleX = x - this.x;
+        const handleY = y - this.y;
+
+        node.smooth = true;
+        node.handleOut = { x: handleX, y: handleY };
+        node.handleIn = { x: 2 * node.x - handleX, y: 2 * node.y - handleY };
+        this.emit('changed', this);
+    }
+
+    // Splits a segment at t with de Casteljau, so the curve shape is unchanged
+    insertNode(segmentIndex, t) {
+        const segment = this.getSegments()[segmentIndex];
+        if (!segment) return null;
+
+        const lerp = (a, b) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+        const local = point => ({ x: point.x - this.x, y: point.y - this.y });
+        const startIndex = segmentIndex;
+        const endIndex = (segmentIndex + 1) % this.nodes.length;
+        let node;
+
+        if (segment.isLine) {
+            node = { ...local(lerp(segment.start, segment.end)), handleIn: null, handleOut: null, smooth: false };
+        } else {
+            const p01 = lerp(segment.start, segment.cp1);
+            const p12 = lerp(segment.cp1, segment.cp2);
+            const p23 = lerp(segment.cp2, segment.end);
+            const p012 = lerp(p01, p12);
+            const p123 = lerp(p12, p23);
+            const split = lerp(p012, p123);
+
+            this.nodes[startIndex].handleOut = local(p01);
+            this.nodes[endIndex].handleIn = local(p23);
+            node = { ...local(split), handleIn: local(p012), handleOut: local(p123), smooth: true };
+        }
+
+        this.nodes.splice(segmentIndex + 1, 0, node);
+        this.emit('changed', this);
+        return segmentIndex + 1;
+    }
+
+    deleteNode(index) {
+        this.nodes.splice(index, 1);
+        if (this.nodes.length < 3) this.closed = false;
+        if (this.selectedNodeIndex !== null && this.selectedNodeIndex >= this.nodes.length) {
+            this.selectedNodeIndex = null;
+        }
+        this.emit('changed', this);
+    }
+
+    // Corner nodes get handles along the direction of their neighbours;
+    // smooth nodes lose their handles
+    convertNode(index) {
+        const node = this.nodes[index];
+
+        if (node.smooth || node.handleIn || node.handleOut) {
+            node.smooth = false;
+            node.handleIn = null;
+            node.handleOut = null;
+        } else {
+            const count = this.nodes.length;
+            const prev = this.nodes[index - 1] || (this.closed ? this.nodes[count - 1] : node);
+            const next = this.nodes[index + 1] || (this.closed ? this.nodes[0] : node);
+            const dx = (next.x - prev.x) / 6;
+            const dy = (next.y - prev.y) / 6;
+
+            node.smooth = true;
+            node.handleIn = { x: node.x - dx, y: node.y - dy };
+            node.handleOut = { x: node.x + dx, y: node.y + dy };
+        }
+        this.emit('changed', this);
+    }
+
+    getControlPoints() {
+        const nodes = this.getAbsoluteNodes();
+        const lines = [];
+        const points = [];
+
+        nodes.forEach((node, index) => {
+            [node.handleIn, node.handleOut].forEach(handle => {
+                if (handle) {
+                    lines.push([{ x: node.x, y: node.y }, handle]);
+                    points.push({ x: handle.x, y: handle.y, kind: 'handle' });
+                }
+            });
+            points.push({ x: node.x, y: node.y, kind: 'node', selected: index === this.selectedNodeIndex });
+        });
+
+        return { lines, points };
+    }
+
+    getPathData() {
+        const segments = this.getSegments();
+        const nodes = this.getAbsoluteNodes();
+        if (nodes.length === 0) return '';
+
+        let data = `M ${nodes[0].x} ${nodes[0].y}`;
+        segments.forEach(s => {
+            data += s.isLine
+                ? ` L ${s.end.x} ${s.end.y}`
+                : ` C ${s.cp1.x} ${s.cp1.y}, ${s.cp2.x} ${s.cp2.y}, ${s.end.x} ${s.end.y}`;
+        });
+        return this.closed ? `${data} Z` : data;
+    }
+
+    static getSchema() {
+        const schema = super.getSchema();
+        Object.assign(schema.properties, {
+            nodes: { type: 'array', items: NODE_SCHEMA },
+            closed: BOOLEAN
+        });
+        return schema;
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            nodes: this.nodes.map(node => Path.copyNode(node)),
+            closed: this.closed
+        };
+    }
+
+    deserialize(data) {
+        super.deserialize(data);
+        if (data.nodes) {
+            this.nodes = data.nodes.map(node => Path.copyNode(node));
+        }
+        this.closed = data.closed ?? this.closed;
+        return this;
+    }
+
+    draw(ctx) {
+        const nodes = this.getAbsoluteNodes();
+        if (nodes.length === 0) return;
+
+        ctx.beginPath();
+        ctx.moveTo(nodes[0].x, nodes[0].y);
+        this.getSegments().forEach(s => {
+            if (s.isLine) {
+                ctx.lineTo(s.end.x, s.end.y);
+            } else {
+                ctx.bezierCurveTo(s.cp1.x, s.cp1.y, s.cp2.x, s.cp2.y, s.end.x, s.end.y);
+            }
+        });
+
+        if (this.closed) {
+            ctx.closePath();
+            ctx.fill();
+        }
+        if (this.strokeWidth > 0) ctx.stroke();
+    }
+
+    toSVG() {
+        if (this.closed) {
+            return `<path${this.getSVGIdAttribute()} d="${this.getPathData()}" ${this.getSVGPaintAttributes()}${this.getSVGTransformAttribute()}/>`;
+        }
+
+        return `<path${this.getSVGIdAttribute()} d="${this.getPathData()}" fill="none" ${this.getSVGStrokeAttributes()}${this.getSVGTransformAttribute()}/>`;
+    }
+}
+
+shapeRegistry.register('path', Path);
@@ -0,0 +1,112 @@
+// src/js/shapes/Polygon.js
+import { Shape } from '../core/Shape.js';
+import { shapeRegistry } from '../core/ShapeRegistry.js';
+import { distanceToPolyline, getPointsBounds, pointInPolygon } from '../core/geometry.js';
+import { POINT, BOOLEAN } from '../core/schema.js';
+
+/**
+ * Closed polygon or open polyline. Vertices are stored relative to (x, y),
+ * so moving the shape only changes its position.
+ */
+export class Polygon extends Shape {
+    constructor(x = 0, y = 0, points = [], closed = true) {
+        super('polygon', x, y);
+        this.points = points.map(point => ({ x: point.x, y: point.y }));
+        this.closed = closed;
+    }
+
+    // Vertices in canvas coordinates, before the shape transform
+    getAbsolutePoints() {
+        return this.points.map(point => ({ x: this.x + point.x, y: this.y + point.y }));
+    }
+
+    setAbsolutePoints(points) {
+        this.points = points.map(point => ({ x: point.x - this.x, y: point.y - this.y }));
+    }
+
+    addPoint(x, y) {
+        this.points.push({ x: x - this.x, y: y - this.y });
+        this.emit('changed', this);
+    }
+
+    removeLastPoint() {
+        this.points.pop();
+        this.emit('changed', this);
+    }
+
+    hitTestLocal(x, y) {
+        const points = this.getAbsolutePoints();
+        if (points.length === 0) return false;
+
+        const tolerance = this.strokeWidth / 2 + 4;
+        if (this.closed && points.length > 2 && pointInPolygon(x, y, points)) {
+            return true;
+        }
+
+        return distanceToPolyline(x, y, points, this.closed) <= tolerance;
+    }
+
+    getLocalBounds() {
+        return getPointsBounds(this.getAbsolutePoints());
+    }
+
+    resizeLocal(fromBounds, toBounds) {
+        const points = this.getAbsolutePoints()
+            .map(point => Shape.mapPoint(point.x, point.y, fromBounds, toBounds));
+        super.resizeLocal(fromBounds, toBounds);
+        this.setAbsolutePoints(points);
+    }
+
+    static getSchema() {
+        const schema = super.getSchema();
+        Object.assign(schema.properties, {
+            points: { type: 'array', items: POINT },
+            closed: BOOLEAN
+        });
+        return schema;
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            points: this.points.map(point => ({ x: point.x, y: point.y })),
+            closed: this.closed
+        };
+    }
+
+    deserialize(data) {
+        super.deserialize(data);
+        if (data.points) {
+            this.points = data.points.map(point => ({ x: point.x, y: point.y }));
+        }
+        this.closed = data.closed ?? this.closed;
+        return this;
+    }
+
+    draw(ctx) {
+        const points = this.getAbsolutePoints();
+        if (points.length === 0) return;
+
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+
+        if (this.closed) {
+            ctx.closePath();
+            ctx.fill();
+        }
+        if (this.strokeWidth > 0) ctx.stroke();
+    }
+
+    toSVG() {
+        const points = this.getAbsolutePoints().map(point => `${point.x},${point.y}`).join(' ');
+
+        if (this.closed) {
+            return `<polygon${this.getSVGIdAttribute()} points="${points}" ${this.getSVGPaintAttributes()}${this.getSVGTransformAttribute()}/>`;
+        }
+
+        return `<polyline${this.getSVGIdAttribute()} points="${points}" fill="none" ${this.getSVGStrokeAttributes()}${this.getSVGTransformAttribute()}/>`;
+    }
+}
+
+shapeRegistry.register('polygon', Polygon);
@@ -1,4 +1,5 @@
 import { Shape } from '../core/Shape.js';
+import { shapeRegistry } from '../core/ShapeRegistry.js';
 
 export class Rectangle extends Shape {
     constructor(x = 0, y = 0, width = 100, height = 100) {
@@ -7,12 +8,54 @@ export class Rectangle extends Shape {
         this.height = height;
     }
 
-    hitTest(x, y) {
+    hitTestLocal(x, y) {
         return x >= this.x && x <= this.x + this.width &&
                y >= this.y && y <= this.y + this.height;
     }
 
-    getBounds() {
+    getLocalBounds() {
         return { x: this.x, y: this.y, width: this.width, height: this.height };
     }
-}
\ No newline at end of file
+
+    resizeLocal(fromBounds, toBounds) {
+        const p1 = Shape.mapPoint(this.x, this.y, fromBounds, toBounds);
+        const p2 = Shape.mapPoint(this.x + this.width, this.y + this.height, fromBounds, toBounds);
+        this.x = Math.min(p1.x, p2.x);
+        this.y = Math.min(p1.y, p2.y);
+        this.width = Math.abs(p2.x - p1.x);
+        this.height = Math.abs(p2.y - p1.y);
+    }
+
+    static getSchema() {
+        const schema = super.getSchema();
+        Object.assign(schema.properties, {
+            width: { type: 'number', minimum: 0 },
+            height: { type: 'number', minimum: 0 }
+        });
+        return schema;
+    }
+
+    serialize() {
+        return { ...super.serialize(), width: this.width, height: this.height };
+    }
+
+    deserialize(data) {
+        super.deserialize(data);
+        this.width = data.width ?? this.width;
+        this.height = data.height ?? this.height;
+        return this;
+    }
+
+    draw(ctx) {
+        ctx.fillRect(this.x, this.y, this.width, this.height);
+        if (this.strokeWidth > 0) {
+            ctx.strokeRect(this.x, this.y, this.width, this.height);
+        }
+    }
+
+    toSVG() {
+        return `<rect${this.getSVGIdAttribute()} x="${this.x}" y="${this.y}" width="${this.width}" height="${this.height}" ${this.getSVGPaintAttributes()}${this.getSVGTransformAttribute()}/>`;
+    }
+}
+
+shapeRegistry.register('rectangle', Rectangle);
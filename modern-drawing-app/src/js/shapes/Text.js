@@ -1,5 +1,25 @@
 // src/js/shapes/Text.js
 import { Shape } from '../core/Shape.js';
+import { shapeRegistry } from '../core/ShapeRegistry.js';
+import { STRING } from '../core/schema.js';
+import { escapeXML } from '../core/svgMarkup.js';
+import { measureTextWidth } from '../core/canvasFactory.js';
+
+// Canvas text alignment and baselines as SVG text-anchor and dominant-baseline
+const SVG_TEXT_ANCHORS = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+const SVG_BASELINES = {
+    top: 'text-before-edge',
+    hanging: 'hanging',
+    middle: 'central',
+    alphabetic: 'alphabetic',
+    ideographic: 'ideographic',
+    bottom: 'text-after-edge'
+};
+
+// How far the box reaches left of x, as a share of the text width, and above
+// y, in font sizes. Baselines are approximate, as font metrics aren't known.
+const ALIGN_OFFSETS = { left: 0, start: 0, center: 0.5, right: 1, end: 1 };
+const BASELINE_OFFSETS = { top: 0, hanging: 0.1, middle: 0.5, alphabetic: 0.8, ideographic: 1, bottom: 1 };
 
 export class Text extends Shape {
     constructor(x = 0, y = 0, text = 'Text', fontSize = 16) {
@@ -15,27 +35,31 @@ export class Text extends Shape {
         this.editing = false;
     }
 
-    hitTest(x, y) {
-        const bounds = this.getBounds();
+    hitTestLocal(x, y) {
+        const bounds = this.getLocalBounds();
         return x >= bounds.x && x <= bounds.x + bounds.width &&
                y >= bounds.y && y <= bounds.y + bounds.height;
     }
 
-    getBounds() {
-        // Create temporary canvas to measure text
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        ctx.font = `${this.fontSize}px ${this.fontFamily}`;
-        const metrics = ctx.measureText(this.text);
-        
+    // x and y are where the text is anchored, as for fillText
+    getLocalBounds() {
+        const width = measureTextWidth(this.text, `${this.fontSize}px ${this.fontFamily}`);
         return {
-            x: this.x,
-            y: this.y,
-            width: metrics.width,
+            x: this.x - width * (ALIGN_OFFSETS[this.textAlign] ?? 0),
+            y: this.y - this.fontSize * (BASELINE_OFFSETS[this.textBaseline] ?? 0),
+            width,
             height: this.fontSize * 1.2 // Approximate line height
         };
     }
 
+    // Text scales with the height of the reference rectangle
+    resizeLocal(fromBounds, toBounds) {
+        super.resizeLocal(fromBounds, toBounds);
+        if (fromBounds.height) {
+            this.fontSize = Math.max(1, this.fontSize * toBounds.height / fromBounds.height);
+        }
+    }
+
     startEditing() {
         this.editing = true;
         this.emit('editingStarted', this);
@@ -50,8 +74,63 @@ export class Text extends Shape {
         this.text = text;
         this.emit('changed', this);
     }
+
+    static getSchema() {
+        const schema = super.getSchema();
+        Object.assign(schema.properties, {
+            text: STRING,
+            fontSize: { type: 'number', exclusiveMinimum: 0 },
+            fontFamily: STRING,
+            textAlign: { enum: ['left', 'right', 'center', 'start', 'end'] },
+            textBaseline: { enum: ['top', 'hanging', 'middle', 'alphabetic', 'ideographic', 'bottom'] }
+        });
+        return schema;
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            text: this.text,
+            fontSize: this.fontSize,
+            fontFamily: this.fontFamily,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline
+        };
+    }
+
+    deserialize(data) {
+        super.deserialize(data);
+        this.text = data.text ?? this.text;
+        this.fontSize = data.fontSize ?? this.fontSize;
+        this.fontFamily = data.fontFamily ?? this.fontFamily;
+        this.textAlign = data.textAlign ?? this.textAlign;
+        this.textBaseline = data.textBaseline ?? this.textBaseline;
+        return this;
+    }
+
+    draw(ctx) {
+        ctx.font = `${this.fontSize}px ${this.fontFamily}`;
+        ctx.textAlign = this.textAlign;
+        ctx.textBaseline = this.textBaseline;
+        ctx.fillText(this.text, this.x, this.y);
+
+        if (this.strokeWidth > 0 && this.strokeColor !== 'transparent') {
+            ctx.strokeText(this.text, this.x, this.y);
+        }
+    }
+
+    // Spaces are kept as typed, like on the canvas
+    toSVG() {
+        const anchor = SVG_TEXT_ANCHORS[this.textAlign] || 'start';
+        const baseline = SVG_BASELINES[this.textBaseline] || 'alphabetic';
+        return `<text${this.getSVGIdAttribute()} x="${this.x}" y="${this.y}" font-family="${escapeXML(this.fontFamily)}" font-size="${this.fontSize}" ` +
+            `text-anchor="${anchor}" dominant-baseline="${baseline}" xml:space="preserve" ` +
+            `${this.getSVGPaintAttributes()}${this.getSVGTransformAttribute()}>${escapeXML(this.text)}</text>`;
+    }
 }
 
+shapeRegistry.register('text', Text);
+
 // CSS for text editor (add to components.css)
 /*
 .text-editor {
@@ -0,0 +1,61 @@
+// src/js/shapes/UnknownShape.js
+import { Shape } from '../core/Shape.js';
+import { shapeRegistry } from '../core/ShapeRegistry.js';
+
+/**
+ * Placeholder for a shape type this version doesn't know, such as one saved
+ * by a newer version. Its data is written back as it was loaded, except for
+ * the common properties, which can still be edited (position, colors,
+ * stacking, layer and transform). It is drawn as a labeled dashed box.
+ */
+export class UnknownShape extends Shape {
+    constructor(type = 'unknown') {
+        super(type);
+        this.data = { type };
+        this.width = 40;
+        this.height = 40;
+    }
+
+    hitTestLocal(x, y) {
+        return x >= this.x && x <= this.x + this.width &&
+               y >= this.y && y <= this.y + this.height;
+    }
+
+    // The size comes from the saved data when it has one
+    getLocalBounds() {
+        return { x: this.x, y: this.y, width: this.width, height: this.height };
+    }
+
+    serialize() {
+        return { ...JSON.parse(JSON.stringify(this.data)), ...super.serialize() };
+    }
+
+    deserialize(data) {
+        super.deserialize(data);
+        this.type = data.type ?? this.type;
+        this.data = JSON.parse(JSON.stringify(data));
+        this.width = Number.isFinite(data.width) && data.width > 0 ? data.width : this.width;
+        this.height = Number.isFinite(data.height) && data.height > 0 ? data.height : this.height;
+        return this;
+    }
+
+    draw(ctx) {
+        ctx.save();
+        ctx.setLineDash([4, 4]);
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = '#9aa0a6';
+        ctx.strokeRect(this.x, this.y, this.width, this.height);
+        ctx.fillStyle = '#5f6368';
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`? ${this.type}`, this.x + 4, this.y + 4);
+        ctx.restore();
+    }
+
+    // There is nothing to draw, so the export only notes what was left out
+    toSVG() {
+        return `<!-- unsupported shape type: ${String(this.type).replace(/-{2,}/g, '-')} -->`;
+    }
+}
+
+shapeRegistry.registerFallback(UnknownShape);
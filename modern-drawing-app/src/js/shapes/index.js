@@ -0,0 +1,15 @@
+// src/js/shapes/index.js
+// Importing a shape module registers it with the shape registry, so anything
+// that creates shapes from data imports this file to get every type.
+export { shapeRegistry } from '../core/ShapeRegistry.js';
+export { Rectangle } from './Rectangle.js';
+export { Ellipse } from './Ellipse.js';
+export { Line } from './Line.js';
+export { Text } from './Text.js';
+export { BezierCurve } from './BezierCurve.js';
+export { Polygon } from './Polygon.js';
+export { FreehandPath } from './FreehandPath.js';
+export { Path } from './Path.js';
+export { ImageShape } from './ImageShape.js';
+export { Group } from './Group.js';
+export { UnknownShape } from './UnknownShape.js';
@@ -25,10 +25,12 @@ export class BaseTool extends EventEmitter {
         this.onMouseDown = this.onMouseDown.bind(this);
         this.onMouseMove = this.onMouseMove.bind(this);
         this.onMouseUp = this.onMouseUp.bind(this);
+        this.onDoubleClick = this.onDoubleClick.bind(this);
         
         this.canvas.addEventListener('mousedown', this.onMouseDown);
         this.canvas.addEventListener('mousemove', this.onMouseMove);
         this.canvas.addEventListener('mouseup', this.onMouseUp);
+        this.canvas.addEventListener('dblclick', this.onDoubleClick);
     }
 
     unbindEvents() {
@@ -36,6 +38,7 @@ export class BaseTool extends EventEmitter {
             this.canvas.removeEventListener('mousedown', this.onMouseDown);
             this.canvas.removeEventListener('mousemove', this.onMouseMove);
             this.canvas.removeEventListener('mouseup', this.onMouseUp);
+            this.canvas.removeEventListener('dblclick', this.onDoubleClick);
         }
     }
 
@@ -46,4 +49,10 @@ export class BaseTool extends EventEmitter {
     onMouseDown(e) {}
     onMouseMove(e) {}
     onMouseUp(e) {}
+    onDoubleClick(e) {}
+
+    // Return true when the tool handled the key, so app shortcuts are skipped
+    onKeyDown(e) {
+        return false;
+    }
 }
\ No newline at end of file
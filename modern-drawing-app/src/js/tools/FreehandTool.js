@@ -0,0 +1,115 @@
+// src/js/tools/FreehandTool.js
+import { BaseTool } from './BaseTool.js';
+import { FreehandPath } from '../shapes/FreehandPath.js';
+import { AddShapeCommand } from '../commands/AddShapeCommand.js';
+
+export class FreehandTool extends BaseTool {
+    constructor(state, renderer, commandManager) {
+        super(state, renderer);
+        this.commandManager = commandManager;
+        this.currentShape = null;
+        this.usePressure = true;
+        this.minPointDistance = 0.5;
+        this.simplifyTolerance = 1; // screen pixels
+    }
+
+    activate() {
+        super.activate();
+        this.canvas.style.cursor = 'crosshair';
+    }
+
+    deactivate() {
+        super.deactivate();
+        this.canvas.style.cursor = 'default';
+    }
+
+    // Pointer events carry pen pressure, mouse events don't
+    bindEvents() {
+        this.canvas = this.renderer.canvas;
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onPointerCancel = this.onPointerCancel.bind(this);
+
+        this.canvas.addEventListener('pointerdown', this.onMouseDown);
+        this.canvas.addEventListener('pointermove', this.onMouseMove);
+        this.canvas.addEventListener('pointerup', this.onMouseUp);
+        this.canvas.addEventListener('pointercancel', this.onPointerCancel);
+    }
+
+    unbindEvents() {
+        if (this.canvas) {
+            this.canvas.removeEventListener('pointerdown', this.onMouseDown);
+            this.canvas.removeEventListener('pointermove', this.onMouseMove);
+            this.canvas.removeEventListener('pointerup', this.onMouseUp);
+            this.canvas.removeEventListener('pointercancel', this.onPointerCancel);
+        }
+    }
+
+    onMouseDown(e) {
+        const pos = this.getCanvasPosition(e);
+        const hasPressure = this.usePressure && e.pointerType === 'pen';
+
+        this.currentShape = new FreehandPath(pos.x, pos.y);
+        this.currentShape.pressureEnabled = hasPressure;
+        this.currentShape.addPoint(pos.x, pos.y, this.getPressure(e));
+
+        // Keep receiving moves when the pointer leaves the canvas mid-stroke
+        if (e.pointerId !== undefined && this.canvas.setPointerCapture) {
+            this.canvas.setPointerCapture(e.pointerId);
+        }
+
+        // Add to state immediately for preview
+        this.state.addShape(this.currentShape);
+        this.isDrawing = true;
+    }
+
+    onMouseMove(e) {
+        if (!this.isDrawing || !this.currentShape) return;
+
+        // Coalesced events restore the samples the browser merged between frames
+        const coalesced = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        const events = coalesced.length > 0 ? coalesced : [e];
+
+        events.forEach(event => {
+            const pos = this.getCanvasPosition(event);
+            const points = this.currentShape.points;
+            const last = points[points.length - 1];
+            const distance = Math.hypot(pos.x - this.currentShape.x - last.x, pos.y - this.currentShape.y - last.y);
+
+            if (distance >= this.minPointDistance / this.state.zoom) {
+                this.currentShape.addPoint(pos.x, pos.y, this.getPressure(event));
+            }
+        });
+    }
+
+    onMouseUp(e) {
+        if (this.currentShape) {
+            // Remove from state and add via command for undo support. A click
+            // without a move leaves a single point, which draws nothing.
+            this.state.removeShape(this.currentShape.id);
+            if (this.currentShape.points.length >= 2) {
+                this.currentShape.simplify(this.simplifyTolerance / this.state.zoom);
+                this.commandManager.execute(new AddShapeCommand(this.state, this.currentShape));
+            }
+        }
+
+        this.isDrawing = false;
+        this.currentShape = null;
+    }
+
+    // The system took the pointer, e.g. for a scroll gesture, so the stroke
+    // is dropped
+    onPointerCancel() {
+        if (this.currentShape) {
+            this.state.removeShape(this.currentShape.id);
+        }
+
+        this.isDrawing = false;
+        this.currentShape = null;
+    }
+
+    getPressure(e) {
+        return this.currentShape.pressureEnabled && e.pressure !== undefined ? e.pressure : 0.5;
+    }
+}
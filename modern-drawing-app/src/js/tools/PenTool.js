@@ -0,0 +1,311 @@
+// src/js/tools/PenTool.js
+import { BaseTool } from './BaseTool.js';
+import { Path } from '../shapes/Path.js';
+import { AddShapeCommand } from '../commands/AddShapeCommand.js';
+import { EditPathCommand } from '../commands/EditPathCommand.js';
+
+/**
+ * Draws paths node by node: click for a corner node, drag for a smooth one,
+ * click the first node to close. Clicking an existing path edits its nodes:
+ * drag nodes or handles, click a segment to add a node, Alt+click a node to
+ * convert it between corner and smooth, Delete removes the selected node.
+ */
+export class PenTool extends BaseTool {
+    constructor(state, renderer, commandManager) {
+        super(state, renderer);
+        this.commandManager = commandManager;
+        this.currentPath = null; // path being drawn
+        this.dragNodeIndex = null;
+        this.dragStart = null;
+        this.isClosing = false;
+        this.editPath = null; // existing path whose nodes are being edited
+        this.editTarget = null;
+        this.editStartState = null;
+        this.hitTolerance = 8;
+        this.dragThreshold = 3;
+    }
+
+    activate() {
+        super.activate();
+        this.canvas.style.cursor = 'crosshair';
+    }
+
+    deactivate() {
+        this.finishPath();
+        this.stopEditing();
+        super.deactivate();
+        this.canvas.style.cursor = 'default';
+    }
+
+    onMouseDown(e) {
+        const pos = this.getCanvasPosition(e);
+
+        if (this.currentPath) {
+            this.placeNode(pos);
+            return;
+        }
+
+        if (this.editPath && this.handleEditMouseDown(pos, e)) {
+            return;
+        }
+
+        const clickedShape = this.state.getShapeAt(pos.x, pos.y);
+        if (clickedShape && clickedShape.type === 'path') {
+            this.startEditing(clickedShape);
+            return;
+        }
+
+        this.stopEditing();
+        this.startPath(pos);
+    }
+
+    onMouseMove(e) {
+        const pos = this.getCanvasPosition(e);
+
+        if (this.currentPath && this.dragNodeIndex !== null) {
+            // Dragging away from a new node pulls out its handles
+            const distance = Math.hypot(pos.x - this.dragStart.x, pos.y - this.dragStart.y);
+            if (distance >= this.dragThreshold / this.state.zoom) {
+                this.currentPath.setSmoothHandle(this.dragNodeIndex, pos.x, pos.y);
+            }
+            return;
+        }
+
+        if (this.editTarget) {
+            const { index, part } = this.editTarget;
+            if (part === 'node') {
+                this.editPath.moveNode(index, pos.x, pos.y);
+            } else {
+                this.editPath.moveHandle(index, part, pos.x, pos.y);
+            }
+            return;
+        }
+
+        this.updateCursor(pos);
+    }
+
+    onMouseUp(e) {
+        if (this.currentPath) {
+            this.dragNodeIndex = null;
+            this.dragStart = null;
+            if (this.isClosing) {
+                this.finishPath();
+            }
+            return;
+        }
+
+        if (this.editTarget) {
+            this.commitEdit();
+            this.editTarget = null;
+        }
+    }
+
+    onDoubleClick(e) {
+        if (this.currentPath) {
+            this.finishPath();
+            return;
+        }
+
+        // Double-clicking away from the edited path ends editing
+        const pos = this.getCanvasPosition(e);
+        if (this.editPath && !this.editPath.hitTest(pos.x, pos.y)) {
+            this.stopEditing();
+        }
+    }
+
+    onKeyDown(e) {
+        if (this.currentPath) {
+            switch (e.key) {
+                case 'Enter':
+                case 'Escape':
+                    this.finishPath();
+                    return true;
+                case 'Backspace':
+                    this.removeLastNode();
+                    return true;
+                default:
+                    return false;
+            }
+        }
+
+        if (this.editPath) {
+            switch (e.key) {
+                case 'Escape':
+                    this.stopEditing();
+                    return true;
+                case 'Delete':
+                case 'Backspace':
+                    if (this.editPath.selectedNodeIndex === null) return false;
+                    this.deleteSelectedNode();
+                    return true;
+                default:
+                    return false;
+            }
+        }
+
+        return false;
+    }
+
+    // Drawing
+
+    startPath(pos) {
+        this.currentPath = new Path(pos.x, pos.y, [{ x: 0, y: 0 }]);
+        this.currentPath.showControlPoints = true;
+        this.state.addShape(this.currentPath);
+        this.isDrawing = true;
+        this.beginNodeDrag(0, pos);
+    }
+
+    placeNode(pos) {
+        const path = this.currentPath;
+        const first = path.getAbsoluteNodes()[0];
+        const tolerance = this.hitTolerance / this.state.zoom;
+
+        // Clicking the first node closes the path; dragging shapes the closing node
+        if (path.nodes.length > 1 && Math.hypot(pos.x - first.x, pos.y - first.y) <= tolerance) {
+            path.closed = true;
+            path.emit('changed', path);
+            this.isClosing = true;
+            this.beginNodeDrag(0, first);
+            return;
+        }
+
+        path.addNode(pos.x, pos.y);
+        this.beginNodeDrag(path.nodes.length - 1, pos);
+    }
+
+    beginNodeDrag(index, pos) {
+        this.dragNodeIndex = index;
+        this.dragStart = { x: pos.x, y: pos.y };
+    }
+
+    removeLastNode() {
+        if (this.currentPath.nodes.length <= 1) {
+            this.cancelPath();
+            return;
+        }
+
+        this.currentPath.deleteNode(this.currentPath.nodes.length - 1);
+    }
+
+    finishPath() {
+        if (!this.currentPath) return;
+
+        const path = this.currentPath;
+        // A double-click also delivers two clicks, so drop repeated corner nodes
+        path.nodes = path.nodes.filter((node, index, all) => {
+            const prev = all[index - 1];
+            return index === 0 || node.handleIn || node.x !== prev.x || node.y !== prev.y;
+        });
+        path.showControlPoints = false;
+
+        this.state.removeShape(path.id);
+        this.currentPath = null;
+        this.dragNodeIndex = null;
+        this.dragStart = null;
+        this.isClosing = false;
+        this.isDrawing = false;
+
+        if (path.nodes.length < 2) return;
+
+        // Add via command for undo support
+        const command = new AddShapeCommand(this.state, path);
+        this.commandManager.execute(command);
+    }
+
+    cancelPath() {
+        if (!this.currentPath) return;
+
+        this.state.removeShape(this.currentPath.id);
+        this.currentPath = null;
+        this.dragNodeIndex = null;
+        this.isClosing = false;
+        this.isDrawing = false;
+    }
+
+    // Node editing
+
+    startEditing(path) {
+        this.stopEditing();
+        this.editPath = path;
+        path.showControlPoints = true;
+        path.selectedNodeIndex = null;
+        this.state.emit('shapesChanged');
+    }
+
+    stopEditing() {
+        if (!this.editPath) return;
+
+        this.editPath.showControlPoints = false;
+        this.editPath.selectedNodeIndex = null;
+        this.editPath = null;
+        this.editTarget = null;
+        this.state.emit('shapesChanged');
+    }
+
+    // Returns true when the click landed on the edited path
+    handleEditMouseDown(pos, e) {
+        const path = this.editPath;
+        const target = path.hitTestNode(pos.x, pos.y, this.hitTolerance / this.state.zoom);
+
+        if (target) {
+            if (target.part === 'node' && e.altKey) {
+                this.applyEdit(() => path.convertNode(target.index));
+                return true;
+            }
+
+            if (target.part === 'node') {
+                path.selectedNodeIndex = target.index;
+            }
+            this.editTarget = target;
+            this.editStartState = path.serialize();
+            path.emit('changed', path);
+            return true;
+        }
+
+        const segment = path.hitTestSegment(pos.x, pos.y, this.hitTolerance / this.state.zoom);
+        if (segment) {
+            this.applyEdit(() => {
+                path.selectedNodeIndex = path.insertNode(segment.index, segment.t);
+            });
+            return true;
+        }
+
+        return path.hitTest(pos.x, pos.y);
+    }
+
+    deleteSelectedNode() {
+        const path = this.editPath;
+        // Keep at least a single segment; delete the shape itself to remove it entirely
+        if (path.nodes.length <= 2) return;
+
+        this.applyEdit(() => {
+            path.deleteNode(path.selectedNodeIndex);
+            path.selectedNodeIndex = null;
+        });
+    }
+
+    // Runs a one-shot edit and records it for undo
+    applyEdit(edit) {
+        this.editStartState = this.editPath.serialize();
+        edit();
+        this.commitEdit();
+    }
+
+    commitEdit() {
+        const newState = this.editPath.serialize();
+        if (JSON.stringify(newState) !== JSON.stringify(this.editStartState)) {
+            const command = new EditPathCommand(this.editPath, [this.editStartState], [newState]);
+            this.commandManager.execute(command);
+        }
+        this.editStartState = null;
+    }
+
+    updateCursor(pos) {
+        if (this.editPath && this.editPath.hitTestNode(pos.x, pos.y, this.hitTolerance / this.state.zoom)) {
+            this.canvas.style.cursor = 'grab';
+        } else {
+            this.canvas.style.cursor = 'crosshair';
+        }
+    }
+}
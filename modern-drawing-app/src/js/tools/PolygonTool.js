@@ -0,0 +1,132 @@
+// src/js/tools/PolygonTool.js
+import { BaseTool } from './BaseTool.js';
+import { Polygon } from '../shapes/Polygon.js';
+import { AddShapeCommand } from '../commands/AddShapeCommand.js';
+
+export class PolygonTool extends BaseTool {
+    constructor(state, renderer, commandManager, closed = true) {
+        super(state, renderer);
+        this.commandManager = commandManager;
+        this.closed = closed; // false draws an open polyline
+        this.currentShape = null;
+        this.closeTolerance = 8;
+    }
+
+    activate() {
+        super.activate();
+        this.canvas.style.cursor = 'crosshair';
+    }
+
+    deactivate() {
+        this.finishShape();
+        super.deactivate();
+        this.canvas.style.cursor = 'default';
+    }
+
+    onMouseDown(e) {
+        const pos = this.getCanvasPosition(e);
+
+        if (!this.currentShape) {
+            // The last vertex is a preview that follows the pointer
+            this.currentShape = new Polygon(pos.x, pos.y, [{ x: 0, y: 0 }, { x: 0, y: 0 }], this.closed);
+            this.state.addShape(this.currentShape);
+            this.isDrawing = true;
+            return;
+        }
+
+        // Clicking the first vertex closes the shape
+        const vertices = this.getPlacedPoints();
+        const first = vertices[0];
+        const tolerance = this.closeTolerance / this.state.zoom;
+        if (vertices.length > 2 && Math.hypot(pos.x - first.x, pos.y - first.y) <= tolerance) {
+            this.currentShape.closed = true;
+            this.finishShape();
+            return;
+        }
+
+        // Place the preview vertex and start a new one
+        this.movePreviewPoint(pos);
+        this.currentShape.addPoint(pos.x, pos.y);
+    }
+
+    onMouseMove(e) {
+        if (!this.currentShape) return;
+
+        this.movePreviewPoint(this.getCanvasPosition(e));
+        this.currentShape.emit('changed', this.currentShape);
+    }
+
+    movePreviewPoint(pos) {
+        const preview = this.currentShape.points[this.currentShape.points.length - 1];
+        preview.x = pos.x - this.currentShape.x;
+        preview.y = pos.y - this.currentShape.y;
+    }
+
+    onDoubleClick(e) {
+        this.finishShape();
+    }
+
+    onKeyDown(e) {
+        if (!this.currentShape) return false;
+
+        switch (e.key) {
+            case 'Enter':
+                this.finishShape();
+                return true;
+            case 'Escape':
+                this.cancelShape();
+                return true;
+            case 'Backspace':
+                this.removeLastVertex();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    // Vertices placed so far, without the preview vertex
+    getPlacedPoints() {
+        return this.currentShape.getAbsolutePoints().slice(0, -1);
+    }
+
+    removeLastVertex() {
+        if (this.currentShape.points.length <= 2) {
+            this.cancelShape();
+            return;
+        }
+
+        // Drop the last placed vertex and keep the preview
+        this.currentShape.points.splice(this.currentShape.points.length - 2, 1);
+        this.currentShape.emit('changed', this.currentShape);
+    }
+
+    finishShape() {
+        if (!this.currentShape) return;
+
+        const shape = this.currentShape;
+        // A double-click also delivers two clicks, so drop repeated vertices
+        const points = this.getPlacedPoints().filter((point, index, all) =>
+            index === 0 || point.x !== all[index - 1].x || point.y !== all[index - 1].y);
+        const minPoints = shape.closed ? 3 : 2;
+
+        this.state.removeShape(shape.id);
+        this.currentShape = null;
+        this.isDrawing = false;
+
+        if (points.length < minPoints) return;
+
+        shape.setAbsolutePoints(points);
+
+        // Add via command for undo support
+        const command = new AddShapeCommand(this.state, shape);
+        this.commandManager.execute(command);
+    }
+
+    cancelShape() {
+        if (!this.currentShape) return;
+
+        this.state.removeShape(this.currentShape.id);
+        this.currentShape = null;
+        this.isDrawing = false;
+    }
+}
@@ -1,22 +1,53 @@
 import { BaseTool } from './BaseTool.js';
 import { MoveShapeCommand } from '../commands/MoveShapeCommand.js';
+import { ResizeShapeCommand } from '../commands/ResizeShapeCommand.js';
+import { TransformShapeCommand } from '../commands/TransformShapeCommand.js';
+import { Matrix } from '../core/Matrix.js';
+import { describeShapes } from '../core/Command.js';
 
 export class SelectTool extends BaseTool {
     constructor(state, renderer, commandManager) {
         super(state, renderer);
         this.commandManager = commandManager;
         this.dragStartPos = null;
-        this.dragOffset = null;
+        this.dragDelta = null; // how far the dragged shapes have moved
         this.marqueeStart = null;
         this.marqueeEnd = null;
         this.isMarquee = false;
-        this.originalPositions = [];
+        this.dragShapes = [];
         this.isDragging = false;
+        this.activeHandle = null;
+        this.resizeStartPos = null;
+        this.resizeStartBounds = null;
+        this.transformShapes = [];
+        this.transformStates = [];
+        this.minResizeSize = 1;
+        this.isRotating = false;
+        this.rotateCenter = null;
+        this.rotateStartAngle = 0;
+        this.rotateSnapAngle = 15;
     }
 
     onMouseDown(e) {
         const pos = this.getCanvasPosition(e);
-        const shape = this.state.getShapeAt(pos.x, pos.y);
+        const handle = this.renderer.getHandleAt(pos.x, pos.y);
+
+        if (handle && handle.name === 'rotate') {
+            this.startRotate(pos);
+            return;
+        }
+        if (handle) {
+            this.startResize(handle, pos);
+            return;
+        }
+
+        let shape = this.state.getShapeAt(pos.x, pos.y);
+
+        // Clicking a shape outside the group being edited leaves it
+        if (this.state.editingGroup && shape && shape.parent !== this.state.editingGroup) {
+            this.state.exitGroup();
+            shape = this.state.getShapeAt(pos.x, pos.y);
+        }
         
         if (shape) {
             // Handle shape selection and dragging
@@ -25,22 +56,9 @@ export class SelectTool extends BaseTool {
             }
             this.state.selectShape(shape, e.shiftKey);
             
-            // Store original positions for undo - including line endpoints
-            this.originalPositions = Array.from(this.state.selectedShapes).map(s => {
-                const pos = { shape: s, x: s.x, y: s.y };
-                // Store line endpoints separately
-                if (s.type === 'line') {
-                    pos.x2 = s.x2;
-                    pos.y2 = s.y2;
-                }
-                return pos;
-            });
-            
+            this.dragShapes = Array.from(this.state.selectedShapes);
             this.dragStartPos = pos;
-            this.dragOffset = {
-                x: pos.x - shape.x,
-                y: pos.y - shape.y
-            };
+            this.dragDelta = { x: 0, y: 0 };
             this.isDragging = true;
             this.isDrawing = true;
         } else {
@@ -58,81 +76,233 @@ export class SelectTool extends BaseTool {
     onMouseMove(e) {
         const pos = this.getCanvasPosition(e);
         
-        if (this.isMarquee) {
+        if (this.isRotating) {
+            this.updateRotate(pos, e);
+        } else if (this.activeHandle) {
+            this.updateResize(pos, e);
+        } else if (this.isMarquee) {
             // Update marquee rectangle
             this.marqueeEnd = pos;
             this.updateMarqueeSelection(e);
-            this.renderer.render();
+            // The marquee is repainted along with the selection handles
+            this.renderer.requestRender({ shapes: [] });
         } else if (this.isDragging && this.state.selectedShapes.size > 0) {
-            // Drag selected shapes - handle lines specially
-            const dx = pos.x - this.dragStartPos.x;
-            const dy = pos.y - this.dragStartPos.y;
+            // Each shape moves by the change since the last mouse move
+            const dx = pos.x - this.dragStartPos.x - this.dragDelta.x;
+            const dy = pos.y - this.dragStartPos.y - this.dragDelta.y;
+            this.dragDelta = { x: this.dragDelta.x + dx, y: this.dragDelta.y + dy };
             
-            this.originalPositions.forEach((posData, index) => {
-                const shape = posData.shape;
-                
-                if (shape.type === 'line') {
-                    // Move both endpoints of the line
-                    shape.x = posData.x + dx;
-                    shape.y = posData.y + dy;
-                    shape.x2 = posData.x2 + dx;
-                    shape.y2 = posData.y2 + dy;
-                    shape.emit('changed', shape);
-                } else {
-                    // Standard position update for other shapes
-                    const newX = posData.x + dx;
-                    const newY = posData.y + dy;
-                    shape.setPosition(newX, newY);
-                }
-            });
+            // Batched, so the canvas repaints once for all the moved shapes
+            this.state.batch(() => this.dragShapes.forEach(shape => {
+                shape.translate(dx, dy);
+                shape.emit('changed', shape);
+            }));
+        } else if (!this.isDrawing) {
+            const handle = this.renderer.getHandleAt(pos.x, pos.y);
+            if (!handle) {
+                this.canvas.style.cursor = '';
+            } else {
+                this.canvas.style.cursor = handle.name === 'rotate' ? 'grab' : `${handle.name}-resize`;
+            }
         }
     }
 
     onMouseUp(e) {
-        if (this.isMarquee) {
+        if (this.isRotating) {
+            this.finishRotate();
+        } else if (this.activeHandle) {
+            this.finishResize();
+        } else if (this.isMarquee) {
             this.isMarquee = false;
             this.marqueeStart = null;
             this.marqueeEnd = null;
-        } else if (this.isDragging && this.originalPositions.length > 0) {
-            // Create move command for undo - handle lines properly
-            const shapes = this.originalPositions.map(p => p.shape);
-            const oldPositions = this.originalPositions.map(p => {
-                const pos = { x: p.x, y: p.y };
-                if (p.shape.type === 'line') {
-                    pos.x2 = p.x2;
-                    pos.y2 = p.y2;
-                }
-                return pos;
-            });
-            const newPositions = shapes.map(s => {
-                const pos = { x: s.x, y: s.y };
-                if (s.type === 'line') {
-                    pos.x2 = s.x2;
-                    pos.y2 = s.y2;
-                }
-                return pos;
-            });
-            
-            // Only create command if shapes actually moved
-            const moved = oldPositions.some((oldPos, i) => {
-                const newPos = newPositions[i];
-                if (oldPos.x !== newPos.x || oldPos.y !== newPos.y) return true;
-                if (shapes[i].type === 'line' && (oldPos.x2 !== newPos.x2 || oldPos.y2 !== newPos.y2)) return true;
-                return false;
-            });
-            
-            if (moved) {
-                const command = new MoveShapeCommand(shapes, oldPositions, newPositions);
-                this.commandManager.execute(command);
-            }
+        } else if (this.isDragging && (this.dragDelta.x !== 0 || this.dragDelta.y !== 0)) {
+            // The command makes the move again, from where the drag started
+            const { x: dx, y: dy } = this.dragDelta;
+            this.state.batch(() => this.dragShapes.forEach(shape => shape.translate(-dx, -dy)));
+            this.commandManager.execute(new MoveShapeCommand(this.dragShapes, dx, dy));
         }
         
         this.isDrawing = false;
         this.isDragging = false;
         this.dragStartPos = null;
-        this.dragOffset = null;
-        this.originalPositions = [];
-        this.renderer.render();
+        this.dragDelta = null;
+        this.dragShapes = [];
+        this.renderer.requestRender();
+    }
+
+    // Double-clicking a group edits the shapes inside it; double-clicking
+    // empty canvas stops editing
+    onDoubleClick(e) {
+        const pos = this.getCanvasPosition(e);
+        const shape = this.state.getShapeAt(pos.x, pos.y);
+
+        if (!shape) {
+            this.state.exitGroup();
+            return;
+        }
+        if (shape.type !== 'group') return;
+
+        this.state.enterGroup(shape);
+        const child = shape.getChildAt(pos.x, pos.y);
+        if (child) {
+            this.state.selectShape(child);
+        }
+    }
+
+    onKeyDown(e) {
+        if (e.key === 'Escape' && this.state.editingGroup) {
+            this.state.exitGroup();
+            return true;
+        }
+        return false;
+    }
+
+    startResize(handle, pos) {
+        this.activeHandle = handle.name;
+        this.resizeStartPos = pos;
+        this.resizeStartBounds = this.state.getSelectionBounds();
+        this.transformShapes = Array.from(this.state.selectedShapes);
+        this.transformStates = this.transformShapes.map(shape => shape.serialize());
+        this.isDrawing = true;
+    }
+
+    updateResize(pos, e) {
+        const newBounds = this.getResizedBounds(pos, e.shiftKey, e.altKey);
+
+        // Always resize from the original state so repeated moves don't accumulate error
+        this.state.batch(() => this.transformShapes.forEach((shape, index) => {
+            shape.deserialize(this.transformStates[index]);
+            shape.resize(this.resizeStartBounds, newBounds);
+            shape.emit('changed', shape);
+        }));
+    }
+
+    // Shift keeps the aspect ratio, Alt resizes around the center of the bounds
+    getResizedBounds(pos, keepAspectRatio, fromCenter) {
+        const bounds = this.resizeStartBounds;
+        const handle = this.activeHandle;
+        const dx = pos.x - this.resizeStartPos.x;
+        const dy = pos.y - this.resizeStartPos.y;
+        const factor = fromCenter ? 2 : 1;
+
+        let scaleX = 1;
+        let scaleY = 1;
+
+        if (bounds.width > 0) {
+            if (handle.includes('e')) scaleX = (bounds.width + dx * factor) / bounds.width;
+            if (handle.includes('w')) scaleX = (bounds.width - dx * factor) / bounds.width;
+        }
+        if (bounds.height > 0) {
+            if (handle.includes('s')) scaleY = (bounds.height + dy * factor) / bounds.height;
+            if (handle.includes('n')) scaleY = (bounds.height - dy * factor) / bounds.height;
+        }
+
+        if (keepAspectRatio) {
+            if (handle.length === 2) {
+                const scale = Math.max(scaleX, scaleY);
+                scaleX = scale;
+                scaleY = scale;
+            } else if (handle === 'e' || handle === 'w') {
+                scaleY = scaleX;
+            } else {
+                scaleX = scaleY;
+            }
+        }
+
+        // Don't let the bounds collapse or flip past the opposite edge
+        if (bounds.width > 0) scaleX = Math.max(scaleX, this.minResizeSize / bounds.width);
+        if (bounds.height > 0) scaleY = Math.max(scaleY, this.minResizeSize / bounds.height);
+
+        // The anchor stays put: the opposite edge, or the center when resizing from it
+        const centerX = bounds.x + bounds.width / 2;
+        const centerY = bounds.y + bounds.height / 2;
+        let anchorX = centerX;
+        let anchorY = centerY;
+
+        if (!fromCenter) {
+            if (handle.includes('e')) anchorX = bounds.x;
+            if (handle.includes('w')) anchorX = bounds.x + bounds.width;
+            if (handle.includes('s')) anchorY = bounds.y;
+            if (handle.includes('n')) anchorY = bounds.y + bounds.height;
+        }
+
+        return {
+            x: anchorX + (bounds.x - anchorX) * scaleX,
+            y: anchorY + (bounds.y - anchorY) * scaleY,
+            width: bounds.width * scaleX,
+            height: bounds.height * scaleY
+        };
+    }
+
+    finishResize() {
+        const newStates = this.transformShapes.map(shape => shape.serialize());
+        const resized = newStates.some((state, index) =>
+            JSON.stringify(state) !== JSON.stringify(this.transformStates[index]));
+
+        if (resized) {
+            const command = new ResizeShapeCommand(this.transformShapes, this.transformStates, newStates);
+            this.commandManager.execute(command);
+        }
+
+        this.activeHandle = null;
+        this.resizeStartPos = null;
+        this.resizeStartBounds = null;
+        this.transformShapes = [];
+        this.transformStates = [];
+    }
+
+    startRotate(pos) {
+        const bounds = this.state.getSelectionBounds();
+        this.isRotating = true;
+        this.rotateCenter = {
+            x: bounds.x + bounds.width / 2,
+            y: bounds.y + bounds.height / 2
+        };
+        this.rotateStartAngle = this.getAngle(pos);
+        this.transformShapes = Array.from(this.state.selectedShapes);
+        this.transformStates = this.transformShapes.map(shape => shape.serialize());
+        this.isDrawing = true;
+    }
+
+    // Shift snaps the rotation to fixed steps
+    updateRotate(pos, e) {
+        let angle = this.getAngle(pos) - this.rotateStartAngle;
+        if (e.shiftKey) {
+            angle = Math.round(angle / this.rotateSnapAngle) * this.rotateSnapAngle;
+        }
+
+        const center = this.rotateCenter;
+        const matrix = Matrix.translate(center.x, center.y)
+            .multiply(Matrix.rotate(angle))
+            .multiply(Matrix.translate(-center.x, -center.y));
+
+        this.state.batch(() => this.transformShapes.forEach((shape, index) => {
+            shape.deserialize(this.transformStates[index]);
+            shape.applyMatrix(matrix);
+            shape.emit('changed', shape);
+        }));
+    }
+
+    getAngle(pos) {
+        return Math.atan2(pos.y - this.rotateCenter.y, pos.x - this.rotateCenter.x) * 180 / Math.PI;
+    }
+
+    finishRotate() {
+        const newStates = this.transformShapes.map(shape => shape.serialize());
+        const rotated = newStates.some((state, index) =>
+            JSON.stringify(state) !== JSON.stringify(this.transformStates[index]));
+
+        if (rotated) {
+            const command = new TransformShapeCommand(this.transformShapes, this.transformStates, newStates,
+                `Rotate ${describeShapes(this.transformShapes)}`);
+            this.commandManager.execute(command);
+        }
+
+        this.isRotating = false;
+        this.rotateCenter = null;
+        this.transformShapes = [];
+        this.transformStates = [];
     }
 
     updateMarqueeSelection(e) {
@@ -143,20 +313,21 @@ export class SelectTool extends BaseTool {
         const maxX = Math.max(this.marqueeStart.x, this.marqueeEnd.x);
         const maxY = Math.max(this.marqueeStart.y, this.marqueeEnd.y);
         
-        this.state.shapes.forEach(shape => {
-            const bounds = shape.getBounds();
-            const intersects = !(bounds.x + bounds.width < minX || 
-                               bounds.x > maxX || 
-                               bounds.y + bounds.height < minY || 
-                               bounds.y > maxY);
-            
-            if (intersects) {
-                this.state.selectShape(shape, true);
-            } else if (!e?.shiftKey) {
+        // Only shapes in the marquee and those already selected need a look
+        const inside = new Set(this.state.getShapesInRect({
+            x: minX, y: minY, width: maxX - minX, height: maxY - minY
+        }));
+        inside.forEach(shape => {
+            this.state.selectedShapes.add(shape);
+            shape.setSelected(true);
+        });
+        if (!e?.shiftKey) {
+            this.state.selectedShapes.forEach(shape => {
+                if (inside.has(shape)) return;
                 this.state.selectedShapes.delete(shape);
                 shape.setSelected(false);
-            }
-        });
+            });
+        }
         
         this.state.emit('selectionChanged');
     }
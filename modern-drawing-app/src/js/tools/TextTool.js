@@ -2,12 +2,15 @@
 import { BaseTool } from './BaseTool.js';
 import { Text } from '../shapes/Text.js';
 import { AddShapeCommand } from '../commands/AddShapeCommand.js';
+import { DeleteShapeCommand } from '../commands/DeleteShapeCommand.js';
+import { PropertyChangeCommand } from '../commands/PropertyChangeCommand.js';
 
 export class TextTool extends BaseTool {
     constructor(state, renderer, commandManager) {
         super(state, renderer);
         this.commandManager = commandManager;
         this.currentText = null;
+        this.isNewText = false;
         this.textInput = null;
         this.setupTextInput();
     }
@@ -66,17 +69,23 @@ export class TextTool extends BaseTool {
     createNewText(pos, e) {
         const text = new Text(pos.x, pos.y, 'Text');
         
+        // Creating and typing the text is one undo step
+        this.commandManager.beginTransaction('Add text');
+
         // Add to state immediately for visual feedback
         const command = new AddShapeCommand(this.state, text);
         this.commandManager.execute(command);
         
         this.currentText = text;
+        this.isNewText = true;
         this.showTextEditor(text, e);
         text.startEditing();
     }
 
     editExistingText(text, e) {
+        this.commandManager.beginTransaction('Edit text');
         this.currentText = text;
+        this.isNewText = false;
         this.showTextEditor(text, e);
         text.startEditing();
     }
@@ -99,31 +108,37 @@ export class TextTool extends BaseTool {
     finishEditing() {
         if (!this.currentText) return;
 
+        const text = this.currentText;
         const newText = this.textInput.value.trim();
-        
+        // Cleared first, since hiding the editor blurs it and calls back here
+        this.currentText = null;
+        text.stopEditing();
+        this.hideTextEditor();
+
+        if (newText === '' && this.isNewText) {
+            this.commandManager.cancelTransaction();
+            return;
+        }
+
         if (newText === '') {
             // Remove empty text
-            this.state.removeShape(this.currentText.id);
-        } else {
-            this.currentText.setText(newText);
+            this.commandManager.execute(new DeleteShapeCommand(this.state, text));
+        } else if (newText !== text.text) {
+            this.commandManager.execute(new PropertyChangeCommand(text, 'text', newText));
         }
-
-        this.hideTextEditor();
-        this.currentText.stopEditing();
-        this.currentText = null;
+        this.commandManager.commitTransaction();
     }
 
     cancelEditing() {
         if (!this.currentText) return;
 
-        // If it's a new text that was just created, remove it
-        if (this.currentText.text === 'Text') {
-            this.state.removeShape(this.currentText.id);
-        }
-
-        this.hideTextEditor();
-        this.currentText.stopEditing();
+        const text = this.currentText;
         this.currentText = null;
+        text.stopEditing();
+        this.hideTextEditor();
+
+        // Reverts the edit, removing the text if it was just created
+        this.commandManager.cancelTransaction();
     }
 
     hideTextEditor() {
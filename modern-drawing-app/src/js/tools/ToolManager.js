@@ -3,9 +3,12 @@ import { SelectTool } from './SelectTool.js';
 import { RectangleTool } from './RectangleTool.js';
 import { EllipseTool } from './EllipseTool.js';
 import { LineTool } from './LineTool.js';
-import { TextTool } from './TextVTool.js';
+import { TextTool } from './TextTool.js';
 import { BezierTool } from './BezierTool.js';
 import { PanTool } from './PanTool.js';
+import { PolygonTool } from './PolygonTool.js';
+import { FreehandTool } from './FreehandTool.js';
+import { PenTool } from './PenTool.js';
 
 export class ToolManager extends EventEmitter {
     constructor(state, renderer, commandManager) {
@@ -27,10 +30,38 @@ export class ToolManager extends EventEmitter {
         this.tools.set('text', new TextTool(this.state, this.renderer, this.commandManager));
         this.tools.set('pan', new PanTool(this.state, this.renderer));
         this.tools.set('bezier', new BezierTool(this.state, this.renderer, this.commandManager));
+        this.tools.set('polygon', new PolygonTool(this.state, this.renderer, this.commandManager, true));
+        this.tools.set('polyline', new PolygonTool(this.state, this.renderer, this.commandManager, false));
+        this.tools.set('freehand', new FreehandTool(this.state, this.renderer, this.commandManager));
+        this.tools.set('pen', new PenTool(this.state, this.renderer, this.commandManager));
     }
 
     bindEvents() {
-        this.state.on('toolChanged', (tool) => this.setTool(tool));
+        this.handleToolChange = (tool) => this.setTool(tool);
+        this.state.on('toolChanged', this.handleToolChange);
+    }
+
+    // Points every tool at another document. The current tool is restarted,
+    // which finishes anything it was drawing in the old one.
+    setDocument(state, commandManager) {
+        const toolName = this.state.currentTool;
+        if (this.currentTool) {
+            this.currentTool.deactivate();
+        }
+        this.state.off('toolChanged', this.handleToolChange);
+
+        this.state = state;
+        this.commandManager = commandManager;
+        this.tools.forEach(tool => {
+            tool.state = state;
+            tool.commandManager = commandManager;
+        });
+        this.bindEvents();
+
+        state.currentTool = toolName;
+        if (this.currentTool) {
+            this.currentTool.activate();
+        }
     }
 
     setTool(toolName) {
@@ -0,0 +1,46 @@
+// src/js/tools/__tests__/FreehandTool.test.js
+import { FreehandTool } from '../FreehandTool.js';
+import { CanvasState } from '../../core/CanvasState.js';
+import { CommandManager } from '../../core/CommandManager.js';
+
+function setup() {
+    const state = new CanvasState();
+    const commandManager = new CommandManager();
+    const renderer = { canvas: {}, screenToCanvas: (x, y) => ({ x, y }) };
+    return { state, commandManager, tool: new FreehandTool(state, renderer, commandManager) };
+}
+
+const pointer = (clientX, clientY) => ({ clientX, clientY, pointerType: 'mouse' });
+
+describe('FreehandTool', () => {
+    test('adds a stroke as one undo step', () => {
+        const { state, commandManager, tool } = setup();
+        tool.onMouseDown(pointer(0, 0));
+        tool.onMouseMove(pointer(10, 5));
+        tool.onMouseMove(pointer(20, 0));
+        tool.onMouseUp(pointer(20, 0));
+
+        expect(state.shapes.size).toBe(1);
+        expect(commandManager.history).toHaveLength(1);
+    });
+
+    test('adds nothing for a click', () => {
+        const { state, commandManager, tool } = setup();
+        tool.onMouseDown(pointer(0, 0));
+        tool.onMouseUp(pointer(0, 0));
+
+        expect(state.shapes.size).toBe(0);
+        expect(commandManager.history).toHaveLength(0);
+    });
+
+    test('drops the stroke when the pointer is cancelled', () => {
+        const { state, commandManager, tool } = setup();
+        tool.onMouseDown(pointer(0, 0));
+        tool.onMouseMove(pointer(10, 5));
+        tool.onPointerCancel();
+
+        expect(state.shapes.size).toBe(0);
+        expect(commandManager.history).toHaveLength(0);
+        expect(tool.isDrawing).toBe(false);
+    });
+});
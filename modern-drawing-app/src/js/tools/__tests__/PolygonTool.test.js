@@ -0,0 +1,60 @@
+// src/js/tools/__tests__/PolygonTool.test.js
+import { PolygonTool } from '../PolygonTool.js';
+import { CanvasState } from '../../core/CanvasState.js';
+import { CommandManager } from '../../core/CommandManager.js';
+
+function setup(closed = true) {
+    const state = new CanvasState();
+    const commandManager = new CommandManager();
+    const renderer = { canvas: {}, screenToCanvas: (x, y) => ({ x, y }) };
+    return { state, commandManager, tool: new PolygonTool(state, renderer, commandManager, closed) };
+}
+
+const pointer = (clientX, clientY) => ({ clientX, clientY });
+const click = (tool, x, y) => {
+    tool.onMouseMove(pointer(x, y));
+    tool.onMouseDown(pointer(x, y));
+};
+const onlyShape = state => Array.from(state.shapes.values())[0];
+
+describe('PolygonTool', () => {
+    test('closes the polygon when the first vertex is clicked again', () => {
+        const { state, commandManager, tool } = setup();
+        [[0, 0], [100, 0], [100, 100], [2, 3]].forEach(([x, y]) => click(tool, x, y));
+
+        expect(tool.currentShape).toBe(null);
+        expect(commandManager.history).toHaveLength(1);
+        expect(onlyShape(state).getAbsolutePoints()).toEqual([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }]);
+    });
+
+    test('drops the repeated vertex of a double-click that ends a polyline', () => {
+        const { state, tool } = setup(false);
+        [[0, 0], [50, 0], [50, 50], [50, 50]].forEach(([x, y]) => click(tool, x, y));
+        tool.onDoubleClick(pointer(50, 50));
+
+        const polyline = onlyShape(state);
+        expect(polyline.closed).toBe(false);
+        expect(polyline.getAbsolutePoints()).toEqual([{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 50, y: 50 }]);
+    });
+
+    test('removes vertices with Backspace and drops the shape on Escape', () => {
+        const { state, commandManager, tool } = setup();
+        [[0, 0], [100, 0], [100, 100]].forEach(([x, y]) => click(tool, x, y));
+        expect(tool.onKeyDown({ key: 'Backspace' })).toBe(true);
+        expect(tool.getPlacedPoints()).toEqual([{ x: 0, y: 0 }, { x: 100, y: 0 }]);
+
+        expect(tool.onKeyDown({ key: 'Escape' })).toBe(true);
+        expect(state.shapes.size).toBe(0);
+        expect(commandManager.history).toHaveLength(0);
+        expect(tool.onKeyDown({ key: 'Escape' })).toBe(false);
+    });
+
+    test('adds nothing for a closed shape with fewer than three vertices', () => {
+        const { state, commandManager, tool } = setup();
+        [[0, 0], [100, 0]].forEach(([x, y]) => click(tool, x, y));
+        tool.onKeyDown({ key: 'Enter' });
+
+        expect(state.shapes.size).toBe(0);
+        expect(commandManager.history).toHaveLength(0);
+    });
+});
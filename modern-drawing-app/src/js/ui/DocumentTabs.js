@@ -0,0 +1,85 @@
+export class DocumentTabs {
+    constructor(documentManager) {
+        this.documentManager = documentManager;
+        this.list = document.getElementById('document-tab-list');
+        this.newButton = document.getElementById('new-tab-btn');
+
+        this.bindEvents();
+        this.render();
+    }
+
+    bindEvents() {
+        this.documentManager.on('documentsChanged', () => this.render());
+        this.newButton.addEventListener('click', () => {
+            this.documentManager.activate(this.documentManager.create());
+        });
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        this.documentManager.documents.forEach(drawing => {
+            this.list.appendChild(this.createTab(drawing));
+        });
+    }
+
+    createTab(drawing) {
+        const tab = document.createElement('li');
+        tab.className = 'document-tab';
+        tab.classList.toggle('active', drawing === this.documentManager.active);
+        tab.classList.toggle('dirty', drawing.dirty);
+        tab.title = drawing.inLibrary ? drawing.name : `${drawing.name} (not in library)`;
+
+        const name = document.createElement('span');
+        name.className = 'document-tab-name';
+        name.textContent = drawing.name;
+        name.addEventListener('dblclick', () => this.startRename(drawing, name));
+
+        const closeButton = document.createElement('button');
+        closeButton.className = 'document-tab-close';
+        closeButton.title = 'Close';
+        closeButton.innerHTML = '&times;';
+        closeButton.disabled = this.documentManager.documents.length === 1;
+        closeButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.closeTab(drawing);
+        });
+
+        tab.append(name, closeButton);
+        tab.addEventListener('click', () => this.documentManager.activate(drawing));
+        return tab;
+    }
+
+    closeTab(drawing) {
+        if (drawing.dirty && !confirm(`Close "${drawing.name}"? Its unsaved changes will be lost.`)) return;
+
+        this.documentManager.close(drawing);
+    }
+
+    startRename(drawing, nameElement) {
+        const input = document.createElement('input');
+        input.className = 'document-tab-input';
+        input.value = drawing.name;
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            if (commit && input.value.trim()) {
+                this.documentManager.rename(drawing, input.value.trim())
+                    .catch(error => console.error('Failed to rename drawing:', error));
+            } else {
+                this.render();
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        nameElement.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+}
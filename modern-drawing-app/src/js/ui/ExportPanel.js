@@ -0,0 +1,145 @@
+import { EventEmitter } from '../core/EventEmitter.js';
+
+// PDF margins are entered in millimeters and written in points
+const POINTS_PER_MM = 72 / 25.4;
+
+// Drawing units are CSS pixels, so 1x is 96 DPI
+const PIXELS_PER_INCH = 96;
+
+/**
+ * Options for exporting images, SVG or PDF. Emits 'export' with
+ * { format, options } when the user confirms, where options are those the
+ * exporter takes.
+ */
+export class ExportPanel extends EventEmitter {
+    constructor() {
+        super();
+        this.panel = document.getElementById('export-panel');
+        this.formatInput = document.getElementById('export-format');
+        this.titleInput = document.getElementById('export-title');
+        this.transparentInput = document.getElementById('export-transparent');
+        this.selectionInput = document.getElementById('export-selection');
+        this.minifyInput = document.getElementById('export-minify');
+        this.pageSizeInput = document.getElementById('export-page-size');
+        this.orientationInput = document.getElementById('export-orientation');
+        this.marginInput = document.getElementById('export-margin');
+        this.fitInput = document.getElementById('export-fit');
+        this.pagesInput = document.getElementById('export-pages');
+        this.scaleInput = document.getElementById('export-scale');
+        this.dpiInput = document.getElementById('export-dpi');
+        this.backgroundInput = document.getElementById('export-background');
+        this.backgroundColorInput = document.getElementById('export-background-color');
+        this.paddingInput = document.getElementById('export-padding');
+        this.scopeInput = document.getElementById('export-scope');
+        this.qualityInput = document.getElementById('export-quality');
+        this.qualityValue = document.getElementById('export-quality-value');
+        this.closeButton = document.getElementById('close-export-btn');
+        this.exportButton = document.getElementById('export-confirm-btn');
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.formatInput.addEventListener('change', () => this.updateSections());
+        this.scaleInput.addEventListener('change', () => this.updateSections());
+        this.backgroundInput.addEventListener('change', () => this.updateSections());
+        this.scopeInput.addEventListener('change', () => this.updateSections());
+        this.qualityInput.addEventListener('input', () => {
+            this.qualityValue.textContent = this.qualityInput.value;
+        });
+        this.pageSizeInput.addEventListener('change', () => {
+            this.orientationInput.disabled = this.pageSizeInput.value === 'content';
+        });
+        this.closeButton.addEventListener('click', () => this.hide());
+        this.exportButton.addEventListener('click', () => {
+            this.emit('export', { format: this.formatInput.value, options: this.getOptions() });
+            this.hide();
+        });
+    }
+
+    isVisible() {
+        return this.panel.classList.contains('visible');
+    }
+
+    // The title starts as the drawing's name. Exporting the selection is
+    // offered while something is selected.
+    toggle({ format = 'png', title = '', hasSelection = false } = {}) {
+        if (this.isVisible() && this.formatInput.value === format) {
+            this.hide();
+            return;
+        }
+
+        this.formatInput.value = format;
+        this.titleInput.value = title;
+        this.selectionInput.disabled = !hasSelection;
+        if (!hasSelection) this.selectionInput.checked = false;
+        this.selectionInput.parentElement.classList.toggle('disabled', !hasSelection);
+        this.scopeInput.querySelector('[value="selection"]').disabled = !hasSelection;
+        if (!hasSelection && this.scopeInput.value === 'selection') this.scopeInput.value = 'drawing';
+        this.updateSections();
+        this.panel.classList.add('visible');
+    }
+
+    hide() {
+        this.panel.classList.remove('visible');
+    }
+
+    // Shows the options of the chosen format, and the inputs the chosen
+    // options need. JPEG can't be transparent.
+    updateSections() {
+        const format = this.formatInput.value;
+        this.panel.querySelectorAll('.export-options').forEach(section => {
+            section.hidden = !section.dataset.format.split(' ').includes(format);
+        });
+
+        const transparent = this.backgroundInput.querySelector('[value="transparent"]');
+        transparent.disabled = format === 'jpeg';
+        if (transparent.disabled && this.backgroundInput.value === 'transparent') {
+            this.backgroundInput.value = 'white';
+        }
+        this.dpiInput.hidden = this.scaleInput.value !== 'dpi';
+        this.backgroundColorInput.hidden = this.backgroundInput.value !== 'custom';
+        this.paddingInput.disabled = this.scopeInput.value === 'viewport';
+    }
+
+    getOptions() {
+        const format = this.formatInput.value;
+        if (['png', 'jpeg', 'webp'].includes(format)) {
+            const scale = this.scaleInput.value === 'dpi'
+                ? (parseFloat(this.dpiInput.value) || PIXELS_PER_INCH) / PIXELS_PER_INCH
+                : parseFloat(this.scaleInput.value);
+            const backgrounds = {
+                white: 'white',
+                transparent: null,
+                custom: this.backgroundColorInput.value
+            };
+            return {
+                format,
+                scale,
+                background: backgrounds[this.backgroundInput.value],
+                padding: Math.max(0, parseFloat(this.paddingInput.value) || 0),
+                scope: this.scopeInput.value,
+                quality: parseInt(this.qualityInput.value) / 100
+            };
+        }
+
+        const title = this.titleInput.value.trim();
+        if (format === 'pdf') {
+            return {
+                title,
+                pageSize: this.pageSizeInput.value,
+                orientation: this.orientationInput.value,
+                margin: Math.max(0, parseFloat(this.marginInput.value) || 0) * POINTS_PER_MM,
+                fitToPage: this.fitInput.checked,
+                pages: this.pagesInput.value
+            };
+        }
+
+        return {
+            title,
+            background: this.transparentInput.checked ? null : 'white',
+            selectionOnly: this.selectionInput.checked,
+            pretty: !this.minifyInput.checked
+        };
+    }
+}
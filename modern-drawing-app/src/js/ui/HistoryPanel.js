@@ -0,0 +1,90 @@
+export class HistoryPanel {
+    constructor(commandManager) {
+        this.commandManager = commandManager;
+        this.list = document.getElementById('history-list');
+        this.branchingInput = document.getElementById('history-branching');
+        this.limitInput = document.getElementById('history-limit');
+
+        this.bindEvents();
+        this.render();
+    }
+
+    bindEvents() {
+        this.handleHistoryChange = () => this.render();
+        this.commandManager.on('historyChanged', this.handleHistoryChange);
+
+        this.branchingInput.addEventListener('change', (e) => {
+            this.commandManager.setBranching(e.target.checked);
+        });
+        this.limitInput.addEventListener('change', (e) => {
+            const size = parseInt(e.target.value);
+            if (size > 0) {
+                this.commandManager.setMaxHistorySize(size);
+            } else {
+                e.target.value = this.commandManager.maxHistorySize;
+            }
+        });
+    }
+
+    setCommandManager(commandManager) {
+        this.commandManager.off('historyChanged', this.handleHistoryChange);
+        this.commandManager = commandManager;
+        this.commandManager.on('historyChanged', this.handleHistoryChange);
+        this.render();
+    }
+
+    render() {
+        this.branchingInput.checked = this.commandManager.branching;
+        this.limitInput.value = this.commandManager.maxHistorySize;
+
+        this.list.innerHTML = '';
+        this.getEntries().forEach(entry => {
+            this.list.appendChild(this.createHistoryItem(entry));
+        });
+
+        const current = this.list.querySelector('.current');
+        if (current) current.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Flattens the history tree into display order. An abandoned branch is
+    // listed, indented, right after the state it forked from.
+    getEntries() {
+        const manager = this.commandManager;
+        const branch = new Set(manager.getBranch());
+        const done = new Set();
+        for (let node = manager.current; node; node = node.parent) done.add(node);
+
+        const entries = [];
+        const visit = (node, depth) => {
+            entries.push({
+                node,
+                depth,
+                label: node === manager.root ? 'Start' : node.command.getLabel(),
+                current: node === manager.current,
+                undone: !done.has(node),
+                onBranch: branch.has(node)
+            });
+
+            node.children
+                .filter(child => child !== node.activeChild)
+                .forEach(child => visit(child, depth + 1));
+            if (node.activeChild) visit(node.activeChild, depth);
+        };
+        visit(manager.root, 0);
+
+        return entries;
+    }
+
+    createHistoryItem(entry) {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+        item.classList.toggle('current', entry.current);
+        item.classList.toggle('undone', entry.undone);
+        item.classList.toggle('branch', !entry.onBranch);
+        item.style.paddingLeft = `${6 + entry.depth * 12}px`;
+        item.textContent = entry.label;
+        item.title = entry.current ? 'Current state' : 'Go to this state';
+        item.addEventListener('click', () => this.commandManager.jumpTo(entry.node));
+        return item;
+    }
+}
@@ -0,0 +1,192 @@
+import { RemoveLayerCommand } from '../commands/RemoveLayerCommand.js';
+import { MoveShapesToLayerCommand } from '../commands/MoveShapesToLayerCommand.js';
+
+const ICONS = {
+    visible: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M1 12s4-7 11-7 11 7 11 7-4 7-11 7S1 12 1 12z"/><circle cx="12" cy="12" r="3"/></svg>',
+    hidden: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M1 12s4-7 11-7 11 7 11 7-4 7-11 7S1 12 1 12z"/><line x1="3" y1="21" x2="21" y2="3"/></svg>',
+    locked: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="5" y="11" width="14" height="10" rx="2"/><path d="M8 11V7a4 4 0 0 1 8 0v4"/></svg>',
+    unlocked: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="5" y="11" width="14" height="10" rx="2"/><path d="M8 11V7a4 4 0 0 1 7.5-2"/></svg>'
+};
+
+export class LayersPanel {
+    constructor(state, commandManager) {
+        this.state = state;
+        this.commandManager = commandManager;
+        this.panel = document.getElementById('layers-panel');
+        this.list = document.getElementById('layers-list');
+        this.addButton = document.getElementById('add-layer-btn');
+        this.moveButton = document.getElementById('move-to-layer-btn');
+        this.deleteButton = document.getElementById('delete-layer-btn');
+        this.draggedLayerId = null;
+
+        this.bindEvents();
+        this.render();
+    }
+
+    bindEvents() {
+        this.stateHandlers = {
+            layersChanged: () => this.render(),
+            shapesChanged: () => this.updateCounts(),
+            selectionChanged: () => this.updateActions()
+        };
+        this.bindStateEvents();
+
+        this.addButton.addEventListener('click', () => this.state.addLayer());
+        this.moveButton.addEventListener('click', () => this.moveSelectionToActiveLayer());
+        this.deleteButton.addEventListener('click', () => this.deleteActiveLayer());
+    }
+
+    bindStateEvents() {
+        Object.entries(this.stateHandlers).forEach(([event, handler]) => this.state.on(event, handler));
+    }
+
+    setDocument(state, commandManager) {
+        Object.entries(this.stateHandlers).forEach(([event, handler]) => this.state.off(event, handler));
+        this.state = state;
+        this.commandManager = commandManager;
+        this.bindStateEvents();
+        this.render();
+    }
+
+    // The list shows the top layer first
+    render() {
+        this.list.innerHTML = '';
+        [...this.state.layers].reverse().forEach(layer => {
+            this.list.appendChild(this.createLayerItem(layer));
+        });
+        this.updateActions();
+    }
+
+    createLayerItem(layer) {
+        const item = document.createElement('li');
+        item.className = 'layer-item';
+        item.classList.toggle('active', layer.id === this.state.activeLayerId);
+        item.classList.toggle('hidden', !layer.visible);
+        item.classList.toggle('locked', layer.locked);
+        item.dataset.layerId = layer.id;
+        item.draggable = true;
+
+        const visibilityButton = document.createElement('button');
+        visibilityButton.className = 'layer-toggle';
+        visibilityButton.title = layer.visible ? 'Hide layer' : 'Show layer';
+        visibilityButton.innerHTML = layer.visible ? ICONS.visible : ICONS.hidden;
+        visibilityButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.state.setLayerVisible(layer.id, !layer.visible);
+        });
+
+        const lockButton = document.createElement('button');
+        lockButton.className = 'layer-toggle';
+        lockButton.title = layer.locked ? 'Unlock layer' : 'Lock layer';
+        lockButton.innerHTML = layer.locked ? ICONS.locked : ICONS.unlocked;
+        lockButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.state.setLayerLocked(layer.id, !layer.locked);
+        });
+
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        name.textContent = layer.name;
+        name.title = 'Double-click to rename';
+        name.addEventListener('dblclick', () => this.startRename(layer, name));
+
+        const count = document.createElement('span');
+        count.className = 'layer-count';
+        count.textContent = this.state.getLayerShapes(layer.id).length;
+
+        item.append(visibilityButton, lockButton, name, count);
+        item.addEventListener('click', () => this.state.setActiveLayer(layer.id));
+        this.bindDragEvents(item, layer);
+
+        return item;
+    }
+
+    startRename(layer, nameElement) {
+        const input = document.createElement('input');
+        input.className = 'layer-name-input';
+        input.value = layer.name;
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            if (commit && input.value.trim()) {
+                this.state.renameLayer(layer.id, input.value.trim());
+            } else {
+                this.render();
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        nameElement.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    // Dropping on the upper half of an item places the layer above it
+    bindDragEvents(item, layer) {
+        item.addEventListener('dragstart', (e) => {
+            this.draggedLayerId = layer.id;
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+
+        item.addEventListener('dragend', () => {
+            this.draggedLayerId = null;
+            item.classList.remove('dragging');
+        });
+
+        item.addEventListener('dragover', (e) => {
+            if (!this.draggedLayerId) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            if (!this.draggedLayerId || this.draggedLayerId === layer.id) return;
+
+            const rect = item.getBoundingClientRect();
+            const above = e.clientY < rect.top + rect.height / 2;
+            const layers = this.state.layers.filter(l => l.id !== this.draggedLayerId);
+            const targetIndex = layers.indexOf(layer);
+
+            this.state.moveLayer(this.draggedLayerId, above ? targetIndex + 1 : targetIndex);
+        });
+    }
+
+    moveSelectionToActiveLayer() {
+        const shapes = Array.from(this.state.selectedShapes).filter(shape => !shape.parent);
+        const command = new MoveShapesToLayerCommand(this.state, shapes, this.state.activeLayerId);
+        if (command.shapes.length > 0) {
+            this.commandManager.execute(command);
+        }
+    }
+
+    deleteActiveLayer() {
+        const layer = this.state.getActiveLayer();
+        const count = this.state.getLayerShapes(layer.id).length;
+        if (count > 0 && !confirm(`Delete "${layer.name}" and its ${count} shape(s)?`)) return;
+
+        this.commandManager.execute(new RemoveLayerCommand(this.state, layer));
+    }
+
+    updateCounts() {
+        this.list.querySelectorAll('.layer-item').forEach(item => {
+            const count = item.querySelector('.layer-count');
+            if (count) {
+                count.textContent = this.state.getLayerShapes(item.dataset.layerId).length;
+            }
+        });
+    }
+
+    updateActions() {
+        this.deleteButton.disabled = this.state.layers.length <= 1;
+        this.moveButton.disabled = this.state.selectedShapes.size === 0;
+    }
+}
@@ -0,0 +1,130 @@
+import { describeLoadProblems } from '../core/fileFormat.js';
+
+export class LibraryPanel {
+    constructor(documentManager) {
+        this.documentManager = documentManager;
+        this.panel = document.getElementById('library-panel');
+        this.list = document.getElementById('library-list');
+        this.closeButton = document.getElementById('close-library-btn');
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.documentManager.on('libraryChanged', () => {
+            if (this.isVisible()) this.render();
+        });
+        this.closeButton.addEventListener('click', () => this.hide());
+    }
+
+    isVisible() {
+        return this.panel.classList.contains('visible');
+    }
+
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.panel.classList.add('visible');
+            this.render();
+        }
+    }
+
+    hide() {
+        this.panel.classList.remove('visible');
+    }
+
+    async render() {
+        let records;
+        try {
+            records = await this.documentManager.library.list();
+        } catch (error) {
+            console.error('Failed to read the document library:', error);
+            records = [];
+        }
+
+        this.list.innerHTML = '';
+        if (records.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = 'Saved drawings appear here';
+            this.list.appendChild(empty);
+            return;
+        }
+        records.forEach(record => this.list.appendChild(this.createLibraryItem(record)));
+    }
+
+    createLibraryItem(record) {
+        const item = document.createElement('li');
+        item.className = 'library-item';
+        item.classList.toggle('open', Boolean(this.documentManager.find(record.id)));
+        item.title = 'Open';
+
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'library-thumbnail';
+        thumbnail.src = record.thumbnail;
+        thumbnail.alt = '';
+
+        const name = document.createElement('div');
+        name.className = 'library-name';
+        name.textContent = record.name;
+
+        const modified = document.createElement('div');
+        modified.className = 'library-modified';
+        modified.textContent = new Date(record.modifiedAt).toLocaleString();
+
+        const actions = document.createElement('div');
+        actions.className = 'library-actions';
+        actions.append(
+            this.createAction('Rename', () => this.rename(record)),
+            this.createAction('Duplicate', () => this.documentManager.duplicate(record.id)),
+            this.createAction('Delete', () => this.remove(record))
+        );
+
+        const details = document.createElement('div');
+        details.className = 'library-details';
+        details.append(name, modified, actions);
+
+        item.append(thumbnail, details);
+        item.addEventListener('click', () => this.open(record));
+        return item;
+    }
+
+    createAction(label, action) {
+        const button = document.createElement('button');
+        button.className = 'library-action';
+        button.textContent = label;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            Promise.resolve(action()).catch(error => console.error(`${label} failed:`, error));
+        });
+        return button;
+    }
+
+    async open(record) {
+        let result;
+        try {
+            result = await this.documentManager.open(record.id);
+        } catch (error) {
+            console.error('Failed to open drawing:', error);
+            result = { success: false, errors: [error.message], warnings: [] };
+        }
+
+        if (result.success) this.hide();
+        const problems = describeLoadProblems(result);
+        if (problems) alert(`"${record.name}"\n\n${problems}`);
+    }
+
+    rename(record) {
+        const name = prompt('Rename drawing:', record.name);
+        if (name && name.trim()) {
+            return this.documentManager.renameInLibrary(record.id, name.trim());
+        }
+    }
+
+    remove(record) {
+        if (confirm(`Delete "${record.name}" from the library? This can't be undone.`)) {
+            return this.documentManager.remove(record.id);
+        }
+    }
+}
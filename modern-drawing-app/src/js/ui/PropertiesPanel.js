@@ -1,7 +1,14 @@
+import { Shape } from '../core/Shape.js';
+import { Matrix } from '../core/Matrix.js';
+import { PropertyChangeCommand } from '../commands/PropertyChangeCommand.js';
+import { ResizeShapeCommand } from '../commands/ResizeShapeCommand.js';
+import { TransformShapeCommand } from '../commands/TransformShapeCommand.js';
 
 export class PropertiesPanel {
-    constructor(state) {
+    constructor(state, commandManager) {
         this.state = state;
+        this.commandManager = commandManager;
+        this.editing = false; // an input is in the middle of a live edit
         this.panel = document.getElementById('properties-panel');
         this.fillColorInput = document.getElementById('fill-color');
         this.strokeColorInput = document.getElementById('stroke-color');
@@ -10,22 +17,70 @@ export class PropertiesPanel {
         this.posYInput = document.getElementById('pos-y');
         this.sizeWidthInput = document.getElementById('size-width');
         this.sizeHeightInput = document.getElementById('size-height');
+        this.rotationInput = document.getElementById('rotation');
         
         this.bindEvents();
     }
 
     bindEvents() {
-        this.state.on('selectionChanged', () => this.updatePanel());
+        this.handleSelectionChange = () => {
+            this.endEdit();
+            this.updatePanel();
+        };
+        this.state.on('selectionChanged', this.handleSelectionChange);
+        // Undo and redo commit an open transaction, which ends the live edit
+        this.handleHistoryChange = () => {
+            if (this.commandManager.transactionDepth === 0) this.editing = false;
+        };
+        this.commandManager.on('historyChanged', this.handleHistoryChange);
         
-        this.fillColorInput.addEventListener('change', (e) => this.updateSelectedShapes('fillColor', e.target.value));
-        this.strokeColorInput.addEventListener('change', (e) => this.updateSelectedShapes('strokeColor', e.target.value));
-        this.strokeWidthInput.addEventListener('input', (e) => this.updateSelectedShapes('strokeWidth', parseInt(e.target.value)));
+        // Colors and stroke width update live while the picker or slider is
+        // dragged; the whole drag becomes one undo step when it is released
+        this.bindLiveInput(this.fillColorInput, (value) => this.updateSelectedShapes('fillColor', value));
+        this.bindLiveInput(this.strokeColorInput, (value) => this.updateSelectedShapes('strokeColor', value));
+        this.bindLiveInput(this.strokeWidthInput, (value) => this.updateSelectedShapes('strokeWidth', parseInt(value)));
         
         this.posXInput.addEventListener('change', (e) => this.updatePosition('x', parseFloat(e.target.value)));
         this.posYInput.addEventListener('change', (e) => this.updatePosition('y', parseFloat(e.target.value)));
         
         this.sizeWidthInput.addEventListener('change', (e) => this.updateSize('width', parseFloat(e.target.value)));
         this.sizeHeightInput.addEventListener('change', (e) => this.updateSize('height', parseFloat(e.target.value)));
+        
+        this.rotationInput.addEventListener('change', (e) => this.updateRotation(parseFloat(e.target.value)));
+    }
+
+    setDocument(state, commandManager) {
+        this.endEdit();
+        this.state.off('selectionChanged', this.handleSelectionChange);
+        this.commandManager.off('historyChanged', this.handleHistoryChange);
+        this.state = state;
+        this.commandManager = commandManager;
+        this.state.on('selectionChanged', this.handleSelectionChange);
+        this.commandManager.on('historyChanged', this.handleHistoryChange);
+        this.updatePanel();
+    }
+
+    bindLiveInput(input, apply) {
+        input.addEventListener('input', (e) => {
+            this.beginEdit();
+            apply(e.target.value);
+        });
+        input.addEventListener('change', () => this.endEdit());
+        input.addEventListener('blur', () => this.endEdit());
+    }
+
+    beginEdit() {
+        if (this.editing) return;
+
+        this.editing = true;
+        this.commandManager.beginTransaction();
+    }
+
+    endEdit() {
+        if (!this.editing) return;
+
+        this.editing = false;
+        this.commandManager.commitTransaction();
     }
 
     updatePanel() {
@@ -47,42 +102,69 @@ export class PropertiesPanel {
             const bounds = shape.getBounds();
             this.sizeWidthInput.value = Math.round(bounds.width);
             this.sizeHeightInput.value = Math.round(bounds.height);
+            this.rotationInput.value = Math.round(shape.transform.rotation);
         }
     }
 
+    // Styles set on a group apply to everything inside it
     updateSelectedShapes(property, value) {
-        this.state.selectedShapes.forEach(shape => {
-            shape[property] = value;
-            shape.emit('changed', shape);
-        });
+        const targets = Array.from(this.state.selectedShapes).flatMap(shape =>
+            shape.type === 'group' ? shape.getDescendants() : [shape]);
+        if (targets.length === 0) return;
+
+        this.commandManager.execute(new PropertyChangeCommand(targets, property, value));
     }
 
+    // Geometry edits are recorded as before/after snapshots of the selection
+    updateGeometry(CommandClass, label, edit) {
+        const shapes = Array.from(this.state.selectedShapes);
+        if (shapes.length === 0) return;
+
+        const oldStates = shapes.map(shape => shape.serialize());
+        shapes.forEach(edit);
+        const newStates = shapes.map(shape => shape.serialize());
+
+        this.commandManager.execute(new CommandClass(shapes, oldStates, newStates, label));
+    }
+
+    // Moves by the difference so lines and curves keep their other points
     updatePosition(axis, value) {
-        this.state.selectedShapes.forEach(shape => {
+        if (isNaN(value)) return;
+
+        this.updateGeometry(TransformShapeCommand, 'Move', shape => {
             if (axis === 'x') {
-                shape.setPosition(value, shape.y);
+                shape.translate(value - shape.x, 0);
             } else {
-                shape.setPosition(shape.x, value);
+                shape.translate(0, value - shape.y);
             }
         });
     }
 
     updateSize(dimension, value) {
-        this.state.selectedShapes.forEach(shape => {
-            if (shape.type === 'rectangle') {
-                if (dimension === 'width') {
-                    shape.width = value;
-                } else {
-                    shape.height = value;
-                }
-                shape.emit('changed', shape);
-            } else if (shape.type === 'ellipse') {
-                if (dimension === 'width') {
-                    shape.radiusX = value / 2;
-                } else {
-                    shape.radiusY = value / 2;
-                }
-                shape.emit('changed', shape);
+        if (!(value > 0)) return;
+
+        this.updateGeometry(ResizeShapeCommand, 'Resize', shape => {
+            const bounds = shape.getBounds();
+            const newBounds = { ...bounds, [dimension]: value };
+            shape.resize(bounds, newBounds);
+        });
+    }
+
+    // Rotates each shape around its own center. Groups have no rotation of
+    // their own, so the value rotates their children by that much instead.
+    updateRotation(degrees) {
+        if (isNaN(degrees)) return;
+
+        this.updateGeometry(TransformShapeCommand, 'Rotate', shape => {
+            if (shape.type === 'group') {
+                const bounds = shape.getBounds();
+                const centerX = bounds.x + bounds.width / 2;
+                const centerY = bounds.y + bounds.height / 2;
+                shape.applyMatrix(Matrix.translate(centerX, centerY)
+                    .multiply(Matrix.rotate(degrees))
+                    .multiply(Matrix.translate(-centerX, -centerY)));
+            } else {
+                shape.transform.rotation = Shape.normalizeAngle(degrees);
             }
         });
     }